@@ -1,16 +1,32 @@
 // __tests__/admin.int.test.cjs
 const request = require("supertest");
+const crypto = require("crypto");
+
+const JWT_SECRET = process.env.JWT_SECRET || "replace_with_a_strong_secret";
 
 let app;
+// Requests made with an admin's token
+let admin;
+
+// Signs an HS256 token with the given claims, as user-authentication does
+function signToken(claims) {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+  const body = `${encode({ alg: "HS256", typ: "JWT" })}.${encode({ ...claims, iat: Math.floor(Date.now() / 1000) })}`;
+  return `${body}.${crypto.createHmac("sha256", JWT_SECRET).update(body).digest("base64url")}`;
+}
 
 beforeAll(async () => {
   // Import the ESM server and grab the app
-  app = (await import("../server.js")).default;
+  const server = await import("../server.js");
+  app = server.default;
+  await server.dbReady;
+  const token = signToken({ id: "admin-1", email: "admin@example.com", role: "admin" });
+  admin = request.agent(app).set("Authorization", `Bearer ${token}`);
 });
 
 test("201 on valid event", async () => {
   const payload = { name: "Basketball", date: "2025-11-20", tickets: 100 };
-  const res = await request(app).post("/api/admin/events").send(payload);
+  const res = await admin.post("/api/admin/events").send(payload);
   expect(res.statusCode).toBe(201);
   expect(res.body).toHaveProperty("event.id");
   expect(res.body.event).toMatchObject({
@@ -22,6 +38,644 @@ test("201 on valid event", async () => {
 
 test("400 on invalid tickets", async () => {
   const bad = { name: "BadEvent", date: "2025-11-20", tickets: -1 };
-  const res = await request(app).post("/api/admin/events").send(bad);
+  const res = await admin.post("/api/admin/events").send(bad);
   expect(res.statusCode).toBe(400);
 });
+
+test("201 stores per-user and per-order limits", async () => {
+  const payload = { name: "Rivalry", date: "2025-11-29", tickets: 100, max_per_user: 4, max_per_order: 2 };
+  const res = await admin.post("/api/admin/events").send(payload);
+  expect(res.statusCode).toBe(201);
+  expect(res.body.event).toMatchObject({ max_per_user: 4, max_per_order: 2 });
+
+  const cleared = await admin
+    .put(`/api/admin/events/${res.body.event.id}`)
+    .send({ name: "Rivalry", date: "2025-11-29", tickets: 100 });
+  expect(cleared.statusCode).toBe(200);
+  expect(cleared.body.event).toMatchObject({ max_per_user: null, max_per_order: null });
+});
+
+test("sale windows are stored in UTC and must end after they start", async () => {
+  const payload = { name: "Orange Bowl", date: "2099-12-31", tickets: 500, sale_starts_at: "2099-10-01 10:00", sale_ends_at: "2099-12-30" };
+  const res = await admin.post("/api/admin/events").send(payload);
+  expect(res.statusCode).toBe(201);
+  expect(res.body.event).toMatchObject({ sale_starts_at: "2099-10-01 10:00:00", sale_ends_at: "2099-12-30 23:59:59" });
+
+  const moved = await admin
+    .put(`/api/admin/events/${res.body.event.id}`)
+    .send({ ...payload, sale_starts_at: "2099-09-15T09:30:00" });
+  expect(moved.body.event.sale_starts_at).toBe("2099-09-15 09:30:00");
+
+  for (const bad of [{ sale_starts_at: "next week" }, { sale_starts_at: "2099-12-31", sale_ends_at: "2099-12-30" }]) {
+    const rejected = await admin.post("/api/admin/events").send({ ...payload, ...bad });
+    expect(rejected.statusCode).toBe(400);
+    expect(rejected.body.error).toMatch(/sale_/);
+  }
+});
+
+test("waiting room limits are stored and cleared", async () => {
+  const payload = { name: "Palmetto Bowl", date: "2099-11-28", tickets: 80000, waiting_room_limit: 500 };
+  const res = await admin.post("/api/admin/events").send(payload);
+  expect(res.statusCode).toBe(201);
+  expect(res.body.event.waiting_room_limit).toBe(500);
+
+  const bad = await admin.post("/api/admin/events").send({ ...payload, waiting_room_limit: 0 });
+  expect(bad.statusCode).toBe(400);
+  expect(bad.body.error).toMatch(/waiting_room_limit/);
+
+  const cleared = await admin
+    .put(`/api/admin/events/${res.body.event.id}`)
+    .send({ name: "Palmetto Bowl", date: "2099-11-28", tickets: 80000 });
+  expect(cleared.body.event.waiting_room_limit).toBeNull();
+});
+
+test("400 on invalid limits", async () => {
+  const bad = { name: "BadLimits", date: "2025-11-20", tickets: 10, max_per_user: 0 };
+  const res = await admin.post("/api/admin/events").send(bad);
+  expect(res.statusCode).toBe(400);
+  expect(res.body.error).toMatch(/max_per_user/);
+});
+
+test("201 stores event details and defaults capacity to tickets", async () => {
+  const payload = {
+    name: "Showcase", date: "2025-12-05", tickets: 40, start_time: "19:00",
+    venue: "Brooks Center", description: "Student showcase", category: "Arts",
+    organizer: "CU Arts", image_url: "https://example.com/showcase.png",
+  };
+  const res = await admin.post("/api/admin/events").send(payload);
+  expect(res.statusCode).toBe(201);
+  expect(res.body.event).toMatchObject({ ...payload, capacity: 40 });
+
+  // selling tickets lowers `tickets` but an update keeps the stored capacity
+  const updated = await admin
+    .put(`/api/admin/events/${res.body.event.id}`)
+    .send({ ...payload, tickets: 30 });
+  expect(updated.statusCode).toBe(200);
+  expect(updated.body.event).toMatchObject({ tickets: 30, capacity: 40, venue: "Brooks Center" });
+});
+
+test("400 on invalid event details", async () => {
+  const base = { name: "Details", date: "2025-12-05", tickets: 10 };
+  for (const bad of [
+    { start_time: "7pm" },
+    { image_url: "javascript:alert(1)" },
+    { capacity: 5 },
+    { venue: 42 },
+  ]) {
+    const res = await admin.post("/api/admin/events").send({ ...base, ...bad });
+    expect(res.statusCode).toBe(400);
+  }
+});
+
+test("raising tickets offers the new seats to the waitlist", async () => {
+  const created = await admin
+    .post("/api/admin/events")
+    .send({ name: "Encore", date: "2099-09-01", tickets: 0 });
+  expect(created.statusCode).toBe(201);
+  const id = created.body.event.id;
+
+  const { open } = await import("sqlite");
+  const sqlite3 = (await import("sqlite3")).default;
+  const db = await open({
+    filename: require("path").join(__dirname, "..", "..", "shared-db", "database.sqlite"),
+    driver: sqlite3.Database,
+  });
+  await db.run(
+    "INSERT INTO waitlist_entries (event_id, user_id, quantity) VALUES (?, 'fan-1', 2), (?, 'fan-2', 5)",
+    [id, id]
+  );
+
+  const res = await admin
+    .put(`/api/admin/events/${id}`)
+    .send({ name: "Encore", date: "2099-09-01", tickets: 3 });
+  expect(res.statusCode).toBe(200);
+  // fan-1 is offered 2 seats; fan-2 wants more than the 1 left and keeps waiting
+  expect(res.body.event.tickets).toBe(1);
+
+  const entries = await db.all(
+    "SELECT user_id, status, hold_id FROM waitlist_entries WHERE event_id = ? ORDER BY id",
+    [id]
+  );
+  expect(entries[0]).toMatchObject({ user_id: "fan-1", status: "offered" });
+  expect(entries[0].hold_id).toBeTruthy();
+  expect(entries[1]).toMatchObject({ user_id: "fan-2", status: "waiting" });
+
+  const notice = await db.get("SELECT type FROM notifications WHERE user_id = 'fan-1' AND event_id = ?", [id]);
+  expect(notice).toEqual({ type: "waitlist_offer" });
+  await db.close();
+});
+
+test("201 stores ticket tiers and derives tickets from them", async () => {
+  const payload = {
+    name: "Homecoming", date: "2099-10-10",
+    tiers: [
+      { name: "Student", price_cents: 0, tickets: 50 },
+      { name: "General Admission", price_cents: 2500, tickets: 100 },
+      { name: "VIP", price_cents: 10000, tickets: 10 },
+    ],
+  };
+  const res = await admin.post("/api/admin/events").send(payload);
+  expect(res.statusCode).toBe(201);
+  expect(res.body.event).toMatchObject({ tickets: 160, capacity: 160 });
+  expect(res.body.event.tiers.map((t) => [t.name, t.price_cents, t.tickets])).toEqual([
+    ["Student", 0, 50],
+    ["General Admission", 2500, 100],
+    ["VIP", 10000, 10],
+  ]);
+
+  const vip = res.body.event.tiers.find((t) => t.name === "VIP");
+  const updated = await admin
+    .put(`/api/admin/events/${res.body.event.id}`)
+    .send({
+      name: "Homecoming", date: "2099-10-10",
+      tiers: [{ id: vip.id, name: "VIP", price_cents: 12000, tickets: 20 }, { name: "Box", price_cents: 50000, tickets: 4 }],
+    });
+  expect(updated.statusCode).toBe(200);
+  expect(updated.body.event).toMatchObject({ tickets: 174, capacity: 174 });
+  expect(updated.body.event.tiers).toHaveLength(4);
+  expect(updated.body.event.tiers.find((t) => t.id === vip.id)).toMatchObject({ price_cents: 12000, tickets: 20 });
+});
+
+test("400 on invalid ticket tiers", async () => {
+  const base = { name: "Tiers", date: "2099-10-10" };
+  for (const tiers of [
+    [],
+    [{ name: "", price_cents: 0, tickets: 1 }],
+    [{ name: "GA", price_cents: -1, tickets: 1 }],
+    [{ name: "GA", price_cents: 25.5, tickets: 1 }],
+    [{ name: "GA", price_cents: 0, tickets: 1 }, { name: "ga", price_cents: 0, tickets: 1 }],
+  ]) {
+    const res = await admin.post("/api/admin/events").send({ ...base, tiers });
+    expect(res.statusCode).toBe(400);
+  }
+  const mismatch = await admin
+    .post("/api/admin/events")
+    .send({ ...base, tickets: 5, tiers: [{ name: "GA", price_cents: 0, tickets: 4 }] });
+  expect(mismatch.statusCode).toBe(400);
+  expect(mismatch.body.error).toMatch(/tickets/);
+});
+
+test("eligibility rules are stored, kept, replaced and cleared", async () => {
+  const payload = {
+    name: "Student Section", date: "2099-09-12", tickets: 200,
+    eligibility: { emailDomains: ["@Clemson.edu"], roles: ["student", "Student"] },
+  };
+  const res = await admin.post("/api/admin/events").send(payload);
+  expect(res.statusCode).toBe(201);
+  expect(res.body.event.eligibility).toEqual({ emailDomains: ["clemson.edu"], roles: ["student"], inviteEmails: [] });
+
+  const url = `/api/admin/events/${res.body.event.id}`;
+  const kept = await admin.put(url).send({ name: "Student Section", date: "2099-09-12", tickets: 200 });
+  expect(kept.body.event.eligibility.roles).toEqual(["student"]);
+
+  const replaced = await admin
+    .put(url)
+    .send({ name: "Student Section", date: "2099-09-12", tickets: 200, eligibility: { inviteEmails: ["Coach@clemson.edu"] } });
+  expect(replaced.body.event.eligibility).toEqual({ emailDomains: [], roles: [], inviteEmails: ["coach@clemson.edu"] });
+
+  const cleared = await admin
+    .put(url)
+    .send({ name: "Student Section", date: "2099-09-12", tickets: 200, eligibility: null });
+  expect(cleared.body.event.eligibility).toBeNull();
+});
+
+test("400 on invalid eligibility rules", async () => {
+  const base = { name: "Restricted", date: "2099-09-12", tickets: 10 };
+  for (const eligibility of [
+    "students",
+    { emailDomains: "clemson.edu" },
+    { emailDomains: ["not a domain"] },
+    { roles: [""] },
+    { inviteEmails: ["nobody"] },
+    { campus: ["main"] },
+  ]) {
+    const res = await admin.post("/api/admin/events").send({ ...base, eligibility });
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toMatch(/eligibility/);
+  }
+});
+
+test("venues are created with their seats and bound events must fit them", async () => {
+  const name = `Memorial Stadium ${Date.now() % 100000}`;
+  const res = await admin
+    .post("/api/admin/venues")
+    .send({ name, sections: [{ name: "101", rows: [{ label: "A", seats: 3 }, { label: "B", seats: 2 }] }, { name: "Box", rows: [{ label: "1", seats: 1 }] }] });
+  expect(res.statusCode).toBe(201);
+  expect(res.body.venue).toMatchObject({ name, seats: 6 });
+
+  const duplicate = await admin
+    .post("/api/admin/venues")
+    .send({ name: name.toUpperCase(), sections: [{ name: "1", rows: [{ label: "A", seats: 1 }] }] });
+  expect(duplicate.statusCode).toBe(409);
+  const list = await admin.get("/api/admin/venues");
+  expect(list.body.find((v) => v.name === name)).toMatchObject({ seats: 6 });
+
+  const venue_id = res.body.venue.id;
+  const tooBig = await admin.post("/api/admin/events").send({ name: "Opener", date: "2099-09-05", tickets: 7, venue_id });
+  expect(tooBig.statusCode).toBe(400);
+  expect(tooBig.body.error).toMatch(/6 free seats/);
+  const unknown = await admin.post("/api/admin/events").send({ name: "Opener", date: "2099-09-05", tickets: 1, venue_id: 99999999 });
+  expect(unknown.statusCode).toBe(400);
+  const created = await admin.post("/api/admin/events").send({ name: "Opener", date: "2099-09-05", tickets: 6, venue_id });
+  expect(created.statusCode).toBe(201);
+  expect(created.body.event.venue_id).toBe(venue_id);
+});
+
+test("400 on invalid venues", async () => {
+  for (const bad of [
+    { name: "", sections: [{ name: "1", rows: [{ label: "A", seats: 1 }] }] },
+    { name: "Empty", sections: [] },
+    { name: "NoRows", sections: [{ name: "1", rows: [] }] },
+    { name: "Twice", sections: [{ name: "1", rows: [{ label: "A", seats: 1 }, { label: "A", seats: 2 }] }] },
+    { name: "Zero", sections: [{ name: "1", rows: [{ label: "A", seats: 0 }] }] },
+    { name: "Huge", sections: [{ name: "1", rows: [{ label: "A", seats: 20001 }] }] },
+  ]) {
+    const res = await admin.post("/api/admin/venues").send(bad);
+    expect(res.statusCode).toBe(400);
+  }
+});
+
+test("promo codes are created, listed and deactivated", async () => {
+  const code = `TIGERS${Date.now() % 100000}`;
+  const event = await admin
+    .post("/api/admin/events")
+    .send({ name: "Gala", date: "2099-10-20", tiers: [{ name: "GA", price_cents: 2500, tickets: 50 }] });
+  const tierId = event.body.event.tiers[0].id;
+
+  const res = await admin
+    .post("/api/admin/promo-codes")
+    .send({
+      code: code.toLowerCase(), discount_type: "percent", discount_value: 20,
+      tier_id: tierId, max_uses: 100, max_uses_per_user: 2, expires_at: "2099-10-19",
+    });
+  expect(res.statusCode).toBe(201);
+  expect(res.body.promoCode).toMatchObject({
+    code, event_id: event.body.event.id, tier_id: tierId, expires_at: "2099-10-19 23:59:59", active: 1,
+  });
+
+  const duplicate = await admin
+    .post("/api/admin/promo-codes")
+    .send({ code, discount_type: "fixed", discount_value: 500 });
+  expect(duplicate.statusCode).toBe(409);
+
+  const list = await admin.get("/api/admin/promo-codes");
+  expect(list.body.find((p) => p.code === code)).toMatchObject({ uses: 0 });
+
+  const off = await admin.delete(`/api/admin/promo-codes/${res.body.promoCode.id}`);
+  expect(off.statusCode).toBe(200);
+  const after = await admin.get("/api/admin/promo-codes");
+  expect(after.body.find((p) => p.code === code).active).toBe(0);
+});
+
+test("400 on invalid promo codes", async () => {
+  for (const bad of [
+    { code: "x", discount_type: "percent", discount_value: 10 },
+    { code: "HALF", discount_type: "half", discount_value: 50 },
+    { code: "HALF", discount_type: "percent", discount_value: 150 },
+    { code: "HALF", discount_type: "fixed", discount_value: 0 },
+    { code: "HALF", discount_type: "fixed", discount_value: 100, expires_at: "soon" },
+    { code: "HALF", discount_type: "fixed", discount_value: 100, max_uses: 0 },
+    { code: "HALF", discount_type: "fixed", discount_value: 100, event_id: 99999999 },
+  ]) {
+    const res = await admin.post("/api/admin/promo-codes").send(bad);
+    expect(res.statusCode).toBe(400);
+  }
+});
+
+test("lottery settings are validated and kept once drawn", async () => {
+  const payload = { name: "Senior Night", date: "2099-11-01", tickets: 10, lottery_opens_at: "2099-10-01", lottery_closes_at: "2099-10-15", lottery_max_tickets: 2 };
+  const res = await admin.post("/api/admin/events").send(payload);
+  expect(res.statusCode).toBe(201);
+  expect(res.body.event).toMatchObject({
+    lottery_opens_at: "2099-10-01 00:00:00", lottery_closes_at: "2099-10-15 23:59:59", lottery_max_tickets: 2, lottery_drawn_at: null,
+  });
+
+  for (const bad of [
+    { lottery_closes_at: "2099-10-15", lottery_max_tickets: undefined },
+    { lottery_closes_at: undefined },
+    { lottery_closes_at: "2099-09-30" },
+    { lottery_seed: "" },
+  ]) {
+    const rejected = await admin.post("/api/admin/events").send({ ...payload, ...bad });
+    expect(rejected.statusCode).toBe(400);
+    expect(rejected.body.error).toMatch(/lottery_/);
+  }
+
+  const early = await admin.post(`/api/admin/events/${res.body.event.id}/lottery/draw`).send({});
+  expect(early.statusCode).toBe(409);
+  const none = await admin.post("/api/admin/events/99999999/lottery/draw").send({});
+  expect(none.statusCode).toBe(404);
+});
+
+test("lottery draws are seeded, reproducible and waitlist the rest in rank order", async () => {
+  const created = await admin
+    .post("/api/admin/events")
+    .send({ name: "Student Lottery", date: "2099-11-05", tickets: 3, lottery_closes_at: "2000-01-01", lottery_max_tickets: 2 });
+  const id = created.body.event.id;
+
+  const { open } = await import("sqlite");
+  const sqlite3 = (await import("sqlite3")).default;
+  const db = await open({
+    filename: require("path").join(__dirname, "..", "..", "shared-db", "database.sqlite"),
+    driver: sqlite3.Database,
+  });
+  await db.run(
+    `INSERT INTO lottery_entries (event_id, user_id, quantity)
+     VALUES (?, 'lot-1', 2), (?, 'lot-2', 2), (?, 'lot-3', 1), (?, 'lot-4', 1), (?, 'lot-5', 2)`,
+    [id, id, id, id, id]
+  );
+  const entries = await db.all("SELECT * FROM lottery_entries WHERE event_id = ? ORDER BY id", [id]);
+
+  // The same seed always ranks the same entries the same way
+  const { rankEntries } = require("../../shared-db/lottery.js");
+  const ranked = rankEntries(entries, "clemson-2099");
+  expect(rankEntries([...entries].reverse(), "clemson-2099")).toEqual(ranked);
+  let left = 3;
+  const expectedWinners = [];
+  for (const entry of ranked) {
+    if (entry.quantity <= left) {
+      left -= entry.quantity;
+      expectedWinners.push(entry.id);
+    }
+  }
+
+  const res = await admin.post(`/api/admin/events/${id}/lottery/draw`).send({ seed: "clemson-2099" });
+  expect(res.statusCode).toBe(200);
+  expect(res.body.seed).toBe("clemson-2099");
+  expect(res.body.winners.map((w) => w.entryId)).toEqual(expectedWinners);
+  expect(res.body.waitlisted.map((w) => w.entryId)).toEqual(
+    ranked.map((e) => e.id).filter((entryId) => !expectedWinners.includes(entryId))
+  );
+  for (const winner of res.body.winners) {
+    expect(winner.ticketCodes).toHaveLength(winner.quantity);
+  }
+
+  const event = await db.get("SELECT tickets, lottery_seed, lottery_drawn_at FROM events WHERE id = ?", [id]);
+  expect(event).toMatchObject({ tickets: left, lottery_seed: "clemson-2099" });
+  expect(event.lottery_drawn_at).toBeTruthy();
+  const waitlist = await db.all("SELECT user_id FROM waitlist_entries WHERE event_id = ? ORDER BY id", [id]);
+  expect(waitlist.map((w) => w.user_id)).toEqual(
+    res.body.waitlisted.map((w) => entries.find((e) => e.id === w.entryId).user_id)
+  );
+  const ranks = await db.all("SELECT rank FROM lottery_entries WHERE event_id = ? ORDER BY rank", [id]);
+  expect(ranks.map((r) => r.rank)).toEqual([1, 2, 3, 4, 5]);
+
+  const again = await admin.post(`/api/admin/events/${id}/lottery/draw`).send({ seed: "other" });
+  expect(again.statusCode).toBe(409);
+  const edited = await admin
+    .put(`/api/admin/events/${id}`)
+    .send({ name: "Student Lottery", date: "2099-11-05", tickets: left });
+  expect(edited.body.event).toMatchObject({ lottery_seed: "clemson-2099", lottery_max_tickets: 2 });
+  await db.close();
+});
+
+test("bundles are created over existing events, listed and deactivated", async () => {
+  const create = (payload) => admin.post("/api/admin/events").send(payload);
+  const home = (await create({ name: "Home Opener", date: "2099-11-10", tickets: 100 })).body.event;
+  const tiered = (await create({
+    name: "Rivalry Night", date: "2099-11-17", tiers: [{ name: "Student", price_cents: 0, tickets: 50 }, { name: "GA", price_cents: 2000, tickets: 50 }],
+  })).body.event;
+  const name = `Basketball Season Pass ${Date.now() % 100000}`;
+  const studentTier = tiered.tiers.find((t) => t.name === "Student").id;
+
+  const missingTier = await admin
+    .post("/api/admin/bundles")
+    .send({ name, price_cents: 9000, tickets: 20, event_ids: [home.id, tiered.id] });
+  expect(missingTier.statusCode).toBe(400);
+  expect(missingTier.body.error).toMatch(/tier_ids/);
+
+  const res = await admin
+    .post("/api/admin/bundles")
+    .send({ name, price_cents: 9000, tickets: 20, event_ids: [home.id, tiered.id], tier_ids: [studentTier] });
+  expect(res.statusCode).toBe(201);
+  expect(res.body.bundle).toMatchObject({ name, price_cents: 9000, tickets: 20, active: 1 });
+  expect(res.body.bundle.events).toEqual([
+    { event_id: home.id, tier_id: null },
+    { event_id: tiered.id, tier_id: studentTier },
+  ]);
+
+  const duplicate = await admin
+    .post("/api/admin/bundles")
+    .send({ name: name.toLowerCase(), price_cents: 0, tickets: 1, event_ids: [home.id, tiered.id], tier_ids: [studentTier] });
+  expect(duplicate.statusCode).toBe(409);
+
+  const list = await admin.get("/api/admin/bundles");
+  expect(list.body.find((b) => b.name === name)).toMatchObject({ sold: 0, events: res.body.bundle.events });
+
+  const off = await admin.delete(`/api/admin/bundles/${res.body.bundle.id}`);
+  expect(off.statusCode).toBe(200);
+  const after = await admin.get("/api/admin/bundles");
+  expect(after.body.find((b) => b.name === name).active).toBe(0);
+});
+
+test("400 on invalid bundles", async () => {
+  const event = (await admin.post("/api/admin/events").send({ name: "Lone Game", date: "2099-11-20", tickets: 10 })).body.event;
+  for (const bad of [
+    { name: "", price_cents: 0, tickets: 1, event_ids: [event.id, event.id + 1] },
+    { name: "Pass", price_cents: -1, tickets: 1, event_ids: [event.id, event.id + 1] },
+    { name: "Pass", price_cents: 0, tickets: 1.5, event_ids: [event.id, event.id + 1] },
+    { name: "Pass", price_cents: 0, tickets: 1, event_ids: [event.id] },
+    { name: "Pass", price_cents: 0, tickets: 1, event_ids: [event.id, event.id] },
+    { name: "Pass", price_cents: 0, tickets: 1, event_ids: [event.id, 99999999] },
+    { name: "Pass", price_cents: 0, tickets: 1, event_ids: [event.id, event.id - 1], tier_ids: [99999999] },
+  ]) {
+    const res = await admin.post("/api/admin/bundles").send(bad);
+    expect(res.statusCode).toBe(400);
+  }
+});
+
+test("cancelling an event voids its tickets, queues refunds and notifies holders", async () => {
+  const created = await admin
+    .post("/api/admin/events")
+    .send({ name: "Spring Picnic", date: "2099-04-01", tickets: 10 });
+  const id = created.body.event.id;
+
+  const { open } = await import("sqlite");
+  const sqlite3 = (await import("sqlite3")).default;
+  const db = await open({
+    filename: require("path").join(__dirname, "..", "..", "shared-db", "database.sqlite"),
+    driver: sqlite3.Database,
+  });
+  const paid = await db.run(
+    `INSERT INTO orders (user_id, user_email, event_id, quantity, unit_price_cents, total_cents, payment_provider, payment_capture_id)
+     VALUES ('picnic-1', 'p1@example.com', ?, 2, 1500, 3000, 'mock', 'cap_picnic')`,
+    [id]
+  );
+  const free = await db.run(
+    "INSERT INTO orders (user_id, user_email, event_id, quantity) VALUES ('picnic-2', 'p2@example.com', ?, 1)",
+    [id]
+  );
+  await db.run(
+    `INSERT INTO tickets (order_id, event_id, user_id, code, price_cents, holder_email) VALUES
+       (?, ?, 'picnic-1', ?, 1500, 'p1@example.com'),
+       (?, ?, 'picnic-1', ?, 1500, 'p1@example.com'),
+       (?, ?, 'picnic-2', ?, 0, 'p2@example.com')`,
+    [paid.lastID, id, `TIX-PICNIC-${id}-1`, paid.lastID, id, `TIX-PICNIC-${id}-2`, free.lastID, id, `TIX-PICNIC-${id}-3`]
+  );
+  await db.run(
+    "INSERT INTO waitlist_entries (event_id, user_id, quantity) VALUES (?, 'picnic-3', 1)",
+    [id]
+  );
+  const seated = await db.get("SELECT id FROM tickets WHERE code = ?", [`TIX-PICNIC-${id}-1`]);
+  await db.run("INSERT INTO seat_assignments (event_id, seat_id, ticket_id) VALUES (?, 1, ?)", [id, seated.id]);
+
+  const res = await admin.post(`/api/admin/events/${id}/cancel`).send({ reason: "Rained out" });
+  expect(res.statusCode).toBe(200);
+  expect(res.body).toMatchObject({ cancelledTickets: 3, refundDueCents: 3000, notifiedHolders: 2 });
+  expect(res.body.event.cancelled_at).toBeTruthy();
+  expect(res.body.event.cancellation_reason).toBe("Rained out");
+
+  const tickets = await db.all("SELECT status FROM tickets WHERE event_id = ?", [id]);
+  expect(tickets.every((t) => t.status === "cancelled")).toBe(true);
+  const orders = await db.all("SELECT refund_due_cents FROM orders WHERE event_id = ? ORDER BY id", [id]);
+  expect(orders.map((o) => o.refund_due_cents)).toEqual([3000, 0]);
+  const notes = await db.all(
+    "SELECT user_id, message FROM notifications WHERE event_id = ? AND type = 'event_cancelled' ORDER BY user_id",
+    [id]
+  );
+  expect(notes.map((n) => n.user_id)).toEqual(["picnic-1", "picnic-2"]);
+  expect(notes[0].message).toContain("Rained out");
+  expect(notes[0].message).toContain("$30.00 will be refunded");
+  expect(notes[1].message).not.toContain("refunded");
+  const waitlist = await db.get("SELECT status FROM waitlist_entries WHERE event_id = ?", [id]);
+  expect(waitlist.status).toBe("expired");
+  expect(await db.get("SELECT 1 FROM seat_assignments WHERE event_id = ?", [id])).toBeUndefined();
+
+  expect((await admin.post(`/api/admin/events/${id}/cancel`).send({})).statusCode).toBe(409);
+  const edited = await admin.put(`/api/admin/events/${id}`).send({ name: "Spring Picnic", date: "2099-04-01", tickets: 10 });
+  expect(edited.statusCode).toBe(409);
+  expect((await admin.delete(`/api/admin/events/${id}`)).statusCode).toBe(409);
+  expect((await admin.post("/api/admin/events/99999999/cancel").send({})).statusCode).toBe(404);
+  expect((await admin.post(`/api/admin/events/${id}/cancel`).send({ reason: 7 })).statusCode).toBe(400);
+  await db.close();
+});
+
+test("events without sales can be deleted", async () => {
+  const created = await admin
+    .post("/api/admin/events")
+    .send({ name: "Typo Event", date: "2099-04-02", tiers: [{ name: "GA", price_cents: 500, tickets: 20 }] });
+  const id = created.body.event.id;
+  const promo = await admin
+    .post("/api/admin/promo-codes")
+    .send({ code: "TYPO10", discount_type: "percent", discount_value: 10, event_id: id });
+  expect(promo.statusCode).toBe(201);
+
+  const res = await admin.delete(`/api/admin/events/${id}`);
+  expect(res.statusCode).toBe(200);
+  expect((await admin.delete(`/api/admin/events/${id}`)).statusCode).toBe(404);
+  const codes = await admin.get("/api/admin/promo-codes");
+  expect(codes.body.some((c) => c.code === "TYPO10")).toBe(false);
+});
+
+test("the admin API requires an admin or organizer token and logs rejections", async () => {
+  const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+  const payload = { name: "Guarded Event", date: "2099-04-04", tickets: 5 };
+
+  const anonymous = await request(app).post("/api/admin/events").send(payload);
+  expect(anonymous.statusCode).toBe(401);
+  const forged = signToken({ id: "x", email: "x@example.com", role: "admin" }).slice(0, -2) + "xx";
+  expect((await request(app).get("/api/admin/venues").set("Authorization", `Bearer ${forged}`)).statusCode).toBe(401);
+  const expired = signToken({ id: "admin-1", email: "admin@example.com", role: "admin", exp: 1 });
+  expect((await request(app).get("/api/admin/venues").set("Authorization", `Bearer ${expired}`)).statusCode).toBe(401);
+  const buyer = signToken({ id: "buyer-1", email: "buyer@example.com", role: "student" });
+  const denied = await request(app).post("/api/admin/events").set("Authorization", `Bearer ${buyer}`).send(payload);
+  expect(denied.statusCode).toBe(403);
+  expect(warn).toHaveBeenCalledTimes(4);
+  expect(warn).toHaveBeenLastCalledWith(expect.stringContaining("POST /api/admin/events from user buyer-1"));
+  expect(warn).not.toHaveBeenLastCalledWith(expect.stringContaining("buyer@example.com"));
+
+  const organizer = signToken({ id: "org-1", email: "org@example.com", role: "organizer" });
+  const created = await request(app).post("/api/admin/events").set("Authorization", `Bearer ${organizer}`).send(payload);
+  expect(created.statusCode).toBe(201);
+  expect(warn).toHaveBeenCalledTimes(4);
+  warn.mockRestore();
+});
+
+test("events are imported from CSV after a dry run reports each bad row", async () => {
+  const csv = [
+    "Name,Date,Tickets,Start_Time,Venue,Description",
+    'Football vs Tigers,2099-09-05,80000,19:30,Memorial Stadium,"Home opener, ""Death Valley"""',
+    "Soccer vs Gators,09/12/2099,500,,Riggs Field,",
+    "Volleyball vs Owls,2099-09-14,-1,,Jervey Gym,",
+    "",
+  ].join("\r\n");
+
+  const dry = await admin.post("/api/admin/events/import?dry_run=true").set("Content-Type", "text/csv").send(csv);
+  expect(dry.statusCode).toBe(200);
+  expect(dry.body).toMatchObject({ dryRun: true, total: 3, valid: 1 });
+  expect(dry.body.errors).toEqual([
+    { row: 2, error: 'Invalid "date": expected YYYY-MM-DD' },
+    { row: 3, error: 'Invalid "tickets": non-negative integer required' },
+  ]);
+
+  // a real run with a bad row imports nothing
+  const rejected = await admin.post("/api/admin/events/import").set("Content-Type", "text/csv").send(csv);
+  expect(rejected.statusCode).toBe(400);
+  expect(rejected.body.errors).toHaveLength(2);
+  const fixed = csv.replace("09/12/2099", "2099-09-12").replace(",-1,", ",300,");
+  const imported = await admin.post("/api/admin/events/import").set("Content-Type", "text/csv").send(fixed);
+  expect(imported.statusCode).toBe(201);
+  expect(imported.body.events.map((e) => e.name)).toEqual(["Football vs Tigers", "Soccer vs Gators", "Volleyball vs Owls"]);
+  expect(imported.body.events[0]).toMatchObject({
+    date: "2099-09-05", tickets: 80000, capacity: 80000, start_time: "19:30",
+    venue: "Memorial Stadium", description: 'Home opener, "Death Valley"',
+  });
+  expect(imported.body.events[1].description).toBeNull();
+
+  const badHeader = await admin.post("/api/admin/events/import").set("Content-Type", "text/csv").send("name,date,seats\nA,2099-01-01,1");
+  expect(badHeader.statusCode).toBe(400);
+  expect(badHeader.body.error).toMatch(/unknown column "seats"/);
+});
+
+test("CSV whole-number cells must be plain digits", async () => {
+  const csv = [
+    "name,date,tickets,max_per_user,capacity",
+    "Hex Night,2099-10-01,0x10,,",
+    "Exponent Night,2099-10-02,1e2,,",
+    "Padded Night,2099-10-03, 5 ,,",
+    "Limit Night,2099-10-04,10,2e0,",
+    "Plain Night,2099-10-05,10,2,12",
+  ].join("\n");
+
+  const dry = await admin.post("/api/admin/events/import?dry_run=true").set("Content-Type", "text/csv").send(csv);
+  expect(dry.body).toMatchObject({ total: 5, valid: 1 });
+  expect(dry.body.errors).toEqual([
+    { row: 1, error: 'Invalid "tickets": non-negative integer required' },
+    { row: 2, error: 'Invalid "tickets": non-negative integer required' },
+    { row: 3, error: 'Invalid "tickets": non-negative integer required' },
+    { row: 4, error: 'Invalid "max_per_user": positive integer or null required' },
+  ]);
+});
+
+test("JSON imports are all or nothing, checking venues like createEvent", async () => {
+  const rows = [
+    { name: "Baseball Doubleheader", date: "2099-03-07", tiers: [{ name: "Bleachers", price_cents: 500, tickets: 40 }] },
+    { name: "Baseball Finale", date: "2099-03-08", tickets: 10, venue_id: 99999999 },
+  ];
+  const dry = await admin.post("/api/admin/events/import?dry_run=true").send(rows);
+  expect(dry.body).toMatchObject({ total: 2, valid: 1, errors: [{ row: 2, error: 'Invalid "venue_id": no such venue' }] });
+
+  const rejected = await admin.post("/api/admin/events/import").send(rows);
+  expect(rejected.statusCode).toBe(400);
+  const { open } = await import("sqlite");
+  const sqlite3 = (await import("sqlite3")).default;
+  const db = await open({
+    filename: require("path").join(__dirname, "..", "..", "shared-db", "database.sqlite"),
+    driver: sqlite3.Database,
+  });
+  expect(await db.get("SELECT id FROM events WHERE name = 'Baseball Doubleheader'")).toBeUndefined();
+
+  const imported = await admin.post("/api/admin/events/import").send([rows[0]]);
+  expect(imported.statusCode).toBe(201);
+  expect(imported.body.events[0]).toMatchObject({ tickets: 40, tiers: [expect.objectContaining({ name: "Bleachers" })] });
+  expect((await admin.post("/api/admin/events/import").send({ name: "Not a list" })).statusCode).toBe(400);
+  expect((await admin.post("/api/admin/events/import").send([])).statusCode).toBe(400);
+  // JSON gets the same 1mb allowance as CSV, well past the 100kb other routes take
+  const many = Array.from({ length: 1000 }, (_, i) => ({ name: `Intramural Game ${i}`, date: "2099-04-01", tickets: 10, description: "x".repeat(200) }));
+  const bulk = await admin.post("/api/admin/events/import?dry_run=true").send(many);
+  expect(bulk.statusCode).toBe(200);
+  expect(bulk.body).toMatchObject({ total: 1000, valid: 1000 });
+  await db.run("DELETE FROM ticket_tiers WHERE event_id = ?", [imported.body.events[0].id]);
+  await db.run("DELETE FROM events WHERE id = ?", [imported.body.events[0].id]);
+  await db.close();
+});
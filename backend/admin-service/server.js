@@ -6,7 +6,22 @@ import dotenv from "dotenv";
 import path from "path";
 import { fileURLToPath } from "url";
 import fs from "fs";
+import jwt from "jsonwebtoken";
+import sharedMigrations from "../shared-db/migrate.js";
+import sharedWaitlist from "../shared-db/waitlist.js";
+import sharedInventory from "../shared-db/inventory.js";
+import sharedEligibility from "../shared-db/eligibility.js";
+import sharedLottery from "../shared-db/lottery.js";
+import sharedCancellation from "../shared-db/cancellation.js";
+import sharedTokens from "../shared-auth/tokens.js";
 
+const { migrate } = sharedMigrations;
+const { promoteWaitlist } = sharedWaitlist;
+const { tiersByEvent } = sharedInventory;
+const { RULE_TYPES, eligibilityByEvent } = sharedEligibility;
+const { drawLottery } = sharedLottery;
+const { cancelEvent, deleteEvent } = sharedCancellation;
+const { tokenFromRequest, verifyToken } = sharedTokens;
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
@@ -14,7 +29,9 @@ dotenv.config();
 
 const app = express();
 app.use(cors());
-app.use(express.json());
+// The event import reads its larger bodies itself (see its route)
+const parseJson = express.json();
+app.use((req, res, next) => (req.path === "/api/admin/events/import" ? next() : parseJson(req, res, next)));
 app.use(express.urlencoded({ extended: false }));
 
 const sharedDbPath = path.join(__dirname, "..", "shared-db", "database.sqlite");
@@ -29,53 +46,689 @@ const initSqlPath = path.join(__dirname, "..", "shared-db", "init.sql");
  */
 async function runSetup(dbPath, initPath) {
   const db = await open({ filename: dbPath, driver: sqlite3.Database });
+  // client-service writes to the same file; wait for its locks instead of failing
+  db.configure("busyTimeout", 5000);
   const sql = fs.readFileSync(initPath, "utf8");
   await db.exec(sql);
+  await migrate(db);
   console.log("Admin database initialized.");
   return db;
 }
 
 let db;
-runSetup(sharedDbPath, initSqlPath).then((database) => (db = database));
+export const dbReady = runSetup(sharedDbPath, initSqlPath).then((database) => (db = database));
+
+/**
+ * Purpose: Runs a unit of work inside a BEGIN IMMEDIATE transaction. Requests
+ *          share one connection, so transactions are queued and run one at a
+ *          time instead of interleaving.
+ * Input: work - async function returning { ok, ... }; a result with ok === false
+ *        rolls the transaction back, anything else commits it
+ * Output: Promise resolving to the value returned by work
+ */
+let txQueue = Promise.resolve();
+function withTransaction(work) {
+  const run = txQueue.then(async () => {
+    await db.exec("BEGIN IMMEDIATE;");
+    try {
+      const result = await work();
+      await db.exec(result?.ok === false ? "ROLLBACK;" : "COMMIT;");
+      return result;
+    } catch (e) {
+      await db.exec("ROLLBACK;");
+      throw e;
+    }
+  });
+  txQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Purpose: Reads an event back with its ticket tiers and eligibility rules
+ *          for a response
+ * Input: id - int, the event ID
+ * Output: The events row plus a tiers array (empty when not tiered) and
+ *         eligibility (null when anyone may buy)
+ */
+async function loadEvent(id) {
+  const event = await db.get("SELECT * FROM events WHERE id = ?", [id]);
+  const tiers = await tiersByEvent(db, [id]);
+  const eligibility = await eligibilityByEvent(db, [id]);
+  return { ...event, tiers: tiers.get(id) ?? [], eligibility: eligibility.get(id) ?? null };
+}
+
+// Optional free-text event details and their maximum lengths
+const EVENT_TEXT_FIELDS = { venue: 200, category: 100, organizer: 200, description: 2000 };
+const MAX_TIERS = 20;
+const MAX_ELIGIBILITY_VALUES = 1000;
+const MAX_LOTTERY_SEED_LENGTH = 200;
+
+// How each eligibility list is checked and normalised before it is stored
+const ELIGIBILITY_FORMATS = {
+  emailDomains: { pattern: /^[a-z0-9-]+(\.[a-z0-9-]+)+$/, clean: (v) => v.replace(/^@/, ""), label: "email domain" },
+  roles: { pattern: /^[a-z][a-z0-9_-]{0,49}$/, clean: (v) => v, label: "role" },
+  inviteEmails: { pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/, clean: (v) => v, label: "email address" },
+};
+
+/**
+ * Purpose: Validates the eligibility rules of an event create/update request
+ * Input: eligibility - { emailDomains, roles, inviteEmails }, each an optional
+ *        array of strings (domains may start with "@"), or null for an event
+ *        open to everyone
+ * Output: { error } describing the first invalid value, or { rules } holding
+ *         the { rule_type, value } rows to store, lowercased and de-duplicated
+ */
+function validateEligibility(eligibility) {
+  if (eligibility === null) {
+    return { rules: [] };
+  }
+  if (typeof eligibility !== "object" || Array.isArray(eligibility)) {
+    return { error: 'Invalid "eligibility": object or null required' };
+  }
+  const unknown = Object.keys(eligibility).find((key) => !(key in RULE_TYPES));
+  if (unknown) {
+    return { error: `Invalid "eligibility.${unknown}": expected one of ${Object.keys(RULE_TYPES).join(", ")}` };
+  }
+
+  const rules = [];
+  for (const [field, { pattern, clean, label }] of Object.entries(ELIGIBILITY_FORMATS)) {
+    const values = eligibility[field] ?? [];
+    if (!Array.isArray(values) || values.length > MAX_ELIGIBILITY_VALUES) {
+      return { error: `Invalid "eligibility.${field}": array of at most ${MAX_ELIGIBILITY_VALUES} values required` };
+    }
+    const seen = new Set();
+    for (const [i, raw] of values.entries()) {
+      const value = typeof raw === "string" ? clean(raw.trim().toLowerCase()) : null;
+      if (!value || !pattern.test(value)) {
+        return { error: `Invalid "eligibility.${field}[${i}]": ${label} required` };
+      }
+      if (!seen.has(value)) rules.push({ rule_type: RULE_TYPES[field], value });
+      seen.add(value);
+    }
+  }
+  return { rules };
+}
+
+/**
+ * Purpose: Replaces an event's eligibility rules. Must run inside a transaction.
+ * Input: eventId - int, the event
+ *        rules - Array of { rule_type, value } from validateEligibility
+ * Output: None
+ */
+async function saveEligibility(eventId, rules) {
+  await db.run("DELETE FROM event_eligibility_rules WHERE event_id = ?", [eventId]);
+  for (const rule of rules) {
+    await db.run(
+      "INSERT INTO event_eligibility_rules (event_id, rule_type, value) VALUES (?, ?, ?)",
+      [eventId, rule.rule_type, rule.value]
+    );
+  }
+}
+
+/**
+ * Purpose: Validates the ticket tiers of an event create/update request
+ * Input: tiers - array of { name, price_cents, tickets } plus, on update, the
+ *        id of an existing tier to change
+ * Output: { error } describing the first invalid tier, or { tiers } holding
+ *         the cleaned-up values
+ */
+function validateTiers(tiers) {
+  if (!Array.isArray(tiers) || tiers.length === 0 || tiers.length > MAX_TIERS) {
+    return { error: `Invalid "tiers": array of 1 to ${MAX_TIERS} tiers required` };
+  }
+
+  const cleaned = [];
+  const names = new Set();
+  for (const [i, tier] of tiers.entries()) {
+    const { id, name, price_cents, tickets } = tier || {};
+    if (id !== undefined && (!Number.isInteger(id) || id <= 0)) {
+      return { error: `Invalid "tiers[${i}].id": positive integer required` };
+    }
+    if (typeof name !== "string" || name.trim().length === 0 || name.trim().length > 100) {
+      return { error: `Invalid "tiers[${i}].name": string of 1 to 100 characters required` };
+    }
+    if (names.has(name.trim().toLowerCase())) {
+      return { error: `Invalid "tiers[${i}].name": tier names must be unique` };
+    }
+    names.add(name.trim().toLowerCase());
+    if (!Number.isInteger(price_cents) || price_cents < 0) {
+      return { error: `Invalid "tiers[${i}].price_cents": non-negative integer required` };
+    }
+    if (!Number.isInteger(tickets) || tickets < 0) {
+      return { error: `Invalid "tiers[${i}].tickets": non-negative integer required` };
+    }
+    cleaned.push({ id, name: name.trim(), price_cents, tickets });
+  }
+  return { tiers: cleaned };
+}
+
+/**
+ * Purpose: Reads a UTC date or date-time sent by an admin
+ * Input: value - String, 'YYYY-MM-DD' or 'YYYY-MM-DD HH:MM[:SS]' (a "T" may
+ *        separate the date and time)
+ *        endOfDay - bool, whether a bare date means its last second rather
+ *        than its first
+ * Output: 'YYYY-MM-DD HH:MM:SS' as SQLite's datetime() writes it, or null when
+ *         the value is not in either form
+ */
+function parseUtcDateTime(value, endOfDay) {
+  const match = typeof value === "string" &&
+    /^(\d{4}-\d{2}-\d{2})(?:[ T](\d{2}:\d{2}(?::\d{2})?))?$/.exec(value);
+  if (!match) {
+    return null;
+  }
+  const time = match[2] ? (match[2].length === 5 ? `${match[2]}:00` : match[2]) : (endOfDay ? "23:59:59" : "00:00:00");
+  return `${match[1]} ${time}`;
+}
+
+/**
+ * Purpose: Validates the JSON body of an event create/update request
+ * Input: body - object with name, date, tickets and optional
+ *        max_per_user, max_per_order (positive integers, or null for no limit),
+ *        start_time ('HH:MM'), venue, category, organizer, description,
+ *        image_url (http/https), capacity (integer >= tickets) and tiers
+ *        (see validateTiers); with tiers, tickets may be left out and
+ *        otherwise must equal the tiers' total; eligibility (see
+ *        validateEligibility); venue_id (positive integer or null) for
+ *        assigned seating at that venue; waiting_room_limit (positive integer
+ *        or null), the shoppers let in at once from the event's waiting room;
+ *        sale_starts_at and sale_ends_at (UTC, see parseUtcDateTime; a bare
+ *        end date lasts all day), the window tickets can be bought in;
+ *        lottery_closes_at (UTC) to allocate tickets by lottery, with
+ *        lottery_max_tickets (positive integer, required then) and the
+ *        optional lottery_opens_at (UTC) and lottery_seed (string) for the
+ *        draw; lottery events cannot have a venue_id
+ * Output: { error } describing the first invalid field, or { event, tiers,
+ *         eligibility } holding the cleaned-up values ready to be written
+ *         (omitted optional fields are null; tiers and eligibility are null
+ *         when not given)
+ */
+function validateEventInput(body) {
+  const { name, date, start_time, image_url, capacity } = body || {};
+  let { tickets } = body || {};
+
+  if (typeof name !== "string" || name.trim().length === 0) {
+    return { error: 'Invalid "name": non-empty string required' };
+  }
+  if (typeof date !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return { error: 'Invalid "date": expected YYYY-MM-DD' };
+  }
+
+  let tiers = null;
+  if (body.tiers !== undefined) {
+    const checked = validateTiers(body.tiers);
+    if (checked.error) {
+      return { error: checked.error };
+    }
+    tiers = checked.tiers;
+    const total = tiers.reduce((sum, tier) => sum + tier.tickets, 0);
+    if (tickets === undefined) {
+      tickets = total;
+    } else if (Number(tickets) !== total) {
+      return { error: 'Invalid "tickets": must equal the total of the tiers\' tickets' };
+    }
+  }
+
+  let eligibility = null;
+  if (body.eligibility !== undefined) {
+    const checked = validateEligibility(body.eligibility);
+    if (checked.error) {
+      return { error: checked.error };
+    }
+    eligibility = checked.rules;
+  }
+
+  const ticketsNum = Number(tickets);
+  if (!Number.isInteger(ticketsNum) || ticketsNum < 0) {
+    return { error: 'Invalid "tickets": non-negative integer required' };
+  }
+
+  const event = { name: name.trim(), date, tickets: ticketsNum };
+
+  for (const field of ["max_per_user", "max_per_order", "venue_id", "waiting_room_limit", "lottery_max_tickets"]) {
+    const value = body[field];
+    if (value === undefined || value === null) {
+      event[field] = null;
+      continue;
+    }
+    const num = Number(value);
+    if (!Number.isInteger(num) || num <= 0) {
+      return { error: `Invalid "${field}": positive integer or null required` };
+    }
+    event[field] = num;
+  }
+
+  if (start_time !== undefined && start_time !== null &&
+      (typeof start_time !== "string" || !/^([01]\d|2[0-3]):[0-5]\d$/.test(start_time))) {
+    return { error: 'Invalid "start_time": expected HH:MM (24-hour)' };
+  }
+  event.start_time = start_time ?? null;
+
+  for (const [field, maxLength] of Object.entries(EVENT_TEXT_FIELDS)) {
+    const value = body[field];
+    if (value === undefined || value === null) {
+      event[field] = null;
+      continue;
+    }
+    if (typeof value !== "string" || value.trim().length > maxLength) {
+      return { error: `Invalid "${field}": string of at most ${maxLength} characters required` };
+    }
+    event[field] = value.trim() || null;
+  }
+
+  if (image_url !== undefined && image_url !== null &&
+      (typeof image_url !== "string" || !/^https?:\/\/\S+$/i.test(image_url))) {
+    return { error: 'Invalid "image_url": http(s) URL required' };
+  }
+  event.image_url = image_url ?? null;
+
+  if (capacity !== undefined && capacity !== null) {
+    const capacityNum = Number(capacity);
+    if (!Number.isInteger(capacityNum) || capacityNum < ticketsNum) {
+      return { error: 'Invalid "capacity": integer no smaller than "tickets" required' };
+    }
+    event.capacity = capacityNum;
+  } else {
+    event.capacity = null;
+  }
+
+  for (const field of ["sale_starts_at", "sale_ends_at"]) {
+    const value = body[field];
+    if (value === undefined || value === null) {
+      event[field] = null;
+      continue;
+    }
+    event[field] = parseUtcDateTime(value, field === "sale_ends_at");
+    if (!event[field]) {
+      return { error: `Invalid "${field}": expected YYYY-MM-DD or YYYY-MM-DD HH:MM (UTC)` };
+    }
+  }
+  if (event.sale_starts_at && event.sale_ends_at && event.sale_ends_at <= event.sale_starts_at) {
+    return { error: 'Invalid "sale_ends_at": must be after "sale_starts_at"' };
+  }
+
+  for (const field of ["lottery_opens_at", "lottery_closes_at"]) {
+    const value = body[field];
+    if (value === undefined || value === null) {
+      event[field] = null;
+      continue;
+    }
+    event[field] = parseUtcDateTime(value, field === "lottery_closes_at");
+    if (!event[field]) {
+      return { error: `Invalid "${field}": expected YYYY-MM-DD or YYYY-MM-DD HH:MM (UTC)` };
+    }
+  }
+  const { lottery_seed } = body;
+  if (lottery_seed !== undefined && lottery_seed !== null &&
+      (typeof lottery_seed !== "string" || lottery_seed.length === 0 || lottery_seed.length > MAX_LOTTERY_SEED_LENGTH)) {
+    return { error: `Invalid "lottery_seed": string of 1 to ${MAX_LOTTERY_SEED_LENGTH} characters required` };
+  }
+  event.lottery_seed = lottery_seed ?? null;
+  if (event.lottery_closes_at) {
+    if (!event.lottery_max_tickets) {
+      return { error: 'Invalid "lottery_max_tickets": required for a lottery' };
+    }
+    if (event.lottery_opens_at && event.lottery_closes_at <= event.lottery_opens_at) {
+      return { error: 'Invalid "lottery_closes_at": must be after "lottery_opens_at"' };
+    }
+    if (event.venue_id) {
+      return { error: 'Invalid "venue_id": lottery events cannot have assigned seating' };
+    }
+  } else if (event.lottery_opens_at || event.lottery_max_tickets || event.lottery_seed) {
+    return { error: 'Invalid "lottery_closes_at": required for a lottery' };
+  }
+
+  return { event, tiers, eligibility };
+}
+
+/**
+ * Purpose: Checks that an assigned-seating event fits its venue, which must
+ *          have a free seat for every ticket left on sale. Runs inside the
+ *          event's transaction, after its tickets are final.
+ * Input: eventId - int, the event ID
+ * Output: null when the event is general admission or fits, otherwise a
+ *         failed result (400)
+ */
+async function checkVenueFits(eventId) {
+  const event = await db.get("SELECT venue_id, tickets FROM events WHERE id = ?", [eventId]);
+  if (!event.venue_id) {
+    return null;
+  }
+  const venue = await db.get(
+    `SELECT (SELECT COUNT(*) FROM venue_seats WHERE venue_id = ?) -
+            (SELECT COUNT(*) FROM seat_assignments WHERE event_id = ?) AS free`,
+    [event.venue_id, eventId]
+  );
+  if (event.tickets > venue.free) {
+    return {
+      ok: false, code: 400,
+      error: `Invalid "tickets": the venue has only ${venue.free} free seats for ${event.tickets} tickets`,
+    };
+  }
+  return null;
+}
+
+// Roles whose tokens may use the admin API
+const ADMIN_ROLES = ["admin", "organizer"];
+
+/**
+ * Purpose: Lets only admins and organizers reach the admin API. Tokens are
+ *          the ones user-authentication issues, verified the same way as in
+ *          every other service (see shared-auth/tokens.js); every rejected
+ *          call is logged with who made it and why.
+ * Input: req - Express request with an "Authorization: Bearer" header (or a
+ *        token cookie)
+ * Ouput: Calls next() with req.user set, or 401 without a valid token and
+ *        403 for a token without an admin or organizer role
+ */
+function requireAdminRole(req, res, next) {
+  const token = tokenFromRequest(req);
+  const user = token ? verifyToken(jwt, token) : null;
+  let rejection = null;
+  if (!token) {
+    rejection = { status: 401, error: "No token provided" };
+  } else if (!user) {
+    rejection = { status: 401, error: "Invalid or expired token" };
+  } else if (!ADMIN_ROLES.includes(user.role)) {
+    rejection = { status: 403, error: "Admin or organizer role required" };
+  }
+
+  if (rejection) {
+    // Ids only; account emails stay out of the logs
+    const who = user ? `user ${user.id} with role ${user.role ?? "none"}` : "anonymous caller";
+    console.warn(`Admin API rejected ${req.method} ${req.originalUrl} from ${who} at ${req.ip}: ${rejection.error}`);
+    return res.status(rejection.status).json({ error: rejection.error });
+  }
+  req.user = user;
+  next();
+}
+
+app.use("/api/admin", requireAdminRole);
+
+/**
+ * Purpose: Validates a new event, as sent to createEvent or in one row of an
+ *          import
+ * Input: body - object accepted by validateEventInput; tiers cannot have ids
+ * Output: { error } describing the first invalid field, or { event, tiers,
+ *         eligibility } ready for insertEvent, with capacity defaulted to
+ *         the number of tickets
+ */
+function validateNewEvent(body) {
+  const checked = validateEventInput(body);
+  if (checked.error) {
+    return checked;
+  }
+  if (checked.tiers?.some((tier) => tier.id !== undefined)) {
+    return { error: 'Invalid "tiers": new tiers cannot have an id' };
+  }
+  checked.event.capacity = checked.event.capacity ?? checked.event.tickets;
+  return checked;
+}
+
+/**
+ * Purpose: Writes a validated new event with its tiers and eligibility rules.
+ *          Must run inside withTransaction.
+ * Input: { event, tiers, eligibility } from validateNewEvent
+ * Output: { ok: true, id }, or a failed result (400) when its venue does not
+ *         exist or has too few free seats
+ */
+async function insertEvent({ event, tiers, eligibility }) {
+  if (event.venue_id && !(await db.get("SELECT id FROM venues WHERE id = ?", [event.venue_id]))) {
+    return { ok: false, code: 400, error: 'Invalid "venue_id": no such venue' };
+  }
+  const columns = Object.keys(event);
+  const result = await db.run(
+    `INSERT INTO events (${columns.join(", ")}) VALUES (${columns.map(() => "?").join(", ")})`,
+    Object.values(event)
+  );
+  for (const tier of tiers ?? []) {
+    await db.run(
+      "INSERT INTO ticket_tiers (event_id, name, price_cents, tickets) VALUES (?, ?, ?, ?)",
+      [result.lastID, tier.name, tier.price_cents, tier.tickets]
+    );
+  }
+  await saveEligibility(result.lastID, eligibility ?? []);
+  const venueError = await checkVenueFits(result.lastID);
+  return venueError ?? { ok: true, id: result.lastID };
+}
 
 /**
  * Purpose: Create new event record in the database through the admin 
  *          service backend
- * Input: JSON object which includes the name, dte amd number of tickets
+ * Input: JSON object which includes the name, dte amd number of tickets, and
+ *        the optional limits, details, ticket tiers and eligibility rules
+ *        accepted by validateEventInput; capacity defaults to the number of
+ *        tickets, and an event with a venue_id cannot sell more tickets than
+ *        the venue has seats
  * Ouput: return a success or failure message
  */
 app.post("/api/admin/events", async (req, res, next) => {
   try {
-    const { name, date, tickets } = req.body;
-
     // Validate inputs
-    if (typeof name !== "string" || name.trim().length === 0) {
-      return res.status(400).json({ error: 'Invalid "name": non-empty string required' });
-    }
-    if (typeof date !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
-      return res.status(400).json({ error: 'Invalid "date": expected YYYY-MM-DD' });
-    }
-    const ticketsNum = Number(tickets);
-    if (!Number.isInteger(ticketsNum) || ticketsNum < 0) {
-      return res.status(400).json({ error: 'Invalid "tickets": non-negative integer required' });
+    const checked = validateNewEvent(req.body);
+    if (checked.error) {
+      return res.status(400).json({ error: checked.error });
     }
 
-    const result = await db.run(
-      "INSERT INTO events (name, date, tickets) VALUES (?, ?, ?)",
-      [name.trim(), date, ticketsNum]
-    );
+    const created = await withTransaction(() => insertEvent(checked));
+    if (!created.ok) {
+      return res.status(created.code).json({ error: created.error });
+    }
 
-    const inserted = { id: result.lastID, name: name.trim(), date, tickets: ticketsNum };
+    const inserted = await loadEvent(created.id);
     return res.status(201).json({ message: "Event created", event: inserted });
   } catch (err) {
     next(err);
   }
 });
 
+const MAX_IMPORT_ROWS = 1000;
+
+// Columns an import CSV may have: the event fields that fit in one cell
+const CSV_COLUMNS = [
+  "name", "date", "tickets", "max_per_user", "max_per_order", "start_time", "capacity",
+  ...Object.keys(EVENT_TEXT_FIELDS), "image_url", "venue_id", "waiting_room_limit",
+  "sale_starts_at", "sale_ends_at", "lottery_opens_at", "lottery_closes_at", "lottery_max_tickets", "lottery_seed",
+];
+
+// CSV columns holding whole numbers. Their cells must be plain digits, since
+// Number() would also take hex ("0x10"), exponents ("1e2") and padding (" 5 ")
+const CSV_INTEGER_COLUMNS = [
+  "tickets", "max_per_user", "max_per_order", "capacity", "venue_id", "waiting_room_limit", "lottery_max_tickets",
+];
+
+/**
+ * Purpose: Splits CSV text into records of cells. Fields may be quoted, with
+ *          "" for a quote inside them and line breaks allowed; a leading
+ *          byte order mark and blank lines are ignored.
+ * Input: text - String, the CSV file
+ * Output: { records } as an array of string arrays, or { error } for a quote
+ *         that is never closed
+ */
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let cell = "";
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, "");
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      record.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      record.push(cell);
+      records.push(record);
+      record = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  if (quoted) {
+    return { error: "Invalid CSV: a quoted field is never closed" };
+  }
+  record.push(cell);
+  records.push(record);
+  return { records: records.filter((r) => r.some((value) => value.trim() !== "")) };
+}
+
+/**
+ * Purpose: Turns an import CSV into event objects for validateNewEvent
+ * Input: text - String, CSV with a header row naming CSV_COLUMNS (in any
+ *        order, any case) and one event per row
+ * Output: { rows } where empty cells are left out and whole-number cells
+ *         are converted (NaN unless plain digits, so validateNewEvent rejects
+ *         the row), or { error } for a missing header, an unknown or repeated
+ *         column or a row with more cells than the header
+ */
+function csvToEvents(text) {
+  const parsed = parseCsv(text);
+  if (parsed.error) {
+    return parsed;
+  }
+  const [header, ...records] = parsed.records;
+  if (!header) {
+    return { error: "Invalid CSV: a header row naming the columns is required" };
+  }
+  const columns = header.map((column) => column.trim().toLowerCase());
+  const unknown = columns.find((column) => !CSV_COLUMNS.includes(column));
+  if (unknown !== undefined) {
+    return { error: `Invalid CSV: unknown column "${unknown}"; expected ${CSV_COLUMNS.join(", ")}` };
+  }
+  const repeated = columns.find((column, i) => columns.indexOf(column) !== i);
+  if (repeated !== undefined) {
+    return { error: `Invalid CSV: column "${repeated}" appears twice` };
+  }
+
+  const rows = [];
+  for (const [index, record] of records.entries()) {
+    if (record.length > columns.length) {
+      return { error: `Invalid CSV: row ${index + 1} has more cells than the header` };
+    }
+    const row = {};
+    record.forEach((value, i) => {
+      if (value.trim() === "") return;
+      if (CSV_INTEGER_COLUMNS.includes(columns[i])) {
+        row[columns[i]] = /^\d+$/.test(value) ? Number(value) : NaN;
+      } else {
+        row[columns[i]] = value.trim();
+      }
+    });
+    rows.push(row);
+  }
+  return { rows };
+}
+
+/**
+ * Purpose: Creates many events at once from a spreadsheet export or a JSON
+ *          array. Every row is checked with the same rules as createEvent
+ *          (see validateNewEvent and insertEvent); a real run writes all of
+ *          them in one transaction, or none if any row is invalid.
+ * Input: Body - JSON array of event objects, or text/csv with a header row
+ *        (see csvToEvents); at most MAX_IMPORT_ROWS events and 1mb either way
+ *        dry_run - query parameter; "true" checks the rows without saving
+ * Ouput: Dry run: 200 { dryRun, total, valid, errors }. Real run: 201
+ *        { message, events } with the created events, or 400 { error,
+ *        errors } when any row is invalid. errors lists { row, error } with
+ *        row 1 being the first event (the line after a CSV's header).
+ */
+app.post(
+  "/api/admin/events/import",
+  express.json({ limit: "1mb" }),
+  express.text({ type: ["text/csv", "text/plain"], limit: "1mb" }),
+  async (req, res, next) => {
+    try {
+      const { dry_run } = req.query;
+      if (dry_run !== undefined && dry_run !== "true" && dry_run !== "false") {
+        return res.status(400).json({ error: 'Invalid "dry_run": expected true or false' });
+      }
+      const dryRun = dry_run === "true";
+
+      let rows = req.body;
+      if (typeof req.body === "string") {
+        const parsed = csvToEvents(req.body);
+        if (parsed.error) {
+          return res.status(400).json({ error: parsed.error });
+        }
+        rows = parsed.rows;
+      } else if (!Array.isArray(req.body)) {
+        return res.status(400).json({ error: "Send a JSON array of events or a text/csv file" });
+      }
+      if (rows.length === 0 || rows.length > MAX_IMPORT_ROWS) {
+        return res.status(400).json({ error: `An import must contain 1 to ${MAX_IMPORT_ROWS} events` });
+      }
+
+      // Rows are written even in a dry run so checks against the database
+      // (venues and their free seats) are exactly those of a real run; the
+      // transaction only commits when it is a real run and every row passed
+      const result = await withTransaction(async () => {
+        const errors = [];
+        const ids = [];
+        for (const [index, row] of rows.entries()) {
+          const checked = row && typeof row === "object" && !Array.isArray(row)
+            ? validateNewEvent(row)
+            : { error: "Each event must be an object" };
+          const created = checked.error ? { ok: false, error: checked.error } : await insertEvent(checked);
+          if (created.ok) {
+            ids.push(created.id);
+          } else {
+            errors.push({ row: index + 1, error: created.error });
+          }
+        }
+        return { ok: !dryRun && errors.length === 0, errors, ids };
+      });
+
+      if (dryRun) {
+        return res.status(200).json({
+          dryRun: true,
+          total: rows.length,
+          valid: rows.length - result.errors.length,
+          errors: result.errors,
+        });
+      }
+      if (!result.ok) {
+        return res.status(400).json({
+          error: `${result.errors.length} of ${rows.length} row(s) are invalid; nothing was imported`,
+          errors: result.errors,
+        });
+      }
+      const events = [];
+      for (const id of result.ids) {
+        events.push(await loadEvent(id));
+      }
+      return res.status(201).json({ message: `${events.length} event(s) imported`, events });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
 /**
  * Purpose: Update an existing event in the database
  * Input: id - int, the ID of the event to update
- *        JSON object which includes the name, dte amd number of tickets
+ *        JSON object which includes the name, dte amd number of tickets, and
+ *        the optional limits and details; an omitted limit or detail is
+ *        cleared, an omitted capacity is kept (raised to tickets if lower).
+ *        Listed tiers with an id are changed and those without are added;
+ *        tiers left out are kept. For a tiered event tickets is always
+ *        recomputed as the total of its tiers. Given eligibility rules
+ *        replace the event's rules (null opens the event to everyone);
+ *        omitted ones are kept. The venue cannot change once seats at the
+ *        event have been held or sold, and the lottery settings are kept as
+ *        they are once it has been drawn. Cancelled events cannot change.
  * Ouput: return a success or failure message
  */
 app.put("/api/admin/events/:id", async (req, res, next) => {
@@ -85,37 +738,612 @@ app.put("/api/admin/events/:id", async (req, res, next) => {
       return res.status(400).json({ error: "Invalid event id" });
     }
 
-    const { name, date, tickets } = req.body;
+    const { error, event, tiers, eligibility } = validateEventInput(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (event.venue_id && !(await db.get("SELECT id FROM venues WHERE id = ?", [event.venue_id]))) {
+      return res.status(400).json({ error: 'Invalid "venue_id": no such venue' });
+    }
+
+    const { capacity, ...fields } = event;
+    const assignments = Object.keys(fields).map((column) => `${column} = ?`);
+    // Raising the ticket count offers the new seats to the waitlist, so the
+    // update and the promotion commit together
+    const result = await withTransaction(async () => {
+      const current = await db.get("SELECT * FROM events WHERE id = ?", [id]);
+      if (current?.cancelled_at) {
+        return { ok: false, code: 409, error: "Cancelled events cannot be changed" };
+      }
+      if (current && current.venue_id !== event.venue_id &&
+          await db.get("SELECT 1 FROM seat_assignments WHERE event_id = ? LIMIT 1", [id])) {
+        return { ok: false, code: 409, error: "The venue cannot change after seats have been held or sold" };
+      }
+      // A drawn lottery keeps the settings and seed it was drawn with
+      if (current?.lottery_drawn_at) {
+        for (const column of ["lottery_opens_at", "lottery_closes_at", "lottery_max_tickets", "lottery_seed"]) {
+          fields[column] = current[column];
+        }
+      }
+      const updatedRow = await db.run(
+        `UPDATE events
+            SET ${assignments.join(", ")}, capacity = MAX(COALESCE(?, capacity, 0), ?)
+          WHERE id = ?`,
+        [...Object.values(fields), capacity, event.tickets, id]
+      );
+      if (updatedRow.changes === 0) {
+        return { ok: false, code: 404, error: "Event not found" };
+      }
+
+      if (tiers) {
+        const existing = await db.all("SELECT id, name FROM ticket_tiers WHERE event_id = ?", [id]);
+        for (const tier of tiers) {
+          if (tier.id !== undefined && !existing.some((e) => e.id === tier.id)) {
+            return { ok: false, code: 400, error: `Invalid "tiers": event has no tier ${tier.id}` };
+          }
+          const clash = existing.find(
+            (e) => e.name.toLowerCase() === tier.name.toLowerCase() && e.id !== tier.id
+          );
+          if (clash && !tiers.some((t) => t.id === clash.id)) {
+            return { ok: false, code: 400, error: `Invalid "tiers": a tier named "${tier.name}" already exists` };
+          }
+        }
+        for (const tier of tiers) {
+          if (tier.id !== undefined) {
+            await db.run(
+              "UPDATE ticket_tiers SET name = ?, price_cents = ?, tickets = ? WHERE id = ?",
+              [tier.name, tier.price_cents, tier.tickets, tier.id]
+            );
+          } else {
+            await db.run(
+              "INSERT INTO ticket_tiers (event_id, name, price_cents, tickets) VALUES (?, ?, ?, ?)",
+              [id, tier.name, tier.price_cents, tier.tickets]
+            );
+          }
+        }
+      }
+
+      if (eligibility) {
+        await saveEligibility(id, eligibility);
+      }
+
+      // events.tickets stays the total of the tiers for a tiered event
+      await db.run(
+        `UPDATE events
+            SET tickets = (SELECT SUM(tickets) FROM ticket_tiers WHERE event_id = ?),
+                capacity = MAX(capacity, (SELECT SUM(tickets) FROM ticket_tiers WHERE event_id = ?))
+          WHERE id = ? AND EXISTS (SELECT 1 FROM ticket_tiers WHERE event_id = ?)`,
+        [id, id, id, id]
+      );
+      const venueError = await checkVenueFits(id);
+      if (venueError) {
+        return venueError;
+      }
+      await promoteWaitlist(db, id);
+      return { ok: true };
+    });
 
-    if (typeof name !== "string" || name.trim().length === 0) {
-      return res.status(400).json({ error: 'Invalid "name": non-empty string required' });
+    if (!result.ok) {
+      return res.status(result.code).json({ error: result.error });
     }
-    if (typeof date !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
-      return res.status(400).json({ error: 'Invalid "date": expected YYYY-MM-DD' });
+
+    const updated = await loadEvent(id);
+    return res.status(200).json({
+      message: "Event updated",
+      event: updated
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * Purpose: Draws an event's ticket lottery now instead of waiting for the
+ *          client service's sweep. Winners get their tickets and everyone
+ *          else joins the waitlist in the order drawn (see
+ *          shared-db/lottery.js); the same seed and entries always give the
+ *          same result.
+ * Input: id - int, the ID of the event
+ *        JSON object with an optional seed overriding the event's lottery_seed
+ * Ouput: { message, seed, winners, waitlisted } with both lists in rank
+ *        order, 404 for an unknown event, or 409 if the event has no lottery,
+ *        its entries are still open or it has already been drawn
+ */
+app.post("/api/admin/events/:id/lottery/draw", async (req, res, next) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) {
+      return res.status(400).json({ error: "Invalid event id" });
+    }
+    const { seed } = req.body || {};
+    if (seed !== undefined && (typeof seed !== "string" || seed.length === 0 || seed.length > MAX_LOTTERY_SEED_LENGTH)) {
+      return res.status(400).json({ error: `Invalid "seed": string of 1 to ${MAX_LOTTERY_SEED_LENGTH} characters required` });
+    }
+
+    const result = await withTransaction(() => drawLottery(db, id, seed));
+    if (!result.ok) {
+      return res.status(result.code).json({ error: result.error });
+    }
+    return res.status(200).json({
+      message: "Lottery drawn",
+      seed: result.seed,
+      winners: result.winners,
+      waitlisted: result.waitlisted,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+const MAX_CANCELLATION_REASON_LENGTH = 500;
+
+/**
+ * Purpose: Calls off an event. It goes off sale and out of the client
+ *          listings, every ticket still held is voided, holds, waitlist,
+ *          waiting room and lottery entries are closed, and each holder is
+ *          sent a notification. Paid tickets are queued for a refund to the
+ *          original payment, which client-service pays out (see
+ *          shared-db/cancellation.js).
+ * Input: id - int, the ID of the event
+ *        JSON object with an optional reason passed on to the holders
+ * Ouput: { message, event, cancelledTickets, refundDueCents,
+ *        notifiedHolders }, 404 for an unknown event or 409 if it was already
+ *        cancelled
+ */
+app.post("/api/admin/events/:id/cancel", async (req, res, next) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) {
+      return res.status(400).json({ error: "Invalid event id" });
+    }
+    const { reason } = req.body || {};
+    if (reason !== undefined && reason !== null &&
+        (typeof reason !== "string" || reason.trim().length === 0 || reason.length > MAX_CANCELLATION_REASON_LENGTH)) {
+      return res.status(400).json({
+        error: `Invalid "reason": string of 1 to ${MAX_CANCELLATION_REASON_LENGTH} characters required`
+      });
+    }
+
+    const result = await withTransaction(() => cancelEvent(db, id, reason?.trim() ?? null));
+    if (!result.ok) {
+      return res.status(result.code).json({ error: result.error });
+    }
+    return res.status(200).json({
+      message: "Event cancelled",
+      event: await loadEvent(id),
+      cancelledTickets: result.cancelledTickets,
+      refundDueCents: result.refundDueCents,
+      notifiedHolders: result.notifiedHolders,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * Purpose: Removes an event created by mistake. Only events that never sold a
+ *          ticket and are in no bundle can be deleted; anything else has to be
+ *          cancelled so its orders keep their history.
+ * Input: id - int, the ID of the event
+ * Ouput: return a success or failure message (404 for an unknown event, 409
+ *        once it has sales or belongs to a bundle)
+ */
+app.delete("/api/admin/events/:id", async (req, res, next) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) {
+      return res.status(400).json({ error: "Invalid event id" });
     }
-    const ticketsNum = Number(tickets);
-    if (!Number.isInteger(ticketsNum) || ticketsNum < 0) {
-      return res.status(400).json({ error: 'Invalid "tickets": non-negative integer required' });
+    const result = await withTransaction(() => deleteEvent(db, id));
+    if (!result.ok) {
+      return res.status(result.code).json({ error: result.error });
     }
+    return res.status(200).json({ message: "Event deleted" });
+  } catch (err) {
+    next(err);
+  }
+});
 
+const MAX_VENUE_SEATS = 20000;
+
+/**
+ * Purpose: Validates the JSON body of a venue create request
+ * Input: body - { name, sections: [{ name, rows: [{ label, seats }] }] }
+ *        where seats is the number of seats in the row, numbered from 1
+ * Output: { error } describing the first invalid field, or { venue } holding
+ *         the trimmed name and sections ready to be written
+ */
+function validateVenueInput(body) {
+  const { name, sections } = body || {};
+  if (typeof name !== "string" || name.trim().length === 0 || name.trim().length > 200) {
+    return { error: 'Invalid "name": non-empty string of at most 200 characters required' };
+  }
+  if (!Array.isArray(sections) || sections.length === 0) {
+    return { error: 'Invalid "sections": non-empty array required' };
+  }
+
+  const cleaned = [];
+  let total = 0;
+  for (const [i, section] of sections.entries()) {
+    const sectionName = typeof section?.name === "string" ? section.name.trim() : "";
+    if (!sectionName || sectionName.length > 50) {
+      return { error: `Invalid "sections[${i}].name": non-empty string of at most 50 characters required` };
+    }
+    if (cleaned.some((s) => s.name === sectionName)) {
+      return { error: `Invalid "sections": section "${sectionName}" is listed twice` };
+    }
+    if (!Array.isArray(section.rows) || section.rows.length === 0) {
+      return { error: `Invalid "sections[${i}].rows": non-empty array required` };
+    }
+    const rows = [];
+    for (const [j, row] of section.rows.entries()) {
+      const label = typeof row?.label === "string" ? row.label.trim() : "";
+      if (!label || label.length > 10) {
+        return { error: `Invalid "sections[${i}].rows[${j}].label": non-empty string of at most 10 characters required` };
+      }
+      if (rows.some((r) => r.label === label)) {
+        return { error: `Invalid "sections[${i}].rows": row "${label}" is listed twice` };
+      }
+      if (!Number.isInteger(row.seats) || row.seats <= 0) {
+        return { error: `Invalid "sections[${i}].rows[${j}].seats": positive integer required` };
+      }
+      total += row.seats;
+      rows.push({ label, seats: row.seats });
+    }
+    cleaned.push({ name: sectionName, rows });
+  }
+  if (total > MAX_VENUE_SEATS) {
+    return { error: `Invalid "sections": a venue may have at most ${MAX_VENUE_SEATS} seats` };
+  }
+  return { venue: { name: name.trim(), sections: cleaned } };
+}
+
+/**
+ * Purpose: Create a venue with its seat layout, for events with assigned
+ *          seating
+ * Input: JSON object accepted by validateVenueInput
+ * Ouput: 201 with the venue and its seat count, 400 for invalid input, 409
+ *        if a venue with the name already exists
+ */
+app.post("/api/admin/venues", async (req, res, next) => {
+  try {
+    const { error, venue } = validateVenueInput(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const result = await withTransaction(async () => {
+      if (await db.get("SELECT id FROM venues WHERE name = ? COLLATE NOCASE", [venue.name])) {
+        return { ok: false, code: 409, error: `Venue ${venue.name} already exists` };
+      }
+      const inserted = await db.run("INSERT INTO venues (name) VALUES (?)", [venue.name]);
+      for (const section of venue.sections) {
+        for (const row of section.rows) {
+          for (let number = 1; number <= row.seats; number++) {
+            await db.run(
+              "INSERT INTO venue_seats (venue_id, section, row_label, seat_number) VALUES (?, ?, ?, ?)",
+              [inserted.lastID, section.name, row.label, String(number)]
+            );
+          }
+        }
+      }
+      return { ok: true, id: inserted.lastID };
+    });
+    if (!result.ok) {
+      return res.status(result.code).json({ error: result.error });
+    }
+
+    const created = await db.get(
+      "SELECT v.*, (SELECT COUNT(*) FROM venue_seats s WHERE s.venue_id = v.id) AS seats FROM venues v WHERE v.id = ?",
+      [result.id]
+    );
+    return res.status(201).json({ message: "Venue created", venue: created });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * Purpose: List every venue with its number of seats
+ * Input: None
+ * Ouput: JSON array of venues, each with a seats count
+ */
+app.get("/api/admin/venues", async (req, res, next) => {
+  try {
+    const venues = await db.all(
+      `SELECT v.*, (SELECT COUNT(*) FROM venue_seats s WHERE s.venue_id = v.id) AS seats
+         FROM venues v
+        ORDER BY v.name`
+    );
+    return res.status(200).json(venues);
+  } catch (err) {
+    next(err);
+  }
+});
+
+const PROMO_CODE_PATTERN = /^[A-Z0-9_-]{3,32}$/;
+
+/**
+ * Purpose: Validates the JSON body of a promo code create request
+ * Input: body - object with code, discount_type ('percent' | 'fixed'),
+ *        discount_value (percent 1-100, or cents) and optional event_id,
+ *        tier_id, max_uses, max_uses_per_user and expires_at (UTC
+ *        'YYYY-MM-DD' or 'YYYY-MM-DD HH:MM[:SS]'; a bare date lasts all day)
+ * Output: { error } describing the first invalid field, or { promo } holding
+ *         the cleaned-up values ready to be written
+ */
+function validatePromoInput(body) {
+  const { code, discount_type, discount_value, expires_at } = body || {};
+
+  if (typeof code !== "string" || !PROMO_CODE_PATTERN.test(code.trim().toUpperCase())) {
+    return { error: 'Invalid "code": 3 to 32 letters, digits, "-" or "_" required' };
+  }
+  if (!["percent", "fixed"].includes(discount_type)) {
+    return { error: 'Invalid "discount_type": "percent" or "fixed" required' };
+  }
+  if (!Number.isInteger(discount_value) || discount_value <= 0 ||
+      (discount_type === "percent" && discount_value > 100)) {
+    return {
+      error: discount_type === "percent"
+        ? 'Invalid "discount_value": integer percentage from 1 to 100 required'
+        : 'Invalid "discount_value": positive integer amount in cents required',
+    };
+  }
+
+  const promo = { code: code.trim().toUpperCase(), discount_type, discount_value };
+
+  for (const field of ["event_id", "tier_id", "max_uses", "max_uses_per_user"]) {
+    const value = body[field];
+    if (value === undefined || value === null) {
+      promo[field] = null;
+      continue;
+    }
+    if (!Number.isInteger(value) || value <= 0) {
+      return { error: `Invalid "${field}": positive integer or null required` };
+    }
+    promo[field] = value;
+  }
+
+  if (expires_at === undefined || expires_at === null) {
+    promo.expires_at = null;
+  } else {
+    promo.expires_at = parseUtcDateTime(expires_at, true);
+    if (!promo.expires_at) {
+      return { error: 'Invalid "expires_at": expected YYYY-MM-DD or YYYY-MM-DD HH:MM (UTC)' };
+    }
+  }
+
+  return { promo };
+}
+
+/**
+ * Purpose: Create a promo code that buyers can enter at checkout
+ * Input: JSON object accepted by validatePromoInput; a tier_id without an
+ *        event_id scopes the code to that tier's event as well
+ * Ouput: 201 with the stored promo code, 400 for invalid input or an unknown
+ *        event/tier, 409 if the code already exists
+ */
+app.post("/api/admin/promo-codes", async (req, res, next) => {
+  try {
+    const { error, promo } = validatePromoInput(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (promo.tier_id) {
+      const tier = await db.get("SELECT event_id FROM ticket_tiers WHERE id = ?", [promo.tier_id]);
+      if (!tier || (promo.event_id && tier.event_id !== promo.event_id)) {
+        return res.status(400).json({ error: 'Invalid "tier_id": no such tier for this event' });
+      }
+      promo.event_id = tier.event_id;
+    } else if (promo.event_id && !(await db.get("SELECT id FROM events WHERE id = ?", [promo.event_id]))) {
+      return res.status(400).json({ error: 'Invalid "event_id": no such event' });
+    }
+
+    if (await db.get("SELECT id FROM promo_codes WHERE code = ?", [promo.code])) {
+      return res.status(409).json({ error: `Promo code ${promo.code} already exists` });
+    }
+
+    const columns = Object.keys(promo);
     const result = await db.run(
-      "UPDATE events SET name = ?, date = ?, tickets = ? WHERE id = ?",
-      [name.trim(), date, ticketsNum, id]
+      `INSERT INTO promo_codes (${columns.join(", ")}) VALUES (${columns.map(() => "?").join(", ")})`,
+      Object.values(promo)
     );
+    const created = await db.get("SELECT * FROM promo_codes WHERE id = ?", [result.lastID]);
+    return res.status(201).json({ message: "Promo code created", promoCode: created });
+  } catch (err) {
+    next(err);
+  }
+});
 
+/**
+ * Purpose: List every promo code with how often it has been redeemed
+ * Input: None
+ * Ouput: JSON array of promo codes, each with a uses count
+ */
+app.get("/api/admin/promo-codes", async (req, res, next) => {
+  try {
+    const promoCodes = await db.all(
+      `SELECT p.*, (SELECT COUNT(*) FROM orders o WHERE o.promo_code_id = p.id) AS uses
+         FROM promo_codes p
+        ORDER BY p.id DESC`
+    );
+    return res.status(200).json(promoCodes);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * Purpose: Deactivate a promo code so it can no longer be redeemed; past
+ *          orders keep their discount
+ * Input: id - int, the ID of the promo code
+ * Ouput: return a success or failure message
+ */
+app.delete("/api/admin/promo-codes/:id", async (req, res, next) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) {
+      return res.status(400).json({ error: "Invalid promo code id" });
+    }
+    const result = await db.run("UPDATE promo_codes SET active = 0 WHERE id = ?", [id]);
     if (result.changes === 0) {
-      return res.status(404).json({ error: "Event not found" });
+      return res.status(404).json({ error: "Promo code not found" });
+    }
+    return res.status(200).json({ message: "Promo code deactivated" });
+  } catch (err) {
+    next(err);
+  }
+});
+
+const MAX_BUNDLE_EVENTS = 50;
+
+/**
+ * Purpose: Validates the JSON body of a bundle create request
+ * Input: body - { name, price_cents, tickets, event_ids, tier_ids } where
+ *        event_ids are the 2 to MAX_BUNDLE_EVENTS distinct member events and
+ *        tier_ids (optional) the ticket tier to take each seat from, at most
+ *        one per event
+ * Output: { error } describing the first invalid field, or { bundle } with
+ *         the trimmed name, price, tickets, event ids and tier ids (empty
+ *         when not given)
+ */
+function validateBundleInput(body) {
+  const { name, price_cents, tickets, event_ids, tier_ids } = body || {};
+  if (typeof name !== "string" || name.trim().length === 0 || name.trim().length > 200) {
+    return { error: 'Invalid "name": string of 1 to 200 characters required' };
+  }
+  if (!Number.isInteger(price_cents) || price_cents < 0) {
+    return { error: 'Invalid "price_cents": non-negative integer required' };
+  }
+  if (!Number.isInteger(tickets) || tickets < 0) {
+    return { error: 'Invalid "tickets": non-negative integer required' };
+  }
+  if (!Array.isArray(event_ids) || event_ids.length < 2 || event_ids.length > MAX_BUNDLE_EVENTS ||
+      !event_ids.every((id) => Number.isInteger(id) && id > 0) || new Set(event_ids).size !== event_ids.length) {
+    return { error: `Invalid "event_ids": 2 to ${MAX_BUNDLE_EVENTS} distinct event ids required` };
+  }
+  if (tier_ids !== undefined &&
+      (!Array.isArray(tier_ids) || !tier_ids.every((id) => Number.isInteger(id) && id > 0))) {
+    return { error: 'Invalid "tier_ids": array of tier ids required' };
+  }
+  return { bundle: { name: name.trim(), price_cents, tickets, event_ids, tier_ids: tier_ids ?? [] } };
+}
+
+/**
+ * Purpose: Create a bundle, such as a season pass, that sells one seat at
+ *          every member event for its own price
+ * Input: JSON object accepted by validateBundleInput. Member events must
+ *        exist and be general admission; events with ticket tiers need one
+ *        of their tiers in tier_ids.
+ * Ouput: 201 with the bundle and its member events, 400 for invalid input or
+ *        members, or 409 if a bundle with that name exists
+ */
+app.post("/api/admin/bundles", async (req, res, next) => {
+  try {
+    const { error, bundle } = validateBundleInput(req.body);
+    if (error) {
+      return res.status(400).json({ error });
     }
 
-    return res.status(200).json({
-      message: "Event updated",
-      event: { id, name: name.trim(), date, tickets: ticketsNum }
+    const result = await withTransaction(async () => {
+      if (await db.get("SELECT id FROM bundles WHERE name = ? COLLATE NOCASE", [bundle.name])) {
+        return { ok: false, code: 409, error: `Bundle ${bundle.name} already exists` };
+      }
+      const tiers = bundle.tier_ids.length === 0 ? [] : await db.all(
+        `SELECT id, event_id FROM ticket_tiers WHERE id IN (${bundle.tier_ids.map(() => "?").join(", ")})`,
+        bundle.tier_ids
+      );
+      for (const tierId of bundle.tier_ids) {
+        const tier = tiers.find((t) => t.id === tierId);
+        if (!tier || !bundle.event_ids.includes(tier.event_id)) {
+          return { ok: false, code: 400, error: `Invalid "tier_ids": ${tierId} is not a tier of a bundled event` };
+        }
+      }
+      const inserted = await db.run(
+        "INSERT INTO bundles (name, price_cents, tickets) VALUES (?, ?, ?)",
+        [bundle.name, bundle.price_cents, bundle.tickets]
+      );
+      for (const eventId of bundle.event_ids) {
+        const event = await db.get(
+          "SELECT id, venue_id, (SELECT COUNT(*) FROM ticket_tiers WHERE event_id = events.id) AS tiers FROM events WHERE id = ?",
+          [eventId]
+        );
+        if (!event) {
+          return { ok: false, code: 400, error: `Invalid "event_ids": no event ${eventId}` };
+        }
+        if (event.venue_id) {
+          return { ok: false, code: 400, error: `Invalid "event_ids": event ${eventId} has assigned seating` };
+        }
+        const eventTiers = tiers.filter((t) => t.event_id === eventId);
+        if (eventTiers.length > 1 || (event.tiers > 0 && eventTiers.length === 0)) {
+          return { ok: false, code: 400, error: `Invalid "tier_ids": choose one tier for event ${eventId}` };
+        }
+        await db.run(
+          "INSERT INTO bundle_events (bundle_id, event_id, tier_id) VALUES (?, ?, ?)",
+          [inserted.lastID, eventId, eventTiers[0]?.id ?? null]
+        );
+      }
+      return { ok: true, id: inserted.lastID };
     });
+    if (!result.ok) {
+      return res.status(result.code).json({ error: result.error });
+    }
+
+    const created = await db.get("SELECT * FROM bundles WHERE id = ?", [result.id]);
+    const events = await db.all("SELECT event_id, tier_id FROM bundle_events WHERE bundle_id = ? ORDER BY event_id", [result.id]);
+    return res.status(201).json({ message: "Bundle created", bundle: { ...created, events } });
   } catch (err) {
     next(err);
   }
 });
 
+/**
+ * Purpose: List every bundle with its member events and how many were sold
+ * Input: None
+ * Ouput: JSON array of bundles, each with events ({ event_id, tier_id }) and
+ *        sold (bundles bought and not refunded)
+ */
+app.get("/api/admin/bundles", async (req, res, next) => {
+  try {
+    const bundles = await db.all(
+      `SELECT b.*, (SELECT COUNT(*) FROM bundle_orders o WHERE o.bundle_id = b.id AND o.status = 'active') AS sold
+         FROM bundles b
+        ORDER BY b.name`
+    );
+    const members = await db.all("SELECT bundle_id, event_id, tier_id FROM bundle_events ORDER BY event_id");
+    return res.status(200).json(bundles.map((bundle) => ({
+      ...bundle,
+      events: members
+        .filter((m) => m.bundle_id === bundle.id)
+        .map(({ event_id, tier_id }) => ({ event_id, tier_id })),
+    })));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * Purpose: Take a bundle off sale; bundles already bought keep their tickets
+ *          and can still be refunded
+ * Input: id - int, the ID of the bundle
+ * Ouput: return a success or failure message
+ */
+app.delete("/api/admin/bundles/:id", async (req, res, next) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) {
+      return res.status(400).json({ error: "Invalid bundle id" });
+    }
+    const result = await db.run("UPDATE bundles SET active = 0 WHERE id = ?", [id]);
+    if (result.changes === 0) {
+      return res.status(404).json({ error: "Bundle not found" });
+    }
+    return res.status(200).json({ message: "Bundle deactivated" });
+  } catch (err) {
+    next(err);
+  }
+});
 
 /**
  * Purpose: catches and handles any errors that occur during request processing 
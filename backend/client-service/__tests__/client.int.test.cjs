@@ -5,6 +5,8 @@ const request = require("supertest");
 const sqlite3 = require("sqlite3");
 const { open } = require("sqlite");
 const path = require("path");
+const fs = require("fs");
+const os = require("os");
 const jwt = require("jsonwebtoken");
 
 // we'll import the ESM server dynamically inside beforeAll
@@ -14,11 +16,42 @@ let authToken;
 
 const JWT_SECRET = process.env.JWT_SECRET || 'replace_with_a_strong_secret';
 
+// Test cards understood by the built-in mock payment provider
+const CARDS = {
+  approved: { cardNumber: '4242 4242 4242 4242' },
+  declined: { cardNumber: '4000000000000002' },
+  captureDeclined: { cardNumber: '4000000000009995' },
+  timeout: { cardNumber: '4000000000000119' },
+};
+
 const dbPath = path.join(__dirname, "..", "..", "shared-db", "database.sqlite");
 
+// Accounts user-authentication would have registered; transfers only go to these
+const usersFile = path.join(os.tmpdir(), `client-test-users-${process.pid}.json`);
+process.env.USERS_FILE = usersFile;
+fs.writeFileSync(usersFile, JSON.stringify(
+  ['test@example.com', 'other@example.com', 'third@example.com', 'alum@gmail.com'].map((email, i) => ({ id: String(i), email }))
+));
+
+// Runs work in a transaction on the test's own connection, for helpers that
+// take a transaction runner
+async function inTransaction(work) {
+  await db.exec('BEGIN IMMEDIATE;');
+  try {
+    const result = await work();
+    await db.exec('COMMIT;');
+    return result;
+  } catch (e) {
+    await db.exec('ROLLBACK;');
+    throw e;
+  }
+}
+
 beforeAll(async () => {
   // dynamic import to load ESM app from CJS test
-  app = (await import("../server.js")).default;
+  const server = await import("../server.js");
+  app = server.default;
+  await server.dbReady;
 
   db = await open({ filename: dbPath, driver: sqlite3.Database });
   await db.exec(`
@@ -29,12 +62,54 @@ beforeAll(async () => {
       tickets INTEGER NOT NULL CHECK(tickets >= 0)
     );
   `);
+  await db.exec("DELETE FROM notifications;");
+  await db.exec("DELETE FROM waitlist_entries;");
+  await db.exec("DELETE FROM ticket_transfer_items;");
+  await db.exec("DELETE FROM ticket_transfers;");
+  await db.exec("DELETE FROM idempotency_keys;");
+  await db.exec("DELETE FROM waiting_room_entries;");
+  await db.exec("DELETE FROM lottery_entries;");
+  await db.exec("DELETE FROM seat_assignments;");
+  await db.exec("DELETE FROM holds;");
+  await db.exec("DELETE FROM tickets;");
+  await db.exec("DELETE FROM orders;");
+  await db.exec("DELETE FROM bundle_orders;");
+  await db.exec("DELETE FROM bundle_events;");
+  await db.exec("DELETE FROM bundles;");
+  await db.exec("DELETE FROM ticket_tiers;");
+  await db.exec("DELETE FROM event_eligibility_rules;");
+  await db.exec("DELETE FROM promo_codes;");
   await db.exec("DELETE FROM events;");
+  await db.exec("DELETE FROM venue_seats;");
+  await db.exec("DELETE FROM venues;");
   await db.exec(`
     INSERT INTO events (name, date, tickets) VALUES
       ('Concert', '2025-12-01', 3),
-      ('Play',    '2025-12-10', 1);
+      ('Play',    '2025-12-10', 1),
+      ('Lecture', '2026-01-15', 5),
+      ('Gala',    '2099-05-01', 10),
+      ('Recital', '2000-01-01', 10),
+      ('Derby',   '2099-06-01', 4),
+      ('Regatta', '2099-07-01', 10),
+      ('Finale',  '2099-10-01', 1),
+      ('Gate',    '2099-12-01', 5),
+      ('Relay',   '2099-12-05', 5);
   `);
+  await db.run(
+    "INSERT INTO events (name, date, tickets, max_per_user, max_per_order) VALUES ('Rivalry', '2099-08-01', 100, 4, 3)"
+  );
+  await db.run(
+    `INSERT INTO events (name, date, tickets, capacity, start_time, venue, description, category, organizer, image_url)
+     VALUES ('Showcase', '2099-09-01', 40, 50, '19:00', 'Brooks Center', 'Student showcase', 'Arts', 'CU Arts', 'https://example.com/s.png')`
+  );
+
+  const festival = await db.run("INSERT INTO events (name, date, tickets) VALUES ('Festival', '2099-11-01', 3)");
+  await db.run(
+    `INSERT INTO ticket_tiers (event_id, name, price_cents, tickets) VALUES
+       (?, 'Student', 0, 1),
+       (?, 'General Admission', 2500, 2)`,
+    [festival.lastID, festival.lastID]
+  );
 
   // Generate a test auth token
   authToken = jwt.sign(
@@ -46,6 +121,7 @@ beforeAll(async () => {
 
 afterAll(async () => {
   if (db) await db.close();
+  fs.rmSync(usersFile, { force: true });
 });
 
 test("GET /api/events returns a list", async () => {
@@ -68,6 +144,53 @@ test("POST /api/events/:id/purchase decrements tickets", async () => {
   expect(after.tickets).toBe(row.tickets - 1);
 });
 
+test("POST /api/events/:id/purchase records an order and ticket codes", async () => {
+  const row = await db.get("SELECT id FROM events WHERE name='Concert'");
+  const res = await request(app)
+    .post(`/api/events/${row.id}/purchase`)
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({ quantity: 2 });
+  expect(res.statusCode).toBe(200);
+  expect(res.body.ticketCodes).toHaveLength(2);
+
+  const order = await db.get("SELECT * FROM orders WHERE id=?", res.body.orderId);
+  expect(order).toMatchObject({ user_id: 'test-user-123', event_id: row.id, quantity: 2 });
+  expect(order.created_at).toBeTruthy();
+
+  const tickets = await db.all("SELECT code FROM tickets WHERE order_id=?", res.body.orderId);
+  expect(tickets.map((t) => t.code).sort()).toEqual([...res.body.ticketCodes].sort());
+  expect(new Set(res.body.ticketCodes).size).toBe(2);
+});
+
+test("GET /api/me/tickets groups the user's tickets by event", async () => {
+  const otherToken = jwt.sign({ id: 'other-user', email: 'other@example.com' }, JWT_SECRET);
+  const lecture = await db.get("SELECT id FROM events WHERE name='Lecture'");
+  await request(app)
+    .post(`/api/events/${lecture.id}/purchase`)
+    .set('Authorization', `Bearer ${otherToken}`)
+    .send({ quantity: 1 });
+
+  const res = await request(app)
+    .get("/api/me/tickets")
+    .set('Authorization', `Bearer ${authToken}`);
+  expect(res.statusCode).toBe(200);
+  expect(res.body).toHaveLength(1);
+  expect(res.body[0]).toMatchObject({ name: 'Concert', date: '2025-12-01', quantity: 3 });
+  expect(res.body[0].ticketCodes).toHaveLength(3);
+
+  const other = await request(app)
+    .get("/api/me/tickets")
+    .set('Authorization', `Bearer ${otherToken}`);
+  expect(other.body).toEqual([
+    expect.objectContaining({ eventId: lecture.id, name: 'Lecture', quantity: 1 }),
+  ]);
+});
+
+test("GET /api/me/tickets requires authentication", async () => {
+  const res = await request(app).get("/api/me/tickets");
+  expect(res.statusCode).toBe(401);
+});
+
 test("POST /api/events/:id/purchase requires authentication", async () => {
   const row = await db.get("SELECT id FROM events WHERE name='Concert'");
   const res = await request(app)
@@ -86,3 +209,1287 @@ test("returns 409 when not enough tickets", async () => {
   // 409 if you applied the earlier tweak; otherwise could be 500
   expect([409, 500]).toContain(res.statusCode);
 });
+
+test("POST /api/events/:id/cancel restocks seats and marks tickets cancelled", async () => {
+  const gala = await db.get("SELECT id FROM events WHERE name='Gala'");
+  const bought = await request(app)
+    .post(`/api/events/${gala.id}/purchase`)
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({ quantity: 3 });
+  expect(bought.statusCode).toBe(200);
+
+  const res = await request(app)
+    .post(`/api/events/${gala.id}/cancel`)
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({ ticketCodes: [bought.body.ticketCodes[0]] });
+  expect(res.statusCode).toBe(200);
+  expect(res.body).toMatchObject({ cancelled: 1, remainingTickets: 8 });
+
+  const ticket = await db.get("SELECT status, cancelled_at FROM tickets WHERE code=?", bought.body.ticketCodes[0]);
+  expect(ticket.status).toBe('cancelled');
+  expect(ticket.cancelled_at).toBeTruthy();
+
+  // no body cancels the rest
+  const rest = await request(app)
+    .post(`/api/events/${gala.id}/cancel`)
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({});
+  expect(rest.body).toMatchObject({ cancelled: 2, remainingTickets: 10 });
+
+  const again = await request(app)
+    .post(`/api/events/${gala.id}/cancel`)
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({ quantity: 1 });
+  expect(again.statusCode).toBe(409);
+
+  const mine = await request(app)
+    .get("/api/me/tickets")
+    .set('Authorization', `Bearer ${authToken}`);
+  expect(mine.body.find((g) => g.eventId === gala.id)).toBeUndefined();
+});
+
+test("POST /api/events/:id/cancel rejects after the cutoff", async () => {
+  const recital = await db.get("SELECT id FROM events WHERE name='Recital'");
+  await request(app)
+    .post(`/api/events/${recital.id}/purchase`)
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({ quantity: 1 });
+
+  const res = await request(app)
+    .post(`/api/events/${recital.id}/cancel`)
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({ quantity: 1 });
+  expect(res.statusCode).toBe(409);
+  expect(res.body.error).toMatch(/cancellation window/i);
+});
+
+test("the cancellation cutoff counts from midnight UTC wherever the server runs", () => {
+  // The zone is fixed when node starts, so each one gets its own process.
+  // Far east and far west of UTC, a local-time reading of the date would
+  // move the cutoff by half a day or more either way
+  const { execFileSync } = require('child_process');
+  const script = `
+    import("./purchases/cancellation.js").then(({ cancellationClosed }) => {
+      const event = { date: "2099-06-02" };
+      console.log(JSON.stringify([
+        cancellationClosed(event, 24, Date.UTC(2099, 4, 31, 23, 59, 59)),
+        cancellationClosed(event, 24, Date.UTC(2099, 5, 1, 0, 0, 1)),
+      ]));
+    });`;
+  for (const zone of ['Pacific/Kiritimati', 'Etc/GMT+12', 'UTC']) {
+    const out = execFileSync(process.execPath, ['-e', script], {
+      cwd: path.join(__dirname, '..'),
+      env: { ...process.env, TZ: zone },
+    });
+    expect([zone, JSON.parse(out)]).toEqual([zone, [false, true]]);
+  }
+});
+
+test("POST /api/events/:id/holds reserves seats until checkout", async () => {
+  const derby = await db.get("SELECT id FROM events WHERE name='Derby'");
+  const hold = await request(app)
+    .post(`/api/events/${derby.id}/holds`)
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({ quantity: 3 });
+  expect(hold.statusCode).toBe(201);
+  expect(hold.body).toMatchObject({ quantity: 3, remainingTickets: 1 });
+  expect(hold.body.expiresAt).toBeTruthy();
+
+  // held seats cannot be bought by someone else
+  const otherToken = jwt.sign({ id: 'other-user', email: 'other@example.com' }, JWT_SECRET);
+  const blocked = await request(app)
+    .post(`/api/events/${derby.id}/purchase`)
+    .set('Authorization', `Bearer ${otherToken}`)
+    .send({ quantity: 2 });
+  expect(blocked.statusCode).toBe(409);
+
+  // nor checked out by them
+  const stolen = await request(app)
+    .post(`/api/events/${derby.id}/purchase`)
+    .set('Authorization', `Bearer ${otherToken}`)
+    .send({ holdId: hold.body.holdId });
+  expect(stolen.statusCode).toBe(409);
+
+  const checkout = await request(app)
+    .post(`/api/events/${derby.id}/purchase`)
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({ holdId: hold.body.holdId });
+  expect(checkout.statusCode).toBe(200);
+  expect(checkout.body).toMatchObject({ purchased: 3, remainingTickets: 1 });
+  expect(checkout.body.ticketCodes).toHaveLength(3);
+
+  const reused = await request(app)
+    .post(`/api/events/${derby.id}/purchase`)
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({ holdId: hold.body.holdId });
+  expect(reused.statusCode).toBe(409);
+});
+
+test("expired and released holds return their seats", async () => {
+  const derby = await db.get("SELECT id FROM events WHERE name='Derby'");
+  const hold = await request(app)
+    .post(`/api/events/${derby.id}/holds`)
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({ quantity: 1 });
+  expect(hold.body.remainingTickets).toBe(0);
+
+  await db.run("UPDATE holds SET expires_at = datetime('now', '-1 minute') WHERE id = ?", hold.body.holdId);
+
+  const next = await request(app)
+    .post(`/api/events/${derby.id}/holds`)
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({ quantity: 1 });
+  expect(next.statusCode).toBe(201);
+  const expired = await db.get("SELECT status FROM holds WHERE id = ?", hold.body.holdId);
+  expect(expired.status).toBe('expired');
+
+  const late = await request(app)
+    .post(`/api/events/${derby.id}/purchase`)
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({ holdId: hold.body.holdId });
+  expect(late.statusCode).toBe(409);
+
+  const released = await request(app)
+    .delete(`/api/holds/${next.body.holdId}`)
+    .set('Authorization', `Bearer ${authToken}`);
+  expect(released.statusCode).toBe(200);
+  expect(released.body).toMatchObject({ released: 1, remainingTickets: 1 });
+});
+
+test("retries with the same Idempotency-Key replay the first purchase", async () => {
+  const regatta = await db.get("SELECT id FROM events WHERE name='Regatta'");
+  const buy = () => request(app)
+    .post(`/api/events/${regatta.id}/purchase`)
+    .set('Authorization', `Bearer ${authToken}`)
+    .set('Idempotency-Key', 'retry-key-1')
+    .send({ quantity: 2 });
+
+  const [first, second] = await Promise.all([buy(), buy()]);
+  expect(first.statusCode).toBe(200);
+  expect(second.statusCode).toBe(200);
+  expect(second.body).toEqual(first.body);
+
+  const third = await buy();
+  expect(third.headers['idempotent-replayed']).toBe('true');
+  expect(third.body.orderId).toBe(first.body.orderId);
+
+  const after = await db.get("SELECT tickets FROM events WHERE id=?", regatta.id);
+  expect(after.tickets).toBe(8);
+  const orders = await db.get("SELECT COUNT(*) AS n FROM orders WHERE event_id=?", regatta.id);
+  expect(orders.n).toBe(1);
+});
+
+test("reusing an Idempotency-Key with a different body is a conflict", async () => {
+  const regatta = await db.get("SELECT id FROM events WHERE name='Regatta'");
+  const res = await request(app)
+    .post(`/api/events/${regatta.id}/purchase`)
+    .set('Authorization', `Bearer ${authToken}`)
+    .set('Idempotency-Key', 'retry-key-1')
+    .send({ quantity: 3 });
+  expect(res.statusCode).toBe(409);
+  expect(res.body.error).toMatch(/Idempotency-Key/);
+
+  // keys are scoped per user
+  const otherToken = jwt.sign({ id: 'other-user', email: 'other@example.com' }, JWT_SECRET);
+  const other = await request(app)
+    .post(`/api/events/${regatta.id}/purchase`)
+    .set('Authorization', `Bearer ${otherToken}`)
+    .set('Idempotency-Key', 'retry-key-1')
+    .send({ quantity: 3 });
+  expect(other.statusCode).toBe(200);
+  expect(other.body.purchased).toBe(3);
+});
+
+test("purchases over an event's per-order limit are rejected with 422", async () => {
+  const rivalry = await db.get("SELECT id FROM events WHERE name='Rivalry'");
+  const res = await request(app)
+    .post(`/api/events/${rivalry.id}/purchase`)
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({ quantity: 4 });
+  expect(res.statusCode).toBe(422);
+  expect(res.body.error).toMatch(/limited to 3/);
+});
+
+test("purchases and holds count toward an event's per-user limit", async () => {
+  const rivalry = await db.get("SELECT id FROM events WHERE name='Rivalry'");
+  const first = await request(app)
+    .post(`/api/events/${rivalry.id}/purchase`)
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({ quantity: 3 });
+  expect(first.statusCode).toBe(200);
+
+  const hold = await request(app)
+    .post(`/api/events/${rivalry.id}/holds`)
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({ quantity: 1 });
+  expect(hold.statusCode).toBe(201);
+
+  const over = await request(app)
+    .post(`/api/events/${rivalry.id}/purchase`)
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({ quantity: 1 });
+  expect(over.statusCode).toBe(409);
+  expect(over.body.error).toMatch(/4 ticket\(s\) per person.*already have 4/);
+
+  // checking out the hold is still allowed
+  const checkout = await request(app)
+    .post(`/api/events/${rivalry.id}/purchase`)
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({ holdId: hold.body.holdId });
+  expect(checkout.statusCode).toBe(200);
+
+  const after = await db.get("SELECT tickets FROM events WHERE id=?", rivalry.id);
+  expect(after.tickets).toBe(96);
+});
+
+test("GET /api/events searches, filters and sorts", async () => {
+  const search = await request(app).get("/api/events").query({ q: "cert" });
+  expect(search.statusCode).toBe(200);
+  expect(search.body.map((e) => e.name).sort()).toEqual(['Concert']);
+
+  const range = await request(app)
+    .get("/api/events")
+    .query({ from: "2099-01-01", to: "2099-06-30", sort: "-date" });
+  expect(range.body.map((e) => e.name)).toEqual(['Derby', 'Gala']);
+
+  const soldOut = await request(app).get("/api/events").query({ available: "false" });
+  expect(soldOut.body.every((e) => e.tickets === 0)).toBe(true);
+  const open = await request(app).get("/api/events").query({ available: "true", sort: "tickets" });
+  expect(open.body.every((e) => e.tickets > 0)).toBe(true);
+  const counts = open.body.map((e) => e.tickets);
+  expect(counts).toEqual([...counts].sort((a, b) => a - b));
+});
+
+test("GET /api/events paginates with a total count", async () => {
+  const all = await request(app).get("/api/events").query({ sort: "name" });
+  const page = await request(app).get("/api/events").query({ sort: "name", limit: 2, offset: 2 });
+  expect(page.statusCode).toBe(200);
+  expect(page.headers['x-total-count']).toBe(String(all.body.length));
+  expect(page.body).toEqual(all.body.slice(2, 4));
+});
+
+test("GET /api/events rejects invalid query parameters", async () => {
+  for (const query of [{ sort: "price" }, { from: "12/01/2025" }, { limit: 0 }, { offset: -1 }, { available: "yes" }]) {
+    const res = await request(app).get("/api/events").query(query);
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toHaveProperty('error');
+  }
+});
+
+test("GET /api/events/:id returns the event's details", async () => {
+  const showcase = await db.get("SELECT id FROM events WHERE name='Showcase'");
+  const res = await request(app).get(`/api/events/${showcase.id}`);
+  expect(res.statusCode).toBe(200);
+  expect(res.body).toMatchObject({
+    id: showcase.id,
+    name: 'Showcase',
+    tickets: 40,
+    capacity: 50,
+    start_time: '19:00',
+    venue: 'Brooks Center',
+    description: 'Student showcase',
+    category: 'Arts',
+    organizer: 'CU Arts',
+    image_url: 'https://example.com/s.png',
+  });
+
+  expect((await request(app).get("/api/events/999999")).statusCode).toBe(404);
+  expect((await request(app).get("/api/events/abc")).statusCode).toBe(400);
+});
+
+test("the waitlist offers returned seats in order and lapses unclaimed offers", async () => {
+  const finale = await db.get("SELECT id FROM events WHERE name='Finale'");
+  const otherToken = jwt.sign({ id: 'other-user', email: 'other@example.com' }, JWT_SECRET);
+
+  const early = await request(app)
+    .post(`/api/events/${finale.id}/waitlist`)
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({ quantity: 1 });
+  expect(early.statusCode).toBe(409);
+
+  const bought = await request(app)
+    .post(`/api/events/${finale.id}/purchase`)
+    .set('Authorization', `Bearer ${otherToken}`)
+    .send({ quantity: 1 });
+  expect(bought.statusCode).toBe(200);
+
+  const first = await request(app)
+    .post(`/api/events/${finale.id}/waitlist`)
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({ quantity: 1 });
+  expect(first.statusCode).toBe(201);
+  expect(first.body.position).toBe(1);
+  const twice = await request(app)
+    .post(`/api/events/${finale.id}/waitlist`)
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({ quantity: 1 });
+  expect(twice.statusCode).toBe(409);
+
+  const thirdToken = jwt.sign({ id: 'third-user', email: 'third@example.com' }, JWT_SECRET);
+  const second = await request(app)
+    .post(`/api/events/${finale.id}/waitlist`)
+    .set('Authorization', `Bearer ${thirdToken}`)
+    .send({ quantity: 1 });
+  expect(second.body.position).toBe(2);
+
+  // a cancellation offers the seat to the front of the line
+  const cancelled = await request(app)
+    .post(`/api/events/${finale.id}/cancel`)
+    .set('Authorization', `Bearer ${otherToken}`)
+    .send({});
+  expect(cancelled.statusCode).toBe(200);
+  expect(cancelled.body.remainingTickets).toBe(0);
+
+  const mine = await request(app)
+    .get("/api/me/waitlist")
+    .set('Authorization', `Bearer ${authToken}`);
+  expect(mine.body).toEqual([
+    expect.objectContaining({ eventId: finale.id, status: 'offered', position: null }),
+  ]);
+  expect(mine.body[0].holdId).toBeTruthy();
+  expect(mine.body[0].expiresAt).toBeTruthy();
+
+  const notices = await request(app)
+    .get("/api/me/notifications")
+    .set('Authorization', `Bearer ${authToken}`);
+  expect(notices.body[0]).toMatchObject({ eventId: finale.id, type: 'waitlist_offer' });
+
+  // letting the offer lapse passes the seat to the next person in line
+  await db.run("UPDATE holds SET expires_at = datetime('now', '-1 minute') WHERE id = ?", mine.body[0].holdId);
+  const lapsed = await request(app)
+    .post(`/api/events/${finale.id}/waitlist`)
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({ quantity: 1 });
+  expect(lapsed.statusCode).toBe(201);
+  const entry = await db.get(
+    "SELECT status FROM waitlist_entries WHERE event_id = ? AND user_id = 'test-user-123' ORDER BY id LIMIT 1",
+    finale.id
+  );
+  expect(entry.status).toBe('expired');
+
+  const theirs = await request(app)
+    .get("/api/me/waitlist")
+    .set('Authorization', `Bearer ${thirdToken}`);
+  expect(theirs.body[0]).toMatchObject({ status: 'offered' });
+  const claimed = await request(app)
+    .post(`/api/events/${finale.id}/purchase`)
+    .set('Authorization', `Bearer ${thirdToken}`)
+    .send({ holdId: theirs.body[0].holdId });
+  expect(claimed.statusCode).toBe(200);
+  expect((await request(app).get("/api/me/waitlist").set('Authorization', `Bearer ${thirdToken}`)).body).toEqual([]);
+
+  const left = await request(app)
+    .delete(`/api/events/${finale.id}/waitlist`)
+    .set('Authorization', `Bearer ${authToken}`);
+  expect(left.statusCode).toBe(200);
+  expect((await request(app).get("/api/me/waitlist").set('Authorization', `Bearer ${authToken}`)).body).toEqual([]);
+});
+
+test("tiered events sell from the chosen tier at its price", async () => {
+  const festival = await db.get("SELECT id FROM events WHERE name='Festival'");
+  const details = await request(app).get(`/api/events/${festival.id}`);
+  expect(details.body.tiers.map((t) => [t.name, t.price_cents, t.tickets])).toEqual([
+    ['Student', 0, 1],
+    ['General Admission', 2500, 2],
+  ]);
+  const [student, general] = details.body.tiers;
+
+  const untiered = await request(app)
+    .post(`/api/events/${festival.id}/purchase`)
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({ quantity: 1 });
+  expect(untiered.statusCode).toBe(400);
+
+  const bought = await request(app)
+    .post(`/api/events/${festival.id}/purchase`)
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({ quantity: 2, tierId: general.id, unitPriceCents: 1, payment: CARDS.approved });
+  expect(bought.statusCode).toBe(200);
+  expect(bought.body).toMatchObject({
+    tierId: general.id,
+    tierName: 'General Admission',
+    unitPriceCents: 2500,
+    totalCents: 5000,
+    remainingTickets: 1,
+  });
+  const order = await db.get("SELECT tier_id, unit_price_cents, total_cents FROM orders WHERE id = ?", bought.body.orderId);
+  expect(order).toEqual({ tier_id: general.id, unit_price_cents: 2500, total_cents: 5000 });
+
+  // the event still has a seat, but not in this tier
+  const soldOut = await request(app)
+    .post(`/api/events/${festival.id}/purchase`)
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({ quantity: 1, tierId: general.id });
+  expect(soldOut.statusCode).toBe(409);
+
+  const hold = await request(app)
+    .post(`/api/events/${festival.id}/holds`)
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({ quantity: 1, tierId: student.id });
+  expect(hold.body).toMatchObject({ tierId: student.id, remainingTickets: 0 });
+  const free = await request(app)
+    .post(`/api/events/${festival.id}/purchase`)
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({ holdId: hold.body.holdId });
+  expect(free.body).toMatchObject({ tierId: student.id, totalCents: 0 });
+
+  const cancelled = await request(app)
+    .post(`/api/events/${festival.id}/cancel`)
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({ ticketCodes: bought.body.ticketCodes });
+  expect(cancelled.body.remainingTickets).toBe(2);
+  const restocked = await db.get("SELECT tickets FROM ticket_tiers WHERE id = ?", general.id);
+  expect(restocked.tickets).toBe(2);
+
+  const unknown = await request(app)
+    .post(`/api/events/${festival.id}/purchase`)
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({ quantity: 1, tierId: 999999 });
+  expect(unknown.statusCode).toBe(404);
+});
+
+test("signed tickets render as QR codes and check in once at the gate", async () => {
+  const gate = await db.get("SELECT id FROM events WHERE name='Gate'");
+  const bought = await request(app)
+    .post(`/api/events/${gate.id}/purchase`)
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({ quantity: 1 });
+  const [code] = bought.body.ticketCodes;
+
+  const qr = await request(app)
+    .get(`/api/tickets/${code}/qr`)
+    .set('Authorization', `Bearer ${authToken}`);
+  expect(qr.statusCode).toBe(200);
+  expect(qr.headers['content-type']).toBe('image/png');
+  expect(qr.body.subarray(1, 4).toString()).toBe('PNG');
+  const otherToken = jwt.sign({ id: 'other-user', email: 'other@example.com' }, JWT_SECRET);
+  const notMine = await request(app)
+    .get(`/api/tickets/${code}/qr`)
+    .set('Authorization', `Bearer ${otherToken}`);
+  expect(notMine.statusCode).toBe(404);
+
+  // the payload the QR code carries
+  const ticket = await db.get("SELECT id, event_id, user_id FROM tickets WHERE code = ?", code);
+  const key = require('crypto').createHmac('sha256', JWT_SECRET).update('ticket-signing').digest();
+  const payload = jwt.sign({ tid: ticket.id, eid: ticket.event_id, sub: ticket.user_id }, key, { noTimestamp: true });
+
+  // the claims user-authentication signs for an email listed in its STAFF_EMAILS
+  const staffToken = jwt.sign({ id: 'staff-1', email: 'gate@example.com', role: 'staff' }, JWT_SECRET);
+  const denied = await request(app)
+    .post("/api/checkin")
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({ payload });
+  expect(denied.statusCode).toBe(403);
+  // staff access comes from the role claim alone, not from the email
+  const roleless = jwt.sign({ id: 'staff-1', email: 'gate@example.com' }, JWT_SECRET);
+  const noRole = await request(app)
+    .post("/api/checkin")
+    .set('Authorization', `Bearer ${roleless}`)
+    .send({ payload });
+  expect(noRole.statusCode).toBe(403);
+
+  const forged = jwt.sign({ tid: ticket.id, eid: ticket.event_id, sub: ticket.user_id }, 'not-the-key', { noTimestamp: true });
+  const rejected = await request(app)
+    .post("/api/checkin")
+    .set('Authorization', `Bearer ${staffToken}`)
+    .send({ payload: forged });
+  expect(rejected.statusCode).toBe(400);
+
+  const wrongGate = await request(app)
+    .post("/api/checkin")
+    .set('Authorization', `Bearer ${staffToken}`)
+    .send({ payload, eventId: gate.id + 1 });
+  expect(wrongGate.statusCode).toBe(409);
+
+  const admitted = await request(app)
+    .post("/api/checkin")
+    .set('Authorization', `Bearer ${staffToken}`)
+    .send({ payload, eventId: gate.id });
+  expect(admitted.statusCode).toBe(200);
+  expect(admitted.body).toMatchObject({ ticketCode: code, eventId: gate.id, holder: 'test@example.com' });
+
+  const again = await request(app)
+    .post("/api/checkin")
+    .set('Authorization', `Bearer ${staffToken}`)
+    .send({ payload });
+  expect(again.statusCode).toBe(409);
+  expect(again.body.checkedInAt).toBe(admitted.body.checkedInAt);
+
+  // a used ticket can no longer be cancelled for a refund
+  const cancel = await request(app)
+    .post(`/api/events/${gate.id}/cancel`)
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({ ticketCodes: [code] });
+  expect(cancel.statusCode).toBe(409);
+});
+
+test("tickets move to another account only once the recipient accepts", async () => {
+  const relay = await db.get("SELECT id FROM events WHERE name='Relay'");
+  const otherToken = jwt.sign({ id: 'other-user', email: 'other@example.com' }, JWT_SECRET);
+  const bought = await request(app)
+    .post(`/api/events/${relay.id}/purchase`)
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({ quantity: 3 });
+  const [first, second, third] = bought.body.ticketCodes;
+
+  const toSelf = await request(app)
+    .post("/api/transfers")
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({ ticketCodes: [first], toEmail: 'TEST@example.com' });
+  expect(toSelf.statusCode).toBe(400);
+
+  const sent = await request(app)
+    .post("/api/transfers")
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({ ticketCodes: [first, second], toEmail: 'Other@Example.com' });
+  expect(sent.statusCode).toBe(201);
+  expect(sent.body).toMatchObject({ toEmail: 'other@example.com', status: 'pending' });
+
+  const unknown = await request(app)
+    .post("/api/transfers")
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({ ticketCodes: [third], toEmail: 'nobody@example.com' });
+  expect(unknown.statusCode).toBe(404);
+  expect(unknown.body.error).toMatch(/No account/);
+
+  // offered tickets are locked until the transfer is answered
+  const again = await request(app)
+    .post("/api/transfers")
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({ ticketCodes: [second], toEmail: 'third@example.com' });
+  expect(again.statusCode).toBe(409);
+  const cancel = await request(app)
+    .post(`/api/events/${relay.id}/cancel`)
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({ ticketCodes: [first] });
+  expect(cancel.statusCode).toBe(409);
+
+  const inbox = await request(app)
+    .get("/api/me/transfers")
+    .set('Authorization', `Bearer ${otherToken}`);
+  expect(inbox.body.incoming).toHaveLength(1);
+  expect(inbox.body.incoming[0].tickets.map((t) => t.code)).toEqual([first, second]);
+
+  const thirdToken = jwt.sign({ id: 'third-user', email: 'third@example.com' }, JWT_SECRET);
+  const stranger = await request(app)
+    .post(`/api/transfers/${sent.body.transferId}/accept`)
+    .set('Authorization', `Bearer ${thirdToken}`);
+  expect(stranger.statusCode).toBe(404);
+
+  const accepted = await request(app)
+    .post(`/api/transfers/${sent.body.transferId}/accept`)
+    .set('Authorization', `Bearer ${otherToken}`);
+  expect(accepted.statusCode).toBe(200);
+  expect(accepted.body.ticketCodes).toHaveLength(2);
+  expect(accepted.body.ticketCodes).not.toContain(first);
+
+  const theirs = await request(app).get("/api/me/tickets").set('Authorization', `Bearer ${otherToken}`);
+  expect(theirs.body.find((g) => g.eventId === relay.id).ticketCodes).toEqual(accepted.body.ticketCodes);
+  const mine = await request(app).get("/api/me/tickets").set('Authorization', `Bearer ${authToken}`);
+  expect(mine.body.find((g) => g.eventId === relay.id).ticketCodes).toEqual([third]);
+
+  // the old code and QR payload are void
+  const oldQr = await request(app).get(`/api/tickets/${first}/qr`).set('Authorization', `Bearer ${authToken}`);
+  expect(oldQr.statusCode).toBe(404);
+  const old = await db.get("SELECT id, event_id, user_id FROM tickets WHERE code = ?", first);
+  const key = require('crypto').createHmac('sha256', JWT_SECRET).update('ticket-signing').digest();
+  const staffToken = jwt.sign({ id: 'staff-1', email: 'gate@example.com', role: 'staff' }, JWT_SECRET);
+  const scan = await request(app)
+    .post("/api/checkin")
+    .set('Authorization', `Bearer ${staffToken}`)
+    .send({ payload: jwt.sign({ tid: old.id, eid: old.event_id, sub: old.user_id }, key, { noTimestamp: true }) });
+  expect(scan.statusCode).toBe(409);
+  expect(scan.body.error).toMatch(/transferred/);
+
+  // a declined transfer leaves the ticket with its holder
+  const offered = await request(app)
+    .post("/api/transfers")
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({ ticketCodes: [third], toEmail: 'other@example.com' });
+  const declined = await request(app)
+    .post(`/api/transfers/${offered.body.transferId}/decline`)
+    .set('Authorization', `Bearer ${otherToken}`);
+  expect(declined.body.status).toBe('declined');
+  const sentList = await request(app).get("/api/me/transfers").set('Authorization', `Bearer ${authToken}`);
+  expect(sentList.body.outgoing.map((t) => t.status)).toEqual(['declined', 'accepted']);
+  const kept = await request(app)
+    .post(`/api/events/${relay.id}/cancel`)
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({ ticketCodes: [third] });
+  expect(kept.statusCode).toBe(200);
+});
+
+test("promo codes discount orders on the server with clear rejections", async () => {
+  const benefit = await db.run("INSERT INTO events (name, date, tickets) VALUES ('Benefit', '2099-12-10', 20)");
+  const eventId = benefit.lastID;
+  const ga = await db.run("INSERT INTO ticket_tiers (event_id, name, price_cents, tickets) VALUES (?, 'GA', 1000, 10)", eventId);
+  const vip = await db.run("INSERT INTO ticket_tiers (event_id, name, price_cents, tickets) VALUES (?, 'VIP', 5000, 10)", eventId);
+  await db.run(
+    `INSERT INTO promo_codes (code, discount_type, discount_value, event_id, tier_id, max_uses, max_uses_per_user, expires_at) VALUES
+       ('SAVE10', 'percent', 10, ?, NULL, NULL, 1, NULL),
+       ('VIPOFF', 'fixed', 2000, ?, ?, NULL, NULL, NULL),
+       ('OLDCODE', 'percent', 50, NULL, NULL, NULL, NULL, '2000-01-01 00:00:00'),
+       ('ONCE', 'fixed', 100, NULL, NULL, 1, NULL, NULL),
+       ('COMP', 'percent', 100, NULL, NULL, NULL, NULL, NULL)`,
+    [eventId, eventId, vip.lastID]
+  );
+  const buy = (body, token = authToken) => request(app)
+    .post(`/api/events/${eventId}/purchase`)
+    .set('Authorization', `Bearer ${token}`)
+    .send({ payment: CARDS.approved, ...body });
+
+  const discounted = await buy({ quantity: 3, tierId: ga.lastID, promoCode: 'save10' });
+  expect(discounted.statusCode).toBe(200);
+  expect(discounted.body).toMatchObject({ subtotalCents: 3000, promoCode: 'SAVE10', discountCents: 300, totalCents: 2700 });
+  const prices = await db.all("SELECT price_cents FROM tickets WHERE order_id = ?", discounted.body.orderId);
+  expect(prices.map((t) => t.price_cents)).toEqual([900, 900, 900]);
+
+  const rejections = [
+    [{ quantity: 1, tierId: ga.lastID, promoCode: 'SAVE10' }, /per person/],
+    [{ quantity: 1, tierId: ga.lastID, promoCode: 'VIPOFF' }, /ticket tier/],
+    [{ quantity: 1, tierId: ga.lastID, promoCode: 'OLDCODE' }, /expired/],
+    [{ quantity: 1, tierId: ga.lastID, promoCode: 'NOPE' }, /not found/],
+  ];
+  for (const [body, reason] of rejections) {
+    const res = await buy(body);
+    expect(res.statusCode).toBe(422);
+    expect(res.body.error).toMatch(reason);
+  }
+
+  const otherToken = jwt.sign({ id: 'other-user', email: 'other@example.com' }, JWT_SECRET);
+  expect((await buy({ quantity: 1, tierId: ga.lastID, promoCode: 'ONCE' }, otherToken)).statusCode).toBe(200);
+  const capped = await buy({ quantity: 1, tierId: ga.lastID, promoCode: 'ONCE' });
+  expect(capped.statusCode).toBe(422);
+  expect(capped.body.error).toMatch(/usage limit/);
+
+  const vipDeal = await buy({ quantity: 1, tierId: vip.lastID, promoCode: 'VIPOFF' });
+  expect(vipDeal.body).toMatchObject({ discountCents: 2000, totalCents: 3000 });
+  const comp = await buy({ quantity: 1, tierId: vip.lastID, promoCode: 'COMP' });
+  expect(comp.body).toMatchObject({ discountCents: 5000, totalCents: 0 });
+
+  // rejected orders left inventory untouched
+  const tiers = await db.all("SELECT tickets FROM ticket_tiers WHERE event_id = ? ORDER BY id", eventId);
+  expect(tiers.map((t) => t.tickets)).toEqual([6, 8]);
+});
+
+test("paid orders commit only after the payment is captured", async () => {
+  const gig = await db.run("INSERT INTO events (name, date, tickets) VALUES ('Gig', '2099-12-12', 10)");
+  const eventId = gig.lastID;
+  const tier = await db.run("INSERT INTO ticket_tiers (event_id, name, price_cents, tickets) VALUES (?, 'GA', 1500, 10)", eventId);
+  const buy = (body) => request(app)
+    .post(`/api/events/${eventId}/purchase`)
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({ quantity: 2, tierId: tier.lastID, ...body });
+
+  const failures = [
+    [{}, 402, /required/],
+    [{ payment: CARDS.declined }, 402, /declined/],
+    [{ payment: CARDS.captureDeclined }, 402, /declined at capture/],
+    [{ payment: CARDS.timeout }, 504, /timed out/],
+    [{ payment: { cardNumber: '1234' } }, 402, /not valid/],
+  ];
+  for (const [body, status, reason] of failures) {
+    const res = await buy(body);
+    expect(res.statusCode).toBe(status);
+    expect(res.body.error).toMatch(reason);
+  }
+  expect((await buy({ payment: 'card' })).statusCode).toBe(400);
+
+  // every failed attempt rolled back its seats and left no order behind
+  expect((await db.get("SELECT tickets FROM ticket_tiers WHERE id = ?", tier.lastID)).tickets).toBe(10);
+  expect((await db.get("SELECT COUNT(*) AS n FROM orders WHERE event_id = ?", eventId)).n).toBe(0);
+
+  const paid = await buy({ payment: CARDS.approved });
+  expect(paid.statusCode).toBe(200);
+  expect(paid.body).toMatchObject({ totalCents: 3000, remainingTickets: 8 });
+  const order = await db.get(
+    "SELECT payment_provider, payment_capture_id, refunded_cents FROM orders WHERE id = ?",
+    paid.body.orderId
+  );
+  expect(order).toMatchObject({ payment_provider: 'mock', refunded_cents: 0 });
+  expect(order.payment_capture_id).toMatch(/^cap_/);
+
+  const cancelled = await request(app)
+    .post(`/api/events/${eventId}/cancel`)
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({ ticketCodes: [paid.body.ticketCodes[0]] });
+  expect(cancelled.body).toMatchObject({ cancelled: 1, refundedCents: 1500 });
+  const refunded = await db.get("SELECT refunded_cents FROM orders WHERE id = ?", paid.body.orderId);
+  expect(refunded.refunded_cents).toBe(1500);
+});
+
+test("a refund the provider refuses stays queued without undoing the cancellation", async () => {
+  const gig = await db.run("INSERT INTO events (name, date, tickets) VALUES ('Encore', '2099-12-13', 10)");
+  const eventId = gig.lastID;
+  const tier = await db.run("INSERT INTO ticket_tiers (event_id, name, price_cents, tickets) VALUES (?, 'GA', 1500, 10)", eventId);
+  const buy = () => request(app)
+    .post(`/api/events/${eventId}/purchase`)
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({ quantity: 1, tierId: tier.lastID, payment: CARDS.approved });
+  const first = await buy();
+  const second = await buy();
+  expect([first.statusCode, second.statusCode]).toEqual([200, 200]);
+
+  // The second order was paid through a provider that turns refunds down
+  // and notes whether it is ever called while the database is locked
+  const { registerPaymentProvider, PaymentError } = await import('../payments/index.js');
+  let declining = true;
+  const lockedDuringRefund = [];
+  registerPaymentProvider({
+    name: 'flaky',
+    refund: async () => {
+      lockedDuringRefund.push(await db.exec('BEGIN IMMEDIATE; ROLLBACK;').then(() => false, () => true));
+      if (declining) throw new PaymentError('refund_failed', 'Refunds are unavailable');
+      return { refundId: 'ref_flaky' };
+    },
+  });
+  await db.run("UPDATE orders SET payment_provider = 'flaky' WHERE id = ?", second.body.orderId);
+
+  const cancelled = await request(app)
+    .post(`/api/events/${eventId}/cancel`)
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({ quantity: 2 });
+  expect(cancelled.statusCode).toBe(200);
+  expect(cancelled.body).toMatchObject({ cancelled: 2, refundedCents: 1500, refundPendingCents: 1500, remainingTickets: 10 });
+  const orders = () => db.all(
+    "SELECT refunded_cents, refund_due_cents FROM orders WHERE id IN (?, ?) ORDER BY id",
+    [first.body.orderId, second.body.orderId]
+  );
+  expect(await orders()).toEqual([
+    { refunded_cents: 1500, refund_due_cents: 0 },
+    { refunded_cents: 0, refund_due_cents: 1500 },
+  ]);
+  expect(lockedDuringRefund).toEqual([false]);
+
+  // The refund sweep pays it once the provider accepts it
+  declining = false;
+  const { payDueRefunds } = await import('../purchases/purchaseService.js');
+  expect(await payDueRefunds(db, inTransaction, [second.body.orderId])).toEqual({ refundedCents: 1500, failed: 0 });
+  expect((await orders())[1]).toEqual({ refunded_cents: 1500, refund_due_cents: 0 });
+});
+
+test("cart checkout buys every line in one transaction or none of them", async () => {
+  const home = await db.run("INSERT INTO events (name, date, tickets, max_per_user) VALUES ('Home Game', '2099-09-05', 5, 4)");
+  const away = await db.run("INSERT INTO events (name, date, tickets) VALUES ('Away Game', '2099-09-06', 1)");
+  const bowl = await db.run("INSERT INTO events (name, date, tickets) VALUES ('Bowl Game', '2099-09-07', 10)");
+  const seats = await db.run("INSERT INTO ticket_tiers (event_id, name, price_cents, tickets) VALUES (?, 'Seats', 2000, 10)", bowl.lastID);
+  const checkout = (body, key) => {
+    const req = request(app).post("/api/checkout").set('Authorization', `Bearer ${authToken}`);
+    if (key) req.set('Idempotency-Key', key);
+    return req.send(body);
+  };
+  const remaining = async () => (await db.all(
+    "SELECT tickets FROM events WHERE id IN (?, ?, ?) ORDER BY id", home.lastID, away.lastID, bowl.lastID
+  )).map((e) => e.tickets);
+
+  const malformed = await checkout({ lines: [{ eventId: home.lastID, quantity: 0 }, { eventId: home.lastID, quantity: 1 }, { eventId: home.lastID, quantity: 1 }] });
+  expect(malformed.statusCode).toBe(400);
+  expect(malformed.body.lines).toEqual([
+    { index: 0, eventId: home.lastID, error: "Invalid ticket quantity" },
+    { index: 2, eventId: home.lastID, error: expect.stringMatching(/Duplicate/) },
+  ]);
+  expect((await checkout({ lines: [] })).statusCode).toBe(400);
+
+  const partial = await checkout({
+    lines: [
+      { eventId: home.lastID, quantity: 2 },
+      { eventId: away.lastID, quantity: 2 },
+      { eventId: bowl.lastID, quantity: 1 },
+      { eventId: 999999, quantity: 1 },
+    ],
+  });
+  expect(partial.statusCode).toBe(409);
+  expect(partial.body.lines).toEqual([
+    { index: 1, eventId: away.lastID, error: "Not enough tickets available" },
+    { index: 2, eventId: bowl.lastID, error: expect.stringMatching(/tierId/) },
+    { index: 3, eventId: 999999, error: "Event not found" },
+  ]);
+  expect(await remaining()).toEqual([5, 1, 10]);
+
+  const lines = [
+    { eventId: home.lastID, quantity: 2 },
+    { eventId: away.lastID, quantity: 1 },
+    { eventId: bowl.lastID, quantity: 2, tierId: seats.lastID },
+  ];
+  const declined = await checkout({ lines, payment: CARDS.declined });
+  expect(declined.statusCode).toBe(402);
+  expect(await remaining()).toEqual([5, 1, 10]);
+
+  const bought = await checkout({ lines, payment: CARDS.approved }, 'cart-1');
+  expect(bought.statusCode).toBe(200);
+  expect(bought.body.totalCents).toBe(4000);
+  expect(bought.body.orders.map((o) => [o.eventId, o.purchased, o.ticketCodes.length, o.remainingTickets])).toEqual([
+    [home.lastID, 2, 2, 3],
+    [away.lastID, 1, 1, 0],
+    [bowl.lastID, 2, 2, 8],
+  ]);
+  const captures = await db.all(
+    "SELECT DISTINCT payment_capture_id FROM orders WHERE id IN (?, ?, ?)",
+    bought.body.orders.map((o) => o.orderId)
+  );
+  expect(captures).toHaveLength(1);
+
+  const retried = await checkout({ lines, payment: CARDS.approved }, 'cart-1');
+  expect(retried.headers['idempotent-replayed']).toBe('true');
+  expect(retried.body).toEqual(bought.body);
+  expect(await remaining()).toEqual([3, 0, 8]);
+
+  // per-user limits count tickets bought in earlier carts
+  const overLimit = await checkout({
+    lines: [{ eventId: home.lastID, quantity: 3 }, { eventId: bowl.lastID, quantity: 1, tierId: seats.lastID }],
+    payment: CARDS.approved,
+  });
+  expect(overLimit.statusCode).toBe(409);
+  expect(overLimit.body.lines).toEqual([{ index: 0, eventId: home.lastID, error: expect.stringMatching(/per person/) }]);
+  expect(await remaining()).toEqual([3, 0, 8]);
+});
+
+test("single purchases and cart lines fail the same way", async () => {
+  const tiny = await db.run("INSERT INTO events (name, date, tickets) VALUES ('Tiny Gig', '2099-12-20', 1)");
+  const attempts = [
+    [999999, { error: "Event not found" }],
+    [tiny.lastID, { error: "Not enough tickets available" }],
+  ];
+  for (const [eventId, failure] of attempts) {
+    const single = await request(app)
+      .post(`/api/events/${eventId}/purchase`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ quantity: 2 });
+    const cart = await request(app)
+      .post("/api/checkout")
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ lines: [{ eventId, quantity: 2 }] });
+    expect(single.body).toEqual(failure);
+    expect(cart.body.lines).toEqual([{ index: 0, eventId, ...failure }]);
+  }
+
+  const unauthenticated = await request(app).post(`/api/events/${tiny.lastID}/purchase`).send({ quantity: 1 });
+  expect(unauthenticated.statusCode).toBe(401);
+});
+
+test("eligibility rules decide who may buy, hold, wait for and receive tickets", async () => {
+  const section = await db.run("INSERT INTO events (name, date, tickets) VALUES ('Student Section', '2099-09-12', 10)");
+  const eventId = section.lastID;
+  await db.run(
+    `INSERT INTO event_eligibility_rules (event_id, rule_type, value) VALUES
+       (?, 'email_domain', 'clemson.edu'), (?, 'role', 'student')`,
+    [eventId, eventId]
+  );
+  const student = jwt.sign({ id: 'student-1', email: 'tiger@clemson.edu', role: 'student', email_verified: true }, JWT_SECRET);
+  const unverified = jwt.sign({ id: 'student-2', email: 'cub@clemson.edu', role: 'student' }, JWT_SECRET);
+  const alumnus = jwt.sign({ id: 'alum-1', email: 'alum@gmail.com', role: 'student' }, JWT_SECRET);
+  const staffer = jwt.sign({ id: 'staff-2', email: 'staff@clemson.edu', role: 'staff', email_verified: true }, JWT_SECRET);
+  const post = (url, token, body) => request(app).post(url).set('Authorization', `Bearer ${token}`).send(body);
+
+  const listed = await request(app).get(`/api/events/${eventId}`);
+  expect(listed.body.eligibility).toEqual({ emailDomains: ['clemson.edu'], roles: ['student'], inviteOnly: false });
+
+  // accounts from /register have no role and any email domain
+  const publicBuy = await post(`/api/events/${eventId}/purchase`, authToken, { quantity: 1 });
+  expect(publicBuy.statusCode).toBe(403);
+  expect(publicBuy.body.error).toMatch(/@clemson\.edu/);
+  const wrongRole = await post(`/api/events/${eventId}/purchase`, staffer, { quantity: 1 });
+  expect(wrongRole.statusCode).toBe(403);
+  expect(wrongRole.body.error).toMatch(/student/);
+  // anyone can register a @clemson.edu address, so it only counts once verified
+  const selfAsserted = await post(`/api/events/${eventId}/purchase`, unverified, { quantity: 1 });
+  expect(selfAsserted.statusCode).toBe(403);
+  expect(selfAsserted.body.error).toMatch(/verified/);
+  expect((await post(`/api/events/${eventId}/holds`, alumnus, { quantity: 1 })).statusCode).toBe(403);
+  const cart = await post("/api/checkout", alumnus, { lines: [{ eventId, quantity: 1 }] });
+  expect(cart.statusCode).toBe(409);
+  expect(cart.body.lines[0].error).toMatch(/@clemson\.edu/);
+
+  const bought = await post(`/api/events/${eventId}/purchase`, student, { quantity: 2 });
+  expect(bought.statusCode).toBe(200);
+
+  // tickets cannot be handed to someone who could not have bought them
+  const offered = await post("/api/transfers", student, { ticketCodes: [bought.body.ticketCodes[0]], toEmail: 'alum@gmail.com' });
+  expect(offered.statusCode).toBe(201);
+  const refused = await post(`/api/transfers/${offered.body.transferId}/accept`, alumnus);
+  expect(refused.statusCode).toBe(403);
+
+  await db.run("UPDATE events SET tickets = 0 WHERE id = ?", eventId);
+  expect((await post(`/api/events/${eventId}/waitlist`, alumnus, { quantity: 1 })).statusCode).toBe(403);
+  expect((await post(`/api/events/${eventId}/waitlist`, student, { quantity: 1 })).statusCode).toBe(201);
+
+  await db.run("DELETE FROM event_eligibility_rules WHERE event_id = ?", eventId);
+  await db.run("INSERT INTO event_eligibility_rules (event_id, rule_type, value) VALUES (?, 'invite_email', 'alum@gmail.com')", eventId);
+  const invited = await request(app).get(`/api/events/${eventId}`);
+  expect(invited.body.eligibility).toEqual({ emailDomains: [], roles: [], inviteOnly: true });
+  expect((await post(`/api/transfers/${offered.body.transferId}/accept`, alumnus)).statusCode).toBe(200);
+});
+
+test("assigned-seat events sell the seats buyers pick, each only once", async () => {
+  const venue = await db.run("INSERT INTO venues (name) VALUES ('Littlejohn')");
+  for (const [section, row, number] of [['101', 'A', '1'], ['101', 'A', '2'], ['101', 'B', '1'], ['102', 'A', '1']]) {
+    await db.run(
+      "INSERT INTO venue_seats (venue_id, section, row_label, seat_number) VALUES (?, ?, ?, ?)",
+      [venue.lastID, section, row, number]
+    );
+  }
+  const seats = await db.all("SELECT id FROM venue_seats WHERE venue_id = ? ORDER BY id", venue.lastID);
+  const [a1, a2, b1, c1] = seats.map((s) => s.id);
+  const game = await db.run(
+    "INSERT INTO events (name, date, tickets, venue_id) VALUES ('Tip-Off', '2099-11-15', 4, ?)",
+    venue.lastID
+  );
+  const eventId = game.lastID;
+  const fan = jwt.sign({ id: 'fan-seat', email: 'fan@example.com' }, JWT_SECRET);
+  const post = (url, token, body) => request(app).post(url).set('Authorization', `Bearer ${token}`).send(body);
+
+  const map = await request(app).get(`/api/events/${eventId}/seats`);
+  expect(map.statusCode).toBe(200);
+  expect(map.body.venue.name).toBe('Littlejohn');
+  expect(map.body.sections.map((s) => [s.name, s.rows.map((r) => r.label)])).toEqual([['101', ['A', 'B']], ['102', ['A']]]);
+  expect(map.body.sections[0].rows[0].seats).toEqual([
+    { id: a1, number: '1', available: true },
+    { id: a2, number: '2', available: true },
+  ]);
+  const [gaEvent] = await db.all("SELECT id FROM events WHERE venue_id IS NULL LIMIT 1");
+  expect((await request(app).get(`/api/events/${gaEvent.id}/seats`)).statusCode).toBe(404);
+  expect((await post(`/api/events/${gaEvent.id}/purchase`, authToken, { seatIds: [a1] })).statusCode).toBe(400);
+
+  expect((await post(`/api/events/${eventId}/purchase`, authToken, { quantity: 1 })).statusCode).toBe(400);
+  expect((await post(`/api/events/${eventId}/purchase`, authToken, { seatIds: [a1, a1] })).statusCode).toBe(400);
+  expect((await post(`/api/events/${eventId}/purchase`, authToken, { seatIds: [a1], quantity: 2 })).statusCode).toBe(400);
+
+  const bought = await post(`/api/events/${eventId}/purchase`, authToken, { seatIds: [a1, a2] });
+  expect(bought.statusCode).toBe(200);
+  expect(bought.body).toMatchObject({ purchased: 2, seatIds: [a1, a2], remainingTickets: 2 });
+
+  // a seat already sold fails the whole request and takes nothing
+  const clash = await post(`/api/events/${eventId}/purchase`, fan, { seatIds: [b1, a2] });
+  expect(clash.statusCode).toBe(409);
+  expect(clash.body.error).toMatch(/Section 101, Row A, Seat 2/);
+  const after = await request(app).get(`/api/events/${eventId}/seats`);
+  expect(after.body.sections[0].rows.flatMap((r) => r.seats).map((s) => s.available)).toEqual([false, false, true]);
+
+  const hold = await post(`/api/events/${eventId}/holds`, fan, { seatIds: [b1] });
+  expect(hold.statusCode).toBe(201);
+  expect(hold.body).toMatchObject({ quantity: 1, seatIds: [b1] });
+  expect((await post(`/api/events/${eventId}/purchase`, authToken, { seatIds: [b1] })).statusCode).toBe(409);
+  const checkout = await post(`/api/events/${eventId}/purchase`, fan, { holdId: hold.body.holdId });
+  expect(checkout.statusCode).toBe(200);
+  expect(checkout.body.seatIds).toEqual([b1]);
+
+  const cart = await post("/api/checkout", fan, { lines: [{ eventId, seatIds: [c1] }] });
+  expect(cart.statusCode).toBe(200);
+
+  const mine = await request(app).get("/api/me/tickets").set('Authorization', `Bearer ${authToken}`);
+  expect(mine.body.find((g) => g.eventId === eventId).seats).toEqual([
+    'Section 101, Row A, Seat 1', 'Section 101, Row A, Seat 2',
+  ]);
+
+  // cancelling frees the seat for the next buyer
+  const cancelled = await post(`/api/events/${eventId}/cancel`, authToken, { ticketCodes: [bought.body.ticketCodes[1]] });
+  expect(cancelled.statusCode).toBe(200);
+  expect((await post(`/api/events/${eventId}/purchase`, fan, { seatIds: [a2] })).statusCode).toBe(200);
+});
+
+test("the waiting room admits shoppers in order, a few at a time", async () => {
+  const game = await db.run(
+    "INSERT INTO events (name, date, tickets, waiting_room_limit) VALUES ('Palmetto Bowl', '2099-11-28', 50, 1)"
+  );
+  const eventId = game.lastID;
+  const [first, second, third, fourth] = ['q-1', 'q-2', 'q-3', 'q-4']
+    .map((id) => jwt.sign({ id, email: `${id}@example.com` }, JWT_SECRET));
+  const send = (method, url, token, body) =>
+    request(app)[method](url).set('Authorization', `Bearer ${token}`).send(body);
+  const queueUrl = `/api/events/${eventId}/queue`;
+  const buyUrl = `/api/events/${eventId}/purchase`;
+
+  expect((await send('post', buyUrl, first, { quantity: 1 })).statusCode).toBe(403);
+  const gaEvent = await db.get("SELECT id FROM events WHERE waiting_room_limit IS NULL LIMIT 1");
+  expect((await send('post', `/api/events/${gaEvent.id}/queue`, first)).statusCode).toBe(409);
+
+  const admitted = await send('post', queueUrl, first);
+  expect(admitted.statusCode).toBe(201);
+  expect(admitted.body).toMatchObject({ status: 'admitted', position: 0, estimatedWaitSeconds: 0 });
+  expect(admitted.body.queueToken).toEqual(expect.any(String));
+  const waiting = await send('post', queueUrl, second);
+  expect(waiting.body).toMatchObject({ status: 'waiting', position: 1, estimatedWaitSeconds: 600, queueToken: null });
+  expect((await send('post', queueUrl, third)).body).toMatchObject({ position: 2, estimatedWaitSeconds: 1200 });
+  expect((await send('post', queueUrl, first)).statusCode).toBe(200);
+
+  // tokens belong to one shopper and are used up by their purchase
+  const { queueToken } = admitted.body;
+  expect((await send('post', buyUrl, second, { quantity: 1, queueToken })).statusCode).toBe(403);
+  expect((await send('post', `/api/events/${eventId}/holds`, second, { quantity: 1, queueToken })).statusCode).toBe(403);
+  expect((await send('post', buyUrl, first, { quantity: 2, queueToken })).statusCode).toBe(200);
+  expect((await send('post', buyUrl, first, { quantity: 1, queueToken })).statusCode).toBe(403);
+
+  const turn = await send('get', queueUrl, second);
+  expect(turn.body.status).toBe('admitted');
+  expect((await send('get', queueUrl, third)).body.position).toBe(1);
+
+  // leaving passes the turn on; carts need the token on their line
+  expect((await send('delete', queueUrl, second)).statusCode).toBe(200);
+  const thirdTurn = await send('get', queueUrl, third);
+  expect(thirdTurn.body.status).toBe('admitted');
+  const cart = await send('post', '/api/checkout', third, { lines: [{ eventId, quantity: 1, queueToken: thirdTurn.body.queueToken }] });
+  expect(cart.statusCode).toBe(200);
+  expect((await send('get', queueUrl, third)).body.status).toBe('done');
+
+  // unused turns lapse when the token expires
+  expect((await send('post', queueUrl, fourth)).body.status).toBe('admitted');
+  await db.run("UPDATE waiting_room_entries SET expires_at = datetime('now', '-1 minute') WHERE user_id = 'q-4'");
+  expect((await send('get', queueUrl, fourth)).body).toMatchObject({ status: 'expired', queueToken: null });
+  expect((await send('get', queueUrl, authToken)).statusCode).toBe(404);
+});
+
+test("sale windows keep tickets off sale before they open and after they close", async () => {
+  const upcoming = await db.run(
+    "INSERT INTO events (name, date, tickets, sale_starts_at, waiting_room_limit) VALUES ('Bowl Game', '2099-12-30', 10, datetime('now', '+2 hours'), 1)"
+  );
+  const closing = await db.run(
+    "INSERT INTO events (name, date, tickets, sale_ends_at) VALUES ('Spring Game', '2099-04-12', 10, datetime('now', '+1 hour'))"
+  );
+  const send = (method, url, body) =>
+    request(app)[method](url).set('Authorization', `Bearer ${authToken}`).send(body);
+
+  const listed = await request(app).get(`/api/events/${upcoming.lastID}`);
+  expect(listed.body.sale.status).toBe('upcoming');
+  expect(listed.body.sale.secondsUntilStart).toBeGreaterThan(7000);
+  expect(listed.body.sale.secondsUntilEnd).toBeNull();
+  const all = await request(app).get('/api/events').query({ q: 'Spring Game' });
+  expect(all.body[0].sale).toMatchObject({ status: 'on_sale', secondsUntilStart: null });
+  expect(all.body[0].sale.secondsUntilEnd).toBeGreaterThan(3500);
+
+  const early = await send('post', `/api/events/${upcoming.lastID}/purchase`, { quantity: 1 });
+  expect(early.statusCode).toBe(409);
+  expect(early.body.error).toMatch(/not on sale yet/);
+  expect((await send('post', `/api/events/${upcoming.lastID}/holds`, { quantity: 1 })).statusCode).toBe(409);
+  const earlyCart = await send('post', '/api/checkout', { lines: [{ eventId: upcoming.lastID, quantity: 1 }] });
+  expect(earlyCart.body.lines[0].error).toMatch(/not on sale yet/);
+
+  // the waiting room line forms early and lets people in when sales open
+  const inLine = await send('post', `/api/events/${upcoming.lastID}/queue`);
+  expect(inLine.body).toMatchObject({ status: 'waiting', position: 1 });
+  expect(inLine.body.estimatedWaitSeconds).toBeGreaterThan(7000);
+  await db.run("UPDATE events SET sale_starts_at = datetime('now', '-1 minute') WHERE id = ?", upcoming.lastID);
+  expect((await send('get', `/api/events/${upcoming.lastID}/queue`)).body.status).toBe('admitted');
+
+  // a hold placed during the sale can still be checked out after it closes
+  const hold = await send('post', `/api/events/${closing.lastID}/holds`, { quantity: 1 });
+  expect(hold.statusCode).toBe(201);
+  await db.run("UPDATE events SET sale_ends_at = datetime('now', '-1 minute') WHERE id = ?", closing.lastID);
+  const late = await send('post', `/api/events/${closing.lastID}/purchase`, { quantity: 1 });
+  expect(late.statusCode).toBe(409);
+  expect(late.body.error).toMatch(/closed/);
+  expect((await send('post', `/api/events/${closing.lastID}/waitlist`, { quantity: 1 })).statusCode).toBe(409);
+  expect((await request(app).get(`/api/events/${closing.lastID}`)).body.sale.status).toBe('closed');
+  expect((await send('post', `/api/events/${closing.lastID}/purchase`, { holdId: hold.body.holdId })).statusCode).toBe(200);
+});
+
+test("lottery events take entries instead of sales and are drawn once entries close", async () => {
+  const created = await db.run(
+    `INSERT INTO events (name, date, tickets, lottery_closes_at, lottery_max_tickets)
+     VALUES ('Homecoming Lottery', '2099-10-20', 2, datetime('now', '+1 hour'), 2)`
+  );
+  const id = created.lastID;
+  const tokenFor = (userId) => jwt.sign({ id: userId, email: `${userId}@example.com` }, JWT_SECRET, { expiresIn: '1h' });
+  const send = (method, url, body, token = authToken) =>
+    request(app)[method](url).set('Authorization', `Bearer ${token}`).send(body);
+
+  const listed = await request(app).get(`/api/events/${id}`);
+  expect(listed.body.lottery).toMatchObject({ status: 'open', maxTickets: 2, secondsUntilOpen: null });
+
+  // first come, first served is off until the draw
+  const bought = await send('post', `/api/events/${id}/purchase`, { quantity: 1 });
+  expect(bought.statusCode).toBe(409);
+  expect(bought.body.error).toMatch(/allocated by lottery/);
+  expect((await send('post', `/api/events/${id}/holds`, { quantity: 1 })).statusCode).toBe(409);
+  expect((await send('post', `/api/events/${id}/waitlist`, { quantity: 1 })).statusCode).toBe(409);
+
+  expect((await send('post', `/api/events/${id}/lottery`, { quantity: 3 })).statusCode).toBe(422);
+  const entered = await send('post', `/api/events/${id}/lottery`, { quantity: 1 });
+  expect(entered.statusCode).toBe(201);
+  expect(entered.body).toMatchObject({ eventId: id, quantity: 1, status: 'entered', rank: null });
+  expect((await send('post', `/api/events/${id}/lottery`, { quantity: 1 })).statusCode).toBe(409);
+  for (const userId of ['lottery-b', 'lottery-c']) {
+    expect((await send('post', `/api/events/${id}/lottery`, { quantity: 1 }, tokenFor(userId))).statusCode).toBe(201);
+  }
+  expect((await send('delete', `/api/events/${id}/lottery`, undefined, tokenFor('lottery-c'))).statusCode).toBe(200);
+  expect((await send('post', `/api/events/${id}/lottery`, { quantity: 1 }, tokenFor('lottery-c'))).statusCode).toBe(201);
+
+  // checking an entry never draws; the sweep does once entries close
+  await db.run("UPDATE events SET lottery_closes_at = datetime('now', '-1 minute') WHERE id = ?", id);
+  const waiting = await send('get', `/api/events/${id}/lottery`);
+  expect(waiting.body).toMatchObject({ status: 'entered', rank: null });
+  expect((await db.get("SELECT lottery_drawn_at FROM events WHERE id = ?", id)).lottery_drawn_at).toBeNull();
+  const { drawDueLotteries } = require('../../shared-db/lottery.js');
+  const draws = await inTransaction(() => drawDueLotteries(db));
+  expect(draws.map((d) => d.eventId)).toContain(id);
+  const results = [];
+  for (const token of [authToken, tokenFor('lottery-b'), tokenFor('lottery-c')]) {
+    const res = await send('get', `/api/events/${id}/lottery`, undefined, token);
+    expect(res.statusCode).toBe(200);
+    results.push(res.body);
+  }
+  expect(results.map((r) => r.status).sort()).toEqual(['waitlisted', 'won', 'won']);
+  expect(results.map((r) => r.rank).sort()).toEqual([1, 2, 3]);
+  expect(results.find((r) => r.status === 'waitlisted').rank).toBe(3);
+  expect((await send('delete', `/api/events/${id}/lottery`)).statusCode).toBe(409);
+
+  const mine = results[0];
+  const tickets = await send('get', '/api/me/tickets');
+  const lotteryTickets = tickets.body.find((t) => t.eventId === id);
+  if (mine.status === 'won') {
+    expect(lotteryTickets).toBeTruthy();
+  } else {
+    expect(lotteryTickets).toBeUndefined();
+    const waitlist = await send('get', '/api/me/waitlist');
+    expect(waitlist.body.find((w) => w.eventId === id)).toMatchObject({ status: 'waiting', position: 1 });
+  }
+  expect((await request(app).get(`/api/events/${id}`)).body).toMatchObject({ tickets: 0, lottery: { status: 'drawn' } });
+  const after = await send('post', `/api/events/${id}/purchase`, { quantity: 1 });
+  expect(after.body.error).toMatch(/Not enough tickets/);
+});
+
+test("tickets left after a lottery draw go to the waitlist before going on sale", async () => {
+  const created = await db.run(
+    `INSERT INTO events (name, date, tickets, lottery_closes_at, lottery_max_tickets, lottery_seed)
+     VALUES ('Ring Ceremony Lottery', '2099-10-21', 3, datetime('now', '-1 minute'), 2, 'ring')`
+  );
+  const id = created.lastID;
+  await db.run(
+    "INSERT INTO lottery_entries (event_id, user_id, user_email, quantity) VALUES (?, 'ring-a', 'ring-a@example.com', 1)",
+    id
+  );
+  // someone was already waiting when the event became a lottery
+  const waiting = await db.run(
+    "INSERT INTO waitlist_entries (event_id, user_id, user_email, quantity) VALUES (?, 'ring-b', 'ring-b@example.com', 2)",
+    id
+  );
+
+  const { drawLottery } = require('../../shared-db/lottery.js');
+  const drawn = await inTransaction(() => drawLottery(db, id));
+  expect(drawn.winners).toHaveLength(1);
+  const entry = await db.get("SELECT status, hold_id FROM waitlist_entries WHERE id = ?", waiting.lastID);
+  expect(entry.status).toBe('offered');
+  expect((await db.get("SELECT tickets FROM events WHERE id = ?", id)).tickets).toBe(0);
+});
+
+test("bundles take a seat at every member event at once and refund as one", async () => {
+  const opener = await db.run("INSERT INTO events (name, date, tickets) VALUES ('Hoops Opener', '2099-11-03', 5)");
+  const finale = await db.run("INSERT INTO events (name, date, tickets) VALUES ('Hoops Finale', '2099-03-01', 1)");
+  const tiered = await db.run("INSERT INTO events (name, date, tickets) VALUES ('Hoops Rivalry', '2099-01-15', 5)");
+  const tier = await db.run("INSERT INTO ticket_tiers (event_id, name, price_cents, tickets) VALUES (?, 'Student', 0, 5)", tiered.lastID);
+  const bundle = await db.run("INSERT INTO bundles (name, price_cents, tickets) VALUES ('Basketball Season Pass', 10001, 2)");
+  await db.run(
+    "INSERT INTO bundle_events (bundle_id, event_id, tier_id) VALUES (?, ?, NULL), (?, ?, NULL), (?, ?, ?)",
+    [bundle.lastID, opener.lastID, bundle.lastID, finale.lastID, bundle.lastID, tiered.lastID, tier.lastID]
+  );
+  const send = (method, url, body, token = authToken) =>
+    request(app)[method](url).set('Authorization', `Bearer ${token}`).send(body);
+
+  const listed = await request(app).get('/api/bundles');
+  expect(listed.body.find((b) => b.id === bundle.lastID)).toMatchObject({
+    name: 'Basketball Season Pass', price_cents: 10001, tickets: 2,
+  });
+  expect(listed.body.find((b) => b.id === bundle.lastID).events.map((e) => e.name))
+    .toEqual(['Hoops Rivalry', 'Hoops Finale', 'Hoops Opener']);
+
+  expect((await send('post', `/api/bundles/${bundle.lastID}/purchase`, {})).statusCode).toBe(402);
+  const bought = await send('post', `/api/bundles/${bundle.lastID}/purchase`, { payment: CARDS.approved });
+  expect(bought.statusCode).toBe(200);
+  expect(bought.body).toMatchObject({ totalCents: 10001, remainingBundles: 1 });
+  expect(bought.body.orders).toHaveLength(3);
+  expect(bought.body.orders.reduce((sum, o) => sum + o.totalCents, 0)).toBe(10001);
+
+  // each game's ticket lists with the buyer's other tickets
+  const mine = await send('get', '/api/me/tickets');
+  for (const eventId of [opener.lastID, finale.lastID, tiered.lastID]) {
+    expect(mine.body.find((g) => g.eventId === eventId)).toMatchObject({ quantity: 1 });
+  }
+  expect((await db.get("SELECT tickets FROM ticket_tiers WHERE id = ?", tier.lastID)).tickets).toBe(4);
+  const single = await send('post', `/api/events/${opener.lastID}/cancel`, { quantity: 1 });
+  expect(single.statusCode).toBe(409);
+
+  // the finale is now sold out, so nobody else gets a pass and nothing is taken
+  const otherToken = jwt.sign({ id: 'bundle-fan', email: 'fan@example.com' }, JWT_SECRET);
+  const blocked = await send('post', `/api/bundles/${bundle.lastID}/purchase`, { payment: CARDS.approved }, otherToken);
+  expect(blocked.statusCode).toBe(409);
+  expect(blocked.body.lines).toEqual([{ eventId: finale.lastID, error: 'Not enough tickets available' }]);
+  expect((await db.get("SELECT tickets FROM events WHERE id = ?", opener.lastID)).tickets).toBe(4);
+
+  const owned = await send('get', '/api/me/bundles');
+  expect(owned.body[0]).toMatchObject({ bundleOrderId: bought.body.bundleOrderId, status: 'active', totalCents: 10001 });
+  expect(owned.body[0].tickets).toHaveLength(3);
+
+  const refunded = await send('post', `/api/bundle-orders/${bought.body.bundleOrderId}/cancel`);
+  expect(refunded.statusCode).toBe(200);
+  expect(refunded.body).toMatchObject({ cancelled: 3, refundedCents: 10001 });
+  for (const [eventId, tickets] of [[opener.lastID, 5], [finale.lastID, 1], [tiered.lastID, 5]]) {
+    expect((await db.get("SELECT tickets FROM events WHERE id = ?", eventId)).tickets).toBe(tickets);
+  }
+  expect((await db.get("SELECT tickets FROM bundles WHERE id = ?", bundle.lastID)).tickets).toBe(2);
+  expect((await send('get', '/api/me/bundles')).body[0]).toMatchObject({ status: 'refunded', refundedCents: 10001 });
+  expect((await send('post', `/api/bundle-orders/${bought.body.bundleOrderId}/cancel`)).statusCode).toBe(404);
+});
+
+test("a bundle can still be refunded after an admin calls off one of its events", async () => {
+  const home = await db.run("INSERT INTO events (name, date, tickets) VALUES ('Pass Home Game', '2099-10-03', 5)");
+  const away = await db.run("INSERT INTO events (name, date, tickets) VALUES ('Pass Away Game', '2099-10-10', 5)");
+  const bundle = await db.run("INSERT INTO bundles (name, price_cents, tickets) VALUES ('Two Game Pass', 4000, 5)");
+  await db.run(
+    "INSERT INTO bundle_events (bundle_id, event_id, tier_id) VALUES (?, ?, NULL), (?, ?, NULL)",
+    [bundle.lastID, home.lastID, bundle.lastID, away.lastID]
+  );
+  const send = (method, url, body) =>
+    request(app)[method](url).set('Authorization', `Bearer ${authToken}`).send(body);
+  const bought = await send('post', `/api/bundles/${bundle.lastID}/purchase`, { payment: CARDS.approved });
+  expect(bought.statusCode).toBe(200);
+  const share = (eventId) => bought.body.orders.find((o) => o.eventId === eventId).totalCents;
+
+  const { cancelEvent } = require('../../shared-db/cancellation.js');
+  const cancelled = await inTransaction(() => cancelEvent(db, away.lastID, 'Travel ban'));
+  expect(cancelled).toMatchObject({ ok: true, cancelledTickets: 1, refundDueCents: share(away.lastID) });
+
+  const refunded = await send('post', `/api/bundle-orders/${bought.body.bundleOrderId}/cancel`);
+  expect(refunded.statusCode).toBe(200);
+  expect(refunded.body).toMatchObject({ cancelled: 1, refundedCents: share(home.lastID), refundPendingCents: 0 });
+  expect((await db.get("SELECT tickets FROM events WHERE id = ?", home.lastID)).tickets).toBe(5);
+
+  // the called-off game's share is paid from the queue like any other
+  const { payDueRefunds } = await import('../purchases/purchaseService.js');
+  await payDueRefunds(db, inTransaction, bought.body.orders.map((o) => o.orderId));
+  const mine = (await send('get', '/api/me/bundles')).body.find((b) => b.bundleOrderId === bought.body.bundleOrderId);
+  expect(mine).toMatchObject({ status: 'refunded', refundedCents: 4000 });
+});
+
+test("cancelled events go off sale and their queued refunds are paid out", async () => {
+  const created = await db.run("INSERT INTO events (name, date, tickets) VALUES ('Rained Out Picnic', '2099-04-03', 10)");
+  const id = created.lastID;
+  const tier = await db.run("INSERT INTO ticket_tiers (event_id, name, price_cents, tickets) VALUES (?, 'Lawn', 2500, 10)", id);
+  const send = (method, url, body) =>
+    request(app)[method](url).set('Authorization', `Bearer ${authToken}`).send(body);
+
+  const bought = await send('post', `/api/events/${id}/purchase`, { quantity: 2, tierId: tier.lastID, payment: CARDS.approved });
+  expect(bought.statusCode).toBe(200);
+
+  // admin-service cancels through the shared module and leaves the refund queued
+  const { cancelEvent } = require('../../shared-db/cancellation.js');
+  await db.exec('BEGIN IMMEDIATE;');
+  const cancelled = await cancelEvent(db, id, 'Rained out');
+  await db.exec('COMMIT;');
+  expect(cancelled).toMatchObject({ ok: true, cancelledTickets: 2, refundDueCents: 5000 });
+
+  const listed = await request(app).get('/api/events').query({ q: 'Rained Out Picnic' });
+  expect(listed.body).toEqual([]);
+  expect((await request(app).get(`/api/events/${id}`)).body.sale.status).toBe('cancelled');
+  const again = await send('post', `/api/events/${id}/purchase`, { quantity: 1, tierId: tier.lastID, payment: CARDS.approved });
+  expect(again.statusCode).toBe(409);
+  expect(again.body.error).toMatch(/cancelled/);
+  expect((await send('post', `/api/events/${id}/waitlist`, { quantity: 1 })).statusCode).toBe(409);
+  expect((await send('get', '/api/me/tickets')).body.find((t) => t.eventId === id)).toBeUndefined();
+  const notes = await send('get', '/api/me/notifications');
+  expect(notes.body.find((n) => n.eventId === id)).toMatchObject({ type: 'event_cancelled' });
+
+  const { payDueRefunds } = await import('../purchases/purchaseService.js');
+  expect(await payDueRefunds(db, inTransaction)).toEqual({ refundedCents: 5000, failed: 0 });
+  const order = await db.get('SELECT refunded_cents, refund_due_cents FROM orders WHERE id = ?', bought.body.orderId);
+  expect(order).toEqual({ refunded_cents: 5000, refund_due_cents: 0 });
+  expect(await payDueRefunds(db, inTransaction)).toEqual({ refundedCents: 0, failed: 0 });
+});
@@ -0,0 +1,12 @@
+/**
+ * Purpose: Error raised by payment providers when a payment step fails
+ * Input: code - String, machine-readable reason ('card_declined', 'timeout', ...)
+ *        message - String, reason safe to show the buyer
+ */
+export class PaymentError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = "PaymentError";
+    this.code = code;
+  }
+}
@@ -0,0 +1,55 @@
+/**
+ * payments/index.js
+ * Purpose: Picks the payment provider the purchase flow charges through.
+ *          A provider is an object with
+ *            authorize({ amountCents, currency, paymentMethod }) -> { authorizationId }
+ *            capture(authorizationId) -> { captureId }
+ *            voidAuthorization(authorizationId)
+ *            refund(captureId, amountCents) -> { refundId }
+ *          whose failures are thrown as PaymentError. PAYMENT_PROVIDER selects
+ *          one by name; it defaults to the offline mock gateway.
+ */
+import mockProvider from "./mockProvider.js";
+import { PaymentError } from "./errors.js";
+
+const providers = new Map([[mockProvider.name, mockProvider]]);
+
+/**
+ * Purpose: Makes another provider selectable through PAYMENT_PROVIDER
+ * Input: provider - Object implementing the interface above, with a `name`
+ * Output: None
+ */
+export function registerPaymentProvider(provider) {
+  providers.set(provider.name, provider);
+}
+
+/**
+ * Purpose: Returns a provider by name, by default the configured one
+ * Input: name - String (optional), e.g. the provider an order was paid with
+ * Output: provider Object; throws if the name is unknown
+ */
+export function getPaymentProvider(name = process.env.PAYMENT_PROVIDER || mockProvider.name) {
+  const provider = providers.get(name);
+  if (!provider) throw new Error(`Unknown payment provider "${name}"`);
+  return provider;
+}
+
+export { PaymentError };
+
+/**
+ * Purpose: Authorizes and then captures an amount in one step, voiding the
+ *          authorization if the capture fails so no money stays held
+ * Input: provider - provider Object from getPaymentProvider()
+ *        amountCents - int, the amount to charge
+ *        paymentMethod - Object passed through to the provider
+ * Output: { captureId }; throws PaymentError when either step fails
+ */
+export async function chargePayment(provider, amountCents, paymentMethod) {
+  const { authorizationId } = await provider.authorize({ amountCents, currency: "usd", paymentMethod });
+  try {
+    return await provider.capture(authorizationId);
+  } catch (err) {
+    await provider.voidAuthorization(authorizationId).catch(() => {});
+    throw err;
+  }
+}
@@ -0,0 +1,99 @@
+/**
+ * mockProvider.js
+ * Purpose: Built-in payment gateway for local development and tests. It never
+ *          talks to the network; the card number decides what happens, like the
+ *          test cards of a real gateway.
+ *
+ *   4242 4242 4242 4242  approved
+ *   4000 0000 0000 0002  declined when authorizing
+ *   4000 0000 0000 9995  authorized, then declined when capturing
+ *   4000 0000 0000 0119  gateway timeout when authorizing
+ *
+ * Any other number is declined as invalid.
+ */
+import crypto from "crypto";
+import { PaymentError } from "./errors.js";
+
+export const TEST_CARDS = {
+  approved: "4242424242424242",
+  declined: "4000000000000002",
+  captureDeclined: "4000000000009995",
+  timeout: "4000000000000119",
+};
+
+// In-memory ledger; a real provider keeps this on the gateway's side
+const authorizations = new Map();
+const captures = new Map();
+
+const newId = (prefix) => `${prefix}_${crypto.randomBytes(8).toString("hex")}`;
+
+/**
+ * Purpose: Reserves an amount on the card without moving any money
+ * Input: { amountCents, currency, paymentMethod: { cardNumber } }
+ * Output: { authorizationId }; throws PaymentError when declined or timed out
+ */
+async function authorize({ amountCents, currency, paymentMethod }) {
+  const cardNumber = String(paymentMethod?.cardNumber ?? "").replace(/[\s-]/g, "");
+  if (cardNumber === TEST_CARDS.timeout) {
+    throw new PaymentError("timeout", "Payment gateway timed out");
+  }
+  if (cardNumber === TEST_CARDS.declined) {
+    throw new PaymentError("card_declined", "Card was declined");
+  }
+  if (!Object.values(TEST_CARDS).includes(cardNumber)) {
+    throw new PaymentError("invalid_card", "Card number is not valid");
+  }
+
+  const authorizationId = newId("auth");
+  authorizations.set(authorizationId, { amountCents, currency, cardNumber, status: "authorized" });
+  return { authorizationId };
+}
+
+/**
+ * Purpose: Collects the money held by an authorization
+ * Input: authorizationId - String from authorize()
+ * Output: { captureId }; throws PaymentError when the capture is declined
+ */
+async function capture(authorizationId) {
+  const auth = authorizations.get(authorizationId);
+  if (!auth || auth.status !== "authorized") {
+    throw new PaymentError("invalid_authorization", "Authorization not found or already used");
+  }
+  if (auth.cardNumber === TEST_CARDS.captureDeclined) {
+    auth.status = "voided";
+    throw new PaymentError("capture_declined", "Card was declined at capture");
+  }
+
+  auth.status = "captured";
+  const captureId = newId("cap");
+  captures.set(captureId, { amountCents: auth.amountCents, refundedCents: 0 });
+  return { captureId };
+}
+
+/**
+ * Purpose: Drops an authorization that will not be captured
+ * Input: authorizationId - String from authorize()
+ * Output: None
+ */
+async function voidAuthorization(authorizationId) {
+  const auth = authorizations.get(authorizationId);
+  if (auth?.status === "authorized") auth.status = "voided";
+}
+
+/**
+ * Purpose: Returns some or all of a captured amount to the card
+ * Input: captureId - String from capture()
+ *        amountCents - int, the amount to return
+ * Output: { refundId }; throws PaymentError if more than was captured would
+ *         be refunded
+ */
+async function refund(captureId, amountCents) {
+  const captured = captures.get(captureId);
+  if (!captured || captured.refundedCents + amountCents > captured.amountCents) {
+    throw new PaymentError("refund_failed", "Refund exceeds the captured amount");
+  }
+  captured.refundedCents += amountCents;
+  return { refundId: newId("ref") };
+}
+
+export default { name: "mock", authorize, capture, voidAuthorization, refund };
@@ -0,0 +1,19 @@
+/**
+ * cancellation.js
+ * Purpose: When ticket holders may still cancel: up to a cutoff a number of
+ *          hours before the start of the event's date.
+ */
+import { toMillis } from "./saleWindow.js";
+
+/**
+ * Purpose: Tells whether tickets for an event can no longer be cancelled.
+ *          Event dates are UTC days, so the cutoff is the same wherever the
+ *          server runs.
+ * Input: event - events row (date)
+ *        cutoffHours - Number, hours before the event's date cancelling closes
+ *        now - int, milliseconds since the epoch (defaults to the clock)
+ * Output: true once the cutoff has passed
+ */
+export function cancellationClosed(event, cutoffHours, now = Date.now()) {
+  return now > toMillis(`${event.date} 00:00:00`) - cutoffHours * 60 * 60 * 1000;
+}
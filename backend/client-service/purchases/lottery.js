@@ -0,0 +1,62 @@
+/**
+ * lottery.js
+ * Purpose: Lottery mode for oversubscribed events. An event with a
+ *          lottery_closes_at takes entries (see shared-db/lottery.js for the
+ *          draw) instead of selling first come, first served; once the draw
+ *          has run, tickets left over are offered down the ranked waitlist
+ *          and then go on sale as usual.
+ */
+import { toMillis } from "./saleWindow.js";
+
+/**
+ * Purpose: Works out where an event is in its lottery
+ * Input: event - events row (lottery_opens_at, lottery_closes_at,
+ *        lottery_max_tickets, lottery_drawn_at)
+ *        now - int, milliseconds since the epoch (defaults to the clock)
+ * Output: null for an event without a lottery, otherwise { status,
+ *         maxTickets, secondsUntilOpen, secondsUntilClose } where status is
+ *         'upcoming', 'open', 'closed' (waiting for the draw) or 'drawn'; each
+ *         countdown is null when it does not apply
+ */
+export function lotteryStatus(event, now = Date.now()) {
+  if (!event.lottery_closes_at) {
+    return null;
+  }
+  const opensAt = toMillis(event.lottery_opens_at);
+  const closesAt = toMillis(event.lottery_closes_at);
+  let status = "open";
+  if (event.lottery_drawn_at) {
+    status = "drawn";
+  } else if (now >= closesAt) {
+    status = "closed";
+  } else if (opensAt !== null && now < opensAt) {
+    status = "upcoming";
+  }
+  return {
+    status,
+    maxTickets: event.lottery_max_tickets,
+    secondsUntilOpen: status === "upcoming" ? Math.ceil((opensAt - now) / 1000) : null,
+    secondsUntilClose: status === "upcoming" || status === "open" ? Math.ceil((closesAt - now) / 1000) : null,
+  };
+}
+
+/**
+ * Purpose: Turns away purchases, holds and waitlist joins for an event whose
+ *          tickets have not been drawn yet
+ * Input: event - events row
+ * Output: null when the event has no lottery or it has been drawn, otherwise
+ *         a failed result (409)
+ */
+export function checkLotteryDrawn(event) {
+  const lottery = lotteryStatus(event);
+  if (!lottery || lottery.status === "drawn") {
+    return null;
+  }
+  return {
+    ok: false,
+    code: 409,
+    error: lottery.status === "closed"
+      ? "Tickets for this event are being drawn by lottery; any left over go on sale after the draw"
+      : `Tickets for this event are allocated by lottery; enter it before ${event.lottery_closes_at} UTC`,
+  };
+}
@@ -0,0 +1,786 @@
+/**
+ * purchaseService.js
+ * Purpose: The one place tickets are sold. Single purchases, hold checkouts,
+ *          multi-event carts and bundles all price, limit, charge and record orders
+ *          through here, so they share status codes, error shapes and
+ *          guarantees. Functions take the open `sqlite` handle and, all but
+ *          payDueRefunds, must run inside the caller's transaction;
+ *          failures come back as { ok: false, code, error } results, never
+ *          as thrown errors.
+ *
+ *   400 malformed input        402 payment missing or declined
+ *   403 buyer not eligible or not admitted from the waiting room
+ *   404 unknown event or tier
+ *   409 not enough tickets, not on sale or awaiting a lottery draw, hold or
+ *       limit conflict
+ *   422 order or promo rules   504 payment gateway timed out
+ */
+import sharedInventory from "../../shared-db/inventory.js";
+import sharedTickets from "../../shared-db/tickets.js";
+import sharedEligibility from "../../shared-db/eligibility.js";
+import { getPaymentProvider, chargePayment, PaymentError } from "../payments/index.js";
+import { validateSeatIds, lockSeats, heldSeatIds } from "./seating.js";
+import { checkQueueToken, finishQueueTurn } from "./waitingRoom.js";
+import { checkSaleWindow } from "./saleWindow.js";
+import { checkLotteryDrawn } from "./lottery.js";
+
+const { adjustInventory } = sharedInventory;
+const { generateTicketCode } = sharedTickets;
+const { eligibilityByEvent, checkEligibility } = sharedEligibility;
+
+// Most lines a single cart checkout may contain
+export const MAX_CART_LINES = 20;
+
+/**
+ * Purpose: Checks the payment details sent with a purchase or checkout
+ * Input: payment - value of the request body's `payment` field
+ * Output: null when absent or an object, otherwise the error message
+ */
+function validatePayment(payment) {
+  if (payment !== undefined && (payment === null || typeof payment !== "object" || Array.isArray(payment))) {
+    return "Invalid payment details";
+  }
+  return null;
+}
+
+/**
+ * Purpose: Validates the body of a single-event purchase
+ * Input: body - Object, { quantity, tierId, holdId, seatIds, queueToken,
+ *        promoCode, payment }; quantity may be left out when checking out a
+ *        hold or naming seats
+ * Output: null when valid, otherwise a failed result (400)
+ */
+export function validatePurchaseInput({ quantity, tierId, holdId, seatIds, queueToken, promoCode, payment }) {
+  let error = null;
+  if (holdId !== undefined && (!Number.isInteger(holdId) || holdId <= 0)) error = "Invalid hold id";
+  else if (tierId !== undefined && (!Number.isInteger(tierId) || tierId <= 0)) error = "Invalid tier id";
+  else if (validateSeatIds(seatIds)) error = validateSeatIds(seatIds);
+  else if (queueToken !== undefined && typeof queueToken !== "string") error = "Invalid queue token";
+  else if (promoCode !== undefined && (typeof promoCode !== "string" || promoCode.trim().length === 0)) {
+    error = "Invalid promo code";
+  } else if (validatePayment(payment)) error = validatePayment(payment);
+  else if ((holdId === undefined && seatIds === undefined || quantity !== undefined) &&
+           (!Number.isInteger(quantity) || quantity <= 0)) {
+    error = "Invalid ticket quantity";
+  }
+  return error ? { ok: false, code: 400, error } : null;
+}
+
+/**
+ * Purpose: Validates the body of a cart checkout
+ * Input: body - Object, { lines: [{ eventId, quantity, tierId, seatIds,
+ *        queueToken }], payment }; a line naming seats may leave out quantity
+ * Output: null when valid, otherwise a failed result (400) with `lines`
+ *         giving the reason for each malformed line
+ */
+export function validateCheckoutInput({ lines, payment }) {
+  if (!Array.isArray(lines) || lines.length === 0 || lines.length > MAX_CART_LINES) {
+    return { ok: false, code: 400, error: `lines must be an array of 1 to ${MAX_CART_LINES} items` };
+  }
+  if (validatePayment(payment)) {
+    return { ok: false, code: 400, error: validatePayment(payment) };
+  }
+  const seen = new Set();
+  const invalid = [];
+  lines.forEach((line, index) => {
+    const { eventId, quantity, tierId, seatIds, queueToken } = line ?? {};
+    let error = null;
+    if (!Number.isInteger(eventId) || eventId <= 0) error = "Invalid event id";
+    else if ((seatIds === undefined || quantity !== undefined) && (!Number.isInteger(quantity) || quantity <= 0)) {
+      error = "Invalid ticket quantity";
+    } else if (tierId !== undefined && (!Number.isInteger(tierId) || tierId <= 0)) error = "Invalid tier id";
+    else if (validateSeatIds(seatIds)) error = validateSeatIds(seatIds);
+    else if (queueToken !== undefined && typeof queueToken !== "string") error = "Invalid queue token";
+    else if (seen.has(`${eventId}:${tierId ?? ""}`)) error = "Duplicate line; combine the quantities";
+    if (error) invalid.push({ index, eventId: eventId ?? null, error });
+    else seen.add(`${eventId}:${tierId ?? ""}`);
+  });
+  if (invalid.length > 0) {
+    return { ok: false, code: 400, error: "Some cart lines are invalid", lines: invalid };
+  }
+  return null;
+}
+
+/**
+ * Purpose: Enforces an event's eligibility rules against the user's JWT claims
+ * Input: db - open `sqlite` database handle
+ *        event - events row, user - { email, role } from the token
+ * Output: null when the user may get tickets, otherwise a failed result (403)
+ *         giving the reason
+ */
+export async function checkEventEligibility(db, event, user) {
+  const rules = await eligibilityByEvent(db, [event.id]);
+  const reason = checkEligibility(rules.get(event.id), user);
+  return reason ? { ok: false, code: 403, error: reason } : null;
+}
+
+/**
+ * Purpose: Enforces an event's per-order and per-user ticket limits. Tickets the
+ *          user already holds and seats in their active holds both count
+ *          toward the per-user limit.
+ * Input: db - open `sqlite` database handle
+ *        event - events row, userId - String, quantity - int being requested
+ * Output: null when the request is within limits, otherwise a failed result:
+ *        422 when one order asks for too many, 409 when the user's total would
+ *        exceed the per-user limit
+ */
+export async function checkPurchaseLimits(db, event, userId, quantity) {
+  if (event.max_per_order && quantity > event.max_per_order) {
+    return {
+      ok: false,
+      code: 422,
+      error: `Orders for this event are limited to ${event.max_per_order} ticket(s)`,
+    };
+  }
+  if (event.max_per_user) {
+    const { owned } = await db.get(
+      `SELECT
+         (SELECT COUNT(*) FROM tickets
+           WHERE event_id = ? AND user_id = ? AND status = 'active') +
+         (SELECT COALESCE(SUM(quantity), 0) FROM holds
+           WHERE event_id = ? AND user_id = ? AND status = 'active') AS owned`,
+      [event.id, userId, event.id, userId]
+    );
+    if (owned + quantity > event.max_per_user) {
+      return {
+        ok: false,
+        code: 409,
+        error: `Limit is ${event.max_per_user} ticket(s) per person for this event; you already have ${owned}`,
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Purpose: Picks the ticket tier a purchase, hold or waitlist entry draws
+ *          from. Events with tiers require one; events without take none.
+ * Input: db - open `sqlite` database handle
+ *        event - the events row
+ *        tierId - int or undefined, the tier requested by the client
+ * Output: { tier } (null for events without tiers), or an
+ *        { ok: false, code, error } result when the choice is missing or wrong
+ */
+export async function resolveTier(db, event, tierId) {
+  if (tierId === undefined) {
+    const { count } = await db.get("SELECT COUNT(*) AS count FROM ticket_tiers WHERE event_id = ?", [event.id]);
+    if (count > 0) {
+      return { ok: false, code: 400, error: "This event has ticket tiers; choose one with tierId" };
+    }
+    return { tier: null };
+  }
+  const tier = await db.get("SELECT * FROM ticket_tiers WHERE id = ? AND event_id = ?", [tierId, event.id]);
+  if (!tier) {
+    return { ok: false, code: 404, error: "Ticket tier not found" };
+  }
+  return { tier };
+}
+
+/**
+ * Purpose: Checks a promo code against an order and works out its discount
+ * Input: db - open `sqlite` database handle
+ *        code - String, the promo code as entered (case-insensitive)
+ *        order - { event, tier, userId, subtotalCents } for the order being placed
+ * Output: { promo, discountCents }, or an { ok: false, code: 422, error } result
+ *        saying why the code cannot be used
+ */
+export async function applyPromoCode(db, code, { event, tier, userId, subtotalCents }) {
+  const promo = await db.get(
+    "SELECT *, expires_at <= datetime('now') AS expired FROM promo_codes WHERE code = ? AND active = 1",
+    [code.trim().toUpperCase()]
+  );
+  const reject = (error) => ({ ok: false, code: 422, error });
+
+  if (!promo) {
+    return reject("Promo code not found");
+  }
+  if (promo.expired) {
+    return reject("Promo code has expired");
+  }
+  if (promo.event_id && promo.event_id !== event.id) {
+    return reject("Promo code is not valid for this event");
+  }
+  if (promo.tier_id && promo.tier_id !== tier?.id) {
+    return reject("Promo code is not valid for this ticket tier");
+  }
+  if (promo.max_uses || promo.max_uses_per_user) {
+    const { uses, userUses } = await db.get(
+      `SELECT COUNT(*) AS uses, COALESCE(SUM(user_id = ?), 0) AS userUses
+         FROM orders WHERE promo_code_id = ?`,
+      [userId, promo.id]
+    );
+    if (promo.max_uses && uses >= promo.max_uses) {
+      return reject("Promo code has reached its usage limit");
+    }
+    if (promo.max_uses_per_user && userUses >= promo.max_uses_per_user) {
+      return reject(`Promo code can only be used ${promo.max_uses_per_user} time(s) per person`);
+    }
+  }
+
+  const discountCents = promo.discount_type === "percent"
+    ? Math.round((subtotalCents * promo.discount_value) / 100)
+    : Math.min(promo.discount_value, subtotalCents);
+  return { promo, discountCents };
+}
+
+/**
+ * Purpose: Splits an order total across its tickets so each records what was
+ *          paid for it; any odd cents go to the first tickets
+ * Input: totalCents - int, the order total
+ *        count - int, the number of tickets
+ * Output: Array of count amounts in cents that add up to totalCents
+ */
+function splitCents(totalCents, count) {
+  const base = Math.floor(totalCents / count);
+  const remainder = totalCents - base * count;
+  return Array.from({ length: count }, (_, i) => base + (i < remainder ? 1 : 0));
+}
+
+/**
+ * Purpose: Charges an order total through the configured payment provider
+ * Input: totalCents - int, the amount to charge
+ *        payment - Object (optional), the payment method from the request body
+ * Output: { captured } with the provider and capture id (null for free
+ *        orders), or a failed result: 402 when payment is missing or declined,
+ *        504 when the gateway times out
+ */
+export async function chargeOrder(totalCents, payment) {
+  if (totalCents === 0) {
+    return { captured: null };
+  }
+  if (!payment) {
+    return { ok: false, code: 402, error: "Payment details are required for this order" };
+  }
+  const provider = getPaymentProvider();
+  try {
+    const { captureId } = await chargePayment(provider, totalCents, payment);
+    return { captured: { provider, captureId, amountCents: totalCents } };
+  } catch (err) {
+    if (!(err instanceof PaymentError)) throw err;
+    return { ok: false, code: err.code === "timeout" ? 504 : 402, error: err.message };
+  }
+}
+
+/**
+ * Purpose: Gives back a charge whose order could not be saved
+ * Input: captured - { provider, captureId, amountCents } from chargeOrder, or null
+ * Output: None; a failed refund is logged for manual follow-up
+ */
+export async function refundCapture(captured) {
+  if (!captured) return;
+  await captured.provider
+    .refund(captured.captureId, captured.amountCents)
+    .catch((err) => console.error("Refund after failed purchase failed:", err));
+}
+
+/**
+ * Purpose: Writes an order and one ticket per seat. Must run inside
+ *          a transaction after the seats were taken out of inventory.
+ * Input: db - open `sqlite` database handle
+ *        order - { event, tier, user, quantity, unitPriceCents, promo,
+ *        discountCents, totalCents, captured, seatIds, bundleOrderId }; seatIds
+ *        (null for general admission) are the seats already taken for the
+ *        tickets, in ticket order; bundleOrderId links a bundle's orders
+ * Output: { orderId, ticketCodes }
+ */
+export async function recordOrder(db, {
+  event, tier, user, quantity, unitPriceCents, promo, discountCents, totalCents, captured, seatIds = null,
+  bundleOrderId = null,
+}) {
+  const order = await db.run(
+    `INSERT INTO orders (user_id, user_email, event_id, quantity, tier_id, unit_price_cents, total_cents,
+                         promo_code_id, discount_cents, payment_provider, payment_capture_id, bundle_order_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [String(user.id), user.email, event.id, quantity, tier?.id ?? null, unitPriceCents, totalCents,
+      promo?.id ?? null, discountCents, captured?.provider.name ?? null, captured?.captureId ?? null, bundleOrderId]
+  );
+  const ticketCodes = [];
+  const ticketPrices = splitCents(totalCents, quantity);
+  for (let i = 0; i < quantity; i++) {
+    const code = generateTicketCode();
+    const seatId = seatIds?.[i] ?? null;
+    const ticket = await db.run(
+      `INSERT INTO tickets (order_id, event_id, user_id, code, tier_id, price_cents, holder_email, seat_id)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [order.lastID, event.id, String(user.id), code, tier?.id ?? null, ticketPrices[i], user.email, seatId]
+    );
+    if (seatId) {
+      await db.run(
+        "UPDATE seat_assignments SET ticket_id = ?, hold_id = NULL WHERE event_id = ? AND seat_id = ?",
+        [ticket.lastID, event.id, seatId]
+      );
+    }
+    ticketCodes.push(code);
+  }
+  return { orderId: order.lastID, ticketCodes };
+}
+
+/**
+ * Purpose: Looks up the saved response for an Idempotency-Key. Must run
+ *          inside a transaction.
+ * Input: db - open `sqlite` database handle
+ *        userId - String, key - String or undefined, requestHash - String
+ * Output: null when the request is new, a replayed result when it was already
+ *        answered, or a failed result (409) when the key was used for a
+ *        different request
+ */
+export async function findIdempotentReplay(db, userId, key, requestHash) {
+  if (!key) return null;
+  const saved = await db.get("SELECT * FROM idempotency_keys WHERE user_id = ? AND key = ?", [userId, key]);
+  if (!saved) return null;
+  if (saved.request_hash !== requestHash) {
+    return { ok: false, code: 409, error: "Idempotency-Key was already used for a different request" };
+  }
+  return { ok: true, replayed: true, status: saved.status_code, body: JSON.parse(saved.response_body) };
+}
+
+/**
+ * Purpose: Saves a response under its Idempotency-Key in the same transaction
+ *          as the work, so a retry can only ever see the committed result
+ * Input: db - open `sqlite` database handle
+ *        userId - String, key - String or undefined, requestHash - String,
+ *        body - Object, the 200 response body
+ * Output: None
+ */
+export async function saveIdempotentResponse(db, userId, key, requestHash, body) {
+  if (!key) return;
+  await db.run(
+    `INSERT INTO idempotency_keys (user_id, key, request_hash, status_code, response_body)
+     VALUES (?, ?, ?, ?, ?)`,
+    [userId, key, requestHash, 200, JSON.stringify(body)]
+  );
+}
+
+/**
+ * Purpose: Queues what was paid for some tickets to go back to the payment
+ *          each was bought with. Only orders.refund_due_cents is set here;
+ *          the provider is called by payDueRefunds once the cancellation has
+ *          committed. Must run inside the cancellation's transaction.
+ * Input: db - open `sqlite` database handle
+ *        tickets - Array of tickets rows with order_id and price_cents
+ * Output: { orderIds, refundDueCents } - the orders now owed money and the
+ *         total queued
+ */
+export async function queueTicketRefunds(db, tickets) {
+  const owedByOrder = new Map();
+  for (const ticket of tickets) {
+    owedByOrder.set(ticket.order_id, (owedByOrder.get(ticket.order_id) ?? 0) + ticket.price_cents);
+  }
+
+  const orderIds = [];
+  let refundDueCents = 0;
+  for (const [orderId, amountCents] of owedByOrder) {
+    const order = await db.get("SELECT payment_capture_id FROM orders WHERE id = ?", [orderId]);
+    if (!order?.payment_capture_id || amountCents === 0) continue;
+    await db.run("UPDATE orders SET refund_due_cents = refund_due_cents + ? WHERE id = ?", [amountCents, orderId]);
+    orderIds.push(orderId);
+    refundDueCents += amountCents;
+  }
+  return { orderIds, refundDueCents };
+}
+
+/**
+ * Purpose: Pays out refunds queued on orders, by queueTicketRefunds or when
+ *          an admin cancelled their event (see shared-db/cancellation.js).
+ *          Unlike the rest of this module it opens its own transactions, and
+ *          never calls the provider inside one: the owed amounts are claimed
+ *          (moved to refunding_cents) in one short transaction, refunded with
+ *          none open, and each result is recorded in another. A refund the
+ *          provider refuses goes back on the queue for the next run.
+ * Input: db - open `sqlite` database handle
+ *        inTransaction - function running async work in a transaction, such
+ *                        as the server's withTransaction
+ *        orderIds - Array of int (optional), pays only these orders
+ * Output: { refundedCents, failed } where failed counts the orders still owed
+ */
+export async function payDueRefunds(db, inTransaction, orderIds = null) {
+  const due = await inTransaction(async () => {
+    const rows = await db.all(
+      `SELECT id, payment_provider, payment_capture_id, refund_due_cents AS amount_cents, bundle_order_id
+         FROM orders WHERE refund_due_cents > 0 AND refunding_cents = 0
+          ${orderIds ? `AND id IN (${orderIds.map(() => "?").join(", ") || "NULL"})` : ""}`,
+      orderIds ?? []
+    );
+    for (const order of rows) {
+      await db.run(
+        "UPDATE orders SET refunding_cents = refund_due_cents, refund_due_cents = 0 WHERE id = ?",
+        [order.id]
+      );
+    }
+    return rows;
+  });
+
+  let refundedCents = 0;
+  let failed = 0;
+  for (const order of due) {
+    try {
+      await getPaymentProvider(order.payment_provider).refund(order.payment_capture_id, order.amount_cents);
+    } catch (err) {
+      await inTransaction(() => db.run(
+        "UPDATE orders SET refund_due_cents = refund_due_cents + refunding_cents, refunding_cents = 0 WHERE id = ?",
+        [order.id]
+      ));
+      if (!(err instanceof PaymentError)) throw err;
+      console.error(`Refund of order ${order.id} failed:`, err.message);
+      failed += 1;
+      continue;
+    }
+    await inTransaction(async () => {
+      await db.run(
+        "UPDATE orders SET refunded_cents = refunded_cents + refunding_cents, refunding_cents = 0 WHERE id = ?",
+        [order.id]
+      );
+      if (order.bundle_order_id) {
+        await db.run(
+          "UPDATE bundle_orders SET refunded_cents = refunded_cents + ? WHERE id = ?",
+          [order.amount_cents, order.bundle_order_id]
+        );
+      }
+    });
+    refundedCents += order.amount_cents;
+  }
+  return { refundedCents, failed };
+}
+
+/**
+ * Purpose: Takes seats for one event out of inventory, either fresh from a
+ *          tier (or the event) or by converting the user's hold. Events with
+ *          assigned seating need the seats named; the count follows from them.
+ *          Outside the event's sale window only holds can be checked out, and
+ *          events with a waiting room need the buyer's queue token except for
+ *          holds, which were placed with both.
+ * Input: db - open `sqlite` database handle
+ *        user - { id, email, role }, the buyer
+ *        request - { eventId, quantity, tierId, holdId, seatIds, queueToken }
+ * Output: { event, tier, quantity, seatIds } once the seats are taken
+ *         (seatIds null for general admission), or a failed result
+ */
+async function takeSeats(db, user, { eventId, quantity, tierId, holdId, seatIds, queueToken }) {
+  const userId = String(user.id);
+  const event = await db.get("SELECT * FROM events WHERE id = ?", [eventId]);
+  if (!event) {
+    return { ok: false, code: 404, error: "Event not found" };
+  }
+  const ineligible = await checkEventEligibility(db, event, user);
+  if (ineligible) {
+    return ineligible;
+  }
+  if (!event.venue_id && seatIds !== undefined) {
+    return { ok: false, code: 400, error: "This event is general admission; seats cannot be chosen" };
+  }
+
+  if (holdId) {
+    // Seats were already taken out of inventory when the hold was placed
+    const hold = await db.get(
+      "SELECT * FROM holds WHERE id = ? AND event_id = ? AND user_id = ? AND status = 'active'",
+      [holdId, event.id, userId]
+    );
+    if (!hold) {
+      return { ok: false, code: 409, error: "Hold not found or expired" };
+    }
+    if (quantity !== undefined && quantity !== hold.quantity) {
+      return { ok: false, code: 409, error: "Quantity does not match the hold" };
+    }
+    if (tierId !== undefined && tierId !== hold.tier_id) {
+      return { ok: false, code: 409, error: "Tier does not match the hold" };
+    }
+    let holdSeats = null;
+    if (event.venue_id) {
+      holdSeats = await heldSeatIds(db, hold.id);
+      if (holdSeats.length > 0) {
+        if (seatIds !== undefined && [...seatIds].sort((a, b) => a - b).join() !== holdSeats.join()) {
+          return { ok: false, code: 409, error: "Seats do not match the hold" };
+        }
+      } else {
+        // Waitlist offers hold a number of seats; the buyer picks them now
+        if (seatIds?.length !== hold.quantity) {
+          return { ok: false, code: 400, error: `Choose ${hold.quantity} seat(s) with seatIds to check out this hold` };
+        }
+        const lockError = await lockSeats(db, event, seatIds, hold.id);
+        if (lockError) {
+          return lockError;
+        }
+        holdSeats = seatIds;
+      }
+    }
+    const tier = hold.tier_id
+      ? await db.get("SELECT * FROM ticket_tiers WHERE id = ?", [hold.tier_id])
+      : null;
+    await db.run("UPDATE holds SET status = 'converted' WHERE id = ?", [hold.id]);
+    await db.run("UPDATE waitlist_entries SET status = 'claimed' WHERE hold_id = ?", [hold.id]);
+    return { event, tier, quantity: hold.quantity, seatIds: holdSeats };
+  }
+
+  const offSale = checkSaleWindow(event) ?? checkLotteryDrawn(event);
+  if (offSale) {
+    return offSale;
+  }
+
+  if (event.venue_id) {
+    if (seatIds === undefined) {
+      return { ok: false, code: 400, error: "This event has assigned seating; choose seats with seatIds" };
+    }
+    if (quantity !== undefined && quantity !== seatIds.length) {
+      return { ok: false, code: 400, error: "Quantity does not match the seats chosen" };
+    }
+    quantity = seatIds.length;
+  }
+
+  const notAdmitted = await checkQueueToken(db, event, userId, queueToken);
+  if (notAdmitted) {
+    return notAdmitted;
+  }
+  const picked = await resolveTier(db, event, tierId);
+  if (picked.ok === false) {
+    return picked;
+  }
+  const { tier } = picked;
+  const limitError = await checkPurchaseLimits(db, event, userId, quantity);
+  if (limitError) {
+    return limitError;
+  }
+  if ((tier ? tier.tickets : event.tickets) < quantity) {
+    return { ok: false, code: 409, error: "Not enough tickets available" };
+  }
+  if (event.venue_id) {
+    const lockError = await lockSeats(db, event, seatIds, null);
+    if (lockError) {
+      return lockError;
+    }
+  }
+  await adjustInventory(db, event.id, tier?.id, -quantity);
+  return { event, tier, quantity, seatIds: seatIds ?? null };
+}
+
+/**
+ * Purpose: Buys tickets for one event: takes the seats, prices the order
+ *          from the tier and any promo code, charges it and records it.
+ *          Charging comes last so a decline rolls back everything before it.
+ * Input: db - open `sqlite` database handle
+ *        user - { id, email, role }, the buyer from the JWT
+ *        request - { eventId, quantity, tierId, holdId, seatIds, queueToken,
+ *        promoCode, payment }
+ *        charges - Array the capture is pushed onto, so the caller can refund
+ *        it if the transaction does not commit
+ * Output: { body } with the order, or a failed result
+ */
+export async function purchaseTickets(db, user, request, charges) {
+  const userId = String(user.id);
+  const seats = await takeSeats(db, user, request);
+  if (seats.ok === false) {
+    return seats;
+  }
+  const { event, tier, quantity, seatIds } = seats;
+
+  // Prices come from the tier at checkout, never from the client
+  const unitPriceCents = tier?.price_cents ?? 0;
+  const subtotalCents = unitPriceCents * quantity;
+  let promo = null;
+  let discountCents = 0;
+  if (request.promoCode !== undefined) {
+    const applied = await applyPromoCode(db, request.promoCode, { event, tier, userId, subtotalCents });
+    if (applied.ok === false) {
+      return applied;
+    }
+    ({ promo, discountCents } = applied);
+  }
+  const totalCents = subtotalCents - discountCents;
+
+  const charge = await chargeOrder(totalCents, request.payment);
+  if (charge.ok === false) {
+    return charge;
+  }
+  const { captured } = charge;
+  if (captured) charges.push(captured);
+
+  // Record who bought what in the same transaction as the decrement
+  const { orderId, ticketCodes } = await recordOrder(db, {
+    event,
+    tier,
+    user,
+    quantity,
+    unitPriceCents,
+    promo,
+    discountCents,
+    totalCents,
+    captured,
+    seatIds,
+  });
+  // A shopper's turn in the waiting room ends with their purchase
+  await finishQueueTurn(db, event.id, userId);
+  const updated = await db.get("SELECT tickets FROM events WHERE id = ?", [event.id]);
+
+  console.log(`Purchased ${quantity} ticket(s) for ${event.name}`);
+  return {
+    body: {
+      success: true,
+      eventId: request.eventId,
+      orderId,
+      purchased: quantity,
+      remainingTickets: updated.tickets,
+      ticketCodes,
+      seatIds,
+      tierId: tier?.id ?? null,
+      tierName: tier?.name ?? null,
+      unitPriceCents,
+      subtotalCents,
+      promoCode: promo?.code ?? null,
+      discountCents,
+      totalCents,
+    },
+  };
+}
+
+/**
+ * Purpose: Buys every line of a cart with a single charge. Lines are bought
+ *          one after another so per-user limits see the seats taken by
+ *          earlier lines; the caller rolls all of them back on any failure.
+ * Input: db - open `sqlite` database handle
+ *        user - { id, email, role }, the buyer from the JWT
+ *        cart - { lines: [{ eventId, quantity, tierId, seatIds, queueToken }],
+ *        payment }
+ *        charges - Array the capture is pushed onto, as for purchaseTickets
+ * Output: { body } with one order per line and the cart total, or a failed
+ *         result; when lines cannot be filled it is a 409 whose `lines`
+ *         give the reason for each
+ */
+export async function checkoutCart(db, user, { lines, payment }, charges) {
+  const failures = [];
+  const placed = [];
+  for (const [index, line] of lines.entries()) {
+    const seats = await takeSeats(db, user, { ...line, holdId: undefined });
+    if (seats.ok === false) {
+      failures.push({ index, eventId: line.eventId, error: seats.error });
+      continue;
+    }
+    const { event, tier, quantity, seatIds } = seats;
+    const unitPriceCents = tier?.price_cents ?? 0;
+    const totalCents = unitPriceCents * quantity;
+    const { orderId, ticketCodes } = await recordOrder(db, {
+      event,
+      tier,
+      user,
+      quantity,
+      unitPriceCents,
+      promo: null,
+      discountCents: 0,
+      totalCents,
+      captured: null,
+      seatIds,
+    });
+    placed.push({ eventId: event.id, orderId, purchased: quantity, tierId: tier?.id ?? null,
+      tierName: tier?.name ?? null, unitPriceCents, totalCents, ticketCodes, seatIds });
+  }
+  if (failures.length > 0) {
+    return { ok: false, code: 409, error: "Some cart lines could not be purchased", lines: failures };
+  }
+
+  // One charge for the whole cart, taken only once every line is in place
+  const totalCents = placed.reduce((sum, order) => sum + order.totalCents, 0);
+  const charge = await chargeOrder(totalCents, payment);
+  if (charge.ok === false) {
+    return charge;
+  }
+  const { captured } = charge;
+  if (captured) {
+    charges.push(captured);
+    await db.run(
+      `UPDATE orders SET payment_provider = ?, payment_capture_id = ?
+        WHERE id IN (${placed.map(() => "?").join(", ")})`,
+      [captured.provider.name, captured.captureId, ...placed.map((order) => order.orderId)]
+    );
+  }
+
+  for (const order of placed) {
+    await finishQueueTurn(db, order.eventId, String(user.id));
+    const { tickets } = await db.get("SELECT tickets FROM events WHERE id = ?", [order.eventId]);
+    order.remainingTickets = tickets;
+  }
+  console.log(`Checked out ${placed.length} cart line(s) for user ${user.id}`);
+  return { body: { success: true, orders: placed, totalCents } };
+}
+
+/**
+ * Purpose: Buys a bundle such as a season pass: one seat at every member
+ *          event, taken together for the bundle's price. Each event gets its
+ *          own order and ticket, so the tickets list with the buyer's others;
+ *          the price is split across them so refunds know what each seat cost.
+ * Input: db - open `sqlite` database handle
+ *        user - { id, email, role }, the buyer from the JWT
+ *        request - { bundleId, payment }
+ *        charges - Array the capture is pushed onto, as for purchaseTickets
+ * Output: { body } with the bundle order and one order per event, or a failed
+ *         result (404 unknown bundle, 409 sold out); when member events
+ *         cannot be booked it is a 409 whose `lines` give the reason for each
+ */
+export async function purchaseBundle(db, user, { bundleId, payment }, charges) {
+  const bundle = await db.get("SELECT * FROM bundles WHERE id = ? AND active = 1", [bundleId]);
+  if (!bundle) {
+    return { ok: false, code: 404, error: "Bundle not found" };
+  }
+  if (bundle.tickets <= 0) {
+    return { ok: false, code: 409, error: "This bundle is sold out" };
+  }
+
+  const members = await db.all(
+    "SELECT event_id, tier_id FROM bundle_events WHERE bundle_id = ? ORDER BY event_id",
+    [bundle.id]
+  );
+  const failures = [];
+  const taken = [];
+  for (const member of members) {
+    const seats = await takeSeats(db, user, { eventId: member.event_id, quantity: 1, tierId: member.tier_id ?? undefined });
+    if (seats.ok === false) {
+      failures.push({ eventId: member.event_id, error: seats.error });
+      continue;
+    }
+    taken.push(seats);
+  }
+  if (failures.length > 0) {
+    return { ok: false, code: 409, error: "Some of the bundle's events cannot be booked", lines: failures };
+  }
+
+  const charge = await chargeOrder(bundle.price_cents, payment);
+  if (charge.ok === false) {
+    return charge;
+  }
+  const { captured } = charge;
+  if (captured) charges.push(captured);
+
+  const bundleOrder = await db.run(
+    `INSERT INTO bundle_orders (bundle_id, user_id, user_email, total_cents, payment_provider, payment_capture_id)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [bundle.id, String(user.id), user.email, bundle.price_cents, captured?.provider.name ?? null, captured?.captureId ?? null]
+  );
+  const shares = splitCents(bundle.price_cents, taken.length);
+  const orders = [];
+  for (const [i, { event, tier }] of taken.entries()) {
+    const { orderId, ticketCodes } = await recordOrder(db, {
+      event,
+      tier,
+      user,
+      quantity: 1,
+      unitPriceCents: shares[i],
+      promo: null,
+      discountCents: 0,
+      totalCents: shares[i],
+      captured,
+      bundleOrderId: bundleOrder.lastID,
+    });
+    orders.push({ eventId: event.id, orderId, tierId: tier?.id ?? null, totalCents: shares[i], ticketCodes });
+  }
+  await db.run("UPDATE bundles SET tickets = tickets - 1 WHERE id = ?", [bundle.id]);
+
+  console.log(`Purchased bundle ${bundle.name} for user ${user.id}`);
+  return {
+    body: {
+      success: true,
+      bundleId: bundle.id,
+      bundleOrderId: bundleOrder.lastID,
+      name: bundle.name,
+      totalCents: bundle.price_cents,
+      remainingBundles: bundle.tickets - 1,
+      orders,
+    },
+  };
+}
@@ -0,0 +1,69 @@
+/**
+ * saleWindow.js
+ * Purpose: Sale windows. An event's sale_starts_at and sale_ends_at (UTC
+ *          'YYYY-MM-DD HH:MM:SS', either may be NULL) bound when its tickets
+ *          can be bought, held or waited for. A cancelled event (cancelled_at
+ *          set by admin-service) is off sale for good.
+ */
+
+/**
+ * Purpose: Reads a stored UTC date-time
+ * Input: value - String 'YYYY-MM-DD HH:MM:SS' or null
+ * Output: Milliseconds since the epoch, or null
+ */
+export function toMillis(value) {
+  return value ? Date.parse(`${value.replace(" ", "T")}Z`) : null;
+}
+
+/**
+ * Purpose: Works out where an event is in its sale window
+ * Input: event - events row (sale_starts_at, sale_ends_at, cancelled_at)
+ *        now - int, milliseconds since the epoch (defaults to the clock)
+ * Output: { status, secondsUntilStart, secondsUntilEnd } where status is
+ *         'upcoming', 'on_sale', 'closed' or 'cancelled'; each countdown is
+ *         null when it does not apply
+ */
+export function saleStatus(event, now = Date.now()) {
+  if (event.cancelled_at) {
+    return { status: "cancelled", secondsUntilStart: null, secondsUntilEnd: null };
+  }
+  const startsAt = toMillis(event.sale_starts_at);
+  const endsAt = toMillis(event.sale_ends_at);
+  if (startsAt !== null && now < startsAt) {
+    return {
+      status: "upcoming",
+      secondsUntilStart: Math.ceil((startsAt - now) / 1000),
+      secondsUntilEnd: endsAt !== null ? Math.ceil((endsAt - now) / 1000) : null,
+    };
+  }
+  if (endsAt !== null && now >= endsAt) {
+    return { status: "closed", secondsUntilStart: null, secondsUntilEnd: null };
+  }
+  return {
+    status: "on_sale",
+    secondsUntilStart: null,
+    secondsUntilEnd: endsAt !== null ? Math.ceil((endsAt - now) / 1000) : null,
+  };
+}
+
+/**
+ * Purpose: Turns away purchases, holds and waitlist joins outside the sale
+ *          window
+ * Input: event - events row
+ * Output: null while the event is on sale, otherwise a failed result (409)
+ *         saying whether sales have not opened yet, have closed or the event
+ *         was cancelled
+ */
+export function checkSaleWindow(event) {
+  const { status } = saleStatus(event);
+  if (status === "upcoming") {
+    return { ok: false, code: 409, error: `Tickets are not on sale yet; sales open at ${event.sale_starts_at} UTC` };
+  }
+  if (status === "closed") {
+    return { ok: false, code: 409, error: `Sales for this event closed at ${event.sale_ends_at} UTC` };
+  }
+  if (status === "cancelled") {
+    return { ok: false, code: 409, error: "This event was cancelled" };
+  }
+  return null;
+}
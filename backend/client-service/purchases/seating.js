@@ -0,0 +1,113 @@
+/**
+ * seating.js
+ * Purpose: Assigned seats for events held at a venue. A seat is taken for an
+ *          event by a row in seat_assignments, first for a hold and then for
+ *          the ticket it becomes; the table's primary key means a seat can
+ *          only ever be taken once per event. Functions take the open `sqlite`
+ *          handle and must run inside the caller's transaction.
+ */
+
+// Most seats one request may name; per-order limits still apply on top
+export const MAX_SEATS_PER_REQUEST = 50;
+
+/**
+ * Purpose: Checks the seatIds sent with a purchase, hold or cart line
+ * Input: seatIds - value of the request's `seatIds` field
+ * Output: null when absent or valid, otherwise the error message
+ */
+export function validateSeatIds(seatIds) {
+  if (seatIds === undefined) return null;
+  if (!Array.isArray(seatIds) || seatIds.length === 0 || seatIds.length > MAX_SEATS_PER_REQUEST ||
+      seatIds.some((id) => !Number.isInteger(id) || id <= 0)) {
+    return `Invalid seat ids: array of 1 to ${MAX_SEATS_PER_REQUEST} seat ids required`;
+  }
+  if (new Set(seatIds).size !== seatIds.length) {
+    return "Invalid seat ids: a seat is listed twice";
+  }
+  return null;
+}
+
+/**
+ * Purpose: Names a seat the way it is printed on a ticket
+ * Input: seat - venue_seats row (section, row_label, seat_number)
+ * Output: String such as "Section 101, Row C, Seat 12"
+ */
+export function seatLabel(seat) {
+  return `Section ${seat.section}, Row ${seat.row_label}, Seat ${seat.seat_number}`;
+}
+
+/**
+ * Purpose: Takes specific seats of an event's venue, for a hold or, with no
+ *          hold, for tickets about to be recorded
+ * Input: db - open `sqlite` database handle
+ *        event - events row with a venue_id
+ *        seatIds - Array of venue_seats ids
+ *        holdId - int or null, the hold the seats are taken for
+ * Output: null once every seat is taken, otherwise a failed result: 400 for
+ *         seats not in the venue, 409 naming the seats already taken
+ */
+export async function lockSeats(db, event, seatIds, holdId) {
+  const placeholders = seatIds.map(() => "?").join(", ");
+  const seats = await db.all(
+    `SELECT s.*, a.seat_id AS taken FROM venue_seats s
+       LEFT JOIN seat_assignments a ON a.seat_id = s.id AND a.event_id = ?
+      WHERE s.venue_id = ? AND s.id IN (${placeholders})
+      ORDER BY s.id`,
+    [event.id, event.venue_id, ...seatIds]
+  );
+  if (seats.length !== seatIds.length) {
+    return { ok: false, code: 400, error: "Some seats are not part of this event's venue" };
+  }
+  const taken = seats.filter((seat) => seat.taken);
+  if (taken.length > 0) {
+    return { ok: false, code: 409, error: `Seats no longer available: ${taken.map(seatLabel).join("; ")}` };
+  }
+
+  for (const seatId of seatIds) {
+    await db.run(
+      "INSERT INTO seat_assignments (event_id, seat_id, hold_id) VALUES (?, ?, ?)",
+      [event.id, seatId, holdId]
+    );
+  }
+  return null;
+}
+
+/**
+ * Purpose: Lists the seats a hold has taken
+ * Input: db - open `sqlite` database handle, holdId - int
+ * Output: Array of seat ids, empty for general admission holds and for
+ *         waitlist offers whose seats are chosen at checkout
+ */
+export async function heldSeatIds(db, holdId) {
+  const rows = await db.all("SELECT seat_id FROM seat_assignments WHERE hold_id = ? ORDER BY seat_id", [holdId]);
+  return rows.map((row) => row.seat_id);
+}
+
+/**
+ * Purpose: Builds an event's seat map for rendering
+ * Input: db - open `sqlite` database handle
+ *        event - events row with a venue_id
+ * Output: { venue: { id, name }, sections: [{ name, rows: [{ label,
+ *         seats: [{ id, number, available }] }] }] } in the venue's order
+ */
+export async function seatMap(db, event) {
+  const venue = await db.get("SELECT id, name FROM venues WHERE id = ?", [event.venue_id]);
+  const seats = await db.all(
+    `SELECT s.id, s.section, s.row_label, s.seat_number, a.seat_id IS NULL AS available
+       FROM venue_seats s
+       LEFT JOIN seat_assignments a ON a.seat_id = s.id AND a.event_id = ?
+      WHERE s.venue_id = ?
+      ORDER BY s.id`,
+    [event.id, event.venue_id]
+  );
+
+  const sections = [];
+  for (const seat of seats) {
+    let section = sections.find((s) => s.name === seat.section);
+    if (!section) sections.push((section = { name: seat.section, rows: [] }));
+    let row = section.rows.find((r) => r.label === seat.row_label);
+    if (!row) section.rows.push((row = { label: seat.row_label, seats: [] }));
+    row.seats.push({ id: seat.id, number: seat.seat_number, available: Boolean(seat.available) });
+  }
+  return { venue, sections };
+}
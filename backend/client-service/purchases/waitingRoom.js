@@ -0,0 +1,179 @@
+/**
+ * waitingRoom.js
+ * Purpose: Virtual waiting room for high-demand on-sales. Buyers of an event
+ *          with a waiting_room_limit join a first-in, first-out queue and at
+ *          most that many shoppers are admitted at a time. Each admitted
+ *          shopper gets a queue token that purchases and holds must carry; the
+ *          turn ends when they buy, leave or the token expires, and the next
+ *          in line is let in. The line can form before sales open, but no one
+ *          is let in until they do. Functions take the open `sqlite` handle
+ *          and must run inside the caller's transaction.
+ */
+import crypto from "crypto";
+import { saleStatus } from "./saleWindow.js";
+
+// Minutes an admitted shopper has to buy before the turn passes on
+export const QUEUE_TOKEN_TTL_MINUTES = Number(process.env.QUEUE_TOKEN_TTL_MINUTES ?? 10);
+
+// Finished turns used to estimate how quickly the line moves
+const WAIT_ESTIMATE_SAMPLE = 50;
+
+/**
+ * Purpose: Lapses expired turns and, once the event is on sale, admits the
+ *          next shoppers in line until the event's waiting_room_limit are
+ *          shopping
+ * Input: db - open `sqlite` database handle
+ *        event - events row with a waiting_room_limit
+ * Output: Number of shoppers admitted
+ */
+export async function advanceQueue(db, event) {
+  await db.run(
+    `UPDATE waiting_room_entries SET status = 'expired', finished_at = datetime('now')
+      WHERE event_id = ? AND status = 'admitted' AND expires_at <= datetime('now')`,
+    [event.id]
+  );
+  if (saleStatus(event).status !== "on_sale") {
+    return 0;
+  }
+  const { active } = await db.get(
+    "SELECT COUNT(*) AS active FROM waiting_room_entries WHERE event_id = ? AND status = 'admitted'",
+    [event.id]
+  );
+  const next = await db.all(
+    "SELECT id FROM waiting_room_entries WHERE event_id = ? AND status = 'waiting' ORDER BY id LIMIT ?",
+    [event.id, Math.max(event.waiting_room_limit - active, 0)]
+  );
+  for (const entry of next) {
+    await db.run(
+      `UPDATE waiting_room_entries
+          SET status = 'admitted', token = ?, admitted_at = datetime('now'), expires_at = datetime('now', ?)
+        WHERE id = ?`,
+      [crypto.randomBytes(24).toString("base64url"), `+${QUEUE_TOKEN_TTL_MINUTES} minutes`, entry.id]
+    );
+  }
+  return next.length;
+}
+
+/**
+ * Purpose: Puts a buyer in line for an event, keeping their place if they
+ *          are already waiting or shopping
+ * Input: db - open `sqlite` database handle
+ *        event - events row with a waiting_room_limit
+ *        userId - String, the buyer
+ * Output: { entry, joined } where joined is false for an existing place
+ */
+export async function joinQueue(db, event, userId) {
+  const existing = await db.get(
+    "SELECT * FROM waiting_room_entries WHERE event_id = ? AND user_id = ? AND status IN ('waiting', 'admitted')",
+    [event.id, userId]
+  );
+  if (existing) {
+    return { entry: existing, joined: false };
+  }
+  const inserted = await db.run(
+    "INSERT INTO waiting_room_entries (event_id, user_id) VALUES (?, ?)",
+    [event.id, userId]
+  );
+  return { entry: await db.get("SELECT * FROM waiting_room_entries WHERE id = ?", [inserted.lastID]), joined: true };
+}
+
+/**
+ * Purpose: Describes a buyer's latest place in an event's waiting room
+ * Input: db - open `sqlite` database handle
+ *        event - events row with a waiting_room_limit
+ *        userId - String, the buyer
+ * Output: { eventId, status, position, estimatedWaitSeconds, queueToken,
+ *         expiresAt } (position and the wait are 0 once admitted; the token
+ *         and expiry are null unless admitted), or null if the buyer never
+ *         joined
+ */
+export async function queueStatus(db, event, userId) {
+  const entry = await db.get(
+    "SELECT * FROM waiting_room_entries WHERE event_id = ? AND user_id = ? ORDER BY id DESC LIMIT 1",
+    [event.id, userId]
+  );
+  if (!entry) {
+    return null;
+  }
+
+  let position = 0;
+  let estimatedWaitSeconds = 0;
+  if (entry.status === "waiting") {
+    ({ position } = await db.get(
+      "SELECT COUNT(*) AS position FROM waiting_room_entries WHERE event_id = ? AND status = 'waiting' AND id <= ?",
+      [event.id, entry.id]
+    ));
+    // Each admitted slot turns over about once per average turn; until any
+    // turns have finished, assume every shopper uses the whole token. Before
+    // sales open the first batch waits only for the opening.
+    const { turnSeconds } = await db.get(
+      `SELECT AVG((julianday(finished_at) - julianday(admitted_at)) * 86400) AS turnSeconds
+         FROM (SELECT admitted_at, finished_at FROM waiting_room_entries
+                WHERE event_id = ? AND finished_at IS NOT NULL AND admitted_at IS NOT NULL
+                ORDER BY id DESC LIMIT ?)`,
+      [event.id, WAIT_ESTIMATE_SAMPLE]
+    );
+    const perTurn = turnSeconds ?? QUEUE_TOKEN_TTL_MINUTES * 60;
+    const turns = Math.ceil(position / event.waiting_room_limit);
+    const { secondsUntilStart } = saleStatus(event);
+    estimatedWaitSeconds = Math.ceil(
+      secondsUntilStart === null ? turns * perTurn : secondsUntilStart + (turns - 1) * perTurn
+    );
+  }
+
+  const admitted = entry.status === "admitted";
+  return {
+    eventId: event.id,
+    status: entry.status,
+    position,
+    estimatedWaitSeconds,
+    queueToken: admitted ? entry.token : null,
+    expiresAt: admitted ? entry.expires_at : null,
+  };
+}
+
+/**
+ * Purpose: Checks that a buyer has been admitted from an event's waiting room
+ * Input: db - open `sqlite` database handle
+ *        event - events row
+ *        userId - String, the buyer
+ *        queueToken - String or undefined, the token sent with the request
+ * Output: null when the event has no waiting room or the token is the
+ *         buyer's current one, otherwise a failed result (403)
+ */
+export async function checkQueueToken(db, event, userId, queueToken) {
+  if (!event.waiting_room_limit) {
+    return null;
+  }
+  const admitted = typeof queueToken === "string" && await db.get(
+    `SELECT id FROM waiting_room_entries
+      WHERE event_id = ? AND user_id = ? AND token = ? AND status = 'admitted' AND expires_at > datetime('now')`,
+    [event.id, userId, queueToken]
+  );
+  if (!admitted) {
+    return {
+      ok: false,
+      code: 403,
+      error: "This event has a waiting room; join the queue and buy with the queueToken it issues when it is your turn",
+    };
+  }
+  return null;
+}
+
+/**
+ * Purpose: Ends a buyer's turn once they have bought or given up, so the next
+ *          shopper in line can be admitted
+ * Input: db - open `sqlite` database handle
+ *        eventId - int, the event ID
+ *        userId - String, the buyer
+ *        status - 'done' after a purchase, 'left' when leaving the line
+ * Output: Number of entries closed
+ */
+export async function finishQueueTurn(db, eventId, userId, status = "done") {
+  const result = await db.run(
+    `UPDATE waiting_room_entries SET status = ?, finished_at = datetime('now')
+      WHERE event_id = ? AND user_id = ? AND status IN ('waiting', 'admitted')`,
+    [status, eventId, userId]
+  );
+  return result.changes;
+}
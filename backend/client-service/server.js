@@ -7,10 +7,49 @@ import sqlite3 from "sqlite3";
 import { open } from "sqlite";
 import dotenv from "dotenv";
 import path from "path";
+import fs from "fs";
+import crypto from "crypto";
+import QRCode from "qrcode";
 import { fileURLToPath } from "url";
+import sharedMigrations from "../shared-db/migrate.js";
+import sharedWaitlist from "../shared-db/waitlist.js";
+import sharedInventory from "../shared-db/inventory.js";
+import sharedEligibility from "../shared-db/eligibility.js";
+import sharedLottery from "../shared-db/lottery.js";
+import sharedTickets from "../shared-db/tickets.js";
+import sharedTokens from "../shared-auth/tokens.js";
+import sharedUsers from "../shared-auth/users.js";
+import {
+  validatePurchaseInput,
+  validateCheckoutInput,
+  purchaseTickets,
+  checkoutCart,
+  purchaseBundle,
+  checkPurchaseLimits,
+  checkEventEligibility,
+  resolveTier,
+  queueTicketRefunds,
+  refundCapture,
+  payDueRefunds,
+  findIdempotentReplay,
+  saveIdempotentResponse,
+} from "./purchases/purchaseService.js";
+import { validateSeatIds, lockSeats, seatLabel, seatMap } from "./purchases/seating.js";
+import { advanceQueue, joinQueue, queueStatus, checkQueueToken, finishQueueTurn } from "./purchases/waitingRoom.js";
+import { saleStatus, checkSaleWindow } from "./purchases/saleWindow.js";
+import { cancellationClosed } from "./purchases/cancellation.js";
+import { lotteryStatus, checkLotteryDrawn } from "./purchases/lottery.js";
 
 dotenv.config();
 
+const { migrate } = sharedMigrations;
+const { promoteWaitlist } = sharedWaitlist;
+const { adjustInventory, tiersByEvent } = sharedInventory;
+const { eligibilityByEvent } = sharedEligibility;
+const { drawDueLotteries } = sharedLottery;
+const { generateTicketCode } = sharedTickets;
+const { tokenFromRequest, verifyToken } = sharedTokens;
+const { isRegisteredEmail } = sharedUsers;
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const app = express();
@@ -29,7 +68,8 @@ app.use(cors({
     console.log("Blocked CORS for origin:", origin);
     return callback(new Error("Not allowed by CORS"));
   },
-  methods: ["GET", "POST"],
+  methods: ["GET", "POST", "DELETE"],
+  exposedHeaders: ["X-Total-Count"],
   credentials: true,
 }));
 app.use(express.json()); 
@@ -38,37 +78,179 @@ app.use(cookieParser());
 
 // Use absolute database path
 const dbPath = path.join(__dirname, "..", "shared-db", "database.sqlite");
+const initSqlPath = path.join(__dirname, "..", "shared-db", "init.sql");
 console.log("Using DB at:", dbPath);
 
 let db;
-(async () => {
+export const dbReady = (async () => {
   db = await open({
     filename: dbPath,
     driver: sqlite3.Database,
   });
+  // admin-service writes to the same file; wait for its locks instead of failing
+  db.configure("busyTimeout", 5000);
 
-  // Create table if not exists
-  await db.exec(`
-    CREATE TABLE IF NOT EXISTS events (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      name TEXT,
-      date TEXT,
-      tickets INTEGER
-    )
-  `);
+  // Same schema as admin-service: init.sql, then columns added since
+  await db.exec(fs.readFileSync(initSqlPath, "utf8"));
+  await migrate(db);
 
   console.log("Database initialized and ready.");
 })();
 
 /**
- * Purpose: Retrieve and return all events from the database
- * Input: None
- * Ouput: JSON array of all events or a JSON error message on failure
+ * Purpose: Runs a unit of work inside a BEGIN IMMEDIATE transaction. All
+ *          requests share one connection, so transactions are queued and run
+ *          one at a time instead of interleaving.
+ * Input: work - async function returning { ok, ... }; a result with ok === false
+ *        rolls the transaction back, anything else commits it
+ * Ouput: Promise resolving to the value returned by work
+ */
+let txQueue = Promise.resolve();
+function withTransaction(work) {
+  const run = txQueue.then(async () => {
+    await db.exec("BEGIN IMMEDIATE;");
+    try {
+      const result = await work();
+      await db.exec(result?.ok === false ? "ROLLBACK;" : "COMMIT;");
+      return result;
+    } catch (e) {
+      await db.exec("ROLLBACK;");
+      throw e;
+    }
+  });
+  txQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Purpose: Fingerprints a request so a reused Idempotency-Key can be matched
+ *          against the request it was first sent with
+ * Input: req - Express request
+ * Ouput: Hex SHA-256 of the method, path and JSON body
+ */
+function hashRequest(req) {
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify([req.method, req.path, req.body ?? null]))
+    .digest("hex");
+}
+
+const EVENT_SORTS = { date: "date", name: "name COLLATE NOCASE", tickets: "tickets" };
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Purpose: Turns GET /api/events query parameters into SQL clauses
+ * Input: query - object with optional q, from, to, available, sort, limit, offset
+ * Ouput: { error } for an invalid parameter, otherwise { where, params, orderBy,
+ *        limit, offset } (limit is null when every match should be returned)
+ */
+function parseEventQuery(query) {
+  const { q, from, to, available, sort, limit, offset } = query;
+  // Cancelled events stay reachable by id for their ticket holders only
+  const clauses = ["cancelled_at IS NULL"];
+  const params = [];
+
+  if (q !== undefined) {
+    if (typeof q !== "string") return { error: 'Invalid "q": expected a string' };
+    // Escape LIKE wildcards so the search text is matched literally
+    clauses.push("name LIKE ? ESCAPE '\\'");
+    params.push(`%${q.trim().replace(/[\\%_]/g, "\\$&")}%`);
+  }
+  for (const [field, value, op] of [["from", from, ">="], ["to", to, "<="]]) {
+    if (value === undefined) continue;
+    if (typeof value !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      return { error: `Invalid "${field}": expected YYYY-MM-DD` };
+    }
+    clauses.push(`date ${op} ?`);
+    params.push(value);
+  }
+  if (available !== undefined) {
+    if (available !== "true" && available !== "false") {
+      return { error: 'Invalid "available": expected true or false' };
+    }
+    clauses.push(available === "true" ? "tickets > 0" : "tickets <= 0");
+  }
+
+  let orderBy = "id";
+  if (sort !== undefined) {
+    const desc = typeof sort === "string" && sort.startsWith("-");
+    const column = EVENT_SORTS[desc ? sort.slice(1) : sort];
+    if (!column) {
+      return { error: `Invalid "sort": expected one of ${Object.keys(EVENT_SORTS).join(", ")}` };
+    }
+    orderBy = `${column} ${desc ? "DESC" : "ASC"}, id`;
+  }
+
+  let limitNum = null;
+  if (limit !== undefined) {
+    limitNum = Number(limit);
+    if (!Number.isInteger(limitNum) || limitNum < 1 || limitNum > MAX_PAGE_SIZE) {
+      return { error: `Invalid "limit": integer from 1 to ${MAX_PAGE_SIZE} required` };
+    }
+  }
+  const offsetNum = offset === undefined ? 0 : Number(offset);
+  if (!Number.isInteger(offsetNum) || offsetNum < 0) {
+    return { error: 'Invalid "offset": non-negative integer required' };
+  }
+
+  return {
+    where: `WHERE ${clauses.join(" AND ")}`,
+    params,
+    orderBy,
+    limit: limitNum,
+    offset: offsetNum,
+  };
+}
+
+/**
+ * Purpose: Describes who may buy tickets for an event without revealing the
+ *          invite list
+ * Input: rules - { emailDomains, roles, inviteEmails } or undefined
+ * Ouput: { emailDomains, roles, inviteOnly }, or null for an open event
+ */
+function publicEligibility(rules) {
+  if (!rules) return null;
+  return { emailDomains: rules.emailDomains, roles: rules.roles, inviteOnly: rules.inviteEmails.length > 0 };
+}
+
+/**
+ * Purpose: Retrieve the events that have not been cancelled, optionally
+ *          searched, filtered, sorted and paginated
+ * Input: Query parameters q (name search), from/to (YYYY-MM-DD, inclusive),
+ *        available (true/false), sort (date, name, tickets; "-" prefix for
+ *        descending), limit and offset
+ * Ouput: JSON array of matching events, each with its ticket tiers (cheapest
+ *        first, empty when the event is not tiered), who may buy them
+ *        (see publicEligibility), where it is in its sale window (see
+ *        purchases/saleWindow.js) and its lottery, if any (see
+ *        purchases/lottery.js), with the number of matches before paging
+ *        in the X-Total-Count header, or a JSON error message on failure
  */
 app.get("/api/events", async (req, res) => {
+  const query = parseEventQuery(req.query);
+  if (query.error) {
+    return res.status(400).json({ error: query.error });
+  }
+
   try {
-    const events = await db.all("SELECT * FROM events");
-    res.json(events);
+    const { total } = await db.get(
+      `SELECT COUNT(*) AS total FROM events ${query.where}`,
+      query.params
+    );
+    const events = await db.all(
+      `SELECT * FROM events ${query.where} ORDER BY ${query.orderBy} LIMIT ? OFFSET ?`,
+      [...query.params, query.limit ?? -1, query.offset]
+    );
+    const tiers = await tiersByEvent(db, events.map((e) => e.id));
+    const eligibility = await eligibilityByEvent(db, events.map((e) => e.id));
+    res.set("X-Total-Count", String(total));
+    res.json(events.map((e) => ({
+      ...e,
+      tiers: tiers.get(e.id) ?? [],
+      eligibility: publicEligibility(eligibility.get(e.id)),
+      sale: saleStatus(e),
+      lottery: lotteryStatus(e),
+    })));
   } catch (err) {
     console.error("Error fetching events:", err);
     res.status(500).json({ error: "Failed to fetch events" });
@@ -76,68 +258,1659 @@ app.get("/api/events", async (req, res) => {
 });
 
 /**
- * Purpose: Safely processes a ticket purchase using SQLite transactions
- * Input: id - int/string, The unique event ID for which tickets are being purchased
- *        JSON object, number of tickets
- * Ouput: Success confirmation or error message with rollback protection
+ * Purpose: Retrieve a single event with all of its details
+ * Input: id - int/string, the event ID
+ * Ouput: JSON event object with its ticket tiers, eligibility, sale and
+ *        lottery status, 400 for a malformed id or 404 if it does not exist
  */
-// JWT auth middleware: accepts token from cookie 'token' or Authorization header
+app.get("/api/events/:id", async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id <= 0) {
+    return res.status(400).json({ error: "Invalid event id" });
+  }
+
+  try {
+    const event = await db.get("SELECT * FROM events WHERE id = ?", [id]);
+    if (!event) {
+      return res.status(404).json({ error: "Event not found" });
+    }
+    const tiers = await tiersByEvent(db, [id]);
+    const eligibility = await eligibilityByEvent(db, [id]);
+    res.json({
+      ...event,
+      tiers: tiers.get(id) ?? [],
+      eligibility: publicEligibility(eligibility.get(id)),
+      sale: saleStatus(event),
+      lottery: lotteryStatus(event),
+    });
+  } catch (err) {
+    console.error("Error fetching event:", err);
+    res.status(500).json({ error: "Failed to fetch event" });
+  }
+});
+
+/**
+ * Purpose: Retrieve the seat map of an event with assigned seating
+ * Input: id - int/string, the event ID
+ * Ouput: JSON { eventId, venue, sections: [{ name, rows: [{ label, seats:
+ *        [{ id, number, available }] }] }] }, 400 for a malformed id or 404
+ *        if the event does not exist or is general admission
+ */
+app.get("/api/events/:id/seats", async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id <= 0) {
+    return res.status(400).json({ error: "Invalid event id" });
+  }
+
+  try {
+    const event = await db.get("SELECT * FROM events WHERE id = ?", [id]);
+    if (!event) {
+      return res.status(404).json({ error: "Event not found" });
+    }
+    if (!event.venue_id) {
+      return res.status(404).json({ error: "This event is general admission and has no seat map" });
+    }
+    res.json({ eventId: id, ...(await seatMap(db, event)) });
+  } catch (err) {
+    console.error("Error fetching seat map:", err);
+    res.status(500).json({ error: "Failed to fetch seat map" });
+  }
+});
+
+// JWT auth middleware: accepts token from cookie 'token' or Authorization header,
+// verified the same way as in every other service (see shared-auth/tokens.js)
 function authenticateToken(req, res, next) {
-  const token = req.cookies?.token || req.header('Authorization')?.replace('Bearer ', '');
+  const token = tokenFromRequest(req);
   if (!token) return res.status(401).json({ error: 'No token provided' });
 
-  const JWT_SECRET = process.env.JWT_SECRET || 'replace_with_a_strong_secret';
-  jwt.verify(token, JWT_SECRET, (err, payload) => {
-    if (err) return res.status(401).json({ error: 'Invalid or expired token' });
-    req.user = { id: payload.id, email: payload.email };
-    next();
-  });
+  const user = verifyToken(jwt, token);
+  if (!user) return res.status(401).json({ error: 'Invalid or expired token' });
+  req.user = user;
+  next();
 }
 
-app.post("/api/events/:id/purchase", authenticateToken, async (req, res) => {
-  const eventId = req.params.id;
-  const { quantity } = req.body;
+/**
+ * Purpose: Lets only event staff through; must run after authenticateToken
+ * Input: req.user - the authenticated user; user-authentication issues the
+ *        staff role to the emails in its STAFF_EMAILS
+ * Ouput: Calls next() for a staff or admin role, 403 otherwise
+ */
+function requireStaff(req, res, next) {
+  if (!["staff", "admin"].includes(req.user.role)) {
+    return res.status(403).json({ error: "Staff access required" });
+  }
+  next();
+}
+
+/**
+ * Purpose: Runs a purchase through the purchase service inside one
+ *          transaction, with the Idempotency-Key handling and refunds that
+ *          every way of buying tickets shares
+ * Input: req, res - Express request and response; Idempotency-Key header
+ *        (optional) - retries with the same key get the first response back
+ *        instead of buying again
+ *        work - async (charges) => { body } or a failed result, run inside
+ *        the transaction after expired holds are released
+ * Ouput: 200 with the body, or the failed result's status with { error }
+ *        (and `lines` for cart checkouts); any charge taken is refunded when
+ *        the purchase does not commit
+ */
+async function handlePurchase(req, res, work) {
+  const idempotencyKey = req.header("Idempotency-Key");
+  if (idempotencyKey !== undefined && (idempotencyKey.length === 0 || idempotencyKey.length > 255)) {
+    return res.status(400).json({ error: "Invalid Idempotency-Key header" });
+  }
+  const requestHash = hashRequest(req);
+  const userId = String(req.user.id);
 
-  if (!quantity || quantity <= 0) {
+  // Captures taken so far, so money can be returned if the order then fails
+  const charges = [];
+  try {
+    const result = await withTransaction(async () => {
+      const replay = await findIdempotentReplay(db, userId, idempotencyKey, requestHash);
+      if (replay) {
+        return replay;
+      }
+
+      await releaseExpiredHolds();
+      const outcome = await work(charges);
+      if (outcome.ok === false) {
+        return outcome;
+      }
+
+      // Saved with the purchase so a retry can only ever see the committed result
+      await saveIdempotentResponse(db, userId, idempotencyKey, requestHash, outcome.body);
+      return { ok: true, status: 200, body: outcome.body };
+    });
+
+    if (!result.ok) {
+      await Promise.all(charges.map(refundCapture));
+      return res.status(result.code).json({ error: result.error, ...(result.lines && { lines: result.lines }) });
+    }
+    if (result.replayed) {
+      res.set("Idempotent-Replayed", "true");
+    }
+    res.status(result.status).json(result.body);
+  } catch (err) {
+    console.error("Ticket purchase error:", err);
+    await Promise.all(charges.map(refundCapture));
+    res.status(500).json({ error: err.message });
+  }
+}
+
+/**
+ * Purpose: Safely processes a ticket purchase using SQLite transactions
+ * Input: id - int/string, The unique event ID for which tickets are being purchased
+ *        JSON object, number of tickets and, for events with tiers, the tierId
+ *        to buy from (or a holdId to check out), the seatIds chosen for events
+ *        with assigned seating, the queueToken for events with a waiting room,
+ *        an optional promoCode, and
+ *        for orders that cost anything the payment method to charge
+ *        Idempotency-Key header (optional) - retries with the same key get the
+ *        first response back instead of buying again
+ * Ouput: Success confirmation with the order total computed from the tier
+ *        price and any promo discount, or error message with rollback
+ *        protection (409 when the event is not on sale yet, its sales have
+ *        closed or its lottery has not been drawn, or naming any seats already taken, 422 with the reason
+ *        when a promo code cannot be used, 402 when payment is missing or
+ *        declined, 504 when the gateway times out)
+ */
+app.post("/api/events/:id/purchase", authenticateToken, (req, res) => {
+  const invalid = validatePurchaseInput(req.body || {});
+  if (invalid) {
+    return res.status(invalid.code).json({ error: invalid.error });
+  }
+  const { quantity, tierId, holdId, seatIds, queueToken, promoCode, payment } = req.body;
+  return handlePurchase(req, res, (charges) =>
+    purchaseTickets(
+      db, req.user, { eventId: req.params.id, quantity, tierId, holdId, seatIds, queueToken, promoCode, payment }, charges
+    )
+  );
+});
+
+/**
+ * Purpose: Buys tickets for several events at once. Every line is purchased
+ *          in one transaction and paid with a single charge, or nothing is.
+ * Input: JSON object, lines - array of { eventId, quantity, tierId, seatIds,
+ *        queueToken } (tierId for events with ticket tiers, seatIds for
+ *        events with assigned seating, queueToken for events with a waiting
+ *        room), and payment when the cart costs anything
+ *        Idempotency-Key header (optional), as for single purchases
+ * Ouput: One order per line and the cart total, or an error with `lines`
+ *        giving the reason for each line that could not be bought (400 for
+ *        malformed lines, 409 when any line cannot be filled); 402/504 when
+ *        payment fails
+ */
+app.post("/api/checkout", authenticateToken, (req, res) => {
+  const invalid = validateCheckoutInput(req.body || {});
+  if (invalid) {
+    return res.status(invalid.code).json({ error: invalid.error, ...(invalid.lines && { lines: invalid.lines }) });
+  }
+  const { lines, payment } = req.body;
+  return handlePurchase(req, res, (charges) => checkoutCart(db, req.user, { lines, payment }, charges));
+});
+
+/**
+ * Purpose: Lists the bundles on sale, such as season passes
+ * Input: None
+ * Ouput: JSON array of { id, name, price_cents, tickets, events } where
+ *        tickets is how many bundles remain and events are the member events
+ *        { id, name, date, tier_id } by date, or a JSON error message
+ */
+app.get("/api/bundles", async (req, res) => {
+  try {
+    const bundles = await db.all("SELECT id, name, price_cents, tickets FROM bundles WHERE active = 1 ORDER BY name");
+    const members = await db.all(
+      `SELECT b.bundle_id, e.id, e.name, e.date, b.tier_id
+         FROM bundle_events b
+         JOIN events e ON e.id = b.event_id
+         JOIN bundles u ON u.id = b.bundle_id AND u.active = 1
+        ORDER BY e.date, e.id`
+    );
+    res.json(bundles.map((bundle) => ({
+      ...bundle,
+      events: members
+        .filter((m) => m.bundle_id === bundle.id)
+        .map(({ id, name, date, tier_id }) => ({ id, name, date, tier_id })),
+    })));
+  } catch (err) {
+    console.error("Error fetching bundles:", err);
+    res.status(500).json({ error: "Failed to fetch bundles" });
+  }
+});
+
+/**
+ * Purpose: Buys a bundle: one seat at every member event in one transaction,
+ *          paid with a single charge, or nothing at all
+ * Input: id - int/string, the bundle ID
+ *        JSON object with the payment method when the bundle costs anything
+ *        Idempotency-Key header (optional), as for single purchases
+ * Ouput: The bundle order with one order and ticket per event, or an error
+ *        (404 unknown bundle, 409 sold out or with `lines` naming the events
+ *        that cannot be booked, 402/504 when payment fails)
+ */
+app.post("/api/bundles/:id/purchase", authenticateToken, (req, res) => {
+  const bundleId = Number(req.params.id);
+  const { payment } = req.body || {};
+  if (!Number.isInteger(bundleId) || bundleId <= 0) {
+    return res.status(400).json({ error: "Invalid bundle id" });
+  }
+  if (payment !== undefined && (payment === null || typeof payment !== "object" || Array.isArray(payment))) {
+    return res.status(400).json({ error: "Invalid payment details" });
+  }
+  return handlePurchase(req, res, (charges) => purchaseBundle(db, req.user, { bundleId, payment }, charges));
+});
+
+// Hours before an event's date after which tickets can no longer be cancelled
+const CANCELLATION_CUTOFF_HOURS = Number(process.env.CANCELLATION_CUTOFF_HOURS ?? 24);
+
+/**
+ * Purpose: Pays the refunds a cancellation queued, after its transaction has
+ *          committed. payDueRefunds calls the provider with no transaction
+ *          open; whatever the provider refuses stays queued for the refund
+ *          sweep.
+ * Input: orderIds - Array of int, the orders the cancellation queued refunds on
+ * Ouput: Cents refunded now
+ */
+async function payQueuedRefunds(orderIds) {
+  if (orderIds.length === 0) return 0;
+  try {
+    const { refundedCents } = await payDueRefunds(db, withTransaction, orderIds);
+    return refundedCents;
+  } catch (err) {
+    console.error("Refund error:", err);
+    return 0;
+  }
+}
+
+// Ids of tickets offered in a transfer that is still awaiting an answer; they
+// stay with their holder but cannot be cancelled or offered again meanwhile
+const PENDING_TRANSFER_TICKETS = `
+  SELECT i.ticket_id FROM ticket_transfer_items i
+    JOIN ticket_transfers x ON x.id = i.transfer_id
+   WHERE x.status = 'pending'`;
+
+/**
+ * Purpose: Cancels some or all of the logged-in user's tickets for an event and
+ *          returns the seats to inventory in one transaction
+ * Input: id - int/string, the event ID
+ *        JSON object, optional ticketCodes (array) or quantity (int); cancels
+ *        every active ticket for the event when neither is given. Tickets
+ *        already checked in at the gate, offered in a pending transfer or
+ *        bought as part of a bundle cannot be cancelled here.
+ * Ouput: Cancelled ticket codes, the amount refunded to the original payment,
+ *        any amount the provider refused that is still to be refunded, and the
+ *        restocked ticket count, or an error when the cancellation cutoff has
+ *        passed or the user holds too few tickets
+ */
+app.post("/api/events/:id/cancel", authenticateToken, async (req, res) => {
+  const eventId = Number(req.params.id);
+  const { quantity, ticketCodes } = req.body || {};
+
+  if (!Number.isInteger(eventId) || eventId <= 0) {
+    return res.status(400).json({ error: "Invalid event id" });
+  }
+  if (quantity !== undefined && (!Number.isInteger(quantity) || quantity <= 0)) {
     return res.status(400).json({ error: "Invalid ticket quantity" });
   }
+  if (ticketCodes !== undefined && (!Array.isArray(ticketCodes) || ticketCodes.length === 0)) {
+    return res.status(400).json({ error: "ticketCodes must be a non-empty array" });
+  }
 
   try {
-    await db.exec("BEGIN TRANSACTION");
+    const result = await withTransaction(async () => {
+      const event = await db.get("SELECT * FROM events WHERE id = ?", [eventId]);
+      if (!event) {
+        return { ok: false, code: 404, error: "Event not found" };
+      }
 
-    const event = await db.get("SELECT * FROM events WHERE id = ?", [eventId]);
-    if (!event) {
-      await db.exec("ROLLBACK");
-      return res.status(404).json({ error: "Event not found" });
+      if (cancellationClosed(event, CANCELLATION_CUTOFF_HOURS)) {
+        return { ok: false, code: 409, error: "Cancellation window has closed for this event" };
+      }
+
+      // Newest tickets are cancelled first when only a quantity is given.
+      // Bundle tickets are refunded with their bundle, not one by one.
+      const held = await db.all(
+        `SELECT id, code, tier_id, order_id, price_cents FROM tickets
+          WHERE event_id = ? AND user_id = ? AND status = 'active' AND checked_in_at IS NULL
+            AND id NOT IN (${PENDING_TRANSFER_TICKETS})
+            AND order_id NOT IN (SELECT id FROM orders WHERE bundle_order_id IS NOT NULL)
+          ORDER BY id DESC`,
+        [eventId, String(req.user.id)]
+      );
+
+      let toCancel;
+      if (ticketCodes) {
+        toCancel = held.filter((t) => ticketCodes.includes(t.code));
+        if (toCancel.length !== new Set(ticketCodes).size) {
+          return {
+            ok: false,
+            code: 409,
+            error: "Some tickets are not yours, already cancelled, used, being transferred or part of a bundle",
+          };
+        }
+      } else {
+        const count = quantity ?? held.length;
+        if (count === 0 || held.length < count) {
+          return { ok: false, code: 409, error: "Not enough active tickets to cancel" };
+        }
+        toCancel = held.slice(0, count);
+      }
+
+      // Each seat goes back to the tier it was sold from
+      for (const ticket of toCancel) {
+        await db.run(
+          "UPDATE tickets SET status = 'cancelled', cancelled_at = datetime('now') WHERE id = ?",
+          [ticket.id]
+        );
+        await db.run("DELETE FROM seat_assignments WHERE ticket_id = ?", [ticket.id]);
+        await adjustInventory(db, eventId, ticket.tier_id, 1);
+      }
+      const refund = await queueTicketRefunds(db, toCancel);
+      await promoteWaitlist(db, eventId);
+      const updated = await db.get("SELECT tickets FROM events WHERE id = ?", [eventId]);
+
+      console.log(`Cancelled ${toCancel.length} ticket(s) for ${event.name}`);
+      return { ok: true, cancelled: toCancel, refund, remaining: updated.tickets };
+    });
+
+    if (!result.ok) {
+      return res.status(result.code).json({ error: result.error });
     }
+    const refundedCents = await payQueuedRefunds(result.refund.orderIds);
+    res.json({
+      success: true,
+      eventId,
+      cancelled: result.cancelled.length,
+      ticketCodes: result.cancelled.map((t) => t.code),
+      refundedCents,
+      refundPendingCents: result.refund.refundDueCents - refundedCents,
+      remainingTickets: result.remaining,
+    });
+  } catch (err) {
+    console.error("Ticket cancellation error:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    if (event.tickets < quantity) {
-      await db.exec("ROLLBACK");
-      return res.status(409).json({ error: "Not enough tickets available" });
+/**
+ * Purpose: Refunds one of the logged-in user's bundles, cancelling its ticket
+ *          at every member event and returning the seats and the bundle to
+ *          inventory in one transaction. Tickets for events an admin called
+ *          off were already voided and refunded with the event, so only the
+ *          rest are cancelled here.
+ * Input: id - int/string, the bundle order ID
+ * Ouput: Cancelled ticket codes, the amount refunded and any amount still to
+ *        be refunded after the provider refused it, 404 if the user has
+ *        no such active bundle, or 409 once any of its remaining tickets has
+ *        been used or transferred, the cancellation window of one of its
+ *        events has closed or every one of its events was called off
+ */
+app.post("/api/bundle-orders/:id/cancel", authenticateToken, async (req, res) => {
+  const bundleOrderId = Number(req.params.id);
+  if (!Number.isInteger(bundleOrderId) || bundleOrderId <= 0) {
+    return res.status(400).json({ error: "Invalid bundle order id" });
+  }
+
+  try {
+    const result = await withTransaction(async () => {
+      const bundleOrder = await db.get(
+        "SELECT * FROM bundle_orders WHERE id = ? AND user_id = ? AND status = 'active'",
+        [bundleOrderId, String(req.user.id)]
+      );
+      if (!bundleOrder) {
+        return { ok: false, code: 404, error: "Bundle order not found" };
+      }
+
+      const tickets = await db.all(
+        `SELECT t.id, t.code, t.event_id, t.tier_id, t.order_id, t.price_cents, t.status, t.checked_in_at,
+                e.name, e.date, t.id IN (${PENDING_TRANSFER_TICKETS}) AS pending_transfer
+           FROM tickets t
+           JOIN orders o ON o.id = t.order_id
+           JOIN events e ON e.id = t.event_id
+          WHERE o.bundle_order_id = ? AND e.cancelled_at IS NULL
+          ORDER BY t.id`,
+        [bundleOrderId]
+      );
+      if (tickets.length === 0) {
+        return {
+          ok: false,
+          code: 409,
+          error: "Every event in this bundle was cancelled; its refund was already queued",
+        };
+      }
+      if (tickets.some((t) => t.status !== "active" || t.checked_in_at || t.pending_transfer)) {
+        return {
+          ok: false,
+          code: 409,
+          error: "This bundle can no longer be refunded; some of its tickets were used, cancelled or transferred",
+        };
+      }
+      const closed = tickets.find((t) => cancellationClosed(t, CANCELLATION_CUTOFF_HOURS));
+      if (closed) {
+        return { ok: false, code: 409, error: `Cancellation window has closed for ${closed.name}` };
+      }
+
+      for (const ticket of tickets) {
+        await db.run(
+          "UPDATE tickets SET status = 'cancelled', cancelled_at = datetime('now') WHERE id = ?",
+          [ticket.id]
+        );
+        await db.run("DELETE FROM seat_assignments WHERE ticket_id = ?", [ticket.id]);
+        await adjustInventory(db, ticket.event_id, ticket.tier_id, 1);
+      }
+      // refunded_cents grows as payDueRefunds pays the queued amounts out
+      const refund = await queueTicketRefunds(db, tickets);
+      await db.run(
+        "UPDATE bundle_orders SET status = 'refunded', refunded_at = datetime('now') WHERE id = ?",
+        [bundleOrderId]
+      );
+      await db.run("UPDATE bundles SET tickets = tickets + 1 WHERE id = ?", [bundleOrder.bundle_id]);
+      for (const eventId of new Set(tickets.map((t) => t.event_id))) {
+        await promoteWaitlist(db, eventId);
+      }
+
+      console.log(`Refunded bundle order ${bundleOrderId}`);
+      return { ok: true, tickets, refund };
+    });
+
+    if (!result.ok) {
+      return res.status(result.code).json({ error: result.error });
     }
+    const refundedCents = await payQueuedRefunds(result.refund.orderIds);
+    res.json({
+      success: true,
+      bundleOrderId,
+      cancelled: result.tickets.length,
+      ticketCodes: result.tickets.map((t) => t.code),
+      refundedCents,
+      refundPendingCents: result.refund.refundDueCents - refundedCents,
+    });
+  } catch (err) {
+    console.error("Bundle refund error:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Minutes a seat hold keeps inventory reserved before it is released
+const HOLD_TTL_MINUTES = Number(process.env.HOLD_TTL_MINUTES ?? 10);
+
+/**
+ * Purpose: Returns the seats of every expired hold to inventory, lapses any
+ *          waitlist offer they carried and offers the seats to the next people
+ *          in line. Must run inside withTransaction so the restock and the
+ *          status changes land together.
+ * Input: None
+ * Ouput: Number of holds released
+ */
+async function releaseExpiredHolds() {
+  const expired = await db.all(
+    "SELECT id, event_id, tier_id, quantity FROM holds WHERE status = 'active' AND expires_at <= datetime('now')"
+  );
+  for (const hold of expired) {
+    await adjustInventory(db, hold.event_id, hold.tier_id, hold.quantity);
+    await db.run("DELETE FROM seat_assignments WHERE hold_id = ?", [hold.id]);
+    await db.run("UPDATE holds SET status = 'expired' WHERE id = ?", [hold.id]);
+    await db.run("UPDATE waitlist_entries SET status = 'expired' WHERE hold_id = ?", [hold.id]);
+  }
+  for (const eventId of new Set(expired.map((h) => h.event_id))) {
+    await promoteWaitlist(db, eventId);
+  }
+  return expired.length;
+}
+
+/**
+ * Purpose: Reserves seats for the logged-in user for HOLD_TTL_MINUTES so they
+ *          cannot be sold to anyone else before checkout
+ * Input: id - int/string, the event ID
+ *        JSON object, number of seats to hold and, for events with tiers,
+ *        the tierId to hold them in; events with assigned seating take the
+ *        seatIds to hold instead of a quantity, and events with a waiting
+ *        room need the queueToken issued when it is the user's turn
+ * Ouput: 201 with the hold id, expiry time and any seats held, or an error if
+ *        the event does not exist, is not on sale or has too few seats (409
+ *        naming any chosen seats already taken)
+ */
+app.post("/api/events/:id/holds", authenticateToken, async (req, res) => {
+  const eventId = Number(req.params.id);
+  const { tierId, seatIds, queueToken } = req.body || {};
+  let { quantity } = req.body || {};
+
+  if (!Number.isInteger(eventId) || eventId <= 0) {
+    return res.status(400).json({ error: "Invalid event id" });
+  }
+  const seatError = validateSeatIds(seatIds);
+  if (seatError) {
+    return res.status(400).json({ error: seatError });
+  }
+  if ((seatIds === undefined || quantity !== undefined) && (!Number.isInteger(quantity) || quantity <= 0)) {
+    return res.status(400).json({ error: "Invalid ticket quantity" });
+  }
+  if (tierId !== undefined && (!Number.isInteger(tierId) || tierId <= 0)) {
+    return res.status(400).json({ error: "Invalid tier id" });
+  }
+
+  try {
+    const result = await withTransaction(async () => {
+      await releaseExpiredHolds();
+
+      const event = await db.get("SELECT * FROM events WHERE id = ?", [eventId]);
+      if (!event) {
+        return { ok: false, code: 404, error: "Event not found" };
+      }
+      const ineligible = await checkEventEligibility(db, event, req.user);
+      if (ineligible) {
+        return ineligible;
+      }
+      const offSale = checkSaleWindow(event) ?? checkLotteryDrawn(event);
+      if (offSale) {
+        return offSale;
+      }
+      const notAdmitted = await checkQueueToken(db, event, String(req.user.id), queueToken);
+      if (notAdmitted) {
+        return notAdmitted;
+      }
+      if (event.venue_id) {
+        if (seatIds === undefined) {
+          return { ok: false, code: 400, error: "This event has assigned seating; choose seats with seatIds" };
+        }
+        if (quantity !== undefined && quantity !== seatIds.length) {
+          return { ok: false, code: 400, error: "Quantity does not match the seats chosen" };
+        }
+        quantity = seatIds.length;
+      } else if (seatIds !== undefined) {
+        return { ok: false, code: 400, error: "This event is general admission; seats cannot be chosen" };
+      }
+      const picked = await resolveTier(db, event, tierId);
+      if (picked.ok === false) {
+        return picked;
+      }
+      const { tier } = picked;
+      const limitError = await checkPurchaseLimits(db, event, String(req.user.id), quantity);
+      if (limitError) {
+        return limitError;
+      }
+      if ((tier ? tier.tickets : event.tickets) < quantity) {
+        return { ok: false, code: 409, error: "Not enough tickets available" };
+      }
 
-    const remaining = event.tickets - quantity;
-    await db.run("UPDATE events SET tickets = ? WHERE id = ?", [
-      remaining,
+      await adjustInventory(db, eventId, tier?.id, -quantity);
+      const inserted = await db.run(
+        `INSERT INTO holds (user_id, event_id, quantity, expires_at, tier_id)
+         VALUES (?, ?, ?, datetime('now', ?), ?)`,
+        [String(req.user.id), eventId, quantity, `+${HOLD_TTL_MINUTES} minutes`, tier?.id ?? null]
+      );
+      if (event.venue_id) {
+        const lockError = await lockSeats(db, event, seatIds, inserted.lastID);
+        if (lockError) {
+          return lockError;
+        }
+      }
+      const hold = await db.get("SELECT * FROM holds WHERE id = ?", [inserted.lastID]);
+      return { ok: true, hold, remaining: event.tickets - quantity };
+    });
+
+    if (!result.ok) {
+      return res.status(result.code).json({ error: result.error });
+    }
+    res.status(201).json({
+      holdId: result.hold.id,
       eventId,
-    ]);
+      tierId: result.hold.tier_id,
+      quantity: result.hold.quantity,
+      seatIds: seatIds ?? null,
+      expiresAt: result.hold.expires_at,
+      remainingTickets: result.remaining,
+    });
+  } catch (err) {
+    console.error("Seat hold error:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Purpose: Releases one of the logged-in user's active holds early and returns
+ *          its seats to inventory
+ * Input: holdId - int/string, the hold ID
+ * Ouput: Confirmation with the restocked ticket count, or 404 if the user has no
+ *        such active hold
+ */
+app.delete("/api/holds/:holdId", authenticateToken, async (req, res) => {
+  const holdId = Number(req.params.holdId);
+  if (!Number.isInteger(holdId) || holdId <= 0) {
+    return res.status(400).json({ error: "Invalid hold id" });
+  }
+
+  try {
+    const result = await withTransaction(async () => {
+      const hold = await db.get(
+        "SELECT * FROM holds WHERE id = ? AND user_id = ? AND status = 'active'",
+        [holdId, String(req.user.id)]
+      );
+      if (!hold) {
+        return { ok: false, code: 404, error: "Hold not found" };
+      }
 
-    await db.exec("COMMIT");
+      await adjustInventory(db, hold.event_id, hold.tier_id, hold.quantity);
+      await db.run("DELETE FROM seat_assignments WHERE hold_id = ?", [hold.id]);
+      await db.run("UPDATE holds SET status = 'released' WHERE id = ?", [hold.id]);
+      // Releasing a waitlist offer gives up the place in line
+      await db.run("UPDATE waitlist_entries SET status = 'left' WHERE hold_id = ?", [hold.id]);
+      await promoteWaitlist(db, hold.event_id);
+      const updated = await db.get("SELECT tickets FROM events WHERE id = ?", [hold.event_id]);
+      return { ok: true, hold, remaining: updated.tickets };
+    });
 
-    console.log(`Purchased ${quantity} ticket(s) for ${event.name}`);
+    if (!result.ok) {
+      return res.status(result.code).json({ error: result.error });
+    }
     res.json({
       success: true,
+      holdId,
+      eventId: result.hold.event_id,
+      released: result.hold.quantity,
+      remainingTickets: result.remaining,
+    });
+  } catch (err) {
+    console.error("Hold release error:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Purpose: Loads an event for the waiting room routes and lets the line move
+ *          on; must run inside withTransaction
+ * Input: eventId - int, the event ID
+ * Output: { event } with the line advanced, or a failed result (404 for an
+ *         unknown event, 409 when the event has no waiting room)
+ */
+async function loadQueuedEvent(eventId) {
+  const event = await db.get("SELECT * FROM events WHERE id = ?", [eventId]);
+  if (!event) {
+    return { ok: false, code: 404, error: "Event not found" };
+  }
+  if (!event.waiting_room_limit) {
+    return { ok: false, code: 409, error: "This event has no waiting room; buy tickets directly" };
+  }
+  await advanceQueue(db, event);
+  return { event };
+}
+
+/**
+ * Purpose: Puts the logged-in user in the waiting room of a high-demand
+ *          event. Shoppers are let in first come, first served, at most the
+ *          event's waiting_room_limit at a time, starting when sales open.
+ * Input: id - int/string, the event ID
+ * Ouput: 201 (200 if already in line) with the user's status, place in line,
+ *        estimated wait in seconds and, once admitted, the queueToken to buy
+ *        with; 403 if the user may not buy, 409 if the event has no waiting
+ *        room or its sales have closed
+ */
+app.post("/api/events/:id/queue", authenticateToken, async (req, res) => {
+  const eventId = Number(req.params.id);
+  if (!Number.isInteger(eventId) || eventId <= 0) {
+    return res.status(400).json({ error: "Invalid event id" });
+  }
+
+  try {
+    const result = await withTransaction(async () => {
+      const found = await loadQueuedEvent(eventId);
+      if (found.ok === false) {
+        return found;
+      }
+      const ineligible = await checkEventEligibility(db, found.event, req.user);
+      if (ineligible) {
+        return ineligible;
+      }
+      // The line forms before sales open but not after they close
+      if (["closed", "cancelled"].includes(saleStatus(found.event).status)) {
+        return checkSaleWindow(found.event);
+      }
+      const { joined } = await joinQueue(db, found.event, String(req.user.id));
+      await advanceQueue(db, found.event);
+      return { ok: true, joined, status: await queueStatus(db, found.event, String(req.user.id)) };
+    });
+
+    if (!result.ok) {
+      return res.status(result.code).json({ error: result.error });
+    }
+    res.status(result.joined ? 201 : 200).json(result.status);
+  } catch (err) {
+    console.error("Waiting room join error:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Purpose: Reports the logged-in user's place in an event's waiting room;
+ *          clients poll it until the status turns to 'admitted'
+ * Input: id - int/string, the event ID
+ * Ouput: JSON { eventId, status, position, estimatedWaitSeconds, queueToken,
+ *        expiresAt }, or 404 if the user has not joined the line
+ */
+app.get("/api/events/:id/queue", authenticateToken, async (req, res) => {
+  const eventId = Number(req.params.id);
+  if (!Number.isInteger(eventId) || eventId <= 0) {
+    return res.status(400).json({ error: "Invalid event id" });
+  }
+
+  try {
+    const result = await withTransaction(async () => {
+      const found = await loadQueuedEvent(eventId);
+      if (found.ok === false) {
+        return found;
+      }
+      const status = await queueStatus(db, found.event, String(req.user.id));
+      if (!status) {
+        return { ok: false, code: 404, error: "You are not in the waiting room for this event" };
+      }
+      return { ok: true, status };
+    });
+
+    if (!result.ok) {
+      return res.status(result.code).json({ error: result.error });
+    }
+    res.json(result.status);
+  } catch (err) {
+    console.error("Waiting room status error:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Purpose: Takes the logged-in user out of an event's waiting room, passing
+ *          their turn on to the next shopper in line
+ * Input: id - int/string, the event ID
+ * Ouput: Confirmation, or 404 if the user is not waiting or shopping
+ */
+app.delete("/api/events/:id/queue", authenticateToken, async (req, res) => {
+  const eventId = Number(req.params.id);
+  if (!Number.isInteger(eventId) || eventId <= 0) {
+    return res.status(400).json({ error: "Invalid event id" });
+  }
+
+  try {
+    const result = await withTransaction(async () => {
+      const found = await loadQueuedEvent(eventId);
+      if (found.ok === false) {
+        return found;
+      }
+      if (await finishQueueTurn(db, eventId, String(req.user.id), "left") === 0) {
+        return { ok: false, code: 404, error: "You are not in the waiting room for this event" };
+      }
+      await advanceQueue(db, found.event);
+      return { ok: true };
+    });
+
+    if (!result.ok) {
+      return res.status(result.code).json({ error: result.error });
+    }
+    res.json({ success: true, eventId });
+  } catch (err) {
+    console.error("Waiting room leave error:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Purpose: Puts the logged-in user in line for a sold-out event. When seats
+ *          come back the user is offered a hold on them (see
+ *          shared-db/waitlist.js) and a notification is recorded.
+ * Input: id - int/string, the event ID
+ *        JSON object, number of tickets wanted and, for events with tiers,
+ *        the tierId to wait for
+ * Ouput: 201 with the entry id and place in line, or 409 if tickets can be
+ *        bought right now, the event is not on sale or the user is already
+ *        waiting
+ */
+app.post("/api/events/:id/waitlist", authenticateToken, async (req, res) => {
+  const eventId = Number(req.params.id);
+  const { quantity, tierId } = req.body || {};
+
+  if (!Number.isInteger(eventId) || eventId <= 0) {
+    return res.status(400).json({ error: "Invalid event id" });
+  }
+  if (!Number.isInteger(quantity) || quantity <= 0) {
+    return res.status(400).json({ error: "Invalid ticket quantity" });
+  }
+  if (tierId !== undefined && (!Number.isInteger(tierId) || tierId <= 0)) {
+    return res.status(400).json({ error: "Invalid tier id" });
+  }
+
+  try {
+    const result = await withTransaction(async () => {
+      await releaseExpiredHolds();
+
+      const event = await db.get("SELECT * FROM events WHERE id = ?", [eventId]);
+      if (!event) {
+        return { ok: false, code: 404, error: "Event not found" };
+      }
+      const ineligible = await checkEventEligibility(db, event, req.user);
+      if (ineligible) {
+        return ineligible;
+      }
+      const offSale = checkSaleWindow(event) ?? checkLotteryDrawn(event);
+      if (offSale) {
+        return offSale;
+      }
+      const picked = await resolveTier(db, event, tierId);
+      if (picked.ok === false) {
+        return picked;
+      }
+      const { tier } = picked;
+      if ((tier ? tier.tickets : event.tickets) >= quantity) {
+        return { ok: false, code: 409, error: "Tickets are available; purchase them instead" };
+      }
+      const existing = await db.get(
+        "SELECT id FROM waitlist_entries WHERE event_id = ? AND user_id = ? AND status IN ('waiting', 'offered')",
+        [eventId, String(req.user.id)]
+      );
+      if (existing) {
+        return { ok: false, code: 409, error: "You are already on the waitlist for this event" };
+      }
+      const limitError = await checkPurchaseLimits(db, event, String(req.user.id), quantity);
+      if (limitError) {
+        return limitError;
+      }
+
+      const inserted = await db.run(
+        "INSERT INTO waitlist_entries (event_id, user_id, user_email, quantity, tier_id) VALUES (?, ?, ?, ?, ?)",
+        [eventId, String(req.user.id), req.user.email, quantity, tier?.id ?? null]
+      );
+      const { position } = await db.get(
+        "SELECT COUNT(*) AS position FROM waitlist_entries WHERE event_id = ? AND status = 'waiting' AND id <= ?",
+        [eventId, inserted.lastID]
+      );
+      return { ok: true, entryId: inserted.lastID, position };
+    });
+
+    if (!result.ok) {
+      return res.status(result.code).json({ error: result.error });
+    }
+    res.status(201).json({
+      entryId: result.entryId,
       eventId,
-      purchased: quantity,
-      remainingTickets: remaining,
+      quantity,
+      position: result.position,
     });
   } catch (err) {
-    await db.exec("ROLLBACK");
-    console.error("Ticket purchase error:", err);
+    console.error("Waitlist join error:", err);
     res.status(500).json({ error: err.message });
   }
 });
 
+/**
+ * Purpose: Takes the logged-in user out of an event's waitlist, releasing any
+ *          seats they have been offered to the next person in line
+ * Input: id - int/string, the event ID
+ * Ouput: Confirmation, or 404 if the user is not waiting for the event
+ */
+app.delete("/api/events/:id/waitlist", authenticateToken, async (req, res) => {
+  const eventId = Number(req.params.id);
+  if (!Number.isInteger(eventId) || eventId <= 0) {
+    return res.status(400).json({ error: "Invalid event id" });
+  }
+
+  try {
+    const result = await withTransaction(async () => {
+      const entry = await db.get(
+        "SELECT * FROM waitlist_entries WHERE event_id = ? AND user_id = ? AND status IN ('waiting', 'offered')",
+        [eventId, String(req.user.id)]
+      );
+      if (!entry) {
+        return { ok: false, code: 404, error: "You are not on the waitlist for this event" };
+      }
+
+      await db.run("UPDATE waitlist_entries SET status = 'left' WHERE id = ?", [entry.id]);
+      if (entry.status === "offered") {
+        const hold = await db.get("SELECT * FROM holds WHERE id = ? AND status = 'active'", [entry.hold_id]);
+        if (hold) {
+          await adjustInventory(db, eventId, hold.tier_id, hold.quantity);
+          await db.run("DELETE FROM seat_assignments WHERE hold_id = ?", [hold.id]);
+          await db.run("UPDATE holds SET status = 'released' WHERE id = ?", [hold.id]);
+        }
+        await promoteWaitlist(db, eventId);
+      }
+      return { ok: true };
+    });
+
+    if (!result.ok) {
+      return res.status(result.code).json({ error: result.error });
+    }
+    res.json({ success: true, eventId });
+  } catch (err) {
+    console.error("Waitlist leave error:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Purpose: Loads an event for the lottery routes. Draws are left to the
+ *          lottery sweep and admin-service, never run from here.
+ * Input: eventId - int, the event ID
+ * Output: { event }, or a failed result (404 for an unknown event, 409 when
+ *         the event has no lottery)
+ */
+async function loadLotteryEvent(eventId) {
+  const event = await db.get("SELECT * FROM events WHERE id = ?", [eventId]);
+  if (!event) {
+    return { ok: false, code: 404, error: "Event not found" };
+  }
+  if (!event.lottery_closes_at) {
+    return { ok: false, code: 409, error: "This event has no lottery; buy tickets directly" };
+  }
+  return { event };
+}
+
+/**
+ * Purpose: Describes a lottery entry for a response
+ * Input: entry - lottery_entries row
+ * Output: { entryId, eventId, quantity, tierId, status, rank, orderId,
+ *         enteredAt }; rank and orderId stay null until the draw
+ */
+function formatLotteryEntry(entry) {
+  return {
+    entryId: entry.id,
+    eventId: entry.event_id,
+    quantity: entry.quantity,
+    tierId: entry.tier_id,
+    status: entry.status,
+    rank: entry.rank,
+    orderId: entry.order_id,
+    enteredAt: entry.created_at,
+  };
+}
+
+/**
+ * Purpose: Enters the logged-in user in an event's ticket lottery. When
+ *          entries close a seeded draw picks the winners, who get their
+ *          tickets without paying; everyone else joins the waitlist in the
+ *          order drawn (see shared-db/lottery.js).
+ * Input: id - int/string, the event ID
+ *        JSON object, number of tickets wanted (at most the event's
+ *        lottery_max_tickets) and, for events with tiers, the free tierId to
+ *        draw them from
+ * Ouput: 201 with the entry, 403 if the user may not get tickets, 409 if the
+ *        event was cancelled or has no lottery, entries are not open or the
+ *        user has already entered, 422 if the request is over a limit or the
+ *        tier is not free
+ */
+app.post("/api/events/:id/lottery", authenticateToken, async (req, res) => {
+  const eventId = Number(req.params.id);
+  const { quantity, tierId } = req.body || {};
+
+  if (!Number.isInteger(eventId) || eventId <= 0) {
+    return res.status(400).json({ error: "Invalid event id" });
+  }
+  if (!Number.isInteger(quantity) || quantity <= 0) {
+    return res.status(400).json({ error: "Invalid ticket quantity" });
+  }
+  if (tierId !== undefined && (!Number.isInteger(tierId) || tierId <= 0)) {
+    return res.status(400).json({ error: "Invalid tier id" });
+  }
+
+  try {
+    const result = await withTransaction(async () => {
+      const found = await loadLotteryEvent(eventId);
+      if (found.ok === false) {
+        return found;
+      }
+      const { event } = found;
+      if (event.cancelled_at) {
+        return checkSaleWindow(event);
+      }
+      const ineligible = await checkEventEligibility(db, event, req.user);
+      if (ineligible) {
+        return ineligible;
+      }
+      const { status } = lotteryStatus(event);
+      if (status === "upcoming") {
+        return { ok: false, code: 409, error: `Lottery entries open at ${event.lottery_opens_at} UTC` };
+      }
+      if (status !== "open") {
+        return { ok: false, code: 409, error: `Lottery entries closed at ${event.lottery_closes_at} UTC` };
+      }
+      if (quantity > event.lottery_max_tickets) {
+        return {
+          ok: false,
+          code: 422,
+          error: `Lottery entries for this event are limited to ${event.lottery_max_tickets} ticket(s)`,
+        };
+      }
+      const picked = await resolveTier(db, event, tierId);
+      if (picked.ok === false) {
+        return picked;
+      }
+      const { tier } = picked;
+      if (tier && tier.price_cents > 0) {
+        return { ok: false, code: 422, error: "Lottery tickets are free; choose a tier without a price" };
+      }
+      const existing = await db.get(
+        "SELECT id FROM lottery_entries WHERE event_id = ? AND user_id = ? AND status = 'entered'",
+        [eventId, String(req.user.id)]
+      );
+      if (existing) {
+        return { ok: false, code: 409, error: "You have already entered the lottery for this event" };
+      }
+      const limitError = await checkPurchaseLimits(db, event, String(req.user.id), quantity);
+      if (limitError) {
+        return limitError;
+      }
+
+      const inserted = await db.run(
+        "INSERT INTO lottery_entries (event_id, user_id, user_email, quantity, tier_id) VALUES (?, ?, ?, ?, ?)",
+        [eventId, String(req.user.id), req.user.email, quantity, tier?.id ?? null]
+      );
+      return { ok: true, entry: await db.get("SELECT * FROM lottery_entries WHERE id = ?", [inserted.lastID]) };
+    });
+
+    if (!result.ok) {
+      return res.status(result.code).json({ error: result.error });
+    }
+    res.status(201).json(formatLotteryEntry(result.entry));
+  } catch (err) {
+    console.error("Lottery entry error:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Purpose: Reports the logged-in user's latest entry in an event's lottery,
+ *          including whether they won or were waitlisted once it is drawn
+ * Input: id - int/string, the event ID
+ * Ouput: JSON entry (see formatLotteryEntry), or 404 if the user never entered
+ */
+app.get("/api/events/:id/lottery", authenticateToken, async (req, res) => {
+  const eventId = Number(req.params.id);
+  if (!Number.isInteger(eventId) || eventId <= 0) {
+    return res.status(400).json({ error: "Invalid event id" });
+  }
+
+  try {
+    const found = await loadLotteryEvent(eventId);
+    if (found.ok === false) {
+      return res.status(found.code).json({ error: found.error });
+    }
+    const entry = await db.get(
+      "SELECT * FROM lottery_entries WHERE event_id = ? AND user_id = ? ORDER BY id DESC LIMIT 1",
+      [eventId, String(req.user.id)]
+    );
+    if (!entry) {
+      return res.status(404).json({ error: "You have not entered the lottery for this event" });
+    }
+    res.json(formatLotteryEntry(entry));
+  } catch (err) {
+    console.error("Lottery status error:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Purpose: Withdraws the logged-in user's lottery entry while entries are
+ *          still open
+ * Input: id - int/string, the event ID
+ * Ouput: Confirmation, 404 if the user has no entry or 409 once entries have
+ *        closed
+ */
+app.delete("/api/events/:id/lottery", authenticateToken, async (req, res) => {
+  const eventId = Number(req.params.id);
+  if (!Number.isInteger(eventId) || eventId <= 0) {
+    return res.status(400).json({ error: "Invalid event id" });
+  }
+
+  try {
+    const result = await withTransaction(async () => {
+      const found = await loadLotteryEvent(eventId);
+      if (found.ok === false) {
+        return found;
+      }
+      const { status } = lotteryStatus(found.event);
+      if (status !== "open" && status !== "upcoming") {
+        return { ok: false, code: 409, error: "Lottery entries have closed; entries can no longer be withdrawn" };
+      }
+      const withdrawn = await db.run(
+        "UPDATE lottery_entries SET status = 'withdrawn' WHERE event_id = ? AND user_id = ? AND status = 'entered'",
+        [eventId, String(req.user.id)]
+      );
+      if (withdrawn.changes === 0) {
+        return { ok: false, code: 404, error: "You have not entered the lottery for this event" };
+      }
+      return { ok: true };
+    });
+
+    if (!result.ok) {
+      return res.status(result.code).json({ error: result.error });
+    }
+    res.json({ success: true, eventId });
+  } catch (err) {
+    console.error("Lottery withdraw error:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Purpose: Lists the logged-in user's current waitlist entries
+ * Input: JWT (cookie or Authorization header) identifying the user
+ * Ouput: JSON array of { entryId, eventId, name, quantity, status, position,
+ *        holdId, expiresAt }; position is set while waiting, holdId and
+ *        expiresAt once seats have been offered
+ */
+app.get("/api/me/waitlist", authenticateToken, async (req, res) => {
+  try {
+    const rows = await db.all(
+      `SELECT w.id, w.event_id, e.name, w.quantity, w.status, w.hold_id, h.expires_at,
+              (SELECT COUNT(*) FROM waitlist_entries o
+                WHERE o.event_id = w.event_id AND o.status = 'waiting' AND o.id <= w.id) AS position
+         FROM waitlist_entries w
+         JOIN events e ON e.id = w.event_id
+         LEFT JOIN holds h ON h.id = w.hold_id
+        WHERE w.user_id = ? AND w.status IN ('waiting', 'offered')
+        ORDER BY w.id`,
+      [String(req.user.id)]
+    );
+    res.json(rows.map((row) => ({
+      entryId: row.id,
+      eventId: row.event_id,
+      name: row.name,
+      quantity: row.quantity,
+      status: row.status,
+      position: row.status === "waiting" ? row.position : null,
+      holdId: row.hold_id,
+      expiresAt: row.status === "offered" ? row.expires_at : null,
+    })));
+  } catch (err) {
+    console.error("Error fetching waitlist:", err);
+    res.status(500).json({ error: "Failed to fetch waitlist" });
+  }
+});
+
+/**
+ * Purpose: Lists the notifications recorded for the logged-in user, newest first
+ * Input: JWT (cookie or Authorization header) identifying the user
+ * Ouput: JSON array of { id, eventId, type, message, createdAt }
+ */
+app.get("/api/me/notifications", authenticateToken, async (req, res) => {
+  try {
+    const rows = await db.all(
+      "SELECT id, event_id, type, message, created_at FROM notifications WHERE user_id = ? ORDER BY id DESC",
+      [String(req.user.id)]
+    );
+    res.json(rows.map((row) => ({
+      id: row.id,
+      eventId: row.event_id,
+      type: row.type,
+      message: row.message,
+      createdAt: row.created_at,
+    })));
+  } catch (err) {
+    console.error("Error fetching notifications:", err);
+    res.status(500).json({ error: "Failed to fetch notifications" });
+  }
+});
+
+/**
+ * Purpose: Lists the bundles the logged-in user has bought, newest first
+ * Input: JWT (cookie or Authorization header) identifying the user
+ * Ouput: JSON array of { bundleOrderId, bundleId, name, status, totalCents,
+ *        refundedCents, createdAt, tickets } where tickets are { eventId,
+ *        name, date, code, status } for each member event, or a JSON error
+ *        message on failure
+ */
+app.get("/api/me/bundles", authenticateToken, async (req, res) => {
+  try {
+    const bundleOrders = await db.all(
+      `SELECT o.id, o.bundle_id, b.name, o.status, o.total_cents, o.refunded_cents, o.created_at
+         FROM bundle_orders o
+         JOIN bundles b ON b.id = o.bundle_id
+        WHERE o.user_id = ?
+        ORDER BY o.id DESC`,
+      [String(req.user.id)]
+    );
+    const tickets = await db.all(
+      `SELECT o.bundle_order_id, t.event_id, e.name, e.date, t.code, t.status
+         FROM tickets t
+         JOIN orders o ON o.id = t.order_id
+         JOIN events e ON e.id = t.event_id
+        WHERE o.user_id = ? AND o.bundle_order_id IS NOT NULL
+        ORDER BY e.date, t.id`,
+      [String(req.user.id)]
+    );
+    res.json(bundleOrders.map((order) => ({
+      bundleOrderId: order.id,
+      bundleId: order.bundle_id,
+      name: order.name,
+      status: order.status,
+      totalCents: order.total_cents,
+      refundedCents: order.refunded_cents,
+      createdAt: order.created_at,
+      tickets: tickets
+        .filter((t) => t.bundle_order_id === order.id)
+        .map((t) => ({ eventId: t.event_id, name: t.name, date: t.date, code: t.code, status: t.status })),
+    })));
+  } catch (err) {
+    console.error("Error fetching bundles:", err);
+    res.status(500).json({ error: "Failed to fetch bundles" });
+  }
+});
+
+/**
+ * Purpose: Lists every ticket the logged-in user holds, grouped by event
+ * Input: JWT (cookie or Authorization header) identifying the user
+ * Ouput: JSON array of { eventId, name, date, quantity, ticketCodes, seats }
+ *        ordered by event date, where seats labels each ticket's assigned seat
+ *        (null for general admission), or a JSON error message on failure
+ */
+app.get("/api/me/tickets", authenticateToken, async (req, res) => {
+  try {
+    const rows = await db.all(
+      `SELECT t.event_id, e.name, e.date, t.code, s.section, s.row_label, s.seat_number
+         FROM tickets t
+         JOIN events e ON e.id = t.event_id
+         LEFT JOIN venue_seats s ON s.id = t.seat_id
+        WHERE t.user_id = ? AND t.status = 'active'
+        ORDER BY e.date, t.event_id, t.id`,
+      [String(req.user.id)]
+    );
+
+    const byEvent = new Map();
+    for (const row of rows) {
+      if (!byEvent.has(row.event_id)) {
+        byEvent.set(row.event_id, {
+          eventId: row.event_id,
+          name: row.name,
+          date: row.date,
+          quantity: 0,
+          ticketCodes: [],
+          seats: [],
+        });
+      }
+      const group = byEvent.get(row.event_id);
+      group.quantity += 1;
+      group.ticketCodes.push(row.code);
+      group.seats.push(row.section === null ? null : seatLabel(row));
+    }
+
+    res.json([...byEvent.values()]);
+  } catch (err) {
+    console.error("Error fetching user tickets:", err);
+    res.status(500).json({ error: "Failed to fetch tickets" });
+  }
+});
+
+// Ticket signatures use a key derived from the secret so a signed ticket can
+// never double as a login token
+const TICKET_SIGNING_KEY = crypto
+  .createHmac("sha256", process.env.TICKET_SIGNING_SECRET || process.env.JWT_SECRET || "replace_with_a_strong_secret")
+  .update("ticket-signing")
+  .digest();
+
+/**
+ * Purpose: Builds the tamper-proof payload encoded in a ticket's QR code
+ * Input: ticket - tickets row (id, event_id, user_id)
+ * Ouput: String, a signed token naming the ticket, its event and its holder;
+ *        the same ticket always yields the same payload
+ */
+function signTicket(ticket) {
+  return jwt.sign(
+    { tid: ticket.id, eid: ticket.event_id, sub: ticket.user_id },
+    TICKET_SIGNING_KEY,
+    { algorithm: "HS256", noTimestamp: true }
+  );
+}
+
+/**
+ * Purpose: Renders one of the logged-in user's tickets as a QR code image
+ * Input: code - String, the ticket code (TIX-...)
+ * Ouput: PNG image of the signed ticket payload, or 404 if the user holds no
+ *        active ticket with that code
+ */
+app.get("/api/tickets/:code/qr", authenticateToken, async (req, res) => {
+  try {
+    const ticket = await db.get(
+      "SELECT id, event_id, user_id FROM tickets WHERE code = ? AND user_id = ? AND status = 'active'",
+      [req.params.code, String(req.user.id)]
+    );
+    if (!ticket) {
+      return res.status(404).json({ error: "Ticket not found" });
+    }
+
+    const png = await QRCode.toBuffer(signTicket(ticket), { type: "png", margin: 2, width: 256 });
+    res.set("Cache-Control", "private, no-store");
+    res.type("png").send(png);
+  } catch (err) {
+    console.error("Error rendering ticket QR code:", err);
+    res.status(500).json({ error: "Failed to render ticket" });
+  }
+});
+
+/**
+ * Purpose: Admits a ticket holder at the gate. Verifies the signed payload
+ *          scanned from the ticket's QR code and marks the ticket used so it
+ *          cannot get anyone else in.
+ * Input: JSON object with the scanned payload and, optionally, the eventId
+ *        of the gate doing the scanning
+ * Ouput: The admitted ticket; 400 for a forged or unreadable payload, 409 for
+ *        a cancelled or transferred ticket, a ticket for another event, or one already
+ *        scanned (with the original checkedInAt)
+ */
+app.post("/api/checkin", authenticateToken, requireStaff, async (req, res) => {
+  const { payload, eventId } = req.body || {};
+  if (typeof payload !== "string" || payload.length === 0) {
+    return res.status(400).json({ error: "Scanned ticket payload is required" });
+  }
+  if (eventId !== undefined && (!Number.isInteger(eventId) || eventId <= 0)) {
+    return res.status(400).json({ error: "Invalid event id" });
+  }
+
+  let claims;
+  try {
+    claims = jwt.verify(payload, TICKET_SIGNING_KEY, { algorithms: ["HS256"] });
+  } catch {
+    return res.status(400).json({ error: "Invalid or tampered ticket" });
+  }
+
+  try {
+    const result = await withTransaction(async () => {
+      const ticket = await db.get(
+        `SELECT t.*, e.name AS event_name, COALESCE(t.holder_email, o.user_email) AS user_email
+           FROM tickets t
+           JOIN events e ON e.id = t.event_id
+           JOIN orders o ON o.id = t.order_id
+          WHERE t.id = ?`,
+        [claims.tid]
+      );
+      if (!ticket || ticket.event_id !== claims.eid || ticket.user_id !== claims.sub) {
+        return { ok: false, code: 400, error: "Invalid or tampered ticket" };
+      }
+      if (eventId !== undefined && ticket.event_id !== eventId) {
+        return { ok: false, code: 409, error: `Ticket is for ${ticket.event_name}` };
+      }
+      if (ticket.status !== "active") {
+        return { ok: false, code: 409, error: `Ticket has been ${ticket.status}` };
+      }
+      if (ticket.checked_in_at) {
+        return {
+          ok: false,
+          code: 409,
+          error: "Ticket was already checked in",
+          checkedInAt: ticket.checked_in_at,
+        };
+      }
+
+      await db.run(
+        "UPDATE tickets SET checked_in_at = datetime('now'), checked_in_by = ? WHERE id = ?",
+        [String(req.user.email ?? req.user.id), ticket.id]
+      );
+      const { checked_in_at: checkedInAt } = await db.get(
+        "SELECT checked_in_at FROM tickets WHERE id = ?",
+        [ticket.id]
+      );
+      return { ok: true, ticket, checkedInAt };
+    });
+
+    if (!result.ok) {
+      const { code, error, checkedInAt } = result;
+      return res.status(code).json(checkedInAt ? { error, checkedInAt } : { error });
+    }
+    res.json({
+      success: true,
+      ticketCode: result.ticket.code,
+      eventId: result.ticket.event_id,
+      eventName: result.ticket.event_name,
+      holder: result.ticket.user_email ?? result.ticket.user_id,
+      checkedInAt: result.checkedInAt,
+    });
+  } catch (err) {
+    console.error("Check-in error:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Purpose: Offers some of the logged-in user's tickets to another account.
+ *          The tickets stay with the sender until the recipient accepts.
+ * Input: JSON object with ticketCodes (array) and toEmail, the email the
+ *        recipient is registered under
+ * Ouput: 201 with the pending transfer, 404 if no account is registered
+ *        under toEmail, or 409 if any ticket is not the sender's to give
+ *        (cancelled, used or already being transferred)
+ */
+app.post("/api/transfers", authenticateToken, async (req, res) => {
+  const { ticketCodes, toEmail } = req.body || {};
+  if (!Array.isArray(ticketCodes) || ticketCodes.length === 0 || !ticketCodes.every((c) => typeof c === "string")) {
+    return res.status(400).json({ error: "ticketCodes must be a non-empty array" });
+  }
+  if (typeof toEmail !== "string" || !/^[^\s@]+@[^\s@]+$/.test(toEmail.trim())) {
+    return res.status(400).json({ error: "A valid recipient email is required" });
+  }
+  const recipient = toEmail.trim().toLowerCase();
+  if (recipient === String(req.user.email).toLowerCase()) {
+    return res.status(400).json({ error: "You cannot transfer tickets to yourself" });
+  }
+  if (!(await isRegisteredEmail(recipient))) {
+    return res.status(404).json({ error: "No account is registered with that email" });
+  }
+  const codes = [...new Set(ticketCodes)];
+
+  try {
+    const result = await withTransaction(async () => {
+      const tickets = await db.all(
+        `SELECT id, code FROM tickets
+          WHERE user_id = ? AND status = 'active' AND checked_in_at IS NULL
+            AND code IN (${codes.map(() => "?").join(", ")})
+            AND id NOT IN (${PENDING_TRANSFER_TICKETS})`,
+        [String(req.user.id), ...codes]
+      );
+      if (tickets.length !== codes.length) {
+        return { ok: false, code: 409, error: "Some tickets are not yours, already cancelled, used or being transferred" };
+      }
+
+      const transfer = await db.run(
+        "INSERT INTO ticket_transfers (from_user_id, from_email, to_email) VALUES (?, ?, ?)",
+        [String(req.user.id), req.user.email, recipient]
+      );
+      for (const ticket of tickets) {
+        await db.run(
+          "INSERT INTO ticket_transfer_items (transfer_id, ticket_id) VALUES (?, ?)",
+          [transfer.lastID, ticket.id]
+        );
+      }
+      return { ok: true, transferId: transfer.lastID };
+    });
+
+    if (!result.ok) {
+      return res.status(result.code).json({ error: result.error });
+    }
+    res.status(201).json({ transferId: result.transferId, toEmail: recipient, ticketCodes: codes, status: "pending" });
+  } catch (err) {
+    console.error("Ticket transfer error:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Purpose: Lists the transfers the logged-in user has sent and the pending
+ *          ones waiting for them to answer
+ * Input: JWT (cookie or Authorization header) identifying the user
+ * Ouput: JSON { incoming, outgoing }, each an array of { transferId, fromEmail,
+ *        toEmail, status, createdAt, tickets: [{ code, eventId, name, date }] }
+ */
+app.get("/api/me/transfers", authenticateToken, async (req, res) => {
+  try {
+    const rows = await db.all(
+      `SELECT x.*, t.code, t.event_id, e.name, e.date
+         FROM ticket_transfers x
+         JOIN ticket_transfer_items i ON i.transfer_id = x.id
+         JOIN tickets t ON t.id = i.ticket_id
+         JOIN events e ON e.id = t.event_id
+        WHERE x.from_user_id = ? OR (x.to_email = ? AND x.status = 'pending')
+        ORDER BY x.id DESC, t.id`,
+      [String(req.user.id), String(req.user.email).toLowerCase()]
+    );
+
+    const byId = new Map();
+    for (const row of rows) {
+      if (!byId.has(row.id)) {
+        byId.set(row.id, {
+          transferId: row.id,
+          fromEmail: row.from_email,
+          toEmail: row.to_email,
+          status: row.status,
+          createdAt: row.created_at,
+          incoming: row.from_user_id !== String(req.user.id),
+          tickets: [],
+        });
+      }
+      byId.get(row.id).tickets.push({ code: row.code, eventId: row.event_id, name: row.name, date: row.date });
+    }
+
+    const transfers = [...byId.values()];
+    const strip = ({ incoming, ...transfer }) => transfer;
+    res.json({
+      incoming: transfers.filter((t) => t.incoming).map(strip),
+      outgoing: transfers.filter((t) => !t.incoming).map(strip),
+    });
+  } catch (err) {
+    console.error("Error fetching transfers:", err);
+    res.status(500).json({ error: "Failed to fetch transfers" });
+  }
+});
+
+/**
+ * Purpose: Loads a pending transfer addressed to, or sent by, the logged-in user
+ * Input: req - request whose :id param names the transfer
+ *        side - "to" for the recipient or "from" for the sender
+ * Ouput: { transfer } or an { ok: false, code, error } result
+ */
+async function findPendingTransfer(req, side) {
+  const id = Number(req.params.id);
+  const transfer = Number.isInteger(id) && id > 0
+    ? await db.get("SELECT * FROM ticket_transfers WHERE id = ? AND status = 'pending'", [id])
+    : null;
+  const mine = side === "to"
+    ? transfer?.to_email === String(req.user.email).toLowerCase()
+    : transfer?.from_user_id === String(req.user.id);
+  if (!transfer || !mine) {
+    return { ok: false, code: 404, error: "Transfer not found" };
+  }
+  return { transfer };
+}
+
+/**
+ * Purpose: Accepts a transfer addressed to the logged-in user. In one
+ *          transaction every ticket is marked transferred, which voids its old
+ *          code and QR code, and re-issued to the recipient under a new code.
+ * Input: id - int/string, the transfer ID
+ * Ouput: The recipient's new ticket codes; 404 if there is no such pending
+ *        transfer for the user, 409 if a ticket is no longer transferable or
+ *        would take the recipient past an event's per-user limit
+ */
+app.post("/api/transfers/:id/accept", authenticateToken, async (req, res) => {
+  try {
+    const result = await withTransaction(async () => {
+      const found = await findPendingTransfer(req, "to");
+      if (found.ok === false) {
+        return found;
+      }
+      const { transfer } = found;
+
+      const tickets = await db.all(
+        `SELECT t.* FROM ticket_transfer_items i JOIN tickets t ON t.id = i.ticket_id
+          WHERE i.transfer_id = ? ORDER BY t.id`,
+        [transfer.id]
+      );
+      if (tickets.some((t) => t.status !== "active" || t.checked_in_at || t.user_id !== transfer.from_user_id)) {
+        return { ok: false, code: 409, error: "Some of these tickets can no longer be transferred" };
+      }
+
+      // Transfers must not become a way around an event's per-user limit or
+      // its eligibility rules
+      const perEvent = new Map();
+      for (const ticket of tickets) perEvent.set(ticket.event_id, (perEvent.get(ticket.event_id) ?? 0) + 1);
+      for (const [eventId, count] of perEvent) {
+        const event = await db.get("SELECT * FROM events WHERE id = ?", [eventId]);
+        const ineligible = await checkEventEligibility(db, event, req.user);
+        if (ineligible) {
+          return ineligible;
+        }
+        const limitError = await checkPurchaseLimits(db, { ...event, max_per_order: null }, String(req.user.id), count);
+        if (limitError) {
+          return limitError;
+        }
+      }
+
+      const ticketCodes = [];
+      for (const ticket of tickets) {
+        await db.run("UPDATE tickets SET status = 'transferred' WHERE id = ?", [ticket.id]);
+        const code = generateTicketCode();
+        const issued = await db.run(
+          `INSERT INTO tickets (order_id, event_id, user_id, code, tier_id, price_cents, holder_email, seat_id)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+          [ticket.order_id, ticket.event_id, String(req.user.id), code, ticket.tier_id, ticket.price_cents,
+            req.user.email, ticket.seat_id]
+        );
+        // The seat moves with the ticket
+        await db.run("UPDATE seat_assignments SET ticket_id = ? WHERE ticket_id = ?", [issued.lastID, ticket.id]);
+        await db.run(
+          "UPDATE ticket_transfer_items SET new_ticket_id = ? WHERE transfer_id = ? AND ticket_id = ?",
+          [issued.lastID, transfer.id, ticket.id]
+        );
+        ticketCodes.push(code);
+      }
+      await db.run(
+        "UPDATE ticket_transfers SET status = 'accepted', responded_at = datetime('now') WHERE id = ?",
+        [transfer.id]
+      );
+      return { ok: true, transfer, ticketCodes };
+    });
+
+    if (!result.ok) {
+      return res.status(result.code).json({ error: result.error });
+    }
+    res.json({ success: true, transferId: result.transfer.id, status: "accepted", ticketCodes: result.ticketCodes });
+  } catch (err) {
+    console.error("Transfer accept error:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Purpose: Closes a pending transfer without moving any tickets; they stay
+ *          with the sender
+ * Input: req, res - the Express request (:id names the transfer) and response
+ *        side - "to" when the recipient declines, "from" when the sender withdraws
+ *        status - String, the status to record ('declined' or 'cancelled')
+ * Ouput: The transfer's new status, or 404 if there is no such pending transfer
+ */
+async function closeTransfer(req, res, side, status) {
+  try {
+    const result = await withTransaction(async () => {
+      const found = await findPendingTransfer(req, side);
+      if (found.ok === false) {
+        return found;
+      }
+      await db.run(
+        "UPDATE ticket_transfers SET status = ?, responded_at = datetime('now') WHERE id = ?",
+        [status, found.transfer.id]
+      );
+      return { ok: true, transfer: found.transfer };
+    });
+
+    if (!result.ok) {
+      return res.status(result.code).json({ error: result.error });
+    }
+    res.json({ success: true, transferId: result.transfer.id, status });
+  } catch (err) {
+    console.error("Transfer update error:", err);
+    res.status(500).json({ error: err.message });
+  }
+}
+
+// The recipient turns a transfer down
+app.post("/api/transfers/:id/decline", authenticateToken, (req, res) => closeTransfer(req, res, "to", "declined"));
+
+// The sender withdraws a transfer that has not been answered yet
+app.delete("/api/transfers/:id", authenticateToken, (req, res) => closeTransfer(req, res, "from", "cancelled"));
 
 /**
  * Purpose: Starts the Express server for the client-service
@@ -149,6 +1922,28 @@ if (process.env.NODE_ENV !== "test") {
   app.listen(PORT, '0.0.0.0', () => {
     console.log(`Client service listening on ${PORT}`);
   });
+
+  // Return seats from abandoned holds even when no one is buying
+  setInterval(() => {
+    dbReady
+      .then(() => withTransaction(releaseExpiredHolds))
+      .catch((err) => console.error("Hold sweep error:", err));
+  }, 60 * 1000).unref();
+
+  // Draw lotteries whose entries have closed; the lottery routes never draw
+  setInterval(() => {
+    dbReady
+      .then(() => withTransaction(() => drawDueLotteries(db)))
+      .catch((err) => console.error("Lottery draw error:", err));
+  }, 60 * 1000).unref();
+
+  // Refund holders of events an admin has cancelled, and any refund the
+  // provider refused when tickets were cancelled
+  setInterval(() => {
+    dbReady
+      .then(() => payDueRefunds(db, withTransaction))
+      .catch((err) => console.error("Refund sweep error:", err));
+  }, 60 * 1000).unref();
 }
 
 export default app;
@@ -7,12 +7,14 @@ const CLIENT_BASE = process.env.CLIENT_BASE || "http://localhost:6001";
  * Purpose: Confirms the user’s booking by forwarding the request to the
  *          client-service and returning the result
  * Input: Client_base - strinf, the base URL of the client-service
- *        JSON object, the event id and the number of tickets
+ *        JSON object, the event id, the number of tickets and, for events
+ *        with ticket tiers, the tierId to buy from, and the payment details
+ *        when the tickets cost anything
  * Ouput: JSON confirmation or error message depending on transaction success
  */
 export async function confirmController(req, res) {
   try {
-    const { eventId, tickets } = req.body || {};
+    const { eventId, tickets, tierId, payment } = req.body || {};
 
     if (!eventId || !Number.isInteger(tickets) || tickets <= 0) {
       return res
@@ -34,11 +36,15 @@ export async function confirmController(req, res) {
       const match = req.headers.cookie.match(/(?:^|; )token=([^;]+)/);
       if (match) forwardHeaders.Authorization = `Bearer ${match[1]}`;
     }
+    // Forward the caller's Idempotency-Key so a retried confirm never buys twice
+    if (req.headers["idempotency-key"]) {
+      forwardHeaders["Idempotency-Key"] = req.headers["idempotency-key"];
+    }
 
     const response = await fetch(purchaseUrl, {
       method: "POST",
       headers: forwardHeaders,
-      body: JSON.stringify({ quantity: tickets }),
+      body: JSON.stringify({ quantity: tickets, tierId, payment }),
     });
 
     if (!response.ok) {
@@ -55,6 +61,7 @@ export async function confirmController(req, res) {
       eventId,
       purchased: data.purchased,
       remainingTickets: data.remainingTickets,
+      totalCents: data.totalCents,
     });
   } catch (err) {
     console.error("Confirm booking error:", err);
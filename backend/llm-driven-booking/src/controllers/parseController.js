@@ -47,8 +47,10 @@ export const parseController = async (req, res) => {
   try {
     const { text } = req.body;
 
-    // 1 Fetch events dynamically
-    const eventRes = await fetch("http://localhost:6001/api/events");
+    // 1 Fetch upcoming events dynamically, soonest first (capped so the prompt
+    //   stays small as the catalog grows); event dates are UTC days
+    const today = new Date().toISOString().slice(0, 10);
+    const eventRes = await fetch(`http://localhost:6001/api/events?sort=date&from=${today}&limit=100`);
     const eventData = await eventRes.json();
     const eventNames = eventData.map((e) => e.name);
 
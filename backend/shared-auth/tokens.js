@@ -0,0 +1,57 @@
+/**
+ * tokens.js
+ * Purpose: Verifies the JWTs user-authentication issues. Every service that
+ *          accepts them reads tokens, and the role claim in them, through
+ *          here so a token means the same thing everywhere. Each service hands
+ *          in its own jsonwebtoken, the way shared-db modules are handed an
+ *          open database, so the module loads from any service directory.
+ */
+
+/**
+ * Purpose: Returns the secret tokens are signed with
+ * Input: None; reads JWT_SECRET
+ * Output: String
+ */
+function jwtSecret() {
+  return process.env.JWT_SECRET || 'replace_with_a_strong_secret';
+}
+
+/**
+ * Purpose: Finds the token a request was sent with
+ * Input: req - Express request; the 'token' cookie (needs cookie-parser) or
+ *        an "Authorization: Bearer" header
+ * Output: String token, or null when there is none
+ */
+function tokenFromRequest(req) {
+  return req.cookies?.token || req.header('Authorization')?.replace('Bearer ', '') || null;
+}
+
+/**
+ * Purpose: Checks an HS256 token's signature, expiry and not-before time
+ * Input: jwt - the calling service's jsonwebtoken module
+ *        token - String, the JWT
+ *        secret - String (optional), defaults to jwtSecret()
+ * Output: { id, email, role, emailVerified } from its claims (role null for
+ *         an account without one, emailVerified true only when an organizer
+ *         has confirmed the address), or null for a malformed, tampered or
+ *         expired token
+ */
+function verifyToken(jwt, token, secret = jwtSecret()) {
+  let claims;
+  try {
+    // Only the algorithm the auth service signs with, so "none" or a
+    // public-key algorithm can never be slipped in
+    claims = jwt.verify(token, secret, { algorithms: ['HS256'] });
+  } catch (e) {
+    return null;
+  }
+  if (!claims || typeof claims !== 'object') return null;
+  return {
+    id: claims.id,
+    email: claims.email,
+    role: typeof claims.role === 'string' ? claims.role : null,
+    emailVerified: claims.email_verified === true,
+  };
+}
+
+module.exports = { jwtSecret, tokenFromRequest, verifyToken };
@@ -0,0 +1,38 @@
+/**
+ * users.js
+ * Purpose: Read-only lookups in the accounts user-authentication keeps in its
+ *          users.json, for services that must know whether an email belongs
+ *          to someone who can log in. USERS_FILE points at another copy of
+ *          the file, the way DB_PATH does for the database.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Purpose: Returns where user-authentication stores its accounts
+ * Input: None; reads USERS_FILE
+ * Output: String path
+ */
+function usersFile() {
+  return process.env.USERS_FILE || path.join(__dirname, '..', 'user-authentication', 'users.json');
+}
+
+/**
+ * Purpose: Checks whether an email belongs to a registered account
+ * Input: email - String, compared case-insensitively
+ * Output: Promise<boolean>; false when the accounts file is missing or
+ *         unreadable, as user-authentication then has no accounts either
+ */
+async function isRegisteredEmail(email) {
+  let users;
+  try {
+    users = JSON.parse((await fs.promises.readFile(usersFile(), 'utf8')) || '[]');
+  } catch (e) {
+    return false;
+  }
+  const wanted = String(email).toLowerCase();
+  return Array.isArray(users) && users.some((user) => String(user.email).toLowerCase() === wanted);
+}
+
+module.exports = { usersFile, isRegisteredEmail };
@@ -0,0 +1,149 @@
+/**
+ * cancellation.js
+ * Purpose: Calling off an event. Cancelling takes the event off sale, voids
+ *          every ticket still held, closes its holds, queues and lottery, and
+ *          tells each holder. Money owed back is queued on the orders
+ *          (orders.refund_due_cents) rather than refunded here: only
+ *          client-service talks to the payment providers, and it pays the
+ *          queued refunds out. A bundle's ticket for the event is voided
+ *          and refunded the same way; its holder can still refund the rest
+ *          of the bundle. Used by admin-service.
+ */
+
+/**
+ * Purpose: Cancels an event and voids its outstanding tickets. Must run
+ *          inside a transaction.
+ * Input: db - open `sqlite` database handle
+ *        eventId - int, the event to cancel
+ *        reason - String (optional), shown to holders in their notification
+ * Output: { ok: true, cancelledTickets, refundDueCents, notifiedHolders }, or
+ *         a failed result (404 unknown event, 409 already cancelled)
+ */
+async function cancelEvent(db, eventId, reason = null) {
+  const event = await db.get('SELECT * FROM events WHERE id = ?', [eventId]);
+  if (!event) {
+    return { ok: false, code: 404, error: 'Event not found' };
+  }
+  if (event.cancelled_at) {
+    return { ok: false, code: 409, error: `The event was already cancelled at ${event.cancelled_at} UTC` };
+  }
+
+  await db.run(
+    "UPDATE events SET cancelled_at = datetime('now'), cancellation_reason = ? WHERE id = ?",
+    [reason, eventId]
+  );
+
+  const tickets = await db.all(
+    `SELECT t.id, t.order_id, t.user_id, t.holder_email, t.price_cents, o.payment_capture_id
+       FROM tickets t
+       JOIN orders o ON o.id = t.order_id
+      WHERE t.event_id = ? AND t.status = 'active'`,
+    [eventId]
+  );
+  await db.run(
+    "UPDATE tickets SET status = 'cancelled', cancelled_at = datetime('now') WHERE event_id = ? AND status = 'active'",
+    [eventId]
+  );
+  // Seats taken by voided tickets or released holds are free again
+  await db.run('DELETE FROM seat_assignments WHERE event_id = ?', [eventId]);
+  // A transfer of a voided ticket could only ever fail to go through
+  await db.run(
+    `UPDATE ticket_transfers SET status = 'cancelled', responded_at = datetime('now')
+      WHERE status = 'pending'
+        AND id IN (SELECT x.transfer_id FROM ticket_transfer_items x
+                     JOIN tickets t ON t.id = x.ticket_id
+                    WHERE t.event_id = ?)`,
+    [eventId]
+  );
+
+  // Free tickets are simply voided; paid ones are owed back to the payment
+  // they were bought with
+  const owedByOrder = new Map();
+  const byHolder = new Map();
+  for (const ticket of tickets) {
+    const owed = ticket.payment_capture_id ? ticket.price_cents : 0;
+    owedByOrder.set(ticket.order_id, (owedByOrder.get(ticket.order_id) ?? 0) + owed);
+    if (!byHolder.has(ticket.user_id)) {
+      byHolder.set(ticket.user_id, { email: ticket.holder_email, count: 0, owedCents: 0 });
+    }
+    const holder = byHolder.get(ticket.user_id);
+    holder.count += 1;
+    holder.owedCents += owed;
+  }
+  let refundDueCents = 0;
+  for (const [orderId, amountCents] of owedByOrder) {
+    if (amountCents === 0) continue;
+    await db.run('UPDATE orders SET refund_due_cents = refund_due_cents + ? WHERE id = ?', [amountCents, orderId]);
+    refundDueCents += amountCents;
+  }
+
+  for (const [userId, holder] of byHolder) {
+    const refundNote = holder.owedCents > 0
+      ? ` $${(holder.owedCents / 100).toFixed(2)} will be refunded to your original payment.`
+      : '';
+    await db.run(
+      `INSERT INTO notifications (user_id, user_email, event_id, type, message)
+       VALUES (?, ?, ?, 'event_cancelled', ?)`,
+      [userId, holder.email, eventId,
+        `${event.name} on ${event.date} has been cancelled${reason ? `: ${reason}` : ''}. ` +
+          `Your ${holder.count} ticket(s) are no longer valid.${refundNote}`]
+    );
+  }
+
+  // Nothing is left to offer, so every way of waiting for tickets closes
+  await db.run("UPDATE holds SET status = 'released' WHERE event_id = ? AND status = 'active'", [eventId]);
+  await db.run(
+    "UPDATE waitlist_entries SET status = 'expired' WHERE event_id = ? AND status IN ('waiting', 'offered')",
+    [eventId]
+  );
+  await db.run(
+    `UPDATE waiting_room_entries SET status = 'expired', finished_at = datetime('now')
+      WHERE event_id = ? AND status IN ('waiting', 'admitted')`,
+    [eventId]
+  );
+  await db.run(
+    "UPDATE lottery_entries SET status = 'withdrawn' WHERE event_id = ? AND status = 'entered'",
+    [eventId]
+  );
+
+  return { ok: true, cancelledTickets: tickets.length, refundDueCents, notifiedHolders: byHolder.size };
+}
+
+/**
+ * Purpose: Deletes an event that never sold a ticket, with everything that
+ *          only describes it (tiers, eligibility rules, holds, queues,
+ *          lottery entries, event-specific promo codes). Must run inside a
+ *          transaction.
+ * Input: db - open `sqlite` database handle
+ *        eventId - int, the event to delete
+ * Output: { ok: true }, or a failed result (404 unknown event, 409 once it
+ *         has orders or belongs to a bundle)
+ */
+async function deleteEvent(db, eventId) {
+  const event = await db.get('SELECT id FROM events WHERE id = ?', [eventId]);
+  if (!event) {
+    return { ok: false, code: 404, error: 'Event not found' };
+  }
+  if (await db.get('SELECT 1 FROM orders WHERE event_id = ? LIMIT 1', [eventId])) {
+    return { ok: false, code: 409, error: 'Events with sales cannot be deleted; cancel the event instead' };
+  }
+  if (await db.get('SELECT 1 FROM bundle_events WHERE event_id = ? LIMIT 1', [eventId])) {
+    return { ok: false, code: 409, error: 'The event is part of a bundle and cannot be deleted' };
+  }
+
+  // Rows pointing at the event's holds go first
+  await db.run('DELETE FROM seat_assignments WHERE event_id = ?', [eventId]);
+  await db.run('UPDATE waitlist_entries SET hold_id = NULL WHERE event_id = ?', [eventId]);
+  for (const table of [
+    'holds', 'waitlist_entries', 'waiting_room_entries', 'lottery_entries',
+    'event_eligibility_rules', 'ticket_tiers', 'promo_codes',
+  ]) {
+    await db.run(`DELETE FROM ${table} WHERE event_id = ?`, [eventId]);
+  }
+  // Notifications stay with their users; they just no longer point at an event
+  await db.run('UPDATE notifications SET event_id = NULL WHERE event_id = ?', [eventId]);
+  await db.run('DELETE FROM events WHERE id = ?', [eventId]);
+  return { ok: true };
+}
+
+module.exports = { cancelEvent, deleteEvent };
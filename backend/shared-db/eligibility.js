@@ -0,0 +1,74 @@
+/**
+ * eligibility.js
+ * Purpose: Rules limiting who may buy tickets for an event, such as
+ *          student-section seats. admin-service writes them and client-service
+ *          enforces them against the buyer's JWT claims. Each rule type an
+ *          event uses must be satisfied by at least one of its values:
+ *            emailDomains - the buyer's email is at one of these domains and
+ *                           has been verified; anyone can register any
+ *                           address, so an unverified one proves nothing
+ *            roles        - the buyer's token carries one of these roles
+ *            inviteEmails - the buyer's email is on the invite list
+ */
+
+// Request/response field name -> rule_type stored in event_eligibility_rules
+const RULE_TYPES = {
+  emailDomains: 'email_domain',
+  roles: 'role',
+  inviteEmails: 'invite_email',
+};
+
+/**
+ * Purpose: Loads the eligibility rules of several events in one query
+ * Input: db - open `sqlite` database handle
+ *        eventIds - Array of int event ids
+ * Output: Map of event id to { emailDomains, roles, inviteEmails } arrays;
+ *         events open to everyone are absent from the map
+ */
+async function eligibilityByEvent(db, eventIds) {
+  const byEvent = new Map();
+  if (eventIds.length === 0) return byEvent;
+
+  const rows = await db.all(
+    `SELECT event_id, rule_type, value FROM event_eligibility_rules
+      WHERE event_id IN (${eventIds.map(() => '?').join(', ')})
+      ORDER BY id`,
+    eventIds
+  );
+  for (const { event_id: eventId, rule_type: ruleType, value } of rows) {
+    if (!byEvent.has(eventId)) byEvent.set(eventId, { emailDomains: [], roles: [], inviteEmails: [] });
+    const field = Object.keys(RULE_TYPES).find((key) => RULE_TYPES[key] === ruleType);
+    byEvent.get(eventId)[field].push(value);
+  }
+  return byEvent;
+}
+
+/**
+ * Purpose: Decides whether a user may get tickets for an event
+ * Input: rules - { emailDomains, roles, inviteEmails } from eligibilityByEvent,
+ *        or undefined for an open event
+ *        user - { email, role, emailVerified } from the buyer's JWT
+ * Output: null when the user is eligible, otherwise the reason they are not
+ */
+function checkEligibility(rules, user) {
+  if (!rules) return null;
+  const email = String(user.email ?? '').toLowerCase();
+  const domain = email.includes('@') ? email.slice(email.lastIndexOf('@') + 1) : '';
+
+  if (rules.emailDomains.length > 0 && !rules.emailDomains.includes(domain)) {
+    const domains = rules.emailDomains.map((d) => `@${d}`).join(' or ');
+    return `Tickets for this event are limited to ${domains} email addresses`;
+  }
+  if (rules.emailDomains.length > 0 && !user.emailVerified) {
+    return `Your @${domain} email address must be verified before you can get tickets for this event`;
+  }
+  if (rules.roles.length > 0 && !rules.roles.includes(String(user.role ?? '').toLowerCase())) {
+    return `Tickets for this event are limited to ${rules.roles.join(' or ')} accounts`;
+  }
+  if (rules.inviteEmails.length > 0 && !rules.inviteEmails.includes(email)) {
+    return 'Tickets for this event are invite-only and your email is not on the list';
+  }
+  return null;
+}
+
+module.exports = { RULE_TYPES, eligibilityByEvent, checkEligibility };
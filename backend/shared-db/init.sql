@@ -4,13 +4,289 @@ CREATE TABLE IF NOT EXISTS events (
   id      INTEGER PRIMARY KEY AUTOINCREMENT,
   name    TEXT    NOT NULL,
   date    TEXT    NOT NULL,            -- store as 'YYYY-MM-DD'
-  tickets INTEGER NOT NULL CHECK (tickets >= 0)
+  tickets INTEGER NOT NULL CHECK (tickets >= 0),
+  max_per_user  INTEGER CHECK (max_per_user > 0),    -- NULL = no limit
+  max_per_order INTEGER CHECK (max_per_order > 0),   -- NULL = no limit
+  start_time  TEXT,                                   -- 'HH:MM', 24-hour
+  venue       TEXT,
+  description TEXT,
+  category    TEXT,
+  organizer   TEXT,
+  image_url   TEXT,
+  capacity    INTEGER CHECK (capacity >= 0),          -- total seats; tickets is what remains
+  venue_id    INTEGER REFERENCES venues(id),          -- NULL = general admission
+  waiting_room_limit INTEGER CHECK (waiting_room_limit > 0), -- shoppers admitted at once; NULL = no queue
+  sale_starts_at TEXT,                                -- UTC; NULL = on sale from creation
+  sale_ends_at   TEXT,                                -- UTC; NULL = on sale until sold out
+  lottery_opens_at    TEXT,                           -- UTC; NULL = entries open from creation
+  lottery_closes_at   TEXT,                           -- UTC; set = tickets are allocated by lottery
+  lottery_max_tickets INTEGER CHECK (lottery_max_tickets > 0), -- most tickets one entry may ask for
+  lottery_seed        TEXT,                           -- draw seed; a random one is stored if NULL
+  lottery_drawn_at    TEXT,                           -- UTC; NULL until the draw has run
+  cancelled_at        TEXT,                           -- UTC; set = called off by an admin, off sale
+  cancellation_reason TEXT
 );
 
-INSERT INTO events (name, date, tickets) VALUES
-  ('Clemson Tigers Football Game', '2025-12-15', 100),
-  ('Clemson Basketball Homecoming', '2025-12-20', 100),
-  ('Clemson Tiger Paw 5K Run', '2026-01-10', 100),
-  ('Clemson Academic Excellence Symposium', '2026-01-25', 100),
-  ('Clemson Engineering Innovation Expo', '2026-02-05', 100),
-  ('Clemson Spring Concert at Amphitheater', '2026-03-15', 100);
+-- Venues with assigned seating. An event with a venue_id sells specific
+-- seats from its venue instead of general admission.
+CREATE TABLE IF NOT EXISTS venues (
+  id         INTEGER PRIMARY KEY AUTOINCREMENT,
+  name       TEXT    NOT NULL UNIQUE,
+  created_at TEXT    NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE TABLE IF NOT EXISTS venue_seats (
+  id          INTEGER PRIMARY KEY AUTOINCREMENT,
+  venue_id    INTEGER NOT NULL REFERENCES venues(id),
+  section     TEXT    NOT NULL,
+  row_label   TEXT    NOT NULL,
+  seat_number TEXT    NOT NULL,
+  UNIQUE (venue_id, section, row_label, seat_number)
+);
+
+-- Priced inventory pools within an event (e.g. Student, General Admission,
+-- VIP). When an event has tiers, events.tickets is the sum of their tickets.
+CREATE TABLE IF NOT EXISTS ticket_tiers (
+  id          INTEGER PRIMARY KEY AUTOINCREMENT,
+  event_id    INTEGER NOT NULL REFERENCES events(id),
+  name        TEXT    NOT NULL,
+  price_cents INTEGER NOT NULL DEFAULT 0 CHECK (price_cents >= 0),
+  tickets     INTEGER NOT NULL CHECK (tickets >= 0),   -- remaining in this tier
+  UNIQUE (event_id, name)
+);
+
+-- Discount codes created by admins. discount_value is a percentage (1-100)
+-- for 'percent' codes and an amount in cents for 'fixed' ones. event_id and
+-- tier_id narrow where a code applies; NULL caps mean no limit.
+CREATE TABLE IF NOT EXISTS promo_codes (
+  id                INTEGER PRIMARY KEY AUTOINCREMENT,
+  code              TEXT    NOT NULL UNIQUE,           -- stored upper-case
+  discount_type     TEXT    NOT NULL CHECK (discount_type IN ('percent', 'fixed')),
+  discount_value    INTEGER NOT NULL CHECK (discount_value > 0),
+  event_id          INTEGER REFERENCES events(id),
+  tier_id           INTEGER REFERENCES ticket_tiers(id),
+  max_uses          INTEGER CHECK (max_uses > 0),
+  max_uses_per_user INTEGER CHECK (max_uses_per_user > 0),
+  expires_at        TEXT,                              -- UTC 'YYYY-MM-DD HH:MM:SS'
+  active            INTEGER NOT NULL DEFAULT 1,
+  created_at        TEXT    NOT NULL DEFAULT (datetime('now'))
+);
+
+-- One row per purchase; user_id is the `id` claim from the auth service JWT
+CREATE TABLE IF NOT EXISTS orders (
+  id         INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id    TEXT    NOT NULL,
+  user_email TEXT,
+  event_id   INTEGER NOT NULL REFERENCES events(id),
+  quantity   INTEGER NOT NULL CHECK (quantity > 0),
+  created_at TEXT    NOT NULL DEFAULT (datetime('now')),
+  tier_id    INTEGER REFERENCES ticket_tiers(id),    -- NULL for events without tiers
+  unit_price_cents INTEGER NOT NULL DEFAULT 0,
+  total_cents      INTEGER NOT NULL DEFAULT 0,     -- computed server-side at purchase
+  promo_code_id    INTEGER REFERENCES promo_codes(id),
+  discount_cents   INTEGER NOT NULL DEFAULT 0,
+  payment_provider   TEXT,                         -- NULL for free orders
+  payment_capture_id TEXT,                         -- provider's id for the captured charge
+  refunded_cents     INTEGER NOT NULL DEFAULT 0,
+  bundle_order_id    INTEGER REFERENCES bundle_orders(id), -- set for a bundle's per-event orders
+  refund_due_cents   INTEGER NOT NULL DEFAULT 0,   -- owed after a cancellation; paid out by client-service
+  refunding_cents    INTEGER NOT NULL DEFAULT 0    -- taken off refund_due_cents while the provider is refunding it
+);
+
+-- Season passes and other bundles: one purchase takes a seat at every member
+-- event for the bundle's own price. tickets is how many bundles remain.
+CREATE TABLE IF NOT EXISTS bundles (
+  id          INTEGER PRIMARY KEY AUTOINCREMENT,
+  name        TEXT    NOT NULL UNIQUE,
+  price_cents INTEGER NOT NULL DEFAULT 0 CHECK (price_cents >= 0),
+  tickets     INTEGER NOT NULL CHECK (tickets >= 0),
+  active      INTEGER NOT NULL DEFAULT 1,
+  created_at  TEXT    NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE TABLE IF NOT EXISTS bundle_events (
+  bundle_id INTEGER NOT NULL REFERENCES bundles(id),
+  event_id  INTEGER NOT NULL REFERENCES events(id),
+  tier_id   INTEGER REFERENCES ticket_tiers(id),   -- required for events with tiers
+  PRIMARY KEY (bundle_id, event_id)
+);
+
+-- One row per bundle bought. The seat at each member event is an ordinary
+-- order (orders.bundle_order_id) sharing this purchase's charge.
+CREATE TABLE IF NOT EXISTS bundle_orders (
+  id                 INTEGER PRIMARY KEY AUTOINCREMENT,
+  bundle_id          INTEGER NOT NULL REFERENCES bundles(id),
+  user_id            TEXT    NOT NULL,
+  user_email         TEXT,
+  total_cents        INTEGER NOT NULL DEFAULT 0,
+  status             TEXT    NOT NULL DEFAULT 'active',  -- 'active' | 'refunded'
+  payment_provider   TEXT,
+  payment_capture_id TEXT,
+  refunded_cents     INTEGER NOT NULL DEFAULT 0,
+  created_at         TEXT    NOT NULL DEFAULT (datetime('now')),
+  refunded_at        TEXT
+);
+
+-- One row per seat sold, each with a unique code
+CREATE TABLE IF NOT EXISTS tickets (
+  id         INTEGER PRIMARY KEY AUTOINCREMENT,
+  order_id   INTEGER NOT NULL REFERENCES orders(id),
+  event_id   INTEGER NOT NULL REFERENCES events(id),
+  user_id    TEXT    NOT NULL,
+  code       TEXT    NOT NULL UNIQUE,
+  status     TEXT    NOT NULL DEFAULT 'active',   -- 'active' | 'cancelled' | 'transferred'
+  created_at TEXT    NOT NULL DEFAULT (datetime('now')),
+  cancelled_at TEXT,
+  tier_id    INTEGER REFERENCES ticket_tiers(id),
+  price_cents INTEGER NOT NULL DEFAULT 0,         -- what was paid for this seat
+  checked_in_at TEXT,                             -- set once, when scanned at the gate
+  checked_in_by TEXT,                             -- staff member who scanned it
+  holder_email TEXT,                              -- NULL = the buyer on the order
+  seat_id    INTEGER REFERENCES venue_seats(id)   -- NULL for general admission
+);
+
+-- Seats reserved for a user until expires_at; the seats are taken out of
+-- events.tickets while the hold is active
+CREATE TABLE IF NOT EXISTS holds (
+  id         INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id    TEXT    NOT NULL,
+  event_id   INTEGER NOT NULL REFERENCES events(id),
+  quantity   INTEGER NOT NULL CHECK (quantity > 0),
+  status     TEXT    NOT NULL DEFAULT 'active',   -- 'active' | 'converted' | 'released' | 'expired'
+  created_at TEXT    NOT NULL DEFAULT (datetime('now')),
+  expires_at TEXT    NOT NULL,
+  tier_id    INTEGER REFERENCES ticket_tiers(id)
+);
+
+-- One row per seat taken at an assigned-seat event, by a hold or a ticket.
+-- The primary key is the lock: a seat can only be taken once per event.
+CREATE TABLE IF NOT EXISTS seat_assignments (
+  event_id  INTEGER NOT NULL REFERENCES events(id),
+  seat_id   INTEGER NOT NULL REFERENCES venue_seats(id),
+  hold_id   INTEGER REFERENCES holds(id),           -- set while held
+  ticket_id INTEGER REFERENCES tickets(id),         -- set once sold
+  PRIMARY KEY (event_id, seat_id)
+);
+
+-- Successful purchase responses, replayed when a client retries with the
+-- same Idempotency-Key header
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  user_id       TEXT    NOT NULL,
+  key           TEXT    NOT NULL,
+  request_hash  TEXT    NOT NULL,
+  status_code   INTEGER NOT NULL,
+  response_body TEXT    NOT NULL,
+  created_at    TEXT    NOT NULL DEFAULT (datetime('now')),
+  PRIMARY KEY (user_id, key)
+);
+
+-- Users waiting for seats on a sold-out event, served in id order. When seats
+-- come back the entry is 'offered' a hold (hold_id) it can check out.
+CREATE TABLE IF NOT EXISTS waitlist_entries (
+  id         INTEGER PRIMARY KEY AUTOINCREMENT,
+  event_id   INTEGER NOT NULL REFERENCES events(id),
+  user_id    TEXT    NOT NULL,
+  user_email TEXT,
+  quantity   INTEGER NOT NULL CHECK (quantity > 0),
+  status     TEXT    NOT NULL DEFAULT 'waiting',  -- 'waiting' | 'offered' | 'claimed' | 'expired' | 'left'
+  hold_id    INTEGER REFERENCES holds(id),
+  created_at TEXT    NOT NULL DEFAULT (datetime('now')),
+  offered_at TEXT,
+  tier_id    INTEGER REFERENCES ticket_tiers(id)   -- required for events with tiers
+);
+
+-- Virtual waiting room for events with a waiting_room_limit. Buyers queue
+-- first-in, first-out; admitted ones get a token that purchases and holds
+-- require until expires_at.
+CREATE TABLE IF NOT EXISTS waiting_room_entries (
+  id          INTEGER PRIMARY KEY AUTOINCREMENT,
+  event_id    INTEGER NOT NULL REFERENCES events(id),
+  user_id     TEXT    NOT NULL,
+  status      TEXT    NOT NULL DEFAULT 'waiting',  -- 'waiting' | 'admitted' | 'done' | 'expired' | 'left'
+  token       TEXT    UNIQUE,
+  joined_at   TEXT    NOT NULL DEFAULT (datetime('now')),
+  admitted_at TEXT,
+  expires_at  TEXT,
+  finished_at TEXT
+);
+
+-- Requests to enter an event's ticket lottery, one per user. The draw ranks
+-- entries by a seeded hash (rank); winners get an order (order_id) and the
+-- rest join the waitlist in rank order.
+CREATE TABLE IF NOT EXISTS lottery_entries (
+  id         INTEGER PRIMARY KEY AUTOINCREMENT,
+  event_id   INTEGER NOT NULL REFERENCES events(id),
+  user_id    TEXT    NOT NULL,
+  user_email TEXT,
+  quantity   INTEGER NOT NULL CHECK (quantity > 0),
+  tier_id    INTEGER REFERENCES ticket_tiers(id),
+  status     TEXT    NOT NULL DEFAULT 'entered',  -- 'entered' | 'won' | 'waitlisted' | 'withdrawn'
+  rank       INTEGER,
+  order_id   INTEGER REFERENCES orders(id),
+  created_at TEXT    NOT NULL DEFAULT (datetime('now'))
+);
+
+-- Tickets offered by their holder to another account. On acceptance each
+-- ticket is marked 'transferred' and re-issued to the recipient under a new
+-- code (new_ticket_id).
+CREATE TABLE IF NOT EXISTS ticket_transfers (
+  id           INTEGER PRIMARY KEY AUTOINCREMENT,
+  from_user_id TEXT    NOT NULL,
+  from_email   TEXT,
+  to_email     TEXT    NOT NULL,
+  status       TEXT    NOT NULL DEFAULT 'pending',  -- 'pending' | 'accepted' | 'declined' | 'cancelled'
+  created_at   TEXT    NOT NULL DEFAULT (datetime('now')),
+  responded_at TEXT
+);
+
+CREATE TABLE IF NOT EXISTS ticket_transfer_items (
+  transfer_id   INTEGER NOT NULL REFERENCES ticket_transfers(id),
+  ticket_id     INTEGER NOT NULL REFERENCES tickets(id),
+  new_ticket_id INTEGER REFERENCES tickets(id),
+  PRIMARY KEY (transfer_id, ticket_id)
+);
+
+-- Who may buy tickets for an event; an event without rows is open to all.
+-- A buyer must match one value of every rule type the event uses.
+CREATE TABLE IF NOT EXISTS event_eligibility_rules (
+  id        INTEGER PRIMARY KEY AUTOINCREMENT,
+  event_id  INTEGER NOT NULL REFERENCES events(id),
+  rule_type TEXT    NOT NULL CHECK (rule_type IN ('email_domain', 'role', 'invite_email')),
+  value     TEXT    NOT NULL,                      -- stored lowercase
+  UNIQUE (event_id, rule_type, value)
+);
+
+-- Messages queued for users (e.g. a waitlist offer); delivery is out of band
+CREATE TABLE IF NOT EXISTS notifications (
+  id         INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id    TEXT    NOT NULL,
+  user_email TEXT,
+  event_id   INTEGER REFERENCES events(id),
+  type       TEXT    NOT NULL,
+  message    TEXT    NOT NULL,
+  created_at TEXT    NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_orders_user   ON orders(user_id);
+CREATE INDEX IF NOT EXISTS idx_tickets_event ON tickets(event_id);
+CREATE INDEX IF NOT EXISTS idx_holds_status  ON holds(status, expires_at);
+CREATE INDEX IF NOT EXISTS idx_waitlist_event ON waitlist_entries(event_id, status);
+CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications(user_id);
+CREATE INDEX IF NOT EXISTS idx_transfers_to ON ticket_transfers(to_email, status);
+CREATE INDEX IF NOT EXISTS idx_seat_assignments_hold ON seat_assignments(hold_id);
+CREATE INDEX IF NOT EXISTS idx_waiting_room_event ON waiting_room_entries(event_id, status);
+CREATE INDEX IF NOT EXISTS idx_lottery_event ON lottery_entries(event_id, status);
+CREATE INDEX IF NOT EXISTS idx_bundle_orders_user ON bundle_orders(user_id);
+
+-- Sample events, only into an empty catalog: admin-service and client-service
+-- both run this file on every start
+INSERT INTO events (name, date, tickets, capacity, start_time, venue, category)
+SELECT * FROM (VALUES
+  ('Clemson Tigers Football Game', '2025-12-15', 100, 100, '19:30', 'Memorial Stadium', 'Athletics'),
+  ('Clemson Basketball Homecoming', '2025-12-20', 100, 100, '18:00', 'Littlejohn Coliseum', 'Athletics'),
+  ('Clemson Tiger Paw 5K Run', '2026-01-10', 100, 100, '08:00', 'Bowman Field', 'Athletics'),
+  ('Clemson Academic Excellence Symposium', '2026-01-25', 100, 100, '10:00', 'Watt Family Innovation Center', 'Academic'),
+  ('Clemson Engineering Innovation Expo', '2026-02-05', 100, 100, '13:00', 'Watt Family Innovation Center', 'Academic'),
+  ('Clemson Spring Concert at Amphitheater', '2026-03-15', 100, 100, '20:00', 'Amphitheater', 'Arts')
+)
+WHERE NOT EXISTS (SELECT 1 FROM events);
@@ -0,0 +1,54 @@
+/**
+ * inventory.js
+ * Purpose: Keeps an event's ticket count and its ticket tiers in step.
+ *          An event's `tickets` column is what remains across the whole event;
+ *          when the event has tiers it always equals the sum of the tiers'
+ *          remaining tickets, so every seat taken or returned goes through here.
+ */
+
+/**
+ * Purpose: Takes seats out of (negative delta) or returns them to (positive
+ *          delta) an event and, when given, one of its tiers. Must run inside a
+ *          transaction alongside the change that caused it.
+ * Input: db - open `sqlite` database handle
+ *        eventId - int, the event
+ *        tierId - int or null, the tier the seats belong to
+ *        delta - int, seats to add (positive) or remove (negative)
+ * Output: None
+ */
+async function adjustInventory(db, eventId, tierId, delta) {
+  await db.run('UPDATE events SET tickets = tickets + ? WHERE id = ?', [delta, eventId]);
+  if (tierId) {
+    await db.run('UPDATE ticket_tiers SET tickets = tickets + ? WHERE id = ? AND event_id = ?', [
+      delta,
+      tierId,
+      eventId,
+    ]);
+  }
+}
+
+/**
+ * Purpose: Loads the ticket tiers of several events in one query
+ * Input: db - open `sqlite` database handle
+ *        eventIds - Array of int event ids
+ * Output: Map of event id to its tiers ({ id, name, price_cents, tickets }),
+ *         cheapest first; events without tiers are absent from the map
+ */
+async function tiersByEvent(db, eventIds) {
+  const byEvent = new Map();
+  if (eventIds.length === 0) return byEvent;
+
+  const rows = await db.all(
+    `SELECT id, event_id, name, price_cents, tickets FROM ticket_tiers
+      WHERE event_id IN (${eventIds.map(() => '?').join(', ')})
+      ORDER BY price_cents, id`,
+    eventIds
+  );
+  for (const { event_id: eventId, ...tier } of rows) {
+    if (!byEvent.has(eventId)) byEvent.set(eventId, []);
+    byEvent.get(eventId).push(tier);
+  }
+  return byEvent;
+}
+
+module.exports = { adjustInventory, tiersByEvent };
@@ -0,0 +1,161 @@
+/**
+ * lottery.js
+ * Purpose: Ticket lotteries for oversubscribed events. While an event's entry
+ *          window is open users ask for up to lottery_max_tickets free
+ *          tickets; once it closes a seeded draw ranks the entries, issues
+ *          tickets to winners in rank order and puts everyone else on the
+ *          event's waitlist in that same order. Shared by client-service
+ *          (draws when the window closes) and admin-service (draws on demand)
+ *          so both follow one set of rules.
+ */
+
+const crypto = require('crypto');
+const { adjustInventory } = require('./inventory');
+const { promoteWaitlist } = require('./waitlist');
+const { generateTicketCode } = require('./tickets');
+
+/**
+ * Purpose: Orders lottery entries by a seeded hash of their ids. The same
+ *          seed and entries always give the same ranking, so a draw can be
+ *          re-run to check it; no entry's place depends on when it was made.
+ * Input: entries - Array of lottery_entries rows
+ *        seed - String, the draw's seed
+ * Output: New array of the entries, first-ranked first
+ */
+function rankEntries(entries, seed) {
+  return entries
+    .map((entry) => ({
+      entry,
+      key: crypto.createHash('sha256').update(`${seed}:${entry.id}`).digest('hex'),
+    }))
+    .sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0))
+    .map(({ entry }) => entry);
+}
+
+/**
+ * Purpose: Runs an event's lottery draw. Entries are served in rank order;
+ *          one asking for more tickets than are left goes to the waitlist and
+ *          smaller requests behind it are still served. Winners get an order
+ *          and tickets, and everyone is sent a notification. Tickets left over
+ *          are then offered down the waitlist, as when any come back. Must
+ *          run inside a transaction.
+ * Input: db - open `sqlite` database handle
+ *        eventId - int, the lottery event
+ *        seed - String (optional), overrides the event's lottery_seed; a
+ *        random seed is used and stored when neither is set
+ * Output: { ok: true, seed, winners, waitlisted } where winners are
+ *         { entryId, userId, quantity, ticketCodes } and waitlisted are
+ *         { entryId, userId, quantity }, both in rank order; or a failed
+ *         result (404 unknown event, 409 no lottery, cancelled, still open or
+ *         drawn)
+ */
+async function drawLottery(db, eventId, seed) {
+  const event = await db.get('SELECT * FROM events WHERE id = ?', [eventId]);
+  if (!event) {
+    return { ok: false, code: 404, error: 'Event not found' };
+  }
+  if (!event.lottery_closes_at) {
+    return { ok: false, code: 409, error: 'This event has no lottery' };
+  }
+  if (event.cancelled_at) {
+    return { ok: false, code: 409, error: 'The event was cancelled' };
+  }
+  if (event.lottery_drawn_at) {
+    return { ok: false, code: 409, error: `The lottery was already drawn at ${event.lottery_drawn_at} UTC` };
+  }
+  const { open } = await db.get("SELECT ? > datetime('now') AS open", [event.lottery_closes_at]);
+  if (open) {
+    return { ok: false, code: 409, error: `Lottery entries are open until ${event.lottery_closes_at} UTC` };
+  }
+
+  const drawSeed = seed ?? event.lottery_seed ?? crypto.randomBytes(16).toString('hex');
+  const entries = await db.all(
+    "SELECT * FROM lottery_entries WHERE event_id = ? AND status = 'entered' ORDER BY id",
+    [eventId]
+  );
+
+  const winners = [];
+  const waitlisted = [];
+  for (const [index, entry] of rankEntries(entries, drawSeed).entries()) {
+    const pool = entry.tier_id
+      ? await db.get('SELECT tickets FROM ticket_tiers WHERE id = ?', [entry.tier_id])
+      : await db.get('SELECT tickets FROM events WHERE id = ?', [eventId]);
+
+    if ((pool?.tickets ?? 0) >= entry.quantity) {
+      await adjustInventory(db, eventId, entry.tier_id, -entry.quantity);
+      const order = await db.run(
+        `INSERT INTO orders (user_id, user_email, event_id, quantity, tier_id, unit_price_cents, total_cents)
+         VALUES (?, ?, ?, ?, ?, 0, 0)`,
+        [entry.user_id, entry.user_email, eventId, entry.quantity, entry.tier_id]
+      );
+      const ticketCodes = [];
+      for (let i = 0; i < entry.quantity; i++) {
+        const code = generateTicketCode();
+        await db.run(
+          `INSERT INTO tickets (order_id, event_id, user_id, code, tier_id, price_cents, holder_email)
+           VALUES (?, ?, ?, ?, ?, 0, ?)`,
+          [order.lastID, eventId, entry.user_id, code, entry.tier_id, entry.user_email]
+        );
+        ticketCodes.push(code);
+      }
+      await db.run(
+        "UPDATE lottery_entries SET status = 'won', rank = ?, order_id = ? WHERE id = ?",
+        [index + 1, order.lastID, entry.id]
+      );
+      await db.run(
+        `INSERT INTO notifications (user_id, user_email, event_id, type, message)
+         VALUES (?, ?, ?, 'lottery_won', ?)`,
+        [entry.user_id, entry.user_email, eventId,
+          `You won ${entry.quantity} ticket(s) for ${event.name} in the lottery. They are in your tickets now.`]
+      );
+      winners.push({ entryId: entry.id, userId: entry.user_id, quantity: entry.quantity, ticketCodes });
+    } else {
+      // Waitlist entries are served in id order, so inserting them in rank
+      // order keeps the waitlist ranked
+      await db.run(
+        'INSERT INTO waitlist_entries (event_id, user_id, user_email, quantity, tier_id) VALUES (?, ?, ?, ?, ?)',
+        [eventId, entry.user_id, entry.user_email, entry.quantity, entry.tier_id]
+      );
+      await db.run("UPDATE lottery_entries SET status = 'waitlisted', rank = ? WHERE id = ?", [index + 1, entry.id]);
+      await db.run(
+        `INSERT INTO notifications (user_id, user_email, event_id, type, message)
+         VALUES (?, ?, ?, 'lottery_waitlisted', ?)`,
+        [entry.user_id, entry.user_email, eventId,
+          `You were not drawn for ${event.name}. You are number ${waitlisted.length + 1} on its waitlist ` +
+            'and will be offered any tickets that come back.']
+      );
+      waitlisted.push({ entryId: entry.id, userId: entry.user_id, quantity: entry.quantity });
+    }
+  }
+
+  await db.run(
+    "UPDATE events SET lottery_seed = ?, lottery_drawn_at = datetime('now') WHERE id = ?",
+    [drawSeed, eventId]
+  );
+  // Whatever the winners left goes to the ranked waitlist before any public sale
+  await promoteWaitlist(db, eventId);
+  return { ok: true, seed: drawSeed, winners, waitlisted };
+}
+
+/**
+ * Purpose: Draws every lottery whose entry window has closed and that has
+ *          not been drawn yet, skipping cancelled events. Must run inside
+ *          a transaction.
+ * Input: db - open `sqlite` database handle
+ * Output: Array of { eventId, seed, winners, waitlisted }, one per draw
+ */
+async function drawDueLotteries(db) {
+  const due = await db.all(
+    `SELECT id FROM events
+      WHERE lottery_closes_at IS NOT NULL AND lottery_drawn_at IS NULL AND lottery_closes_at <= datetime('now')
+        AND cancelled_at IS NULL`
+  );
+  const draws = [];
+  for (const { id } of due) {
+    const { seed, winners, waitlisted } = await drawLottery(db, id);
+    draws.push({ eventId: id, seed, winners, waitlisted });
+  }
+  return draws;
+}
+
+module.exports = { rankEntries, drawLottery, drawDueLotteries };
@@ -0,0 +1,80 @@
+/**
+ * migrate.js
+ * Purpose: Brings an existing shared database up to date with init.sql.
+ *          CREATE TABLE IF NOT EXISTS never alters a table that already exists,
+ *          so columns added after a table first shipped are listed here and
+ *          added on service startup.
+ */
+
+// [table, column, SQL definition] in the order they were introduced
+const ADDED_COLUMNS = [
+  ['tickets', 'status', "TEXT NOT NULL DEFAULT 'active'"],
+  ['tickets', 'cancelled_at', 'TEXT'],
+  ['events', 'max_per_user', 'INTEGER CHECK (max_per_user > 0)'],
+  ['events', 'max_per_order', 'INTEGER CHECK (max_per_order > 0)'],
+  ['events', 'start_time', 'TEXT'],
+  ['events', 'venue', 'TEXT'],
+  ['events', 'description', 'TEXT'],
+  ['events', 'category', 'TEXT'],
+  ['events', 'organizer', 'TEXT'],
+  ['events', 'image_url', 'TEXT'],
+  ['events', 'capacity', 'INTEGER CHECK (capacity >= 0)'],
+  ['orders', 'tier_id', 'INTEGER REFERENCES ticket_tiers(id)'],
+  ['orders', 'unit_price_cents', 'INTEGER NOT NULL DEFAULT 0'],
+  ['orders', 'total_cents', 'INTEGER NOT NULL DEFAULT 0'],
+  ['tickets', 'tier_id', 'INTEGER REFERENCES ticket_tiers(id)'],
+  ['tickets', 'price_cents', 'INTEGER NOT NULL DEFAULT 0'],
+  ['holds', 'tier_id', 'INTEGER REFERENCES ticket_tiers(id)'],
+  ['waitlist_entries', 'tier_id', 'INTEGER REFERENCES ticket_tiers(id)'],
+  ['tickets', 'checked_in_at', 'TEXT'],
+  ['tickets', 'checked_in_by', 'TEXT'],
+  ['tickets', 'holder_email', 'TEXT'],
+  ['orders', 'promo_code_id', 'INTEGER REFERENCES promo_codes(id)'],
+  ['orders', 'discount_cents', 'INTEGER NOT NULL DEFAULT 0'],
+  ['orders', 'payment_provider', 'TEXT'],
+  ['orders', 'payment_capture_id', 'TEXT'],
+  ['orders', 'refunded_cents', 'INTEGER NOT NULL DEFAULT 0'],
+  ['events', 'venue_id', 'INTEGER REFERENCES venues(id)'],
+  ['tickets', 'seat_id', 'INTEGER REFERENCES venue_seats(id)'],
+  ['events', 'waiting_room_limit', 'INTEGER CHECK (waiting_room_limit > 0)'],
+  ['events', 'sale_starts_at', 'TEXT'],
+  ['events', 'sale_ends_at', 'TEXT'],
+  ['events', 'lottery_opens_at', 'TEXT'],
+  ['events', 'lottery_closes_at', 'TEXT'],
+  ['events', 'lottery_max_tickets', 'INTEGER CHECK (lottery_max_tickets > 0)'],
+  ['events', 'lottery_seed', 'TEXT'],
+  ['events', 'lottery_drawn_at', 'TEXT'],
+  ['orders', 'bundle_order_id', 'INTEGER REFERENCES bundle_orders(id)'],
+  ['events', 'cancelled_at', 'TEXT'],
+  ['events', 'cancellation_reason', 'TEXT'],
+  ['orders', 'refund_due_cents', 'INTEGER NOT NULL DEFAULT 0'],
+  ['orders', 'refunding_cents', 'INTEGER NOT NULL DEFAULT 0'],
+];
+
+/**
+ * Purpose: Adds a column to an existing table when an older database lacks it
+ * Input: db - open `sqlite` database handle
+ *        table - String, table name
+ *        column - String, column name
+ *        definition - String, SQL type and constraints for the column
+ * Output: None; the table is altered in place if needed
+ */
+async function ensureColumn(db, table, column, definition) {
+  const columns = await db.all(`PRAGMA table_info(${table})`);
+  if (!columns.some((c) => c.name === column)) {
+    await db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+/**
+ * Purpose: Adds every column in ADDED_COLUMNS that the database is missing
+ * Input: db - open `sqlite` database handle whose tables already exist
+ * Output: None
+ */
+async function migrate(db) {
+  for (const [table, column, definition] of ADDED_COLUMNS) {
+    await ensureColumn(db, table, column, definition);
+  }
+}
+
+module.exports = { migrate, ensureColumn };
@@ -0,0 +1,19 @@
+/**
+ * tickets.js
+ * Purpose: Ticket codes. Every ticket, whether bought in client-service or
+ *          won in a lottery draw, gets its code here so codes look the same
+ *          and are equally hard to guess.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Purpose: Generates a unique, hard-to-guess code printed on a ticket
+ * Input: None
+ * Output: String such as "TIX-9F2C4A1B7E3D5608"
+ */
+function generateTicketCode() {
+  return `TIX-${crypto.randomBytes(8).toString('hex').toUpperCase()}`;
+}
+
+module.exports = { generateTicketCode };
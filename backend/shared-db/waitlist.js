@@ -0,0 +1,73 @@
+/**
+ * waitlist.js
+ * Purpose: Promotes users waiting on a sold-out event whenever seats come back.
+ *          Shared by client-service (cancellations, released holds) and
+ *          admin-service (ticket count raised) so both follow one set of rules.
+ */
+
+const { adjustInventory } = require('./inventory');
+
+// Minutes a promoted user has to check out before the offer lapses
+const CLAIM_MINUTES = Number(process.env.WAITLIST_CLAIM_MINUTES ?? 30);
+
+/**
+ * Purpose: Offers returned seats to the people at the front of an event's
+ *          waitlist. Each offer is a seat hold that expires after CLAIM_MINUTES
+ *          and is recorded as a notification for the user. Entries are served
+ *          in the order they joined; one asking for more seats than are left
+ *          keeps its place while smaller requests behind it are served, so
+ *          returned seats never sit idle. Entries for a ticket tier are
+ *          only served from that tier. Must run inside a transaction.
+ * Input: db - open `sqlite` database handle
+ *        eventId - int, the event whose seats may have come back
+ * Output: Array of { entryId, userId, holdId, quantity } for each offer made
+ */
+async function promoteWaitlist(db, eventId) {
+  const event = await db.get('SELECT id, name, tickets FROM events WHERE id = ?', [eventId]);
+  if (!event || event.tickets <= 0) return [];
+
+  const waiting = await db.all(
+    "SELECT * FROM waitlist_entries WHERE event_id = ? AND status = 'waiting' ORDER BY id",
+    [eventId]
+  );
+
+  // Seats left per pool: the whole event, or one tier
+  const available = new Map([[null, event.tickets]]);
+  const tiers = await db.all('SELECT id, tickets FROM ticket_tiers WHERE event_id = ?', [eventId]);
+  for (const tier of tiers) available.set(tier.id, tier.tickets);
+
+  const offers = [];
+  for (const entry of waiting) {
+    const pool = entry.tier_id ?? null;
+    if (entry.quantity > (available.get(pool) ?? 0)) continue;
+
+    await adjustInventory(db, eventId, entry.tier_id, -entry.quantity);
+    const hold = await db.run(
+      `INSERT INTO holds (user_id, event_id, quantity, expires_at, tier_id)
+       VALUES (?, ?, ?, datetime('now', ?), ?)`,
+      [entry.user_id, eventId, entry.quantity, `+${CLAIM_MINUTES} minutes`, entry.tier_id]
+    );
+    await db.run(
+      "UPDATE waitlist_entries SET status = 'offered', hold_id = ?, offered_at = datetime('now') WHERE id = ?",
+      [hold.lastID, entry.id]
+    );
+    await db.run(
+      `INSERT INTO notifications (user_id, user_email, event_id, type, message)
+       VALUES (?, ?, ?, 'waitlist_offer', ?)`,
+      [
+        entry.user_id,
+        entry.user_email,
+        eventId,
+        `${entry.quantity} ticket(s) for ${event.name} are being held for you for ${CLAIM_MINUTES} minutes. ` +
+          `Check out with hold ${hold.lastID} to claim them.`,
+      ]
+    );
+
+    available.set(null, available.get(null) - entry.quantity);
+    if (pool !== null) available.set(pool, available.get(pool) - entry.quantity);
+    offers.push({ entryId: entry.id, userId: entry.user_id, holdId: hold.lastID, quantity: entry.quantity });
+  }
+  return offers;
+}
+
+module.exports = { promoteWaitlist, CLAIM_MINUTES };
@@ -6,6 +6,7 @@ const cookieParser = require("cookie-parser");
 const cors = require("cors");
 const fs = require("fs");
 const path = require("path");
+const { tokenFromRequest, verifyToken } = require("../../shared-auth/tokens");
 
 const mockUsersFile = path.join(__dirname, "test-users.json");
 
@@ -18,13 +19,18 @@ function createTestApp() {
   const app = express();
   const JWT_SECRET = "test_secret_key";
   const TOKEN_EXPIRY = "30m";
+  const ADMIN_EMAILS = ["boss@example.com"];
+  const ORGANIZER_EMAILS = [];
+  const STAFF_EMAILS = ["gate@example.com"];
+  const ACCOUNT_MANAGER_ROLES = ['admin', 'organizer'];
+  const ROLE_PATTERN = /^[a-z][a-z0-9_-]{0,49}$/;
 
   app.use(express.json());
   app.use(cookieParser());
   app.use(cors({
     origin: 'http://localhost:3000',
     credentials: true,
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
     allowedHeaders: ['Content-Type', 'Authorization'],
   }));
 
@@ -59,14 +65,27 @@ function createTestApp() {
    * Output: Attaches decoded user info to req.user or returns 401 error
    */
   function authenticateToken(req, res, next) {
-    const token = req.cookies?.token || req.header('Authorization')?.replace('Bearer ', '');
+    const token = tokenFromRequest(req);
     if (!token) return res.status(401).json({ message: 'No token provided' });
 
-    jwt.verify(token, JWT_SECRET, (err, payload) => {
-      if (err) return res.status(401).json({ message: 'Invalid or expired token' });
-      req.user = { email: payload.email, id: payload.id };
-      next();
-    });
+    const user = verifyToken(jwt, token, JWT_SECRET);
+    if (!user) return res.status(401).json({ message: 'Invalid or expired token' });
+    req.user = user;
+    next();
+  }
+
+  /**
+   * Purpose: Works out the role claim a user's token carries
+   * Input: user - user object from the test file, with an optional stored role
+   * Output: 'admin', 'organizer' or 'staff' for listed emails, otherwise the
+   *         stored role, or null for none
+   */
+  function roleFor(user) {
+    const email = user.email.toLowerCase();
+    if (ADMIN_EMAILS.includes(email)) return 'admin';
+    if (ORGANIZER_EMAILS.includes(email)) return 'organizer';
+    if (STAFF_EMAILS.includes(email)) return 'staff';
+    return user.role || null;
   }
 
   /**
@@ -107,7 +126,9 @@ function createTestApp() {
     const ok = await bcrypt.compare(password, user.passwordHash);
     if (!ok) return res.status(401).json({ message: 'Invalid credentials' });
 
-    const token = jwt.sign({ id: user.id, email: user.email }, JWT_SECRET, { expiresIn: TOKEN_EXPIRY });
+    const role = roleFor(user);
+    const claims = { id: user.id, email: user.email, ...(role && { role }), ...(user.emailVerified && { email_verified: true }) };
+    const token = jwt.sign(claims, JWT_SECRET, { expiresIn: TOKEN_EXPIRY });
 
     res.cookie('token', token, {
       httpOnly: true,
@@ -116,7 +137,7 @@ function createTestApp() {
       maxAge: 30 * 60 * 1000,
     });
 
-    return res.json({ message: 'Logged in', email: user.email });
+    return res.json({ message: 'Logged in', email: user.email, role });
   });
 
   /**
@@ -132,25 +153,66 @@ function createTestApp() {
   /**
    * Purpose: Checks current authentication status without requiring valid token
    * Input: Optional token in cookie
-   * Output: JSON with authenticated boolean and email if valid
+   * Output: JSON with authenticated boolean, and email and role if valid
    */
   app.get('/me', (req, res) => {
     const token = req.cookies?.token;
     if (!token) return res.json({ authenticated: false });
 
-    jwt.verify(token, JWT_SECRET, (err, payload) => {
-      if (err) return res.status(401).json({ authenticated: false, message: 'Expired or invalid token' });
-      return res.json({ authenticated: true, email: payload.email });
-    });
+    const user = verifyToken(jwt, token, JWT_SECRET);
+    if (!user) return res.status(401).json({ authenticated: false, message: 'Expired or invalid token' });
+    return res.json({ authenticated: true, email: user.email, role: user.role });
   });
 
   /**
    * Purpose: Protected route that returns user profile data
    * Input: Valid JWT token required via authenticateToken middleware
-   * Output: JSON with user email and id, or 401 if not authenticated
+   * Output: JSON with user email, id and role, or 401 if not authenticated
    */
   app.get('/profile', authenticateToken, (req, res) => {
-    return res.json({ email: req.user.email, id: req.user.id });
+    return res.json({ email: req.user.email, id: req.user.id, role: req.user.role });
+  });
+
+  /**
+   * Purpose: Lets admins and organizers grant an account a role or confirm
+   *          its email address
+   * Input: Admin or organizer token; JSON body with role (String or null)
+   *        and/or emailVerified (Boolean)
+   * Output: 200 with the account's email, role and emailVerified, or
+   *         400/401/403/404 errors
+   */
+  app.patch('/users/:email', authenticateToken, (req, res) => {
+    if (!ACCOUNT_MANAGER_ROLES.includes(req.user.role)) {
+      return res.status(403).json({ message: 'Admin or organizer role required' });
+    }
+    const { role, emailVerified } = req.body || {};
+    if (role === undefined && emailVerified === undefined) {
+      return res.status(400).json({ message: 'role or emailVerified required' });
+    }
+    if (role !== undefined && role !== null && (typeof role !== 'string' || !ROLE_PATTERN.test(role))) {
+      return res.status(400).json({ message: 'Invalid role' });
+    }
+    if (emailVerified !== undefined && typeof emailVerified !== 'boolean') {
+      return res.status(400).json({ message: 'emailVerified must be true or false' });
+    }
+
+    const users = loadUsers();
+    const user = users.find(u => u.email === req.params.email);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    const touchesManager = role !== undefined && [role, roleFor(user)].some(r => ACCOUNT_MANAGER_ROLES.includes(r));
+    if (touchesManager && req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Only admins may change admin or organizer roles' });
+    }
+
+    if (role !== undefined) {
+      if (role === null) delete user.role;
+      else user.role = role;
+    }
+    if (emailVerified !== undefined) user.emailVerified = emailVerified;
+    saveUsers(users);
+
+    return res.json({ email: user.email, role: user.role || null, emailVerified: user.emailVerified === true });
   });
 
   return app;
@@ -442,6 +504,159 @@ describe("Token-Based Authentication", () => {
   });
 });
 
+describe("Role Claims", () => {
+  /**
+   * Purpose: Logs a freshly registered user in and decodes their token
+   * Input: email - String, the account to create; role - String (optional)
+   *        stored on the account before logging in
+   * Output: { res, claims } - the login response and the verified token claims
+   */
+  async function loginAs(email, role) {
+    await request(app).post('/register').send({ email, password: 'rolepass' });
+    if (role) {
+      const users = JSON.parse(fs.readFileSync(mockUsersFile, 'utf8'));
+      users.find(u => u.email === email).role = role;
+      fs.writeFileSync(mockUsersFile, JSON.stringify(users));
+    }
+    const res = await request(app).post('/login').send({ email, password: 'rolepass' });
+    const token = res.headers['set-cookie'][0].match(/token=([^;]+)/)[1];
+    return { res, claims: verifyToken(jwt, token, "test_secret_key") };
+  }
+
+  /**
+   * Purpose: Verifies tokens carry the role stored on the account
+   * Input: Account with role "organizer"
+   * Output: Login response and token claims both name the organizer role
+   */
+  test("Tokens carry the account's stored role", async () => {
+    const { res, claims } = await loginAs('organizer@example.com', 'organizer');
+
+    expect(res.body).toHaveProperty('role', 'organizer');
+    expect(claims).toMatchObject({ email: 'organizer@example.com', role: 'organizer' });
+  });
+
+  /**
+   * Purpose: Verifies emails listed as admins get the admin role
+   * Input: Account boss@example.com, listed in ADMIN_EMAILS, with no stored role
+   * Output: Token claims name the admin role
+   */
+  test("Configured admin emails get the admin role", async () => {
+    const { claims } = await loginAs('boss@example.com');
+
+    expect(claims.role).toBe('admin');
+  });
+
+  /**
+   * Purpose: Verifies emails listed as gate staff get the staff role
+   * Input: Account gate@example.com, listed in STAFF_EMAILS, with no stored role
+   * Output: Login response and token claims name the staff role
+   */
+  test("Configured staff emails get the staff role", async () => {
+    const { res, claims } = await loginAs('Gate@example.com');
+
+    expect(res.body.role).toBe('staff');
+    expect(claims).toMatchObject({ email: 'Gate@example.com', role: 'staff' });
+  });
+
+  /**
+   * Purpose: Verifies ordinary accounts get no role claim
+   * Input: Registered account with no stored role
+   * Output: Token claims have a null role and /me reports none
+   */
+  test("Ordinary accounts have no role", async () => {
+    const { res, claims } = await loginAs('plain@example.com');
+
+    expect(claims.role).toBeNull();
+    const me = await request(app).get('/me').set('Cookie', res.headers['set-cookie']);
+    expect(me.body).toMatchObject({ authenticated: true, role: null });
+  });
+
+  /**
+   * Purpose: Verifies a token whose role claim was edited is rejected
+   * Input: Ordinary user's token with its payload swapped for an admin one
+   * Output: verifyToken returns null and /profile returns 401
+   */
+  test("Tokens with a forged role are rejected", async () => {
+    const { res } = await loginAs('forger@example.com');
+    const [header, payload, signature] = res.headers['set-cookie'][0].match(/token=([^;]+)/)[1].split('.');
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    const forged = [header, Buffer.from(JSON.stringify({ ...claims, role: 'admin' })).toString('base64url'), signature].join('.');
+
+    expect(verifyToken(jwt, forged, "test_secret_key")).toBeNull();
+    const profile = await request(app).get('/profile').set('Authorization', `Bearer ${forged}`);
+    expect(profile.statusCode).toBe(401);
+  });
+});
+
+describe("Granting Roles", () => {
+  /**
+   * Purpose: Registers an account and returns the token its login issues
+   * Input: email - String; role - String (optional) stored on the account
+   * Output: String JWT
+   */
+  async function tokenFor(email, role) {
+    await request(app).post('/register').send({ email, password: 'grantpass' });
+    if (role) {
+      const users = JSON.parse(fs.readFileSync(mockUsersFile, 'utf8'));
+      users.find(u => u.email === email).role = role;
+      fs.writeFileSync(mockUsersFile, JSON.stringify(users));
+    }
+    const res = await request(app).post('/login').send({ email, password: 'grantpass' });
+    return res.headers['set-cookie'][0].match(/token=([^;]+)/)[1];
+  }
+
+  /**
+   * Purpose: Verifies an organizer can make a registered account a verified student
+   * Input: Organizer grants role "student" and confirms tiger@clemson.edu
+   * Output: The account's next token carries the role and email_verified claims
+   */
+  test("Organizers can grant the student role and verify an email", async () => {
+    const organizer = await tokenFor('org@example.com', 'organizer');
+    const before = verifyToken(jwt, await tokenFor('tiger@clemson.edu'), "test_secret_key");
+    expect(before).toMatchObject({ role: null, emailVerified: false });
+
+    const res = await request(app)
+      .patch('/users/tiger@clemson.edu')
+      .set('Authorization', `Bearer ${organizer}`)
+      .send({ role: 'student', emailVerified: true });
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({ email: 'tiger@clemson.edu', role: 'student', emailVerified: true });
+
+    const login = await request(app).post('/login').send({ email: 'tiger@clemson.edu', password: 'grantpass' });
+    const claims = verifyToken(jwt, login.headers['set-cookie'][0].match(/token=([^;]+)/)[1], "test_secret_key");
+    expect(claims).toMatchObject({ email: 'tiger@clemson.edu', role: 'student', emailVerified: true });
+  });
+
+  /**
+   * Purpose: Verifies only admins and organizers can update accounts, and
+   *          only admins can hand out the roles that manage accounts
+   * Input: Ordinary user and organizer tokens, bad bodies and an unknown account
+   * Output: 403 for the user and for an organizer granting admin, 400 and 404
+   *         for bad requests; an admin may grant organizer
+   */
+  test("Only admins and organizers can grant roles", async () => {
+    const plain = await tokenFor('plain@example.com');
+    const organizer = await tokenFor('org@example.com', 'organizer');
+    const admin = await tokenFor('boss@example.com');
+    const patch = (email, token, body) => request(app).patch(`/users/${email}`).set('Authorization', `Bearer ${token}`).send(body);
+
+    const selfGrant = await patch('plain@example.com', plain, { role: 'student' });
+    expect(selfGrant.statusCode).toBe(403);
+    expect((await patch('plain@example.com', organizer, { role: 'admin' })).statusCode).toBe(403);
+    expect((await patch('org@example.com', organizer, { role: null })).statusCode).toBe(403);
+    expect((await patch('plain@example.com', organizer, { role: 'Not A Role' })).statusCode).toBe(400);
+    expect((await patch('plain@example.com', organizer, { emailVerified: 'yes' })).statusCode).toBe(400);
+    expect((await patch('plain@example.com', organizer, {})).statusCode).toBe(400);
+    expect((await patch('nobody@example.com', organizer, { role: 'student' })).statusCode).toBe(404);
+
+    const promoted = await patch('plain@example.com', admin, { role: 'organizer' });
+    expect(promoted.statusCode).toBe(200);
+    expect(promoted.body.role).toBe('organizer');
+    const users = JSON.parse(fs.readFileSync(mockUsersFile, 'utf8'));
+    expect(users.find(u => u.email === 'plain@example.com').role).toBe('organizer');
+  });
+});
+
 describe("Logout & Session Handling", () => {
   let authCookie;
 
@@ -5,6 +5,7 @@ const cookieParser = require('cookie-parser');
 const cors = require('cors');
 const fs = require('fs');
 const path = require('path');
+const { tokenFromRequest, verifyToken } = require('../shared-auth/tokens');
 
 const app = express();
 const PORT = parseInt(process.env.PORT, 10) || 4000;
@@ -13,6 +14,16 @@ const TOKEN_EXPIRY = '30m';
 
 const usersFile = path.join(__dirname, 'users.json');
 
+// Accounts given a role by configuration, e.g. to bootstrap the first admin
+const emailList = (value) => (value || '').split(',').map((email) => email.trim().toLowerCase()).filter(Boolean);
+const ADMIN_EMAILS = emailList(process.env.ADMIN_EMAILS);
+const ORGANIZER_EMAILS = emailList(process.env.ORGANIZER_EMAILS);
+const STAFF_EMAILS = emailList(process.env.STAFF_EMAILS);
+
+// Roles that may update other accounts, and the ones only an admin may hand out
+const ACCOUNT_MANAGER_ROLES = ['admin', 'organizer'];
+const ROLE_PATTERN = /^[a-z][a-z0-9_-]{0,49}$/;
+
 app.use(express.json());
 app.use(cookieParser());
 
@@ -30,7 +41,7 @@ app.use(cors({
     return callback(new Error('Not allowed by CORS'));
   },
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization'],
 }));
 
@@ -57,6 +68,21 @@ function saveUsers(users) {
   fs.writeFileSync(usersFile, JSON.stringify(users, null, 2));
 }
 
+/**
+ * Purpose: Works out the role claim a user's token carries
+ * Input: user - user object from usersFile, with an optional stored role
+ * Output: 'admin', 'organizer' or 'staff' for emails listed in ADMIN_EMAILS,
+ *         ORGANIZER_EMAILS or STAFF_EMAILS, otherwise the stored role, or
+ *         null for none
+ */
+function roleFor(user) {
+  const email = user.email.toLowerCase();
+  if (ADMIN_EMAILS.includes(email)) return 'admin';
+  if (ORGANIZER_EMAILS.includes(email)) return 'organizer';
+  if (STAFF_EMAILS.includes(email)) return 'staff';
+  return user.role || null;
+}
+
 /**
  * Purpose: Middleware to verify JWT tokens and protect routes
  * Input: req - Request with token in cookie or Authorization header
@@ -67,14 +93,13 @@ function saveUsers(users) {
 // JWT middleware
 function authenticateToken(req, res, next) {
   // Look for token in cookie or Authorization header
-  const token = req.cookies?.token || req.header('Authorization')?.replace('Bearer ', '');
+  const token = tokenFromRequest(req);
   if (!token) return res.status(401).json({ message: 'No token provided' });
 
-  jwt.verify(token, JWT_SECRET, (err, payload) => {
-    if (err) return res.status(401).json({ message: 'Invalid or expired token' });
-    req.user = { email: payload.email, id: payload.id };
-    next();
-  });
+  const user = verifyToken(jwt, token, JWT_SECRET);
+  if (!user) return res.status(401).json({ message: 'Invalid or expired token' });
+  req.user = user;
+  next();
 }
 
 /**
@@ -115,7 +140,9 @@ app.post('/login', async (req, res) => {
   const ok = await bcrypt.compare(password, user.passwordHash);
   if (!ok) return res.status(401).json({ message: 'Invalid credentials' });
 
-  const token = jwt.sign({ id: user.id, email: user.email }, JWT_SECRET, { expiresIn: TOKEN_EXPIRY });
+  const role = roleFor(user);
+  const claims = { id: user.id, email: user.email, ...(role && { role }), ...(user.emailVerified && { email_verified: true }) };
+  const token = jwt.sign(claims, JWT_SECRET, { expiresIn: TOKEN_EXPIRY });
 
   /**
    * Purpose: Set JWT token in HttpOnly cookie for secure storage
@@ -130,7 +157,7 @@ app.post('/login', async (req, res) => {
     maxAge: 30 * 60 * 1000,
   });
 
-  return res.json({ message: 'Logged in', email: user.email });
+  return res.json({ message: 'Logged in', email: user.email, role });
 });
 
 /**
@@ -147,25 +174,69 @@ app.post('/logout', (req, res) => {
 /**
  * Purpose: Checks current authentication status without requiring valid token
  * Input: GET /me with optional token in cookie
- * Output: JSON with authenticated boolean and email if token valid
+ * Output: JSON with authenticated boolean, and email and role if token valid
  */
 app.get('/me', (req, res) => {
   const token = req.cookies?.token;
   if (!token) return res.json({ authenticated: false });
 
-  jwt.verify(token, JWT_SECRET, (err, payload) => {
-    if (err) return res.status(401).json({ authenticated: false, message: 'Expired or invalid token' });
-    return res.json({ authenticated: true, email: payload.email });
-  });
+  const user = verifyToken(jwt, token, JWT_SECRET);
+  if (!user) return res.status(401).json({ authenticated: false, message: 'Expired or invalid token' });
+  return res.json({ authenticated: true, email: user.email, role: user.role });
 });
 
 /**
  * Purpose: Protected route that returns user profile data
  * Input: GET /profile with valid JWT token
- * Output: JSON with user email and id, or 401 if not authenticated
+ * Output: JSON with user email, id and role, or 401 if not authenticated
  */
 app.get('/profile', authenticateToken, (req, res) => {
-  return res.json({ email: req.user.email, id: req.user.id });
+  return res.json({ email: req.user.email, id: req.user.id, role: req.user.role });
+});
+
+/**
+ * Purpose: Lets admins and organizers grant an account a role (such as
+ *          "student") or confirm its email address, so eligibility rules have
+ *          claims they can trust. Takes effect from the account's next login
+ * Input: PATCH /users/:email with a valid admin or organizer token and a JSON
+ *        body with role (String, or null to remove it) and/or emailVerified
+ *        (Boolean); only admins may grant, change or remove the admin and
+ *        organizer roles
+ * Output: 200 with the account's email, role and emailVerified, 400 on an
+ *         invalid body, 401/403 for other callers, 404 for an unknown account
+ */
+app.patch('/users/:email', authenticateToken, (req, res) => {
+  if (!ACCOUNT_MANAGER_ROLES.includes(req.user.role)) {
+    return res.status(403).json({ message: 'Admin or organizer role required' });
+  }
+  const { role, emailVerified } = req.body || {};
+  if (role === undefined && emailVerified === undefined) {
+    return res.status(400).json({ message: 'role or emailVerified required' });
+  }
+  if (role !== undefined && role !== null && (typeof role !== 'string' || !ROLE_PATTERN.test(role))) {
+    return res.status(400).json({ message: 'Invalid role' });
+  }
+  if (emailVerified !== undefined && typeof emailVerified !== 'boolean') {
+    return res.status(400).json({ message: 'emailVerified must be true or false' });
+  }
+
+  const users = loadUsers();
+  const user = users.find(u => u.email === req.params.email);
+  if (!user) return res.status(404).json({ message: 'User not found' });
+
+  const touchesManager = role !== undefined && [role, roleFor(user)].some(r => ACCOUNT_MANAGER_ROLES.includes(r));
+  if (touchesManager && req.user.role !== 'admin') {
+    return res.status(403).json({ message: 'Only admins may change admin or organizer roles' });
+  }
+
+  if (role !== undefined) {
+    if (role === null) delete user.role;
+    else user.role = role;
+  }
+  if (emailVerified !== undefined) user.emailVerified = emailVerified;
+  saveUsers(users);
+
+  return res.json({ email: user.email, role: user.role || null, emailVerified: user.emailVerified === true });
 });
 
 /**
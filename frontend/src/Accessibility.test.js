@@ -1,4 +1,4 @@
-import { render, screen, waitFor } from '@testing-library/react';
+import { render, screen, waitFor, fireEvent } from '@testing-library/react';
 import '@testing-library/jest-dom';
 import App from './App';
 
@@ -231,6 +231,635 @@ describe('Accessibility Tests', () => {
     });
   });
 
+  describe('Event Search', () => {
+    /**
+     * Purpose: Verifies the event search and filter controls are labelled and
+     *          re-query the backend when changed
+     * Input: Text typed into the search box and the "Hide sold out" checkbox
+     * Output: GET /api/events called with q and available query parameters
+     */
+    test('search and filter controls are labelled and query the backend', async () => {
+      render(<App />);
+
+      const searchBox = await screen.findByRole('searchbox', { name: /search events by name/i });
+      expect(screen.getByRole('combobox', { name: /sort events/i })).toBeInTheDocument();
+
+      fireEvent.change(searchBox, { target: { value: 'Concert' } });
+      fireEvent.click(screen.getByRole('checkbox', { name: /hide sold out/i }));
+
+      await waitFor(() => {
+        expect(fetch).toHaveBeenCalledWith(expect.stringMatching(/\/api\/events\?.*q=Concert.*available=true/));
+      });
+    });
+  });
+
+  describe('Event Details', () => {
+    afterEach(() => {
+      window.location.hash = '';
+    });
+
+    /**
+     * Purpose: Verifies each event card links to its detail view
+     * Input: Rendered events list
+     * Output: A "Details" link per event pointing at #/events/:id
+     */
+    test('event cards link to a detail view', async () => {
+      render(<App />);
+
+      const link = await screen.findByRole('link', { name: /View details for Concert/i });
+      expect(link).toHaveAttribute('href', '#/events/1');
+    });
+
+    /**
+     * Purpose: Verifies the detail view loads the event named in the URL hash
+     * Input: window.location.hash set to #/events/1
+     * Output: GET /api/events/1 and a labelled section showing venue and capacity
+     */
+    test('detail view shows the linked event', async () => {
+      fetch.mockImplementation((url) => {
+        if (url.endsWith('/api/events/1')) {
+          return Promise.resolve({
+            ok: true,
+            json: () => Promise.resolve({
+              id: 1, name: 'Concert', date: '2025-12-01', start_time: '19:30',
+              tickets: 10, capacity: 50, venue: 'Littlejohn Coliseum'
+            })
+          });
+        }
+        if (url.includes('/api/events')) {
+          return Promise.resolve({ ok: true, json: () => Promise.resolve([]) });
+        }
+        return Promise.resolve({ ok: true, json: () => Promise.resolve({ authenticated: false }) });
+      });
+      window.location.hash = '#/events/1';
+
+      render(<App />);
+
+      const details = await screen.findByRole('region', { name: /Details for Concert/i });
+      expect(details).toHaveTextContent('Venue: Littlejohn Coliseum');
+      expect(details).toHaveTextContent('Tickets available: 10 of 50');
+    });
+
+    /**
+     * Purpose: Verifies assigned-seat events let the user pick seats on a map
+     * Input: Event with a venue_id and a seat map with one seat already taken;
+     *        one free seat is selected and bought
+     * Output: Taken seats disabled, the pick marked pressed, and a purchase
+     *         request naming the chosen seat
+     */
+    test('seat map selects seats and buys them', async () => {
+      window.alert = jest.fn();
+      fetch.mockImplementation((url) => {
+        if (url.includes('/purchase')) {
+          return Promise.resolve({
+            ok: true,
+            json: () => Promise.resolve({ purchased: 1, totalCents: 0, remainingTickets: 1, seatIds: [2] })
+          });
+        }
+        if (url.endsWith('/api/events/7/seats')) {
+          return Promise.resolve({
+            ok: true,
+            json: () => Promise.resolve({
+              eventId: 7, venue: { id: 1, name: 'Littlejohn' },
+              sections: [{ name: '101', rows: [{ label: 'A', seats: [
+                { id: 1, number: '1', available: false },
+                { id: 2, number: '2', available: true }
+              ] }] }]
+            })
+          });
+        }
+        if (url.endsWith('/api/events/7')) {
+          return Promise.resolve({
+            ok: true,
+            json: () => Promise.resolve({ id: 7, name: 'Tip-Off', date: '2099-11-15', tickets: 2, venue_id: 1 })
+          });
+        }
+        if (url.includes('/api/events')) {
+          return Promise.resolve({ ok: true, json: () => Promise.resolve([]) });
+        }
+        return Promise.resolve({ ok: true, json: () => Promise.resolve({ authenticated: true, email: 'user@example.com' }) });
+      });
+      window.location.hash = '#/events/7';
+
+      render(<App />);
+
+      expect(await screen.findByRole('button', { name: 'Section 101, Row A, Seat 1, taken' })).toBeDisabled();
+      const seat = screen.getByRole('button', { name: 'Section 101, Row A, Seat 2' });
+      expect(seat).toHaveAttribute('aria-pressed', 'false');
+      fireEvent.click(seat);
+      expect(seat).toHaveAttribute('aria-pressed', 'true');
+
+      fireEvent.click(await screen.findByRole('button', { name: 'Buy 1 Selected Seat(s)' }));
+
+      await waitFor(() => expect(window.alert).toHaveBeenCalledWith('1 seat(s) purchased for: Tip-Off (total Free)'));
+      expect(fetch).toHaveBeenCalledWith(
+        'http://localhost:6001/api/events/7/purchase',
+        expect.objectContaining({ body: JSON.stringify({ seatIds: [2] }) })
+      );
+    });
+  });
+
+  describe('Ticket Tiers', () => {
+    /**
+     * Purpose: Verifies tiered events offer one labelled buy button per tier
+     * Input: Events list with a tiered event; click on the General Admission button
+     * Output: Purchase request naming the tier and an alert with the server's total
+     */
+    test('tier buttons show prices and buy from the chosen tier', async () => {
+      window.alert = jest.fn();
+      fetch.mockImplementation((url) => {
+        if (url.includes('/purchase')) {
+          return Promise.resolve({
+            ok: true,
+            json: () => Promise.resolve({ tierId: 12, totalCents: 2500 })
+          });
+        }
+        if (url.includes('/api/events')) {
+          return Promise.resolve({
+            ok: true,
+            json: () => Promise.resolve([
+              {
+                id: 1, name: 'Concert', date: '2025-12-01', tickets: 5,
+                tiers: [
+                  { id: 11, name: 'Student', price_cents: 0, tickets: 0 },
+                  { id: 12, name: 'General Admission', price_cents: 2500, tickets: 5 }
+                ]
+              }
+            ])
+          });
+        }
+        return Promise.resolve({ ok: true, json: () => Promise.resolve({ authenticated: false }) });
+      });
+
+      render(<App />);
+
+      const general = await screen.findByRole('button', { name: 'Buy General Admission ticket for Concert at $25.00' });
+      const student = screen.getByRole('button', { name: /Student tickets for Concert are sold out/i });
+      expect(student).toBeDisabled();
+
+      fireEvent.click(general);
+
+      await waitFor(() => expect(window.alert).toHaveBeenCalledWith('General Admission ticket purchased for: Concert (total $25.00)'));
+      expect(fetch).toHaveBeenCalledWith(
+        'http://localhost:6001/api/events/1/purchase',
+        expect.objectContaining({ body: JSON.stringify({ quantity: 1, tierId: 12 }) })
+      );
+    });
+
+    /**
+     * Purpose: Verifies a promo code typed into the labelled field is sent with purchases
+     * Input: Promo code entered, then a tier purchased
+     * Output: Purchase request carrying the promo code and an alert with the discounted total
+     */
+    test('promo code field is sent with the purchase', async () => {
+      window.alert = jest.fn();
+      fetch.mockImplementation((url) => {
+        if (url.includes('/purchase')) {
+          return Promise.resolve({
+            ok: true,
+            json: () => Promise.resolve({ tierId: 12, discountCents: 500, totalCents: 2000 })
+          });
+        }
+        if (url.includes('/api/events')) {
+          return Promise.resolve({
+            ok: true,
+            json: () => Promise.resolve([
+              { id: 1, name: 'Concert', date: '2025-12-01', tickets: 5,
+                tiers: [{ id: 12, name: 'General Admission', price_cents: 2500, tickets: 5 }] }
+            ])
+          });
+        }
+        return Promise.resolve({ ok: true, json: () => Promise.resolve({ authenticated: false }) });
+      });
+
+      render(<App />);
+
+      const general = await screen.findByRole('button', { name: /Buy General Admission ticket for Concert/i });
+      fireEvent.change(screen.getByRole('textbox', { name: 'Promo code' }), { target: { value: ' TIGERS ' } });
+      fireEvent.click(general);
+
+      await waitFor(() => expect(window.alert).toHaveBeenCalledWith('General Admission ticket purchased for: Concert (total $20.00)'));
+      expect(fetch).toHaveBeenCalledWith(
+        'http://localhost:6001/api/events/1/purchase',
+        expect.objectContaining({ body: JSON.stringify({ quantity: 1, tierId: 12, promoCode: 'TIGERS' }) })
+      );
+    });
+
+    /**
+     * Purpose: Verifies the card number field pays for priced tiers only
+     * Input: Card number entered, then a paid tier and a free tier purchased
+     * Output: Payment details sent with the paid purchase and left off the free one
+     */
+    test('card number is sent only with paid purchases', async () => {
+      window.alert = jest.fn();
+      fetch.mockImplementation((url) => {
+        if (url.includes('/purchase')) {
+          return Promise.resolve({ ok: true, json: () => Promise.resolve({ totalCents: 2500 }) });
+        }
+        if (url.includes('/api/events')) {
+          return Promise.resolve({
+            ok: true,
+            json: () => Promise.resolve([
+              { id: 1, name: 'Concert', date: '2025-12-01', tickets: 10,
+                tiers: [
+                  { id: 11, name: 'Student', price_cents: 0, tickets: 5 },
+                  { id: 12, name: 'General Admission', price_cents: 2500, tickets: 5 }
+                ] }
+            ])
+          });
+        }
+        return Promise.resolve({ ok: true, json: () => Promise.resolve({ authenticated: false }) });
+      });
+
+      render(<App />);
+
+      const general = await screen.findByRole('button', { name: /Buy General Admission ticket for Concert/i });
+      fireEvent.change(screen.getByRole('textbox', { name: 'Card number' }), { target: { value: '4242424242424242' } });
+      fireEvent.click(general);
+      fireEvent.click(screen.getByRole('button', { name: /Buy Student ticket for Concert/i }));
+
+      await waitFor(() =>
+        expect(fetch).toHaveBeenCalledWith(
+          'http://localhost:6001/api/events/1/purchase',
+          expect.objectContaining({ body: JSON.stringify({ quantity: 1, tierId: 11 }) })
+        )
+      );
+      expect(fetch).toHaveBeenCalledWith(
+        'http://localhost:6001/api/events/1/purchase',
+        expect.objectContaining({
+          body: JSON.stringify({ quantity: 1, tierId: 12, payment: { cardNumber: '4242424242424242' } })
+        })
+      );
+    });
+  });
+
+  describe('Waitlist', () => {
+    /**
+     * Purpose: Verifies signed-in users can join the waitlist of a sold-out event
+     * Input: Click on Join Waitlist for an event with no tickets left
+     * Output: POST /api/events/:id/waitlist with credentials and the place in line alerted
+     */
+    test('join waitlist button is offered on sold-out events', async () => {
+      window.alert = jest.fn();
+      fetch.mockImplementation((url) => {
+        if (url.includes('/waitlist')) {
+          return Promise.resolve({
+            ok: true,
+            status: 201,
+            json: () => Promise.resolve({ entryId: 7, eventId: 1, quantity: 1, position: 3 })
+          });
+        }
+        if (url.includes('/api/events')) {
+          return Promise.resolve({
+            ok: true,
+            json: () => Promise.resolve([{ id: 1, name: 'Concert', date: '2025-12-01', tickets: 0 }])
+          });
+        }
+        if (url.includes('/me')) {
+          return Promise.resolve({
+            ok: true,
+            json: () => Promise.resolve({ authenticated: true, email: 'user@example.com' })
+          });
+        }
+        return Promise.reject(new Error('Unknown URL'));
+      });
+
+      render(<App />);
+
+      const join = await screen.findByRole('button', { name: /join the waitlist for concert/i });
+      fireEvent.click(join);
+
+      await waitFor(() => expect(window.alert).toHaveBeenCalledWith('You are #3 on the waitlist for Concert'));
+      expect(fetch).toHaveBeenCalledWith(
+        'http://localhost:6001/api/events/1/waitlist',
+        expect.objectContaining({ method: 'POST', credentials: 'include' })
+      );
+    });
+  });
+
+  describe('Eligibility', () => {
+    /**
+     * Purpose: Verifies restricted events say who may buy tickets
+     * Input: Event limited to an email domain and a role
+     * Output: Card text naming the domain and the role
+     */
+    test('restricted event cards name who may buy', async () => {
+      fetch.mockImplementation((url) => {
+        if (url.includes('/api/events')) {
+          return Promise.resolve({
+            ok: true,
+            json: () => Promise.resolve([
+              { id: 1, name: 'Student Section', date: '2025-09-12', tickets: 10,
+                eligibility: { emailDomains: ['clemson.edu'], roles: ['student'], inviteOnly: false } }
+            ])
+          });
+        }
+        return Promise.resolve({ ok: true, json: () => Promise.resolve({ authenticated: false }) });
+      });
+
+      render(<App />);
+
+      const card = await screen.findByRole('article', { name: 'Event: Student Section' });
+      expect(card).toHaveTextContent('Restricted to: @clemson.edu emails, student accounts');
+    });
+  });
+
+  describe('Sale Windows', () => {
+    /**
+     * Purpose: Verifies cards count down to a sale and say when it has closed
+     * Input: One event going on sale in an hour and one whose sales closed
+     * Output: A countdown or closed notice on each card and no buy buttons
+     */
+    test('cards show sale countdowns and hide buying outside the window', async () => {
+      fetch.mockImplementation((url) => {
+        if (url.includes('/api/events')) {
+          return Promise.resolve({
+            ok: true,
+            json: () => Promise.resolve([
+              { id: 1, name: 'Bowl Game', date: '2099-12-30', tickets: 10,
+                sale: { status: 'upcoming', secondsUntilStart: 3600, secondsUntilEnd: null } },
+              { id: 2, name: 'Spring Game', date: '2099-04-12', tickets: 0,
+                sale: { status: 'closed', secondsUntilStart: null, secondsUntilEnd: null } }
+            ])
+          });
+        }
+        return Promise.resolve({ ok: true, json: () => Promise.resolve({ authenticated: true, email: 'user@example.com' }) });
+      });
+
+      render(<App />);
+
+      const upcoming = await screen.findByRole('article', { name: 'Event: Bowl Game' });
+      expect(upcoming).toHaveTextContent(/On sale in (1h 00m 00s|0h 59m \d\ds)/);
+      const closed = screen.getByRole('article', { name: 'Event: Spring Game' });
+      expect(closed).toHaveTextContent('Sales closed');
+      expect(screen.queryByRole('button', { name: 'Buy ticket for Bowl Game' })).not.toBeInTheDocument();
+      expect(screen.queryByRole('button', { name: 'Add ticket for Bowl Game to cart' })).not.toBeInTheDocument();
+      expect(screen.queryByRole('button', { name: 'Join the waitlist for Spring Game' })).not.toBeInTheDocument();
+    });
+  });
+
+  describe('Waiting Room', () => {
+    /**
+     * Purpose: Verifies high-demand events sell only after the waiting room
+     *          lets the user in
+     * Input: Event with a waiting_room_limit; the user joins and is admitted
+     * Output: No buy button before joining, then a purchase carrying the
+     *         queue token
+     */
+    test('waiting room admits the user before tickets can be bought', async () => {
+      window.alert = jest.fn();
+      fetch.mockImplementation((url) => {
+        if (url.includes('/queue')) {
+          return Promise.resolve({
+            ok: true,
+            json: () => Promise.resolve({
+              eventId: 3, status: 'admitted', position: 0, estimatedWaitSeconds: 0,
+              queueToken: 'turn-token', expiresAt: '2099-11-28 12:10:00'
+            })
+          });
+        }
+        if (url.includes('/purchase')) {
+          return Promise.resolve({ ok: true, json: () => Promise.resolve({ purchased: 1, remainingTickets: 49 }) });
+        }
+        if (url.includes('/api/events')) {
+          return Promise.resolve({
+            ok: true,
+            json: () => Promise.resolve([
+              { id: 3, name: 'Palmetto Bowl', date: '2099-11-28', tickets: 50, waiting_room_limit: 500 }
+            ])
+          });
+        }
+        return Promise.resolve({ ok: true, json: () => Promise.resolve({ authenticated: true, email: 'user@example.com' }) });
+      });
+
+      render(<App />);
+
+      const join = await screen.findByRole('button', { name: 'Join the waiting room for Palmetto Bowl' });
+      expect(screen.queryByRole('button', { name: 'Buy ticket for Palmetto Bowl' })).not.toBeInTheDocument();
+      await waitFor(() => expect(join).not.toBeDisabled());
+      fireEvent.click(join);
+
+      fireEvent.click(await screen.findByRole('button', { name: 'Buy ticket for Palmetto Bowl' }));
+      await waitFor(() => {
+        expect(fetch).toHaveBeenCalledWith(
+          'http://localhost:6001/api/events/3/purchase',
+          expect.objectContaining({ body: JSON.stringify({ quantity: 1, queueToken: 'turn-token' }) })
+        );
+      });
+    });
+  });
+
+  describe('Lottery', () => {
+    /**
+     * Purpose: Verifies lottery events take entries instead of selling
+     * Input: Event whose lottery is open for up to 2 tickets; the user
+     *        enters for 2
+     * Output: No buy button, an entry request for the chosen quantity and
+     *         the pending entry with a withdraw button
+     */
+    test('lottery events are entered instead of bought', async () => {
+      fetch.mockImplementation((url, options) => {
+        if (url.includes('/lottery')) {
+          return options?.method === 'POST'
+            ? Promise.resolve({
+                ok: true,
+                json: () => Promise.resolve({ entryId: 9, eventId: 4, quantity: 2, tierId: null, status: 'entered', rank: null })
+              })
+            : Promise.resolve({ ok: false, json: () => Promise.resolve({ error: 'You have not entered the lottery for this event' }) });
+        }
+        if (url.includes('/api/events')) {
+          return Promise.resolve({
+            ok: true,
+            json: () => Promise.resolve([
+              { id: 4, name: 'Homecoming', date: '2099-10-20', tickets: 200, lottery_closes_at: '2099-10-01 23:59:59',
+                lottery: { status: 'open', maxTickets: 2, secondsUntilOpen: null, secondsUntilClose: 86400 } }
+            ])
+          });
+        }
+        return Promise.resolve({ ok: true, json: () => Promise.resolve({ authenticated: true, email: 'user@example.com' }) });
+      });
+
+      render(<App />);
+
+      const enter = await screen.findByRole('button', { name: 'Enter the lottery for Homecoming' });
+      expect(screen.queryByRole('button', { name: 'Buy ticket for Homecoming' })).not.toBeInTheDocument();
+      expect(screen.queryByRole('button', { name: 'Add ticket for Homecoming to cart' })).not.toBeInTheDocument();
+      await waitFor(() => expect(enter).not.toBeDisabled());
+      fireEvent.change(screen.getByLabelText(/Tickets wanted/), { target: { value: '2' } });
+      fireEvent.click(enter);
+
+      expect(await screen.findByRole('button', { name: 'Withdraw your lottery entry for Homecoming' })).toBeInTheDocument();
+      expect(screen.getByRole('article', { name: 'Event: Homecoming' })).toHaveTextContent('Entered the lottery for 2 ticket(s)');
+      expect(fetch).toHaveBeenCalledWith(
+        'http://localhost:6001/api/events/4/lottery',
+        expect.objectContaining({ method: 'POST', body: JSON.stringify({ quantity: 2 }) })
+      );
+    });
+  });
+
+  describe('Bundles', () => {
+    /**
+     * Purpose: Verifies season passes are listed and bought in one request
+     * Input: One paid bundle covering two events; the user enters a card
+     *        and buys it
+     * Output: The bundle with its events, a purchase carrying the payment and
+     *         a confirmation naming the total
+     */
+    test('season passes are listed and bought with one click', async () => {
+      window.alert = jest.fn();
+      fetch.mockImplementation((url) => {
+        if (url.includes('/api/bundles/7/purchase')) {
+          return Promise.resolve({
+            ok: true,
+            json: () => Promise.resolve({
+              success: true, bundleId: 7, bundleOrderId: 1, name: 'Basketball Season Pass', totalCents: 9000,
+              remainingBundles: 19, orders: [{ eventId: 1, orderId: 1 }, { eventId: 2, orderId: 2 }]
+            })
+          });
+        }
+        if (url.includes('/api/bundles')) {
+          return Promise.resolve({
+            ok: true,
+            json: () => Promise.resolve([
+              { id: 7, name: 'Basketball Season Pass', price_cents: 9000, tickets: 20,
+                events: [{ id: 1, name: 'Opener', date: '2099-11-03' }, { id: 2, name: 'Finale', date: '2099-03-01' }] }
+            ])
+          });
+        }
+        if (url.includes('/api/events')) {
+          return Promise.resolve({ ok: true, json: () => Promise.resolve([]) });
+        }
+        return Promise.resolve({ ok: true, json: () => Promise.resolve({ authenticated: true, email: 'user@example.com' }) });
+      });
+
+      render(<App />);
+
+      const pass = await screen.findByRole('region', { name: 'Season passes and bundles' });
+      expect(pass).toHaveTextContent('Basketball Season Pass: $90.00 for 2 events (Opener, Finale) - 20 left');
+      const buy = screen.getByRole('button', { name: 'Buy Basketball Season Pass for $90.00' });
+      await waitFor(() => expect(buy).not.toBeDisabled());
+      fireEvent.change(screen.getByLabelText('Card number'), { target: { value: '4242424242424242' } });
+      fireEvent.click(buy);
+
+      await waitFor(() => {
+        expect(window.alert).toHaveBeenCalledWith('Basketball Season Pass purchased: 2 ticket(s) for $90.00');
+      });
+      expect(fetch).toHaveBeenCalledWith(
+        'http://localhost:6001/api/bundles/7/purchase',
+        expect.objectContaining({ method: 'POST', body: JSON.stringify({ payment: { cardNumber: '4242424242424242' } }) })
+      );
+      expect(pass).toHaveTextContent('19 left');
+    });
+  });
+
+  describe('Cart', () => {
+    /**
+     * Purpose: Verifies tickets for several events are bought in one checkout
+     * Input: Two events added to the cart, one of them twice, then checked out
+     * Output: One checkout request with a line per event and an emptied cart
+     */
+    test('cart checks out every line in one request', async () => {
+      window.alert = jest.fn();
+      fetch.mockImplementation((url) => {
+        if (url.includes('/api/checkout')) {
+          return Promise.resolve({
+            ok: true,
+            json: () => Promise.resolve({
+              totalCents: 2500,
+              orders: [
+                { eventId: 1, purchased: 2, remainingTickets: 3 },
+                { eventId: 2, tierId: 12, purchased: 1, remainingTickets: 4 }
+              ]
+            })
+          });
+        }
+        if (url.includes('/api/events')) {
+          return Promise.resolve({
+            ok: true,
+            json: () => Promise.resolve([
+              { id: 1, name: 'Concert', date: '2025-12-01', tickets: 5 },
+              { id: 2, name: 'Game', date: '2025-12-02', tickets: 5,
+                tiers: [{ id: 12, name: 'General Admission', price_cents: 2500, tickets: 5 }] }
+            ])
+          });
+        }
+        if (url.includes('/me')) {
+          return Promise.resolve({
+            ok: true,
+            json: () => Promise.resolve({ authenticated: true, email: 'user@example.com' })
+          });
+        }
+        return Promise.reject(new Error('Unknown URL'));
+      });
+
+      render(<App />);
+
+      const addConcert = await screen.findByRole('button', { name: 'Add ticket for Concert to cart' });
+      fireEvent.click(addConcert);
+      fireEvent.click(addConcert);
+      fireEvent.click(screen.getByRole('button', { name: 'Add General Admission ticket for Game to cart' }));
+      fireEvent.change(screen.getByRole('textbox', { name: 'Card number' }), { target: { value: '4242424242424242' } });
+
+      const cart = screen.getByRole('region', { name: 'Cart' });
+      expect(screen.getByRole('spinbutton', { name: 'Quantity for Concert' })).toHaveValue(2);
+      expect(cart).toHaveTextContent('Total: $25.00');
+
+      const checkout = await screen.findByRole('button', { name: 'Checkout' });
+      fireEvent.click(checkout);
+
+      await waitFor(() => expect(window.alert).toHaveBeenCalledWith('Checkout complete (total $25.00)'));
+      await waitFor(() => expect(screen.queryByRole('region', { name: 'Cart' })).not.toBeInTheDocument());
+      expect(fetch).toHaveBeenCalledWith(
+        'http://localhost:6001/api/checkout',
+        expect.objectContaining({
+          body: JSON.stringify({
+            lines: [{ eventId: 1, quantity: 2 }, { eventId: 2, quantity: 1, tierId: 12 }],
+            payment: { cardNumber: '4242424242424242' }
+          })
+        })
+      );
+    });
+
+    /**
+     * Purpose: Verifies a failed checkout explains which lines could not be bought
+     * Input: Checkout rejected with a per-line reason
+     * Output: Alert naming the event and its reason; the cart is kept
+     */
+    test('failed checkout reports the reason for each line', async () => {
+      window.alert = jest.fn();
+      fetch.mockImplementation((url) => {
+        if (url.includes('/api/checkout')) {
+          return Promise.resolve({
+            ok: false,
+            json: () => Promise.resolve({
+              error: 'Some cart lines could not be purchased',
+              lines: [{ index: 0, eventId: 1, error: 'Not enough tickets available' }]
+            })
+          });
+        }
+        if (url.includes('/api/events')) {
+          return Promise.resolve({
+            ok: true,
+            json: () => Promise.resolve([{ id: 1, name: 'Concert', date: '2025-12-01', tickets: 1 }])
+          });
+        }
+        return Promise.resolve({ ok: true, json: () => Promise.resolve({ authenticated: true, email: 'user@example.com' }) });
+      });
+
+      render(<App />);
+
+      fireEvent.click(await screen.findByRole('button', { name: 'Add ticket for Concert to cart' }));
+      fireEvent.click(await screen.findByRole('button', { name: 'Checkout' }));
+
+      await waitFor(() => {
+        expect(window.alert).toHaveBeenCalledWith(
+          'Some cart lines could not be purchased\nConcert: Not enough tickets available'
+        );
+      });
+      expect(screen.getByRole('region', { name: 'Cart' })).toBeInTheDocument();
+    });
+  });
+
   describe('Visual Focus Indicators', () => {
     /**
      * Purpose: Verifies available action buttons have visible focus outline
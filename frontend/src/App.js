@@ -1,6 +1,108 @@
-import React, { useEffect, useState, useRef } from "react";
+import React, { useCallback, useEffect, useState, useRef } from "react";
 import "./App.css";
 
+// Number of events requested from the client-service per page
+const EVENTS_PAGE_SIZE = 20;
+
+// How often a place in an event's waiting room is refreshed
+const QUEUE_POLL_MS = 5000;
+
+/**
+ * Purpose: Formats a ticket price for display
+ * Input: cents - int, the price in cents
+ * Ouput: "Free" or a dollar amount such as "$25.00"
+ */
+const formatPrice = (cents) => (cents > 0 ? `$${(cents / 100).toFixed(2)}` : "Free");
+
+/**
+ * Purpose: Describes who may buy tickets for an event
+ * Input: eligibility - { emailDomains, roles, inviteOnly } or null
+ * Ouput: Text such as "@clemson.edu emails, student accounts", or null when
+ *        anyone may buy
+ */
+const describeEligibility = (eligibility) => {
+  if (!eligibility) return null;
+  const parts = [];
+  if (eligibility.emailDomains.length) parts.push(`${eligibility.emailDomains.map((d) => `@${d}`).join(' or ')} emails`);
+  if (eligibility.roles.length) parts.push(`${eligibility.roles.join(' or ')} accounts`);
+  if (eligibility.inviteOnly) parts.push('invite only');
+  return parts.join(', ');
+};
+
+/**
+ * Purpose: Formats a number of seconds as a countdown
+ * Input: seconds - int, the time left
+ * Ouput: Text such as "2d 3h 04m 05s" (days only when there are any)
+ */
+const formatCountdown = (seconds) => {
+  const left = Math.max(0, seconds);
+  const pad = (n) => String(n).padStart(2, '0');
+  const days = Math.floor(left / 86400);
+  const hours = Math.floor((left % 86400) / 3600);
+  return `${days > 0 ? `${days}d ` : ''}${hours}h ${pad(Math.floor((left % 3600) / 60))}m ${pad(left % 60)}s`;
+};
+
+/**
+ * Purpose: Moves an event's sale status on once its countdown runs out
+ * Input: sale - { status, secondsUntilStart, secondsUntilEnd } as sent by the
+ *        client-service
+ * Ouput: The sale as it stands once the sale opens or closes
+ */
+const nextSaleStatus = (sale) =>
+  sale.status === 'upcoming'
+    ? {
+        status: 'on_sale',
+        secondsUntilStart: null,
+        secondsUntilEnd: sale.secondsUntilEnd === null ? null : sale.secondsUntilEnd - sale.secondsUntilStart,
+      }
+    : { status: 'closed', secondsUntilStart: null, secondsUntilEnd: null };
+
+/**
+ * Purpose: Shows a live countdown to an event's sale opening or closing
+ * Input: seconds - int, the time left when the event was loaded
+ *        label - String, the text shown before the countdown
+ *        onElapsed - function called once when the countdown reaches zero
+ * Ouput: Countdown text that updates every second
+ */
+function SaleCountdown({ seconds, label, onElapsed }) {
+  const [deadline] = useState(() => Date.now() + seconds * 1000);
+  const [now, setNow] = useState(() => Date.now());
+  const fired = useRef(false);
+  const remaining = Math.ceil((deadline - now) / 1000);
+  const elapsed = remaining <= 0;
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  useEffect(() => {
+    if (elapsed && !fired.current) {
+      fired.current = true;
+      onElapsed();
+    }
+  }, [elapsed, onElapsed]);
+
+  return <span role="timer">{label} {formatCountdown(remaining)}</span>;
+}
+
+/**
+ * Purpose: Loads the seat map of an event with assigned seating
+ * Input: clientBase - String, the client-service URL
+ *        eventId - int, the event ID
+ * Ouput: { venue, sections } with each seat's availability, or null when the
+ *        map cannot be loaded
+ */
+const fetchSeatMap = async (clientBase, eventId) => {
+  try {
+    const res = await fetch(`${clientBase}/api/events/${eventId}/seats`);
+    return res.ok ? await res.json() : null;
+  } catch (err) {
+    console.error("Error fetching seat map:", err);
+    return null;
+  }
+};
+
 function App() {
   // Auth state - separate for login and register so inputs don't mirror each other
   const [loginEmail, setLoginEmail] = useState('');
@@ -10,6 +112,9 @@ function App() {
   const [isAuthenticated, setIsAuthenticated] = useState(false);
   const [userEmail, setUserEmail] = useState(null);
   const [profileData, setProfileData] = useState(null);
+  const [myTickets, setMyTickets] = useState(null);
+  const [incomingTransfers, setIncomingTransfers] = useState([]);
+  const [myBundles, setMyBundles] = useState([]);
 
   // Backend bases (override in production via REACT_APP_* env vars)
   const AUTH_BASE = process.env.REACT_APP_AUTH_BASE || 'http://localhost:4000';
@@ -18,7 +123,21 @@ function App() {
 
   const [events, setEvents] = useState([]);
   const [loading, setLoading] = useState(true);
-  const eventsRef = useRef([]);
+  const [search, setSearch] = useState('');
+  const [sortBy, setSortBy] = useState('');
+  const [availableOnly, setAvailableOnly] = useState(false);
+  const [promoCode, setPromoCode] = useState('');
+  const [cardNumber, setCardNumber] = useState('');
+  const [cart, setCart] = useState([]);
+  const [bundles, setBundles] = useState([]);
+  const [queue, setQueue] = useState({});
+  const [lotteryEntries, setLotteryEntries] = useState({});
+  const [lotteryQuantity, setLotteryQuantity] = useState({});
+  const [totalEvents, setTotalEvents] = useState(null);
+  const [selectedEvent, setSelectedEvent] = useState(null);
+  const [seatMap, setSeatMap] = useState(null);
+  const [selectedSeats, setSelectedSeats] = useState([]);
+  const [seatTierId, setSeatTierId] = useState('');
   const [pendingBooking, setPendingBooking] = useState(null);
   const bookingRef = useRef(pendingBooking);
 
@@ -54,22 +173,38 @@ useEffect(() => {
 }, []);
 
 /**
- * Purpose: Fetches and displays event data from the backend when the component loads
+ * Purpose: Fetches one page of events matching the current search, sort and
+ *          availability filters
+ * Input: offset - int, number of matching events to skip
+ * Ouput: Promise resolving to { data, total } where total is the number of
+ *        matches reported by the backend (null if not reported)
+ */
+  const fetchEventsPage = useCallback(async (offset) => {
+    const params = new URLSearchParams({ limit: String(EVENTS_PAGE_SIZE), offset: String(offset) });
+    if (search.trim()) params.set('q', search.trim());
+    if (sortBy) params.set('sort', sortBy);
+    if (availableOnly) params.set('available', 'true');
+
+    const res = await fetch(`${CLIENT_BASE}/api/events?${params}`);
+    if (!res.ok) throw new Error("Failed to fetch events");
+    const data = await res.json();
+    const total = Number(res.headers?.get?.('X-Total-Count'));
+    return { data, total: Number.isFinite(total) && total > 0 ? total : null };
+  }, [CLIENT_BASE, search, sortBy, availableOnly]);
+
+/**
+ * Purpose: Fetches and displays event data from the backend when the component
+ *          loads and again whenever the search, sort or filter changes
  * Input: setEvent - updates the list of event in state
- *        eventRef - keeps a persistent reference to the latest event data
  *        setLoading - toggles loading status for the UI.
  *        HTTP request - sents a request to the backend for the events
  * Ouput: Updates events state, logs data, and stops the loading spinner
  */
   useEffect(() => {
-    fetch(`${CLIENT_BASE}/api/events`)
-      .then((res) => {
-        if (!res.ok) throw new Error("Failed to fetch events");
-        return res.json();
-      })
-      .then((data) => {
+    fetchEventsPage(0)
+      .then(({ data, total }) => {
         setEvents(data);
-        eventsRef.current = data;
+        setTotalEvents(total);
 
         console.log("Events fetched from backend:", data);
         setLoading(false);
@@ -78,34 +213,134 @@ useEffect(() => {
         console.error("Error fetching events:", err);
         setLoading(false);
       });
-  }, []);
+  }, [fetchEventsPage]);
+
+/**
+ * Purpose: Shows the detail view for the event named in the URL hash
+ *          (#/events/:id) so event pages can be linked to and bookmarked
+ * Input: window.location.hash on load and on every hashchange
+ * Ouput: Updates selectedEvent with the event fetched from the backend (and
+ *        seatMap for events with assigned seating), or clears it when the
+ *        hash does not name an event
+ */
+  useEffect(() => {
+    const showEventFromHash = async () => {
+      const match = window.location.hash.match(/^#\/events\/(\d+)$/);
+      setSeatMap(null);
+      setSelectedSeats([]);
+      setSeatTierId('');
+      if (!match) {
+        setSelectedEvent(null);
+        return;
+      }
+      try {
+        const res = await fetch(`${CLIENT_BASE}/api/events/${match[1]}`);
+        if (!res.ok) throw new Error("Event not found");
+        const event = await res.json();
+        setSelectedEvent(event);
+        if (event.venue_id) setSeatMap(await fetchSeatMap(CLIENT_BASE, event.id));
+      } catch (err) {
+        console.error("Error fetching event details:", err);
+        setSelectedEvent(null);
+      }
+    };
+
+    showEventFromHash();
+    window.addEventListener("hashchange", showEventFromHash);
+    return () => window.removeEventListener("hashchange", showEventFromHash);
+  }, [CLIENT_BASE]);
+
+/**
+ * Purpose: Loads the bundles on sale, such as season passes
+ * Input: None
+ * Ouput: Updates bundles state; left empty when they cannot be loaded
+ */
+  useEffect(() => {
+    fetch(`${CLIENT_BASE}/api/bundles`)
+      .then((res) => (res.ok ? res.json() : []))
+      .then((data) => setBundles(Array.isArray(data) ? data : []))
+      .catch((err) => console.error("Error fetching bundles:", err));
+  }, [CLIENT_BASE]);
+
+/**
+ * Purpose: Appends the next page of events to the list
+ * Input: None
+ * Ouput: Updates events state with the additional events
+ */
+  const loadMoreEvents = async () => {
+    try {
+      const { data, total } = await fetchEventsPage(events.length);
+      const next = [...events, ...data];
+      setEvents(next);
+      setTotalEvents(total);
+    } catch (err) {
+      console.error("Error fetching events:", err);
+    }
+  };
+
+/**
+ * Purpose: Creates a unique key for one purchase attempt so the client-service
+ *          can recognise a retried request and not charge twice
+ * Input: None
+ * Ouput: String usable as an Idempotency-Key header
+ */
+  const newIdempotencyKey = () =>
+    window.crypto?.randomUUID?.() ??
+    `${Date.now()}-${Math.random().toString(36).slice(2)}`;
 
 /**
  * Purpose: Purchases one ticket for a selected event and updates the UI
  * Input: id - int, The unique ID of the event to purchase a ticket for
  *        name - String, The event name, used for the success alert message
+ *        tier - object (optional), the ticket tier to buy from for tiered events
+ *        The promo code field, when filled in, is sent with the order, the
+ *        card number field pays for tiers that cost anything, and the queue
+ *        token is sent once the waiting room has let the user in
  * Ouput: Success or error alert + updated event list in state
  */
-  const buyTicket = async (id, name) => {
+  const buyTicket = async (id, name, tier) => {
     try {
       const res = await fetch(
         `${CLIENT_BASE}/api/events/${id}/purchase`,
         {
           method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({ quantity: 1 }),
+          headers: {
+            "Content-Type": "application/json",
+            "Idempotency-Key": newIdempotencyKey(),
+          },
+          credentials: "include",
+          body: JSON.stringify({
+            quantity: 1,
+            ...(tier && { tierId: tier.id }),
+            ...(queue[id]?.queueToken && { queueToken: queue[id].queueToken }),
+            ...(promoCode.trim() && { promoCode: promoCode.trim() }),
+            ...(tier?.price_cents > 0 && cardNumber.trim() && { payment: { cardNumber: cardNumber.trim() } }),
+          }),
         }
       );
 
       if (!res.ok) {
         const errorData = await res.json().catch(() => null);
-        throw new Error(errorData?.message || "Purchase failed");
+        throw new Error(errorData?.error || errorData?.message || "Purchase failed");
       }
 
-      alert(`Ticket purchased for: ${name}`);
+      if (tier) {
+        // The server prices the order; show its total rather than our copy
+        const data = await res.json().catch(() => null);
+        alert(`${tier.name} ticket purchased for: ${name} (total ${formatPrice(data?.totalCents ?? tier.price_cents)})`);
+      } else {
+        alert(`Ticket purchased for: ${name}`);
+      }
+      endQueueTurn(id);
       setEvents((prev) =>
         prev.map((e) =>
-          e.id === id ? { ...e, tickets: (e.tickets ?? 0) - 1 } : e
+          e.id === id
+            ? {
+                ...e,
+                tickets: (e.tickets ?? 0) - 1,
+                tiers: e.tiers?.map((t) => (t.id === tier?.id ? { ...t, tickets: t.tickets - 1 } : t)),
+              }
+            : e
         )
       );
     } catch (err) {
@@ -114,6 +349,433 @@ useEffect(() => {
     }
   };
 
+/**
+ * Purpose: Opens or closes an event's sale in the page when its countdown
+ *          runs out, without waiting for a reload
+ * Input: eventId - int, the event whose countdown ended
+ * Ouput: Updated events and selectedEvent state
+ */
+  const saleElapsed = (eventId) => {
+    const advance = (e) => (e?.id === eventId && e.sale ? { ...e, sale: nextSaleStatus(e.sale) } : e);
+    setEvents((prev) => prev.map(advance));
+    setSelectedEvent(advance);
+  };
+
+/**
+ * Purpose: Describes where an event is in its sale window
+ * Input: event - object with the sale status sent by the client-service
+ * Ouput: A paragraph with a countdown to the sale opening or closing, a
+ *        closed notice, or null when the event is on sale with no end
+ */
+  const renderSaleStatus = (event) => {
+    const { sale } = event;
+    if (sale?.status === 'upcoming') {
+      return (
+        <p>
+          <SaleCountdown
+            key={`${event.id}-upcoming`}
+            seconds={sale.secondsUntilStart}
+            label="On sale in"
+            onElapsed={() => saleElapsed(event.id)}
+          />
+        </p>
+      );
+    }
+    if (sale?.status === 'on_sale' && sale.secondsUntilEnd !== null) {
+      return (
+        <p>
+          <SaleCountdown
+            key={`${event.id}-on_sale`}
+            seconds={sale.secondsUntilEnd}
+            label="Sales close in"
+            onElapsed={() => saleElapsed(event.id)}
+          />
+        </p>
+      );
+    }
+    if (sale?.status === 'closed') {
+      return <p>Sales closed</p>;
+    }
+    return null;
+  };
+
+/**
+ * Purpose: Selects or unselects a seat on the open event's seat map
+ * Input: seatId - int, the seat clicked
+ * Ouput: Updated selectedSeats state
+ */
+  const toggleSeat = (seatId) => {
+    setSelectedSeats((prev) =>
+      prev.includes(seatId) ? prev.filter((id) => id !== seatId) : [...prev, seatId]
+    );
+  };
+
+/**
+ * Purpose: Buys the seats selected on the open event's seat map
+ * Input: None; uses selectedEvent, selectedSeats and, for tiered events, the
+ *        chosen tier, plus the promo code and card number fields
+ * Ouput: Success or error alert, then the seat map is reloaded so seats taken
+ *        by anyone show as unavailable
+ */
+  const buySelectedSeats = async () => {
+    const event = selectedEvent;
+    const tier = event.tiers?.find((t) => String(t.id) === seatTierId);
+    try {
+      const res = await fetch(`${CLIENT_BASE}/api/events/${event.id}/purchase`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "Idempotency-Key": newIdempotencyKey(),
+        },
+        credentials: "include",
+        body: JSON.stringify({
+          seatIds: selectedSeats,
+          ...(tier && { tierId: tier.id }),
+          ...(queue[event.id]?.queueToken && { queueToken: queue[event.id].queueToken }),
+          ...(promoCode.trim() && { promoCode: promoCode.trim() }),
+          ...(tier?.price_cents > 0 && cardNumber.trim() && { payment: { cardNumber: cardNumber.trim() } }),
+        }),
+      });
+      const data = await res.json().catch(() => null);
+      if (!res.ok) {
+        throw new Error(data?.error || "Purchase failed");
+      }
+
+      alert(`${data.purchased} seat(s) purchased for: ${event.name} (total ${formatPrice(data.totalCents ?? 0)})`);
+      setSelectedSeats([]);
+      endQueueTurn(event.id);
+      setEvents((prev) => prev.map((e) => (e.id === event.id ? { ...e, tickets: data.remainingTickets } : e)));
+    } catch (err) {
+      console.error("Error purchasing seats:", err);
+      alert(`${err.message}`);
+    }
+    setSeatMap(await fetchSeatMap(CLIENT_BASE, event.id));
+  };
+
+/**
+ * Purpose: Adds one ticket for an event (or one of its tiers) to the cart,
+ *          merging with a line already in the cart for the same choice
+ * Input: event - object, the event being added
+ *        tier - object (optional), the ticket tier for tiered events
+ * Ouput: Updated cart state
+ */
+  const addToCart = (event, tier) => {
+    setCart((prev) => {
+      const existing = prev.find((line) => line.eventId === event.id && line.tierId === tier?.id);
+      if (existing) {
+        return prev.map((line) => (line === existing ? { ...line, quantity: line.quantity + 1 } : line));
+      }
+      return [
+        ...prev,
+        {
+          eventId: event.id,
+          name: event.name,
+          tierId: tier?.id,
+          tierName: tier?.name,
+          priceCents: tier?.price_cents ?? 0,
+          quantity: 1,
+        },
+      ];
+    });
+  };
+
+/**
+ * Purpose: Changes how many tickets a cart line asks for; zero removes it
+ * Input: index - int, the cart line, quantity - int, the new ticket count
+ * Ouput: Updated cart state
+ */
+  const setCartQuantity = (index, quantity) => {
+    setCart((prev) =>
+      quantity > 0
+        ? prev.map((line, i) => (i === index ? { ...line, quantity } : line))
+        : prev.filter((_, i) => i !== index)
+    );
+  };
+
+/**
+ * Purpose: Buys every ticket in the cart in one checkout; either all lines
+ *          are purchased or none are, and the reason is shown for each line
+ *          that could not be filled
+ * Input: None (uses the cart and the card number field)
+ * Ouput: Alert with the cart total or the failing lines; emptied cart and
+ *        updated ticket counts on success
+ */
+  const checkoutCart = async () => {
+    try {
+      const totalCents = cart.reduce((sum, line) => sum + line.priceCents * line.quantity, 0);
+      const res = await fetch(`${CLIENT_BASE}/api/checkout`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "Idempotency-Key": newIdempotencyKey(),
+        },
+        credentials: "include",
+        body: JSON.stringify({
+          lines: cart.map(({ eventId, tierId, quantity }) => ({
+            eventId,
+            quantity,
+            ...(tierId && { tierId }),
+            ...(queue[eventId]?.queueToken && { queueToken: queue[eventId].queueToken }),
+          })),
+          ...(totalCents > 0 && cardNumber.trim() && { payment: { cardNumber: cardNumber.trim() } }),
+        }),
+      });
+      const data = await res.json().catch(() => null);
+
+      if (!res.ok) {
+        const reasons = (data?.lines ?? []).map((line) => `${cart[line.index]?.name ?? `Line ${line.index + 1}`}: ${line.error}`);
+        throw new Error([data?.error || "Checkout failed", ...reasons].join("\n"));
+      }
+
+      alert(`Checkout complete (total ${formatPrice(data?.totalCents ?? totalCents)})`);
+      setEvents((prev) =>
+        prev.map((e) => {
+          const bought = data?.orders?.filter((order) => order.eventId === e.id) ?? [];
+          if (bought.length === 0) return e;
+          return {
+            ...e,
+            tickets: bought[bought.length - 1].remainingTickets,
+            tiers: e.tiers?.map((t) => {
+              const order = bought.find((o) => o.tierId === t.id);
+              return order ? { ...t, tickets: t.tickets - order.purchased } : t;
+            }),
+          };
+        })
+      );
+      cart.forEach((line) => endQueueTurn(line.eventId));
+      setCart([]);
+    } catch (err) {
+      console.error("Error checking out cart:", err);
+      alert(`${err.message}`);
+    }
+  };
+
+/**
+ * Purpose: Joins the waiting room of a high-demand event; the place in line
+ *          is then refreshed until the user is let in to buy
+ * Input: event - object, the event whose waiting room to join
+ * Ouput: Updated queue state with the user's status, or an error alert
+ */
+  const joinQueue = async (event) => {
+    try {
+      const res = await fetch(`${CLIENT_BASE}/api/events/${event.id}/queue`, {
+        method: "POST",
+        credentials: "include",
+      });
+      const data = await res.json().catch(() => null);
+      if (!res.ok) {
+        throw new Error(data?.error || "Could not join the waiting room");
+      }
+      setQueue((prev) => ({ ...prev, [event.id]: data }));
+    } catch (err) {
+      console.error("Error joining waiting room:", err);
+      alert(`${err.message}`);
+    }
+  };
+
+/**
+ * Purpose: Forgets the user's waiting room turn for an event once the server
+ *          has ended it with a purchase
+ * Input: eventId - int, the event bought
+ * Ouput: Updated queue state
+ */
+  const endQueueTurn = (eventId) => {
+    setQueue((prev) => {
+      if (!prev[eventId]) return prev;
+      const { [eventId]: ended, ...rest } = prev;
+      return rest;
+    });
+  };
+
+/**
+ * Purpose: Refreshes every waiting room place still in line, so the buy
+ *          buttons appear as soon as the user is let in
+ * Input: queue state
+ * Ouput: Updated queue state every QUEUE_POLL_MS while the user is waiting
+ */
+  useEffect(() => {
+    const waiting = Object.values(queue).filter((entry) => entry.status === 'waiting');
+    if (waiting.length === 0) return undefined;
+    const timer = setTimeout(async () => {
+      const updates = await Promise.all(
+        waiting.map((entry) =>
+          fetch(`${CLIENT_BASE}/api/events/${entry.eventId}/queue`, { credentials: 'include' })
+            .then((res) => (res.ok ? res.json() : null))
+            .catch(() => null)
+        )
+      );
+      setQueue((prev) => {
+        const next = { ...prev };
+        updates.filter(Boolean).forEach((entry) => { next[entry.eventId] = entry; });
+        return next;
+      });
+    }, QUEUE_POLL_MS);
+    return () => clearTimeout(timer);
+  }, [queue, CLIENT_BASE]);
+
+/**
+ * Purpose: Loads the user's entries in the lotteries of the listed events, so
+ *          each card can say whether they entered, won or were waitlisted
+ * Input: events and isAuthenticated state
+ * Ouput: Updated lotteryEntries state
+ */
+  useEffect(() => {
+    const lotteryEvents = events.filter((event) => event.lottery);
+    if (!isAuthenticated || lotteryEvents.length === 0) return;
+    Promise.all(
+      lotteryEvents.map((event) =>
+        fetch(`${CLIENT_BASE}/api/events/${event.id}/lottery`, { credentials: 'include' })
+          .then((res) => (res.ok ? res.json() : null))
+          .catch(() => null)
+      )
+    ).then((entries) => {
+      setLotteryEntries((prev) => {
+        const next = { ...prev };
+        entries.filter((entry) => entry?.entryId).forEach((entry) => { next[entry.eventId] = entry; });
+        return next;
+      });
+    });
+  }, [events, isAuthenticated, CLIENT_BASE]);
+
+/**
+ * Purpose: Enters the user in an event's ticket lottery for the number of
+ *          tickets chosen on its card, from its free tier on tiered events
+ * Input: event - object, the lottery event
+ * Ouput: Updated lotteryEntries state, or an error alert
+ */
+  const enterLottery = async (event) => {
+    const freeTier = event.tiers?.find((tier) => tier.price_cents === 0);
+    try {
+      const res = await fetch(`${CLIENT_BASE}/api/events/${event.id}/lottery`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        credentials: "include",
+        body: JSON.stringify({
+          quantity: Number(lotteryQuantity[event.id] ?? 1),
+          ...(freeTier && { tierId: freeTier.id }),
+        }),
+      });
+      const data = await res.json().catch(() => null);
+      if (!res.ok) {
+        throw new Error(data?.error || "Could not enter the lottery");
+      }
+      setLotteryEntries((prev) => ({ ...prev, [event.id]: data }));
+    } catch (err) {
+      console.error("Error entering lottery:", err);
+      alert(`${err.message}`);
+    }
+  };
+
+/**
+ * Purpose: Withdraws the user's lottery entry for an event before the draw
+ * Input: event - object, the lottery event
+ * Ouput: Updated lotteryEntries state, or an error alert
+ */
+  const withdrawLottery = async (event) => {
+    try {
+      const res = await fetch(`${CLIENT_BASE}/api/events/${event.id}/lottery`, {
+        method: "DELETE",
+        credentials: "include",
+      });
+      const data = await res.json().catch(() => null);
+      if (!res.ok) {
+        throw new Error(data?.error || "Could not withdraw the lottery entry");
+      }
+      setLotteryEntries((prev) => ({ ...prev, [event.id]: { ...prev[event.id], status: 'withdrawn' } }));
+    } catch (err) {
+      console.error("Error withdrawing lottery entry:", err);
+      alert(`${err.message}`);
+    }
+  };
+
+/**
+ * Purpose: Describes an event's ticket lottery and the user's entry in it
+ * Input: event - object with the lottery status sent by the client-service
+ * Ouput: The draw result once the user's entry has been drawn; before the
+ *        draw, when entries open or close, the user's pending entry with a
+ *        withdraw button, or a ticket count and enter button
+ */
+  const renderLottery = (event) => {
+    const { lottery } = event;
+    const entry = lotteryEntries[event.id];
+    if (entry?.status === 'won') {
+      return <p role="status">You won {entry.quantity} ticket(s) in the lottery</p>;
+    }
+    if (entry?.status === 'waitlisted') {
+      return <p role="status">Not drawn in the lottery; you are on the waitlist</p>;
+    }
+    if (lottery.status === 'drawn') {
+      return null;
+    }
+    if (lottery.status === 'upcoming') {
+      return <p>Lottery entries open at {event.lottery_opens_at} UTC</p>;
+    }
+    if (lottery.status === 'closed') {
+      return <p>Lottery entries closed; the draw is pending</p>;
+    }
+    if (entry?.status === 'entered') {
+      return (
+        <>
+          <p role="status">Entered the lottery for {entry.quantity} ticket(s); drawn after {event.lottery_closes_at} UTC</p>
+          <button onClick={() => withdrawLottery(event)} aria-label={`Withdraw your lottery entry for ${event.name}`}>
+            Withdraw Entry
+          </button>
+        </>
+      );
+    }
+    return (
+      <>
+        <p>Tickets are allocated by lottery; enter by {event.lottery_closes_at} UTC</p>
+        <label>
+          Tickets wanted{' '}
+          <select
+            value={lotteryQuantity[event.id] ?? 1}
+            onChange={(e) => setLotteryQuantity((prev) => ({ ...prev, [event.id]: e.target.value }))}
+          >
+            {Array.from({ length: lottery.maxTickets }, (_, i) => (
+              <option key={i + 1} value={i + 1}>{i + 1}</option>
+            ))}
+          </select>
+        </label>
+        <button
+          onClick={() => enterLottery(event)}
+          disabled={!isAuthenticated}
+          aria-disabled={!isAuthenticated}
+          aria-label={`Enter the lottery for ${event.name}`}
+        >
+          {isAuthenticated ? 'Enter Lottery' : 'Log in to enter the lottery'}
+        </button>
+      </>
+    );
+  };
+
+/**
+ * Purpose: Puts the logged-in user on the waitlist for a sold-out event; seats
+ *          that come back are held for them and reported as a notification
+ * Input: id - int, The unique ID of the sold-out event
+ *        name - String, The event name, used for the confirmation alert
+ *        tier - object (optional), the ticket tier to wait for on tiered events
+ * Ouput: Alert with the user's place in line, or the error message
+ */
+  const joinWaitlist = async (id, name, tier) => {
+    try {
+      const res = await fetch(`${CLIENT_BASE}/api/events/${id}/waitlist`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        credentials: "include",
+        body: JSON.stringify(tier ? { quantity: 1, tierId: tier.id } : { quantity: 1 }),
+      });
+      const data = await res.json().catch(() => null);
+      if (!res.ok) {
+        throw new Error(data?.error || "Could not join the waitlist");
+      }
+      alert(`You are #${data.position} on the waitlist for ${name}`);
+    } catch (err) {
+      console.error("Error joining waitlist:", err);
+      alert(`${err.message}`);
+    }
+  };
+
   // Auth actions
   const register = async (e) => {
     e.preventDefault();
@@ -166,6 +828,7 @@ useEffect(() => {
       setIsAuthenticated(false);
       setUserEmail(null);
       setProfileData(null);
+      setMyTickets(null);
       alert('Logged out');
     } catch (err) {
       console.error('Logout error', err);
@@ -192,6 +855,146 @@ useEffect(() => {
     }
   };
 
+/**
+ * Purpose: Loads the tickets the logged-in user has purchased, the
+ *          transfers other users have offered them and the bundles they bought
+ * Input: None (uses the session cookie)
+ * Ouput: Updates myTickets state with tickets grouped by event,
+ *        incomingTransfers and myBundles, or alerts on failure
+ */
+  const fetchMyTickets = async () => {
+    try {
+      const res = await fetch(`${CLIENT_BASE}/api/me/tickets`, { credentials: 'include' });
+      if (res.status === 401) {
+        setIsAuthenticated(false);
+        setUserEmail(null);
+        setMyTickets(null);
+        alert('Session expired. Please log in again.');
+        return;
+      }
+      if (!res.ok) throw new Error('Could not fetch tickets');
+      const data = await res.json();
+      setMyTickets(data);
+
+      // Pending transfers and bundles are secondary; the tickets still show if they fail
+      const transfersRes = await fetch(`${CLIENT_BASE}/api/me/transfers`, { credentials: 'include' });
+      const transfers = transfersRes.ok ? await transfersRes.json().catch(() => null) : null;
+      setIncomingTransfers(transfers?.incoming ?? []);
+      const bundlesRes = await fetch(`${CLIENT_BASE}/api/me/bundles`, { credentials: 'include' }).catch(() => null);
+      const owned = bundlesRes?.ok ? await bundlesRes.json().catch(() => null) : null;
+      setMyBundles(Array.isArray(owned) ? owned : []);
+    } catch (err) {
+      console.error('Tickets fetch error', err);
+      alert('Could not fetch your tickets');
+    }
+  };
+
+/**
+ * Purpose: Offers all of the user's tickets for one event to another account
+ * Input: group - object, one entry of myTickets ({ name, ticketCodes })
+ * Ouput: Prompts for the recipient's email, then alerts the outcome
+ */
+  const transferTickets = async (group) => {
+    const toEmail = window.prompt(`Send your ${group.name} tickets to which email?`);
+    if (!toEmail) return;
+    try {
+      const res = await fetch(`${CLIENT_BASE}/api/transfers`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ ticketCodes: group.ticketCodes, toEmail }),
+      });
+      const data = await res.json().catch(() => null);
+      if (!res.ok) throw new Error(data?.error || 'Transfer failed');
+      alert(`Transfer offered to ${data.toEmail}. The tickets stay yours until they accept.`);
+    } catch (err) {
+      console.error('Ticket transfer error', err);
+      alert(`${err.message}`);
+    }
+  };
+
+/**
+ * Purpose: Buys a bundle such as a season pass: one ticket for every event
+ *          in it, paid with the card number field when it costs anything
+ * Input: bundle - object, the bundle from /api/bundles
+ * Ouput: Success alert and updated bundles and events state, or an alert
+ *        naming the events that could not be booked
+ */
+  const buyBundle = async (bundle) => {
+    try {
+      const res = await fetch(`${CLIENT_BASE}/api/bundles/${bundle.id}/purchase`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Idempotency-Key': newIdempotencyKey() },
+        credentials: 'include',
+        body: JSON.stringify({
+          ...(bundle.price_cents > 0 && cardNumber.trim() && { payment: { cardNumber: cardNumber.trim() } }),
+        }),
+      });
+      const data = await res.json().catch(() => null);
+      if (!res.ok) {
+        const reasons = data?.lines?.map((line) => {
+          const name = bundle.events.find((e) => e.id === line.eventId)?.name ?? `Event ${line.eventId}`;
+          return `${name}: ${line.error}`;
+        });
+        throw new Error([data?.error || 'Bundle purchase failed', ...(reasons ?? [])].join('\n'));
+      }
+      alert(`${bundle.name} purchased: ${data.orders.length} ticket(s) for ${formatPrice(data.totalCents)}`);
+      setBundles((prev) => prev.map((b) => (b.id === bundle.id ? { ...b, tickets: data.remainingBundles } : b)));
+      const bundled = new Set(data.orders.map((order) => order.eventId));
+      setEvents((prev) => prev.map((e) => (bundled.has(e.id) ? { ...e, tickets: (e.tickets ?? 0) - 1 } : e)));
+    } catch (err) {
+      console.error('Bundle purchase error', err);
+      alert(`${err.message}`);
+    }
+  };
+
+/**
+ * Purpose: Refunds a bundle the user bought, cancelling its ticket for every
+ *          event in it
+ * Input: bundleOrder - object, one entry of myBundles
+ * Ouput: Alert with the amount refunded and refreshed tickets, or the error
+ */
+  const refundBundle = async (bundleOrder) => {
+    try {
+      const res = await fetch(`${CLIENT_BASE}/api/bundle-orders/${bundleOrder.bundleOrderId}/cancel`, {
+        method: 'POST',
+        credentials: 'include',
+      });
+      const data = await res.json().catch(() => null);
+      if (!res.ok) throw new Error(data?.error || 'Refund failed');
+      const pending = data.refundPendingCents > 0
+        ? `, ${formatPrice(data.refundPendingCents)} still on its way`
+        : '';
+      alert(`${bundleOrder.name} refunded: ${formatPrice(data.refundedCents)} returned${pending}`);
+      await fetchMyTickets();
+    } catch (err) {
+      console.error('Bundle refund error', err);
+      alert(`${err.message}`);
+    }
+  };
+
+/**
+ * Purpose: Accepts or declines a transfer offered to the user
+ * Input: transferId - int, the pending transfer
+ *        action - "accept" | "decline"
+ * Ouput: Alert with the outcome and refreshed tickets and transfers
+ */
+  const respondToTransfer = async (transferId, action) => {
+    try {
+      const res = await fetch(`${CLIENT_BASE}/api/transfers/${transferId}/${action}`, {
+        method: 'POST',
+        credentials: 'include',
+      });
+      const data = await res.json().catch(() => null);
+      if (!res.ok) throw new Error(data?.error || `Could not ${action} the transfer`);
+      alert(action === 'accept' ? 'Tickets added to your account' : 'Transfer declined');
+      await fetchMyTickets();
+    } catch (err) {
+      console.error('Transfer response error', err);
+      alert(`${err.message}`);
+    }
+  };
+
 /**
  * Purpose: Enables speech-to-text interaction for booking and event queries
  * Input: Microphone click + spoken words
@@ -253,6 +1056,20 @@ useEffect(() => {
 }, []);
 
 
+/**
+ * Purpose: Looks up the events a spoken booking could mean, independently of
+ *          the page of events on screen
+ * Input: None
+ * Ouput: Promise resolving to every event from today on, for sendToLLM to
+ *        match the name the LLM heard against
+ */
+const fetchBookingCandidates = async () => {
+  const params = new URLSearchParams({ from: new Date().toISOString().slice(0, 10) });
+  const res = await fetch(`${CLIENT_BASE}/api/events?${params}`);
+  if (!res.ok) throw new Error("Failed to fetch events");
+  return res.json();
+};
+
 /**
  * Purpose: Handles both normal and confirmation interactions with the LLM service
  * Input: text - string, The text recognized from the user’s speech
@@ -265,9 +1082,6 @@ const sendToLLM = async (text, chatWindow) => {
       const response = text.toLowerCase();
       const current = bookingRef.current; // latest booking info
 
-      console.log("DEBUG - current bookingRef:", bookingRef.current);
-      console.log("DEBUG - all events fetched from DB:", eventsRef.current);
-
       if (response.includes("yes")) {
         const normalize = (str) =>
           str
@@ -277,18 +1091,14 @@ const sendToLLM = async (text, chatWindow) => {
             .trim();
 
         const normalizedTarget = normalize(current.event);
-        console.log("🔎 Normalized target:", normalizedTarget);
 
-        console.log("Available events:");
-        eventsRef.current.forEach((e, i) =>
-          console.log(`  [${i}] ${normalize(e.name)}`)
-        );
+        const candidates = await fetchBookingCandidates();
 
-        // Find best match among current events
+        // Find best match among the events the name could mean
         let bestMatch = null;
         let highestScore = 0;
 
-        for (const e of eventsRef.current) {
+        for (const e of candidates) {
           const normalizedEvent = normalize(e.name);
           const targetWords = new Set(normalizedTarget.split(" "));
           const eventWords = new Set(normalizedEvent.split(" "));
@@ -304,8 +1114,6 @@ const sendToLLM = async (text, chatWindow) => {
           }
         }
 
-        console.log("Best match:", bestMatch?.name, "score:", highestScore);
-
         if (!bestMatch || highestScore < 0.25) {
           speakResponse(
             "Sorry, I couldn’t find that event to complete the booking."
@@ -323,7 +1131,11 @@ const sendToLLM = async (text, chatWindow) => {
           `${CLIENT_BASE}/api/events/${bestMatch.id}/purchase`,
           {
             method: "POST",
-            headers: { "Content-Type": "application/json" },
+            headers: {
+              "Content-Type": "application/json",
+              "Idempotency-Key": newIdempotencyKey(),
+            },
+            credentials: "include",
             body: JSON.stringify({ quantity: current.tickets }),
           }
         );
@@ -424,6 +1236,7 @@ const sendToLLM = async (text, chatWindow) => {
             <div style={{ display: "flex", gap: "8px", marginTop: "8px" }}>
               <button id="logout-button" className="logout-button" onClick={logout}>Logout</button>
               <button id="view-profile-button" className="view-profile-button" onClick={fetchProfile}>View Profile</button>
+              <button id="my-tickets-button" className="my-tickets-button" onClick={fetchMyTickets}>My Tickets</button>
             </div>
             {profileData && (
               <div style={{ marginTop: 12, padding: 12, backgroundColor: '#f5f5f5', borderRadius: 4 }}>
@@ -433,6 +1246,78 @@ const sendToLLM = async (text, chatWindow) => {
                 <button id="close-profile-button" className="close-profile-button" onClick={() => setProfileData(null)} style={{ marginTop: 8 }}>Close Profile</button>
               </div>
             )}
+            {myTickets && (
+              <div style={{ marginTop: 12, padding: 12, backgroundColor: '#f5f5f5', borderRadius: 4 }}>
+                <h3 style={{ marginTop: 0 }}>My Tickets</h3>
+                {!myTickets.length ? (
+                  <p>You have not purchased any tickets yet.</p>
+                ) : (
+                  <ul aria-label="My tickets">
+                    {myTickets.map((group) => (
+                      <li key={group.eventId}>
+                        <strong>{group.name}</strong> ({group.date}) - {group.quantity} ticket(s)
+                        {' '}
+                        <button onClick={() => transferTickets(group)} aria-label={`Transfer ${group.name} tickets`}>
+                          Transfer
+                        </button>
+                        <ul>
+                          {group.ticketCodes.map((code, i) => (
+                            <li key={code}>
+                              <code>{code}</code>
+                              {group.seats?.[i] && <span> - {group.seats[i]}</span>}
+                              <br />
+                              <img
+                                src={`${CLIENT_BASE}/api/tickets/${encodeURIComponent(code)}/qr`}
+                                alt={`QR code for ticket ${code}`}
+                                width="128"
+                                height="128"
+                              />
+                            </li>
+                          ))}
+                        </ul>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                {incomingTransfers.length > 0 && (
+                  <>
+                    <h4>Tickets offered to you</h4>
+                    <ul aria-label="Incoming transfers">
+                      {incomingTransfers.map((transfer) => (
+                        <li key={transfer.transferId}>
+                          {transfer.fromEmail} is sending you {transfer.tickets.length} ticket(s) for{' '}
+                          {[...new Set(transfer.tickets.map((t) => t.name))].join(', ')}
+                          {' '}
+                          <button onClick={() => respondToTransfer(transfer.transferId, 'accept')} aria-label={`Accept tickets from ${transfer.fromEmail}`}>
+                            Accept
+                          </button>
+                          <button onClick={() => respondToTransfer(transfer.transferId, 'decline')} aria-label={`Decline tickets from ${transfer.fromEmail}`}>
+                            Decline
+                          </button>
+                        </li>
+                      ))}
+                    </ul>
+                  </>
+                )}
+                {myBundles.some((order) => order.status === 'active') && (
+                  <>
+                    <h4>My bundles</h4>
+                    <ul aria-label="My bundles">
+                      {myBundles.filter((order) => order.status === 'active').map((order) => (
+                        <li key={order.bundleOrderId}>
+                          <strong>{order.name}</strong> - {order.tickets.length} event(s), {formatPrice(order.totalCents)}
+                          {' '}
+                          <button onClick={() => refundBundle(order)} aria-label={`Refund ${order.name}`}>
+                            Refund
+                          </button>
+                        </li>
+                      ))}
+                    </ul>
+                  </>
+                )}
+                <button id="close-tickets-button" className="close-tickets-button" onClick={() => setMyTickets(null)} style={{ marginTop: 8 }}>Close Tickets</button>
+              </div>
+            )}
           </div>
         ) : (
           <div>
@@ -461,6 +1346,192 @@ const sendToLLM = async (text, chatWindow) => {
         <audio id="beep-sound" src="beep.mp3" preload="auto"></audio>
       </div>
 
+      {/* Event search and filters */}
+      <section aria-label="Find events" style={{ display: 'flex', gap: 8, justifyContent: 'center', flexWrap: 'wrap', marginBottom: 12 }}>
+        <input
+          id="event-search"
+          type="search"
+          placeholder="Search by name"
+          aria-label="Search events by name"
+          value={search}
+          onChange={e => setSearch(e.target.value)}
+        />
+        <select id="event-sort" aria-label="Sort events" value={sortBy} onChange={e => setSortBy(e.target.value)}>
+          <option value="">Sort: default</option>
+          <option value="date">Sort: date</option>
+          <option value="name">Sort: name</option>
+          <option value="-tickets">Sort: most tickets left</option>
+        </select>
+        <label>
+          <input
+            id="event-available"
+            type="checkbox"
+            checked={availableOnly}
+            onChange={e => setAvailableOnly(e.target.checked)}
+          />
+          {' '}Hide sold out
+        </label>
+        <input
+          id="promo-code"
+          aria-label="Promo code"
+          placeholder="promo code"
+          value={promoCode}
+          onChange={e => setPromoCode(e.target.value)}
+        />
+        <input
+          id="card-number"
+          aria-label="Card number"
+          placeholder="card number"
+          inputMode="numeric"
+          autoComplete="cc-number"
+          value={cardNumber}
+          onChange={e => setCardNumber(e.target.value)}
+        />
+      </section>
+
+      {cart.length > 0 && (
+        <section aria-label="Cart" style={{ padding: 12, marginBottom: 12, backgroundColor: '#f5f5f5', borderRadius: 4 }}>
+          <h2>Cart</h2>
+          <ul>
+            {cart.map((line, index) => {
+              const label = line.tierName ? `${line.name} (${line.tierName})` : line.name;
+              return (
+                <li key={`${line.eventId}:${line.tierId ?? ''}`}>
+                  {label}
+                  {' '}
+                  <input
+                    type="number"
+                    min="0"
+                    aria-label={`Quantity for ${label}`}
+                    value={line.quantity}
+                    onChange={e => setCartQuantity(index, Number(e.target.value))}
+                    style={{ width: 56 }}
+                  />
+                  {line.priceCents > 0 && ` × ${formatPrice(line.priceCents)}`}
+                  {' '}
+                  <button onClick={() => setCartQuantity(index, 0)} aria-label={`Remove ${label} from cart`}>
+                    Remove
+                  </button>
+                </li>
+              );
+            })}
+          </ul>
+          <p>Total: {formatPrice(cart.reduce((sum, line) => sum + line.priceCents * line.quantity, 0))}</p>
+          <button onClick={checkoutCart} disabled={!isAuthenticated} aria-disabled={!isAuthenticated}>
+            {isAuthenticated ? 'Checkout' : 'Log in to check out'}
+          </button>
+        </section>
+      )}
+
+      {bundles.length > 0 && (
+        <section aria-label="Season passes and bundles" style={{ padding: 12, marginBottom: 12 }}>
+          <h2>Season Passes &amp; Bundles</h2>
+          <ul>
+            {bundles.map((bundle) => (
+              <li key={bundle.id}>
+                <strong>{bundle.name}</strong>: {formatPrice(bundle.price_cents)} for {bundle.events.length} events
+                ({bundle.events.map((e) => e.name).join(', ')}) - {bundle.tickets} left
+                {' '}
+                <button
+                  onClick={() => buyBundle(bundle)}
+                  disabled={!isAuthenticated || bundle.tickets <= 0}
+                  aria-disabled={!isAuthenticated || bundle.tickets <= 0}
+                  aria-label={
+                    bundle.tickets > 0
+                      ? `Buy ${bundle.name} for ${formatPrice(bundle.price_cents)}`
+                      : `${bundle.name} is sold out`
+                  }
+                >
+                  {bundle.tickets <= 0 ? 'Sold Out' : isAuthenticated ? 'Buy Bundle' : 'Log in to buy'}
+                </button>
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+
+      {/* Event detail view, opened from the "Details" link on a card */}
+      {selectedEvent && (
+        <section aria-label={`Details for ${selectedEvent.name}`} className="event-details" style={{ padding: 12, marginBottom: 12, backgroundColor: '#f5f5f5', borderRadius: 4 }}>
+          <h2>{selectedEvent.name}</h2>
+          {selectedEvent.image_url && (
+            <img src={selectedEvent.image_url} alt={selectedEvent.name} style={{ maxWidth: '100%', maxHeight: 240 }} />
+          )}
+          <p>Date: {selectedEvent.date}{selectedEvent.start_time ? ` at ${selectedEvent.start_time}` : ''}</p>
+          {selectedEvent.venue && <p>Venue: {selectedEvent.venue}</p>}
+          {selectedEvent.category && <p>Category: {selectedEvent.category}</p>}
+          {selectedEvent.organizer && <p>Organizer: {selectedEvent.organizer}</p>}
+          {selectedEvent.description && <p>{selectedEvent.description}</p>}
+          <p>
+            Tickets available: {selectedEvent.tickets ?? 0}
+            {selectedEvent.capacity ? ` of ${selectedEvent.capacity}` : ''}
+          </p>
+          {renderSaleStatus(selectedEvent)}
+          {selectedEvent.eligibility && <p>Restricted to: {describeEligibility(selectedEvent.eligibility)}</p>}
+          {selectedEvent.tiers?.length > 0 && (
+            <ul aria-label="Ticket tiers">
+              {selectedEvent.tiers.map((tier) => (
+                <li key={tier.id}>
+                  {tier.name}: {formatPrice(tier.price_cents)} ({tier.tickets} left)
+                </li>
+              ))}
+            </ul>
+          )}
+          {seatMap && (
+            <div role="group" aria-label="Seat map">
+              <h3>Seats at {seatMap.venue.name}</h3>
+              {seatMap.sections.map((section) => (
+                <fieldset key={section.name}>
+                  <legend>Section {section.name}</legend>
+                  {section.rows.map((row) => (
+                    <div key={row.label}>
+                      <span>Row {row.label}: </span>
+                      {row.seats.map((seat) => {
+                        const label = `Section ${section.name}, Row ${row.label}, Seat ${seat.number}`;
+                        const picked = selectedSeats.includes(seat.id);
+                        return (
+                          <button
+                            key={seat.id}
+                            onClick={() => toggleSeat(seat.id)}
+                            disabled={!seat.available}
+                            aria-pressed={picked}
+                            aria-label={seat.available ? label : `${label}, taken`}
+                            style={{ outline: picked ? "2px solid orange" : undefined }}
+                          >
+                            {seat.number}
+                          </button>
+                        );
+                      })}
+                    </div>
+                  ))}
+                </fieldset>
+              ))}
+              {selectedEvent.tiers?.length > 0 && (
+                <label>
+                  Ticket tier{' '}
+                  <select value={seatTierId} onChange={(e) => setSeatTierId(e.target.value)}>
+                    <option value="">Choose a tier</option>
+                    {selectedEvent.tiers.map((tier) => (
+                      <option key={tier.id} value={tier.id}>
+                        {tier.name}: {formatPrice(tier.price_cents)}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              )}
+              <button
+                onClick={buySelectedSeats}
+                disabled={!isAuthenticated || selectedSeats.length === 0}
+                aria-disabled={!isAuthenticated || selectedSeats.length === 0}
+              >
+                {isAuthenticated ? `Buy ${selectedSeats.length} Selected Seat(s)` : 'Log in to buy seats'}
+              </button>
+            </div>
+          )}
+          <button id="close-details-button" className="close-details-button" onClick={() => { window.location.hash = ''; }}>Close Details</button>
+        </section>
+      )}
+
       {/* Event list */}
       {loading ? (
         <h2>Loading...</h2>
@@ -470,36 +1541,128 @@ const sendToLLM = async (text, chatWindow) => {
         <ul>
           {events.map((event) => {
             const available = event.tickets ?? 0;
+            // Lottery events sell only what is left once the draw has run
+            const lotteryPending = Boolean(event.lottery) && event.lottery.status !== 'drawn';
+            const onSale = (event.sale?.status ?? 'on_sale') === 'on_sale' && !lotteryPending;
+            const place = queue[event.id];
+            // Events with a waiting room sell only to shoppers it has let in
+            const queued = Boolean(event.waiting_room_limit) && place?.status !== 'admitted';
             return (
               <li key={event.id}>
                 <article aria-label={`Event: ${event.name}`} tabIndex="0">
                   <h2>{event.name}</h2>
                   <p>Date: {event.date}</p>
                   <p>Tickets available: {available}</p>
-                  <button
-                    onClick={() => buyTicket(event.id, event.name)}
-                    disabled={available <= 0}
-                    aria-disabled={available <= 0}
-                    aria-label={
-                      available > 0
-                        ? `Buy ticket for ${event.name}`
-                        : `${event.name} is sold out`
-                    }
-                    style={{
-                      outline:
-                        available > 0 ? "2px solid orange" : "2px solid purple",
-                    }}
-                  >
-                    {available > 0
-                      ? `Buy Ticket for ${event.name}`
-                      : "Sold Out"}
-                  </button>
+                  {renderSaleStatus(event)}
+                  {event.eligibility && <p>Restricted to: {describeEligibility(event.eligibility)}</p>}
+                  <p>
+                    <a href={`#/events/${event.id}`} aria-label={`View details for ${event.name}`}>Details</a>
+                  </p>
+                  {event.lottery && renderLottery(event)}
+                  {lotteryPending || event.sale?.status === 'closed' ? null : queued ? (
+                    available > 0 && (place?.status === 'waiting' ? (
+                      <p role="status">
+                        In the waiting room: position {place.position}, about {Math.max(1, Math.ceil(place.estimatedWaitSeconds / 60))} min
+                      </p>
+                    ) : (
+                      <button
+                        onClick={() => joinQueue(event)}
+                        disabled={!isAuthenticated}
+                        aria-disabled={!isAuthenticated}
+                        aria-label={`Join the waiting room for ${event.name}`}
+                      >
+                        {isAuthenticated ? 'Join Waiting Room' : 'Log in to join the waiting room'}
+                      </button>
+                    ))
+                  ) : !onSale ? null : event.venue_id ? (
+                    available > 0 && (
+                      <a href={`#/events/${event.id}`} aria-label={`Choose seats for ${event.name}`}>Choose Seats</a>
+                    )
+                  ) : event.tiers?.length > 0 ? (
+                    event.tiers.map((tier) => (
+                      <button
+                        key={tier.id}
+                        onClick={() => buyTicket(event.id, event.name, tier)}
+                        disabled={tier.tickets <= 0}
+                        aria-disabled={tier.tickets <= 0}
+                        aria-label={
+                          tier.tickets > 0
+                            ? `Buy ${tier.name} ticket for ${event.name} at ${formatPrice(tier.price_cents)}`
+                            : `${tier.name} tickets for ${event.name} are sold out`
+                        }
+                        style={{
+                          outline:
+                            tier.tickets > 0 ? "2px solid orange" : "2px solid purple",
+                        }}
+                      >
+                        {tier.name}: {tier.tickets > 0 ? formatPrice(tier.price_cents) : "Sold Out"}
+                      </button>
+                    ))
+                  ) : (
+                    <button
+                      onClick={() => buyTicket(event.id, event.name)}
+                      disabled={available <= 0}
+                      aria-disabled={available <= 0}
+                      aria-label={
+                        available > 0
+                          ? `Buy ticket for ${event.name}`
+                          : `${event.name} is sold out`
+                      }
+                      style={{
+                        outline:
+                          available > 0 ? "2px solid orange" : "2px solid purple",
+                      }}
+                    >
+                      {available > 0
+                        ? `Buy Ticket for ${event.name}`
+                        : "Sold Out"}
+                    </button>
+                  )}
+                  {place?.status === 'admitted' && <p role="status">Your turn: buy before {place.expiresAt} UTC</p>}
+                  {!onSale || queued || event.venue_id ? null : event.tiers?.length > 0 ? (
+                    event.tiers.filter((tier) => tier.tickets > 0).map((tier) => (
+                      <button
+                        key={tier.id}
+                        onClick={() => addToCart(event, tier)}
+                        aria-label={`Add ${tier.name} ticket for ${event.name} to cart`}
+                      >
+                        Add {tier.name} to Cart
+                      </button>
+                    ))
+                  ) : available > 0 && (
+                    <button onClick={() => addToCart(event)} aria-label={`Add ticket for ${event.name} to cart`}>
+                      Add to Cart
+                    </button>
+                  )}
+                  {onSale && available <= 0 && isAuthenticated && (event.tiers?.length > 0 ? (
+                    event.tiers.map((tier) => (
+                      <button
+                        key={tier.id}
+                        onClick={() => joinWaitlist(event.id, event.name, tier)}
+                        aria-label={`Join the ${tier.name} waitlist for ${event.name}`}
+                      >
+                        Join {tier.name} Waitlist
+                      </button>
+                    ))
+                  ) : (
+                    <button
+                      onClick={() => joinWaitlist(event.id, event.name)}
+                      aria-label={`Join the waitlist for ${event.name}`}
+                    >
+                      Join Waitlist
+                    </button>
+                  ))}
                 </article>
               </li>
             );
           })}
         </ul>
       )}
+      {!loading && totalEvents !== null && events.length < totalEvents && (
+        <button id="load-more-button" className="load-more-button" onClick={loadMoreEvents}>
+          Load more ({events.length} of {totalEvents} shown)
+        </button>
+      )}
     </main>
   );
 }
@@ -375,6 +375,115 @@ describe('Authentication Frontend Tests', () => {
       });
     });
 
+    /**
+     * Purpose: Verifies the My Tickets button lists purchased tickets by event
+     * Input: Click on My Tickets with an authenticated session
+     * Output: GET /api/me/tickets with credentials and ticket codes rendered
+     *         alongside their QR codes
+     */
+    test('my tickets button displays purchased tickets', async () => {
+      fetch.mockImplementation((url) => {
+        if (url.includes('/api/me/tickets')) {
+          return Promise.resolve({
+            ok: true,
+            status: 200,
+            json: () => Promise.resolve([
+              { eventId: 1, name: 'Concert', date: '2025-12-01', quantity: 2, ticketCodes: ['TIX-AAA', 'TIX-BBB'] }
+            ])
+          });
+        }
+        if (url.includes('/api/events')) {
+          return Promise.resolve({
+            ok: true,
+            json: () => Promise.resolve([])
+          });
+        }
+        if (url.includes('/me')) {
+          return Promise.resolve({
+            ok: true,
+            json: () => Promise.resolve({ authenticated: true, email: 'user@example.com' })
+          });
+        }
+        return Promise.reject(new Error('Unknown URL'));
+      });
+
+      render(<App />);
+
+      await waitFor(() => {
+        expect(screen.getByRole('button', { name: /my tickets/i })).toBeInTheDocument();
+      });
+
+      fireEvent.click(screen.getByRole('button', { name: /my tickets/i }));
+
+      expect(await screen.findByText('TIX-AAA')).toBeInTheDocument();
+      expect(fetch).toHaveBeenCalledWith(
+        'http://localhost:6001/api/me/tickets',
+        expect.objectContaining({ credentials: 'include' })
+      );
+      expect(screen.getByText(/2 ticket\(s\)/i)).toBeInTheDocument();
+      expect(screen.getByText('TIX-BBB')).toBeInTheDocument();
+      expect(screen.getByAltText('QR code for ticket TIX-AAA')).toHaveAttribute(
+        'src',
+        'http://localhost:6001/api/tickets/TIX-AAA/qr'
+      );
+    });
+
+    /**
+     * Purpose: Verifies transfers offered to the user can be accepted from My Tickets
+     * Input: My Tickets opened with one pending incoming transfer; click on Accept
+     * Output: POST /api/transfers/:id/accept with credentials
+     */
+    test('incoming ticket transfers can be accepted', async () => {
+      window.alert = jest.fn();
+      fetch.mockImplementation((url) => {
+        if (url.includes('/accept')) {
+          return Promise.resolve({
+            ok: true,
+            json: () => Promise.resolve({ success: true, status: 'accepted', ticketCodes: ['TIX-NEW'] })
+          });
+        }
+        if (url.includes('/api/me/transfers')) {
+          return Promise.resolve({
+            ok: true,
+            json: () => Promise.resolve({
+              incoming: [{
+                transferId: 9, fromEmail: 'friend@example.com', toEmail: 'user@example.com', status: 'pending',
+                tickets: [{ code: 'TIX-OLD', eventId: 1, name: 'Concert', date: '2025-12-01' }]
+              }],
+              outgoing: []
+            })
+          });
+        }
+        if (url.includes('/api/me/tickets')) {
+          return Promise.resolve({ ok: true, status: 200, json: () => Promise.resolve([]) });
+        }
+        if (url.includes('/api/events')) {
+          return Promise.resolve({ ok: true, json: () => Promise.resolve([]) });
+        }
+        if (url.includes('/me')) {
+          return Promise.resolve({
+            ok: true,
+            json: () => Promise.resolve({ authenticated: true, email: 'user@example.com' })
+          });
+        }
+        return Promise.reject(new Error('Unknown URL'));
+      });
+
+      render(<App />);
+
+      fireEvent.click(await screen.findByRole('button', { name: /my tickets/i }));
+      const accept = await screen.findByRole('button', { name: 'Accept tickets from friend@example.com' });
+      expect(screen.getByText(/sending you 1 ticket\(s\) for Concert/i)).toBeInTheDocument();
+
+      fireEvent.click(accept);
+
+      await waitFor(() => expect(window.alert).toHaveBeenCalledWith('Tickets added to your account'));
+      expect(fetch).toHaveBeenCalledWith(
+        'http://localhost:6001/api/transfers/9/accept',
+        expect.objectContaining({ method: 'POST', credentials: 'include' })
+      );
+    });
+
     test('expired token redirects to login', async () => {
       fetch.mockImplementation((url) => {
         if (url.includes('/api/events')) {